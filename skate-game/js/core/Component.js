@@ -38,6 +38,32 @@ export class Component {
         // Override in derived classes
     }
 
+    /**
+     * Return the component to its initial state (e.g. when a round restarts)
+     */
+    reset() {
+        // Override in derived classes
+    }
+
+    /**
+     * Get the component's state as plain JSON data.
+     * Derived classes add their own fields to the base result
+     * @returns {Object} Serializable state
+     */
+    toJSON() {
+        return { enabled: this.enabled };
+    }
+
+    /**
+     * Restore state written by toJSON
+     * @param {Object} data - Serialized state
+     */
+    fromJSON(data) {
+        if (data.enabled !== undefined) {
+            this.enabled = data.enabled;
+        }
+    }
+
     /**
      * Enable the component
      */
@@ -52,6 +78,32 @@ export class Component {
         this.enabled = false;
     }
 
+    /**
+     * Called by PhysicsSystem when another body starts overlapping a trigger on this entity,
+     * or this entity's body starts overlapping another entity's trigger
+     * @param {Entity} other - The other entity
+     */
+    onTriggerEnter(other) {
+        // Override in derived classes
+    }
+
+    /**
+     * Called by PhysicsSystem on each later step the overlap continues
+     * @param {Entity} other - The other entity
+     */
+    onTriggerStay(other) {
+        // Override in derived classes
+    }
+
+    /**
+     * Called by PhysicsSystem when the overlap ends, including when the other body is
+     * destroyed or disabled
+     * @param {Entity} other - The other entity
+     */
+    onTriggerExit(other) {
+        // Override in derived classes
+    }
+
     /**
      * Clean up resources when component is destroyed
      */
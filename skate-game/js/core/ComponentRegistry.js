@@ -0,0 +1,70 @@
+import { Transform } from './components/Transform.js';
+import { Physics } from './components/Physics.js';
+
+/**
+ * Maps component type names to their classes so serialized entities can be rebuilt.
+ * Only registered components are written by Entity.toJSON - anything else (meshes,
+ * controllers holding scene references) is left to the code that creates the entity
+ */
+export class ComponentRegistry {
+    constructor() {
+        this.types = new Map(); // Map of component type name to component class
+    }
+
+    /**
+     * Register a component class for serialization
+     * @param {Function} ComponentClass - A class extending Component, constructible without arguments
+     * @param {string} [name] - Type name, matching the key Entity stores the component under
+     * @returns {Function} The registered class
+     */
+    register(ComponentClass, name = ComponentClass.name) {
+        if (this.types.has(name) && this.types.get(name) !== ComponentClass) {
+            throw new Error(`Component type "${name}" is already registered`);
+        }
+
+        this.types.set(name, ComponentClass);
+        return ComponentClass;
+    }
+
+    /**
+     * Check if a component type is registered
+     * @param {string} name - The component type name
+     * @returns {boolean} True if the type is registered
+     */
+    has(name) {
+        return this.types.has(name);
+    }
+
+    /**
+     * Get a registered component class
+     * @param {string} name - The component type name
+     * @returns {Function|undefined} The component class, or undefined if not registered
+     */
+    get(name) {
+        return this.types.get(name);
+    }
+
+    /**
+     * Create a component of a registered type and restore its state
+     * @param {string} name - The component type name
+     * @param {Object} [data] - State written by the component's toJSON
+     * @returns {Component} The new component
+     */
+    create(name, data = null) {
+        const ComponentClass = this.types.get(name);
+        if (!ComponentClass) {
+            throw new Error(`Unknown component type "${name}"`);
+        }
+
+        const component = new ComponentClass();
+        if (data) {
+            component.fromJSON(data);
+        }
+        return component;
+    }
+}
+
+// Shared registry used by Entity and Scene serialization, with the core components registered
+export const ComponentTypes = new ComponentRegistry();
+ComponentTypes.register(Transform);
+ComponentTypes.register(Physics);
@@ -1,4 +1,5 @@
 import { Component } from './Component.js';
+import { ComponentTypes } from './ComponentRegistry.js';
 
 /**
  * Entity class for the Entity-Component System
@@ -17,6 +18,7 @@ export class Entity {
         this.scene = null;
         this.id = Entity.nextId++;
         this.tags = new Set();
+        this.prefab = null; // Name of the prefab this entity was spawned from, if any
     }
 
     /**
@@ -43,6 +45,7 @@ export class Entity {
         // Initialize the component if the entity is already in a scene
         if (this.scene) {
             component.init();
+            this.scene.onEntityComponentsChanged(this);
         }
 
         return component;
@@ -68,6 +71,10 @@ export class Entity {
         if (component) {
             component.onDetach();
             this.components.delete(componentType);
+            
+            if (this.scene) {
+                this.scene.onEntityComponentsChanged(this);
+            }
             return true;
         }
         
@@ -95,9 +102,9 @@ export class Entity {
         this.children.push(child);
         child.parent = this;
         
-        // Set the child's scene to match the parent's
-        if (this.scene) {
-            child.setScene(this.scene);
+        // The child joins the parent's scene, where queries can find it
+        if (this.scene && child.scene !== this.scene) {
+            this.scene.addEntity(child);
         }
     }
 
@@ -119,7 +126,7 @@ export class Entity {
     }
 
     /**
-     * Set the scene this entity belongs to
+     * Set the scene this entity belongs to. Called by Scene.addEntity, which adds the children too
      * @param {Scene} scene - The scene
      */
     setScene(scene) {
@@ -129,11 +136,6 @@ export class Entity {
         for (const component of this.components.values()) {
             component.init();
         }
-        
-        // Set the scene for all children
-        for (const child of this.children) {
-            child.setScene(scene);
-        }
     }
 
     /**
@@ -181,6 +183,19 @@ export class Entity {
         }
     }
 
+    /**
+     * Reset all components of this entity and its children
+     */
+    reset() {
+        for (const component of this.components.values()) {
+            component.reset();
+        }
+
+        for (const child of this.children) {
+            child.reset();
+        }
+    }
+
     /**
      * Enable this entity
      */
@@ -195,6 +210,58 @@ export class Entity {
         this.active = false;
     }
 
+    /**
+     * Get this entity, its registered components and its children as JSON data.
+     * Components whose type is not in ComponentTypes are skipped
+     * @returns {Object} Serializable state
+     */
+    toJSON() {
+        const components = {};
+        for (const [type, component] of this.components) {
+            if (ComponentTypes.has(type)) {
+                components[type] = component.toJSON();
+            }
+        }
+
+        return {
+            id: this.id,
+            name: this.name,
+            prefab: this.prefab,
+            active: this.active,
+            tags: [...this.tags],
+            components,
+            children: this.children.map(child => child.toJSON())
+        };
+    }
+
+    /**
+     * Rebuild an entity and its children from data written by toJSON.
+     * The saved IDs are kept so references between entities stay valid
+     * @param {Object} data - Serialized entity
+     * @returns {Entity} The new entity, not yet added to a scene
+     */
+    static fromJSON(data) {
+        const entity = new Entity(data.name);
+        entity.id = data.id;
+        Entity.nextId = Math.max(Entity.nextId, data.id + 1);
+        entity.prefab = data.prefab || null;
+        entity.active = data.active !== false;
+
+        for (const tag of data.tags || []) {
+            entity.addTag(tag);
+        }
+
+        for (const [type, componentData] of Object.entries(data.components || {})) {
+            entity.addComponent(ComponentTypes.create(type, componentData));
+        }
+
+        for (const childData of data.children || []) {
+            entity.addChild(Entity.fromJSON(childData));
+        }
+
+        return entity;
+    }
+
     /**
      * Destroy this entity, removing it from its parent and cleaning up all components
      */
@@ -0,0 +1,114 @@
+/**
+ * Publish/subscribe channel for gameplay notifications.
+ * Systems emit what happened ('coin:collected', 'player:caught', ...) and anything interested -
+ * HUD, audio, achievements, analytics - subscribes without the emitter knowing about it
+ */
+export class EventBus {
+    /**
+     * @param {string[]} [eventTypes] - Known event types. When given, subscribing to or emitting
+     * any other type throws, so a typo can't silently drop events
+     */
+    constructor(eventTypes = null) {
+        this.eventTypes = eventTypes ? new Set(eventTypes) : null;
+        this.handlers = new Map(); // Map of event type to array of handlers
+    }
+
+    /**
+     * Throw if an event type is not in the known set
+     * @param {string} type - The event type
+     */
+    validateType(type) {
+        if (this.eventTypes && !this.eventTypes.has(type)) {
+            throw new Error(`Unknown event type "${type}"`);
+        }
+    }
+
+    /**
+     * Subscribe to an event
+     * @param {string} type - The event type
+     * @param {Function} handler - Called with the event payload
+     * @returns {Function} Call to unsubscribe
+     */
+    on(type, handler) {
+        this.validateType(type);
+
+        if (!this.handlers.has(type)) {
+            this.handlers.set(type, []);
+        }
+        this.handlers.get(type).push(handler);
+
+        return () => this.off(type, handler);
+    }
+
+    /**
+     * Subscribe to the next occurrence of an event only
+     * @param {string} type - The event type
+     * @param {Function} handler - Called with the event payload
+     * @returns {Function} Call to unsubscribe before the event fires
+     */
+    once(type, handler) {
+        const unsubscribe = this.on(type, payload => {
+            unsubscribe();
+            handler(payload);
+        });
+        return unsubscribe;
+    }
+
+    /**
+     * Unsubscribe from an event
+     * @param {string} type - The event type
+     * @param {Function} handler - The handler passed to on()
+     * @returns {boolean} True if the handler was subscribed
+     */
+    off(type, handler) {
+        const handlers = this.handlers.get(type);
+        if (!handlers) return false;
+
+        const index = handlers.indexOf(handler);
+        if (index === -1) return false;
+
+        handlers.splice(index, 1);
+        if (handlers.length === 0) {
+            this.handlers.delete(type);
+        }
+        return true;
+    }
+
+    /**
+     * Notify every subscriber of an event.
+     * A throwing handler is logged and does not stop the others or the emitting system
+     * @param {string} type - The event type
+     * @param {Object} [payload] - Event data passed to each handler
+     */
+    emit(type, payload = {}) {
+        this.validateType(type);
+
+        const handlers = this.handlers.get(type);
+        if (!handlers) return;
+
+        // Copy so handlers can unsubscribe while the event is being delivered
+        for (const handler of [...handlers]) {
+            try {
+                handler(payload);
+            } catch (error) {
+                console.error(`Error in "${type}" handler:`, error);
+            }
+        }
+    }
+
+    /**
+     * Check whether an event has any subscribers
+     * @param {string} type - The event type
+     * @returns {boolean} True if at least one handler is subscribed
+     */
+    hasListeners(type) {
+        return this.handlers.has(type);
+    }
+
+    /**
+     * Remove every subscription
+     */
+    clear() {
+        this.handlers.clear();
+    }
+}
@@ -0,0 +1,102 @@
+/**
+ * Free GPU resources held by an object and its descendants and detach it from its parent.
+ * Geometries and materials shared with objects still in use must not be passed here
+ * @param {THREE.Object3D} object - The object to dispose
+ */
+export function disposeObject3D(object) {
+    if (object.parent) {
+        object.parent.remove(object);
+    }
+
+    object.traverse(child => {
+        if (child.geometry) {
+            child.geometry.dispose();
+        }
+
+        if (child.material) {
+            const materials = Array.isArray(child.material) ? child.material : [child.material];
+            materials.forEach(material => {
+                if (material.map) material.map.dispose();
+                material.dispose();
+            });
+        }
+    });
+}
+
+/**
+ * Keeps released objects for reuse, so frequently spawned things (effects, pickups,
+ * officers) are built once instead of allocating geometry and materials every time
+ */
+export class ObjectPool {
+    /**
+     * @param {Function} create - () => object, builds a new object when none is free
+     * @param {Object} [options] - Pool options
+     * @param {Function} [options.reset] - (object) => void, returns a released object to its initial state
+     * @param {Function} [options.dispose] - (object) => void, frees an object the pool drops.
+     * Pass a custom one when objects share geometry or materials
+     * @param {number} [options.maxSize] - Most free objects kept; further releases are disposed
+     */
+    constructor(create, { reset = null, dispose = disposeObject3D, maxSize = Infinity } = {}) {
+        this.create = create;
+        this.reset = reset;
+        this.dispose = dispose;
+        this.maxSize = maxSize;
+        this.free = []; // Released objects waiting to be reused
+        this.activeCount = 0; // Objects acquired and not yet released
+    }
+
+    /**
+     * Take a free object, or build one if the pool is empty
+     * @returns {*} The object
+     */
+    acquire() {
+        const object = this.free.length > 0 ? this.free.pop() : this.create();
+        this.activeCount++;
+        return object;
+    }
+
+    /**
+     * Return an object to the pool. Object3Ds are detached from their parent
+     * @param {*} object - An object from acquire()
+     */
+    release(object) {
+        if (this.free.includes(object)) {
+            console.warn('Object released to pool twice');
+            return;
+        }
+
+        this.activeCount = Math.max(0, this.activeCount - 1);
+
+        if (object.parent) {
+            object.parent.remove(object);
+        }
+
+        if (this.free.length >= this.maxSize) {
+            this.dispose(object);
+            return;
+        }
+
+        if (this.reset) {
+            this.reset(object);
+        }
+        this.free.push(object);
+    }
+
+    /**
+     * Build objects ahead of time so the first uses don't allocate
+     * @param {number} count - Number of free objects to have available
+     */
+    prewarm(count) {
+        while (this.free.length < count) {
+            this.free.push(this.create());
+        }
+    }
+
+    /**
+     * Dispose every free object. Objects still in use are left to their owner
+     */
+    clear() {
+        this.free.forEach(object => this.dispose(object));
+        this.free = [];
+    }
+}
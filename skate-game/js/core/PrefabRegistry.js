@@ -0,0 +1,150 @@
+import * as THREE from 'three';
+import { Transform } from './components/Transform.js';
+import { ComponentTypes } from './ComponentRegistry.js';
+
+/**
+ * Named entity archetypes ("prefabs") that can be spawned with per-instance parameters.
+ * A prefab is registered once and spawned any number of times through Scene.spawn, so
+ * level data and editors can refer to objects by name instead of by the code that builds them
+ */
+export class PrefabRegistry {
+    constructor() {
+        this.prefabs = new Map(); // Map of prefab name to definition
+    }
+
+    /**
+     * Register a prefab
+     * @param {string} name - Name used to spawn it, e.g. 'officer'
+     * @param {Object} definition - How to build an instance
+     * @param {string[]} [definition.tags] - Tags added to every instance, defaults to [name]
+     * @param {Object} [definition.defaults] - Default parameters, overridden per spawn
+     * @param {Function} [definition.createObject] - (params) => THREE.Object3D for the Transform.
+     * An empty group is used when omitted
+     * @param {ObjectPool} [definition.pool] - Pool to take the object from instead of createObject.
+     * Despawned instances return their object to it
+     * @param {Object} [definition.components] - State for registered component types, keyed by
+     * type name in the format their toJSON writes, e.g. { Physics: { isKinematic: true } }
+     * @param {Function} [definition.createComponents] - (params, object) => Component[] for
+     * components that need parameters or references
+     * @param {Function} [definition.onSpawn] - (entity, params) called once the instance is complete
+     */
+    register(name, definition) {
+        if (this.prefabs.has(name)) {
+            console.warn(`Prefab ${name} is already registered and will be replaced`);
+        }
+
+        this.prefabs.set(name, {
+            tags: [name],
+            defaults: {},
+            components: {},
+            ...definition
+        });
+    }
+
+    /**
+     * Check if a prefab is registered
+     * @param {string} name - The prefab name
+     * @returns {boolean} True if the prefab is registered
+     */
+    has(name) {
+        return this.prefabs.has(name);
+    }
+
+    /**
+     * Get a prefab definition
+     * @param {string} name - The prefab name
+     * @returns {Object|undefined} The definition, or undefined if not registered
+     */
+    get(name) {
+        return this.prefabs.get(name);
+    }
+
+    /**
+     * Create an instance of a prefab in a scene
+     * @param {Scene} scene - The scene to add the entity to
+     * @param {string} name - The prefab name
+     * @param {Object} [overrides] - Parameters replacing the prefab defaults. position, rotation
+     * and scale ({x, y, z} or [x, y, z]) are applied to the object, name names the entity
+     * @returns {Entity} The spawned entity
+     */
+    instantiate(scene, name, overrides = {}) {
+        const prefab = this.prefabs.get(name);
+        if (!prefab) {
+            throw new Error(`Unknown prefab "${name}"`);
+        }
+
+        const params = { ...prefab.defaults, ...overrides };
+        const object = this.createObject(prefab, params);
+
+        if (params.position) setVector(object.position, params.position);
+        if (params.rotation) setVector(object.rotation, params.rotation);
+        if (params.scale) setVector(object.scale, params.scale);
+
+        // The Transform adds the object to the scene's THREE.Scene
+        const entity = scene.createEntity(params.name || name);
+        entity.prefab = name;
+        for (const tag of prefab.tags) {
+            entity.addTag(tag);
+        }
+        entity.addComponent(new Transform(object));
+
+        for (const [type, data] of Object.entries(prefab.components)) {
+            entity.addComponent(ComponentTypes.create(type, data));
+        }
+
+        if (prefab.createComponents) {
+            for (const component of prefab.createComponents(params, object)) {
+                entity.addComponent(component);
+            }
+        }
+
+        if (prefab.onSpawn) {
+            prefab.onSpawn(entity, params);
+        }
+
+        return entity;
+    }
+
+    /**
+     * Build or reuse the object for a new instance
+     * @param {Object} prefab - The prefab definition
+     * @param {Object} params - Spawn parameters
+     * @returns {THREE.Object3D} The object
+     */
+    createObject(prefab, params) {
+        if (prefab.pool) {
+            return prefab.pool.acquire();
+        }
+        return prefab.createObject ? prefab.createObject(params) : new THREE.Group();
+    }
+
+    /**
+     * Destroy a spawned entity. If its prefab is pooled the object goes back to the pool
+     * instead of being thrown away
+     * @param {Entity} entity - An entity created by instantiate
+     */
+    release(entity) {
+        const prefab = entity.prefab ? this.prefabs.get(entity.prefab) : null;
+        const transform = entity.getComponent('Transform');
+        const object = transform ? transform.group : null;
+
+        entity.destroy();
+
+        if (prefab && prefab.pool && object) {
+            prefab.pool.release(object);
+        }
+    }
+}
+
+/**
+ * Copy a position, rotation or scale parameter onto an object's vector or Euler
+ * @param {THREE.Vector3|THREE.Euler} target - The value to set
+ * @param {Object|number[]} value - {x, y, z} or [x, y, z]
+ */
+function setVector(target, value) {
+    if (Array.isArray(value)) {
+        target.fromArray(value);
+    } else {
+        target.set(value.x, value.y, value.z);
+    }
+}
@@ -0,0 +1,66 @@
+/**
+ * Live list of the entities in a scene that have every component in a given set.
+ * Queries are cached by Scene.query and kept up to date as components are added or removed,
+ * so systems can iterate them every frame without scanning the whole scene
+ */
+export class Query {
+    /**
+     * @param {string[]} componentTypes - Component types an entity must have to match
+     */
+    constructor(componentTypes) {
+        this.componentTypes = [...componentTypes].sort();
+        this.key = Query.getKey(this.componentTypes);
+        this.entities = []; // Matching entities, updated in place
+        this.entitySet = new Set(); // Fast membership checks for the list above
+    }
+
+    /**
+     * Build the cache key for a set of component types (order does not matter)
+     * @param {string[]} componentTypes - The component types
+     * @returns {string} The cache key
+     */
+    static getKey(componentTypes) {
+        return [...componentTypes].sort().join('|');
+    }
+
+    /**
+     * Check whether an entity has every component this query asks for
+     * @param {Entity} entity - The entity to test
+     * @returns {boolean} True if the entity matches
+     */
+    matches(entity) {
+        return this.componentTypes.every(type => entity.hasComponent(type));
+    }
+
+    /**
+     * Add an entity to the result list if it is not already in it
+     * @param {Entity} entity - The entity to add
+     */
+    add(entity) {
+        if (this.entitySet.has(entity)) return;
+
+        this.entitySet.add(entity);
+        this.entities.push(entity);
+    }
+
+    /**
+     * Remove an entity from the result list
+     * @param {Entity} entity - The entity to remove
+     */
+    remove(entity) {
+        if (!this.entitySet.delete(entity)) return;
+
+        const index = this.entities.indexOf(entity);
+        if (index !== -1) {
+            this.entities.splice(index, 1);
+        }
+    }
+
+    /**
+     * Remove every entity from the result list
+     */
+    clear() {
+        this.entities.length = 0;
+        this.entitySet.clear();
+    }
+}
@@ -0,0 +1,198 @@
+/**
+ * Names of the shared random streams. Each stream has its own sequence, so drawing more or fewer
+ * cosmetic numbers (particles, sky, camera shake) never shifts what the simulation sees
+ */
+export const RandomStreams = Object.freeze({
+    GAMEPLAY: 'gameplay',   // Anything that changes the simulation: spawns, AI, physics jitter
+    WORLD: 'world',         // Level layout generated at startup: decoration and animal placement
+    COSMETIC: 'cosmetic'    // Purely visual: particles, textures, sky, camera shake
+});
+
+/**
+ * Seeded pseudo-random number generator (mulberry32).
+ * Drop-in replacement for Math.random() whose sequence is fixed by its seed
+ */
+export class RandomStream {
+    /**
+     * @param {number} seed - 32-bit seed
+     */
+    constructor(seed = 0) {
+        this.setSeed(seed);
+    }
+
+    /**
+     * Restart the sequence from a seed
+     * @param {number} seed - 32-bit seed
+     */
+    setSeed(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    /**
+     * Get the next number in the sequence
+     * @returns {number} A float in [0, 1)
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Get a float in a range
+     * @param {number} min - Inclusive lower bound
+     * @param {number} max - Exclusive upper bound
+     * @returns {number} The random float
+     */
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    /**
+     * Get an integer in a range
+     * @param {number} min - Inclusive lower bound
+     * @param {number} max - Exclusive upper bound
+     * @returns {number} The random integer
+     */
+    int(min, max) {
+        return Math.floor(this.range(min, max));
+    }
+
+    /**
+     * Roll against a probability
+     * @param {number} probability - Chance of returning true (0-1)
+     * @returns {boolean} Whether the roll succeeded
+     */
+    chance(probability) {
+        return this.next() < probability;
+    }
+
+    /**
+     * Pick a random element of an array
+     * @param {Array} array - The array to pick from
+     * @returns {*} The picked element, or undefined for an empty array
+     */
+    pick(array) {
+        return array[Math.floor(this.next() * array.length)];
+    }
+
+    /**
+     * Get the current position in the sequence, e.g. to store alongside a replay
+     * @returns {number} The internal state
+     */
+    getState() {
+        return this.state;
+    }
+
+    /**
+     * Continue the sequence from a state returned by getState()
+     * @param {number} state - The internal state
+     */
+    setState(state) {
+        this.state = state >>> 0;
+    }
+}
+
+/**
+ * Central random source. Holds one seed and derives an independent stream per name from it,
+ * so a given seed reproduces every stream - and with it the whole run
+ */
+export class RandomService {
+    /**
+     * @param {number} seed - Master seed
+     */
+    constructor(seed = Date.now()) {
+        this.streams = new Map();
+        this.setSeed(seed);
+    }
+
+    /**
+     * Reseed the service. Existing streams restart in place, so references to them stay valid
+     * @param {number} seed - Master seed
+     */
+    setSeed(seed) {
+        this.seed = seed >>> 0;
+        this.streams.forEach((stream, name) => stream.setSeed(RandomService.deriveSeed(this.seed, name)));
+    }
+
+    /**
+     * Get a named stream, creating it on first use
+     * @param {string} name - Stream name, usually one of RandomStreams
+     * @returns {RandomStream} The stream
+     */
+    stream(name) {
+        let stream = this.streams.get(name);
+        if (!stream) {
+            stream = new RandomStream(RandomService.deriveSeed(this.seed, name));
+            this.streams.set(name, stream);
+        }
+        return stream;
+    }
+
+    /**
+     * Stream for simulation randomness
+     * @returns {RandomStream} The gameplay stream
+     */
+    get gameplay() {
+        return this.stream(RandomStreams.GAMEPLAY);
+    }
+
+    /**
+     * Stream for level generation
+     * @returns {RandomStream} The world stream
+     */
+    get world() {
+        return this.stream(RandomStreams.WORLD);
+    }
+
+    /**
+     * Stream for visual-only randomness
+     * @returns {RandomStream} The cosmetic stream
+     */
+    get cosmetic() {
+        return this.stream(RandomStreams.COSMETIC);
+    }
+
+    /**
+     * Snapshot the position of every stream
+     * @returns {Object} Stream name to state
+     */
+    getState() {
+        const state = {};
+        this.streams.forEach((stream, name) => {
+            state[name] = stream.getState();
+        });
+        return state;
+    }
+
+    /**
+     * Restore stream positions from getState()
+     * @param {Object} state - Stream name to state
+     */
+    setState(state) {
+        Object.entries(state).forEach(([name, value]) => this.stream(name).setState(value));
+    }
+
+    /**
+     * Mix the master seed with a stream name (FNV-1a) to get that stream's seed
+     * @param {number} seed - Master seed
+     * @param {string} name - Stream name
+     * @returns {number} 32-bit stream seed
+     */
+    static deriveSeed(seed, name) {
+        let hash = (0x811C9DC5 ^ seed) >>> 0;
+        for (let i = 0; i < name.length; i++) {
+            hash ^= name.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+        return hash;
+    }
+}
+
+/**
+ * Shared random source for the whole game. SkateGame seeds it on startup
+ */
+export const Random = new RandomService();
@@ -1,4 +1,8 @@
 import { Entity } from './Entity.js';
+import { Query } from './Query.js';
+import { EventBus } from './EventBus.js';
+import { PrefabRegistry } from './PrefabRegistry.js';
+import { SystemPhase, SYSTEM_PHASE_ORDER } from './System.js';
 
 /**
  * Scene class to manage a collection of entities and systems
@@ -6,11 +10,17 @@ import { Entity } from './Entity.js';
 export class Scene {
     /**
      * @param {string} name - The name of the scene
+     * @param {EventBus} [events] - Event bus shared by the scene's systems, e.g. one restricted to known event types
      */
-    constructor(name = 'Scene') {
+    constructor(name = 'Scene', events = new EventBus()) {
         this.name = name;
+        this.events = events; // Systems publish and subscribe to gameplay notifications here
+        this.prefabs = new PrefabRegistry(); // Named archetypes created with spawn()
         this.entities = new Map(); // Map of entity ID to entity
         this.systems = new Map(); // Map of system name to system
+        this.systemsByPhase = null; // Map of phase to systems sorted by priority, rebuilt on change
+        this.queries = new Map(); // Map of component set key to cached Query
+        this.archetypes = new Map(); // Map of an entity's component set key to the queries it matches
         this.threeScene = null; // Reference to THREE.Scene
     }
 
@@ -34,6 +44,12 @@ export class Scene {
 
         this.entities.set(entity.id, entity);
         entity.setScene(this);
+        this.onEntityComponentsChanged(entity);
+        
+        // Children are indexed too so queries find them, but their parent updates and resets them
+        for (const child of entity.children) {
+            this.addEntity(child);
+        }
         return entity;
     }
 
@@ -47,6 +63,24 @@ export class Scene {
         return this.addEntity(entity);
     }
 
+    /**
+     * Create an entity from a registered prefab
+     * @param {string} prefabName - Name the prefab was registered under in this.prefabs
+     * @param {Object} [params] - Overrides for the prefab defaults, e.g. { position }
+     * @returns {Entity} The spawned entity
+     */
+    spawn(prefabName, params = {}) {
+        return this.prefabs.instantiate(this, prefabName, params);
+    }
+
+    /**
+     * Destroy an entity created with spawn, recycling its object if the prefab is pooled
+     * @param {Entity} entity - The entity to remove
+     */
+    despawn(entity) {
+        this.prefabs.release(entity);
+    }
+
     /**
      * Get an entity by ID
      * @param {number} id - The entity ID
@@ -96,9 +130,85 @@ export class Scene {
      * @returns {boolean} True if the entity was removed, false otherwise
      */
     removeEntity(entity) {
+        for (const query of this.queries.values()) {
+            query.remove(entity);
+        }
+        
         return this.entities.delete(entity.id);
     }
 
+    /**
+     * Get the entities that have all of the given components.
+     * The returned array is cached and updated in place as entities change, so keep the
+     * reference and iterate it each frame rather than calling query again.
+     * Copy it before destroying entities from inside the loop
+     * @param {string[]} componentTypes - Component types to match, e.g. ['Transform', 'Physics']
+     * @returns {Entity[]} Live list of matching entities
+     */
+    query(componentTypes) {
+        const key = Query.getKey(componentTypes);
+        let query = this.queries.get(key);
+        
+        if (!query) {
+            query = new Query(componentTypes);
+            this.queries.set(key, query);
+            
+            // Existing archetype results don't know about the new query
+            this.archetypes.clear();
+            
+            for (const entity of this.entities.values()) {
+                if (query.matches(entity)) {
+                    query.add(entity);
+                }
+            }
+        }
+        
+        return query.entities;
+    }
+
+    /**
+     * Re-index an entity after its set of components changed.
+     * Called by Entity when components are added or removed
+     * @param {Entity} entity - The entity that changed
+     */
+    onEntityComponentsChanged(entity) {
+        // Only entities registered with the scene take part in queries
+        if (this.entities.get(entity.id) !== entity || this.queries.size === 0) return;
+        
+        const matching = this.getArchetypeQueries(entity);
+        
+        for (const query of this.queries.values()) {
+            if (matching.has(query)) {
+                query.add(entity);
+            } else {
+                query.remove(entity);
+            }
+        }
+    }
+
+    /**
+     * Get the queries matched by an entity's combination of components,
+     * computing it once per distinct combination
+     * @param {Entity} entity - The entity to look up
+     * @returns {Set<Query>} The queries the entity belongs to
+     */
+    getArchetypeQueries(entity) {
+        const key = Query.getKey([...entity.components.keys()]);
+        let matching = this.archetypes.get(key);
+        
+        if (!matching) {
+            matching = new Set();
+            for (const query of this.queries.values()) {
+                if (query.matches(entity)) {
+                    matching.add(query);
+                }
+            }
+            this.archetypes.set(key, matching);
+        }
+        
+        return matching;
+    }
+
     /**
      * Add a system to the scene
      * @param {System} system - The system to add
@@ -111,6 +221,7 @@ export class Scene {
         }
 
         this.systems.set(name, system);
+        this.invalidateSystemOrder();
         
         // Initialize the system if it has an init method
         if (typeof system.init === 'function') {
@@ -141,36 +252,163 @@ export class Scene {
             system.dispose();
         }
         
+        this.invalidateSystemOrder();
         return this.systems.delete(name);
     }
 
     /**
-     * Update all entities and systems in the scene
+     * Mark the system run order as stale, e.g. after a system changes phase or priority
+     */
+    invalidateSystemOrder() {
+        this.systemsByPhase = null;
+    }
+
+    /**
+     * Get the systems that run in a phase, sorted by priority.
+     * Systems with equal priority keep the order they were added in
+     * @param {string} phase - One of SystemPhase
+     * @returns {System[]} The systems in run order
+     */
+    getSystemsInPhase(phase) {
+        if (!this.systemsByPhase) {
+            this.systemsByPhase = new Map(SYSTEM_PHASE_ORDER.map(p => [p, []]));
+            
+            for (const system of this.systems.values()) {
+                const systemPhase = system.phase || SystemPhase.SIMULATION;
+                const list = this.systemsByPhase.get(systemPhase);
+                
+                if (!list) {
+                    console.warn(`System ${system.name} has unknown phase ${systemPhase} and will not run`);
+                    continue;
+                }
+                list.push(system);
+            }
+            
+            for (const list of this.systemsByPhase.values()) {
+                list.sort((a, b) => (a.priority || 0) - (b.priority || 0));
+            }
+        }
+        
+        return this.systemsByPhase.get(phase) || [];
+    }
+
+    /**
+     * Update systems phase by phase, and entities at the start of the simulation phase.
+     * Pass a subset of phases to split the work, e.g. simulation at a fixed step and
+     * the render phase once per frame
      * @param {number} deltaTime - Time since last frame in seconds
+     * @param {string[]} phases - Phases to run, in order
+     */
+    update(deltaTime, phases = SYSTEM_PHASE_ORDER) {
+        for (const phase of phases) {
+            // Entity components (player control, animation) move things before gameplay systems react
+            if (phase === SystemPhase.SIMULATION) {
+                this.updateEntities(deltaTime);
+            }
+            
+            for (const system of this.getSystemsInPhase(phase)) {
+                if (system.enabled !== false && typeof system.update === 'function') {
+                    system.update(deltaTime);
+                }
+            }
+        }
+    }
+
+    /**
+     * Update all entities in the scene
+     * @param {number} deltaTime - Time since last frame in seconds
+     */
+    updateEntities(deltaTime) {
+        for (const entity of this.entities.values()) {
+            // Children are updated by their parent
+            if (!entity.parent) {
+                entity.update(deltaTime);
+            }
+        }
+    }
+
+    /**
+     * Reset all systems and entities in the scene (e.g. when a round restarts)
      */
-    update(deltaTime) {
-        // Update all systems first
+    reset() {
+        // Entities first so systems (e.g. a follow camera) see the reset state.
+        // Copy the list - resetting may spawn or destroy entities
+        for (const entity of [...this.entities.values()]) {
+            // Children are reset by their parent
+            if (!entity.parent) {
+                entity.reset();
+            }
+        }
+
         for (const system of this.systems.values()) {
-            if (typeof system.update === 'function') {
-                system.update(deltaTime);
+            if (typeof system.reset === 'function') {
+                system.reset();
             }
         }
+    }
 
-        // Update all entities
+    /**
+     * Get the scene's entities as JSON data, for save games, level files and snapshots.
+     * Children are nested under their parent; systems are not included
+     * @returns {Object} Serializable state
+     */
+    toJSON() {
+        const entities = [];
         for (const entity of this.entities.values()) {
-            entity.update(deltaTime);
+            // Children are written by their parent
+            if (!entity.parent) {
+                entities.push(entity.toJSON());
+            }
         }
+
+        return {
+            name: this.name,
+            entities
+        };
+    }
+
+    /**
+     * Add the entities from data written by toJSON to this scene
+     * @param {Object} data - Serialized scene
+     * @returns {Entity[]} The restored top-level entities
+     */
+    loadJSON(data) {
+        return (data.entities || []).map(entityData => {
+            if (this.entities.has(entityData.id)) {
+                throw new Error(`Entity ${entityData.id} already exists in scene ${this.name}`);
+            }
+            return this.addEntity(Entity.fromJSON(entityData));
+        });
+    }
+
+    /**
+     * Create a scene from data written by toJSON.
+     * Component types must be registered with ComponentTypes before loading
+     * @param {Object} data - Serialized scene
+     * @param {EventBus} [events] - Event bus for the new scene
+     * @returns {Scene} The restored scene, without a THREE.Scene or systems
+     */
+    static fromJSON(data, events = new EventBus()) {
+        const scene = new Scene(data.name, events);
+        scene.loadJSON(data);
+        return scene;
     }
 
     /**
      * Clear all entities and systems from the scene
      */
     clear() {
-        // Destroy all entities
-        for (const entity of this.entities.values()) {
-            entity.destroy();
+        // Destroy all entities - children go with their parent
+        for (const entity of [...this.entities.values()]) {
+            if (!entity.parent) {
+                entity.destroy();
+            }
         }
         this.entities.clear();
+        
+        for (const query of this.queries.values()) {
+            query.clear();
+        }
 
         // Dispose of all systems
         for (const [name, system] of this.systems.entries()) {
@@ -179,6 +417,8 @@ export class Scene {
             }
         }
         this.systems.clear();
+        this.invalidateSystemOrder();
+        this.events.clear();
     }
 
     /**
@@ -1,3 +1,22 @@
+/**
+ * Update phases, in the order Scene.update runs them
+ */
+export const SystemPhase = Object.freeze({
+    INPUT: 'input',             // Read devices and timers before anything moves
+    SIMULATION: 'simulation',   // Gameplay logic - runs after entity components update
+    COLLISION: 'collision',     // Detect and resolve contacts once everything has moved
+    LATE_UPDATE: 'lateUpdate',  // React to the settled state of the step
+    RENDER: 'render'            // Camera, HUD and other presentation
+});
+
+export const SYSTEM_PHASE_ORDER = Object.freeze([
+    SystemPhase.INPUT,
+    SystemPhase.SIMULATION,
+    SystemPhase.COLLISION,
+    SystemPhase.LATE_UPDATE,
+    SystemPhase.RENDER
+]);
+
 /**
  * Base System class for handling game logic that operates on multiple entities
  */
@@ -9,6 +28,8 @@ export class System {
         this.name = name;
         this.scene = null;
         this.enabled = true;
+        this.phase = SystemPhase.SIMULATION;
+        this.priority = 0; // Lower runs first within a phase
     }
 
     /**
@@ -27,6 +48,39 @@ export class System {
         // Override in derived classes
     }
 
+    /**
+     * Return the system to its initial state (e.g. when a round restarts)
+     */
+    reset() {
+        // Override in derived classes
+    }
+
+    /**
+     * Move the system to another update phase
+     * @param {string} phase - One of SystemPhase
+     */
+    setPhase(phase) {
+        if (!SYSTEM_PHASE_ORDER.includes(phase)) {
+            throw new Error(`Unknown system phase: ${phase}`);
+        }
+
+        this.phase = phase;
+        if (this.scene) {
+            this.scene.invalidateSystemOrder();
+        }
+    }
+
+    /**
+     * Change where the system runs within its phase
+     * @param {number} priority - Lower values run first
+     */
+    setPriority(priority) {
+        this.priority = priority;
+        if (this.scene) {
+            this.scene.invalidateSystemOrder();
+        }
+    }
+
     /**
      * Enable the system
      */
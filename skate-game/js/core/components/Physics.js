@@ -17,8 +17,9 @@ export class Physics extends Component {
         this.friction = 0.9;
         this.restitution = 0.3; // Bounciness
         this.isKinematic = false; // If true, not affected by forces
+        this.isTrigger = false; // If true, reports overlaps through onTrigger* callbacks instead of colliding
         this.isGrounded = false;
-        this.collisionShape = 'box'; // 'box', 'sphere', 'capsule'
+        this.collisionShape = 'box'; // 'box', 'sphere', 'capsule', 'cylinder' (upright, collisionRadius by collisionHeight)
         this.boundingBox = new THREE.Box3();
         this.boundingSphere = new THREE.Sphere();
         this.collisionRadius = 1.0;
@@ -42,6 +43,58 @@ export class Physics extends Component {
         }
     }
 
+    /**
+     * Get the body's motion and collision settings as JSON data.
+     * Accumulated forces and bounds are left out - they are rebuilt on the next update
+     * @returns {Object} Serializable state
+     */
+    toJSON() {
+        return {
+            ...super.toJSON(),
+            velocity: this.velocity.toArray(),
+            angularVelocity: this.angularVelocity.toArray(),
+            mass: this.mass,
+            useGravity: this.useGravity,
+            gravity: this.gravity.toArray(),
+            friction: this.friction,
+            restitution: this.restitution,
+            isKinematic: this.isKinematic,
+            isTrigger: this.isTrigger,
+            isGrounded: this.isGrounded,
+            collisionShape: this.collisionShape,
+            collisionRadius: this.collisionRadius,
+            collisionHeight: this.collisionHeight,
+            collisionWidth: this.collisionWidth,
+            collisionLayer: this.collisionLayer,
+            collisionMask: this.collisionMask
+        };
+    }
+
+    /**
+     * Restore state written by toJSON
+     * @param {Object} data - Serialized state
+     */
+    fromJSON(data) {
+        super.fromJSON(data);
+        
+        if (data.velocity) this.velocity.fromArray(data.velocity);
+        if (data.angularVelocity) this.angularVelocity.fromArray(data.angularVelocity);
+        if (data.gravity) this.gravity.fromArray(data.gravity);
+        
+        const scalarFields = [
+            'mass', 'useGravity', 'friction', 'restitution', 'isKinematic', 'isTrigger', 'isGrounded',
+            'collisionShape', 'collisionRadius', 'collisionHeight', 'collisionWidth',
+            'collisionLayer', 'collisionMask'
+        ];
+        for (const field of scalarFields) {
+            if (data[field] !== undefined) {
+                this[field] = data[field];
+            }
+        }
+        
+        this.updateCollisionBounds();
+    }
+
     /**
      * Update collision bounds based on transform
      */
@@ -201,6 +254,39 @@ export class Physics extends Component {
         return null;
     }
 
+    /**
+     * Test whether another body overlaps this trigger's shape. The other body counts as a
+     * sphere of its collisionRadius around its position
+     * @param {Physics} other - The other physics component
+     * @returns {boolean} True if the bodies overlap
+     */
+    testTriggerOverlap(other) {
+        // Check collision layers
+        if ((this.collisionLayer & other.collisionMask) === 0 ||
+            (other.collisionLayer & this.collisionMask) === 0) {
+            return false;
+        }
+        
+        const center = this.transform.position;
+        const position = other.transform.position;
+        const radius = other.collisionRadius;
+        
+        switch (this.collisionShape) {
+            case 'cylinder': {
+                const dx = position.x - center.x;
+                const dz = position.z - center.z;
+                const reach = this.collisionRadius + radius;
+                return dx * dx + dz * dz < reach * reach &&
+                    Math.abs(position.y - center.y) < this.collisionHeight / 2 + radius;
+            }
+            case 'box':
+                return this.boundingBox.distanceToPoint(position) < radius ||
+                    this.boundingBox.containsPoint(position);
+            default:
+                return center.distanceTo(position) < this.collisionRadius + radius;
+        }
+    }
+
     /**
      * Test for a sphere-sphere collision
      * @param {Physics} other - The other physics component
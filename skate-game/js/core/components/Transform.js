@@ -5,17 +5,22 @@ import { Component } from '../Component.js';
  * Transform component for handling entity position, rotation, and scale
  */
 export class Transform extends Component {
-    constructor() {
+    /**
+     * @param {THREE.Object3D} [object] - Existing object to drive directly. When omitted an empty group is created
+     */
+    constructor(object = null) {
         super();
-        this.position = new THREE.Vector3();
-        this.rotation = new THREE.Euler();
-        this.scale = new THREE.Vector3(1, 1, 1);
-        this.quaternion = new THREE.Quaternion();
+        this.group = object || new THREE.Group(); // Contains all meshes
+        
+        // Share the group's own vectors so code that moves the object directly stays in sync
+        this.position = this.group.position;
+        this.rotation = this.group.rotation;
+        this.scale = this.group.scale;
+        this.quaternion = this.group.quaternion;
         this.matrix = new THREE.Matrix4();
         this.matrixNeedsUpdate = true;
         this.worldMatrix = new THREE.Matrix4();
         this.meshes = []; // Associated THREE.Mesh or THREE.Object3D instances
-        this.group = new THREE.Group(); // Contains all meshes
     }
 
     /**
@@ -156,6 +161,34 @@ export class Transform extends Component {
         return up;
     }
 
+    /**
+     * Get the local position, rotation and scale as JSON data
+     * @returns {Object} Serializable state
+     */
+    toJSON() {
+        return {
+            ...super.toJSON(),
+            position: this.position.toArray(),
+            quaternion: this.quaternion.toArray(),
+            scale: this.scale.toArray()
+        };
+    }
+
+    /**
+     * Restore state written by toJSON
+     * @param {Object} data - Serialized state
+     */
+    fromJSON(data) {
+        super.fromJSON(data);
+        
+        if (data.position) this.position.fromArray(data.position);
+        // The group keeps rotation in sync with its quaternion; going through setQuaternion
+        // would round-trip the Euler angles and not restore the exact quaternion
+        if (data.quaternion) this.quaternion.fromArray(data.quaternion);
+        if (data.scale) this.scale.fromArray(data.scale);
+        this.matrixNeedsUpdate = true;
+    }
+
     /**
      * Update the transform matrix if needed
      */
@@ -199,8 +232,11 @@ export class Transform extends Component {
      * @param {number} deltaTime - Time since last frame in seconds
      */
     update(deltaTime) {
+        // The group may have been moved directly, so always recompose. Nothing is copied back:
+        // the vectors are the group's own, and copying the quaternion onto itself would
+        // re-derive the Euler angles and wrap the yaw into [-PI/2, PI/2]
+        this.matrixNeedsUpdate = true;
         this.updateMatrix();
-        this.applyToMeshes();
     }
 
     /**
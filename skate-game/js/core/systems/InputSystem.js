@@ -1,4 +1,4 @@
-import { System } from '../System.js';
+import { System, SystemPhase } from '../System.js';
 
 /**
  * Input System for handling keyboard, mouse, touch, and gamepad inputs
@@ -6,6 +6,7 @@ import { System } from '../System.js';
 export class InputSystem extends System {
     constructor() {
         super('InputSystem');
+        this.phase = SystemPhase.INPUT;
         
         // Input state
         this.keys = new Map();
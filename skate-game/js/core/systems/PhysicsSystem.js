@@ -1,5 +1,5 @@
 import * as THREE from 'three';
-import { System } from '../System.js';
+import { System, SystemPhase } from '../System.js';
 import { Physics } from '../components/Physics.js';
 
 /**
@@ -8,10 +8,14 @@ import { Physics } from '../components/Physics.js';
 export class PhysicsSystem extends System {
     constructor() {
         super('PhysicsSystem');
+        this.phase = SystemPhase.COLLISION;
+        this.physicsEntities = []; // Live query of entities with a Physics component
         this.physicsBodies = [];
         this.staticBodies = [];
         this.dynamicBodies = [];
+        this.triggerBodies = [];
         this.collisionPairs = [];
+        this.triggerContacts = new Map(); // Map of pair id to the trigger and other entity overlapping last step
         this.spatialGrid = null;
         this.gridCellSize = 10;
         this.useSpatialPartitioning = true;
@@ -25,6 +29,7 @@ export class PhysicsSystem extends System {
      */
     init(scene) {
         super.init(scene);
+        this.physicsEntities = scene.query(['Physics']);
         this.initSpatialGrid();
     }
 
@@ -78,6 +83,9 @@ export class PhysicsSystem extends System {
             this.detectCollisions();
             this.resolveCollisions();
         }
+        
+        // Report trigger overlaps once bodies are in their final positions
+        this.updateTriggers();
     }
 
     /**
@@ -87,14 +95,18 @@ export class PhysicsSystem extends System {
         this.physicsBodies = [];
         this.staticBodies = [];
         this.dynamicBodies = [];
+        this.triggerBodies = [];
         
-        // Find all entities with Physics components
-        for (const entity of this.scene.entities.values()) {
+        // Walk the cached query instead of every entity in the scene
+        for (const entity of this.physicsEntities) {
             const physics = entity.getComponent('Physics');
             if (physics && physics.enabled) {
                 this.physicsBodies.push(physics);
                 
-                if (physics.isKinematic) {
+                // Triggers never collide, they are only tested in updateTriggers
+                if (physics.isTrigger) {
+                    this.triggerBodies.push(physics);
+                } else if (physics.isKinematic) {
                     this.staticBodies.push(physics);
                 } else {
                     this.dynamicBodies.push(physics);
@@ -118,9 +130,9 @@ export class PhysicsSystem extends System {
             }
         }
         
-        // Insert bodies into grid
+        // Insert solid bodies into grid
         for (const physics of this.physicsBodies) {
-            if (!physics.transform) continue;
+            if (!physics.transform || physics.isTrigger) continue;
             
             const pos = physics.transform.position;
             const radius = physics.collisionRadius;
@@ -244,6 +256,75 @@ export class PhysicsSystem extends System {
         }
     }
 
+    /**
+     * Test every trigger against every solid body and send onTriggerEnter, onTriggerStay
+     * and onTriggerExit to the components of both entities
+     */
+    updateTriggers() {
+        const contacts = new Map();
+        
+        for (const trigger of this.triggerBodies) {
+            if (!trigger.transform) continue;
+            
+            for (const other of this.physicsBodies) {
+                if (other.isTrigger || !other.transform || other.entity === trigger.entity) continue;
+                
+                if (trigger.testTriggerOverlap(other)) {
+                    const pairId = trigger.entity.id + '_' + other.entity.id;
+                    contacts.set(pairId, { trigger: trigger.entity, other: other.entity });
+                }
+            }
+        }
+        
+        // Callbacks may destroy entities, so work from the contacts gathered above
+        const previous = this.triggerContacts;
+        this.triggerContacts = contacts;
+        
+        for (const [pairId, contact] of contacts) {
+            const callback = previous.has(pairId) ? 'onTriggerStay' : 'onTriggerEnter';
+            this.notifyTrigger(contact, callback);
+        }
+        
+        for (const [pairId, contact] of previous) {
+            if (!contacts.has(pairId)) {
+                this.notifyTrigger(contact, 'onTriggerExit');
+            }
+        }
+    }
+
+    /**
+     * Call a trigger callback on the components of both entities in a contact. A destroyed
+     * entity has no components left, so only the survivor hears about it
+     * @param {Object} contact - { trigger, other } entities
+     * @param {string} callback - 'onTriggerEnter', 'onTriggerStay' or 'onTriggerExit'
+     */
+    notifyTrigger(contact, callback) {
+        this.sendTriggerCallback(contact.trigger, callback, contact.other);
+        this.sendTriggerCallback(contact.other, callback, contact.trigger);
+    }
+
+    /**
+     * Call a trigger callback on each component of an entity
+     * @param {Entity} entity - The entity to notify
+     * @param {string} callback - The callback name
+     * @param {Entity} other - The entity passed to the callback
+     */
+    sendTriggerCallback(entity, callback, other) {
+        // Copy the list - a callback may destroy the entity
+        for (const component of [...entity.components.values()]) {
+            if (component.entity) {
+                component[callback](other);
+            }
+        }
+    }
+
+    /**
+     * Forget current overlaps, so bodies still touching a trigger after a restart enter it again
+     */
+    reset() {
+        this.triggerContacts.clear();
+    }
+
     /**
      * Resolve all detected collisions
      */
@@ -264,7 +345,9 @@ export class PhysicsSystem extends System {
         this.physicsBodies = [];
         this.staticBodies = [];
         this.dynamicBodies = [];
+        this.triggerBodies = [];
         this.collisionPairs = [];
+        this.triggerContacts.clear();
         this.spatialGrid = null;
         super.dispose();
     }
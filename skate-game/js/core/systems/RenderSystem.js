@@ -1,5 +1,5 @@
 import * as THREE from 'three';
-import { System } from '../System.js';
+import { System, SystemPhase } from '../System.js';
 
 /**
  * Render system for handling rendering operations
@@ -7,6 +7,8 @@ import { System } from '../System.js';
 export class RenderSystem extends System {
     constructor() {
         super('RenderSystem');
+        this.phase = SystemPhase.RENDER;
+        this.priority = 100; // Draw last, after the camera and HUD have updated
         this.renderer = null;
         this.cameras = [];
         this.mainCamera = null;
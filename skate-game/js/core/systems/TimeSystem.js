@@ -1,4 +1,4 @@
-import { System } from '../System.js';
+import { System, SystemPhase } from '../System.js';
 
 /**
  * Time System for managing game time and timing-related functionality
@@ -6,6 +6,8 @@ import { System } from '../System.js';
 export class TimeSystem extends System {
     constructor() {
         super('TimeSystem');
+        this.phase = SystemPhase.INPUT;
+        this.priority = -100; // Advance the clock before anything reads it
         
         // Time tracking
         this.startTime = 0;
@@ -84,8 +86,10 @@ export class TimeSystem extends System {
         // Update FPS
         this.updateFPS();
         
-        // Update fixed time step accumulator
-        this.timeStepAccumulator += this.deltaTime;
+        // Update fixed time step accumulator (no simulation steps are owed while paused)
+        if (!this.isPaused) {
+            this.timeStepAccumulator += this.deltaTime;
+        }
         
         // Store current time for next frame
         this.previousTime = this.currentTime;
@@ -93,9 +97,6 @@ export class TimeSystem extends System {
         // Record frame time for performance metrics
         this.recordFrameTime();
         
-        // Update timers
-        this.updateTimers();
-        
         // Return delta time for this frame
         return this.isPaused ? 0 : this.deltaTime;
     }
@@ -211,6 +212,25 @@ export class TimeSystem extends System {
         return this.fixedTimeStep;
     }
 
+    /**
+     * Set the fixed time step value
+     * @param {number} step - The fixed time step in seconds
+     */
+    setFixedTimeStep(step) {
+        if (step > 0) {
+            this.fixedTimeStep = step;
+        }
+    }
+
+    /**
+     * Get how far the clock is between the last and the next fixed update
+     * Used to interpolate rendered state between two simulation steps
+     * @returns {number} Interpolation factor (0-1)
+     */
+    getInterpolationAlpha() {
+        return Math.min(this.timeStepAccumulator / this.fixedTimeStep, 1);
+    }
+
     /**
      * Set the time scale
      * @param {number} scale - The new time scale
@@ -392,8 +412,9 @@ export class TimeSystem extends System {
 
     /**
      * Update timers
+     * @param {number} deltaTime - The simulation time in seconds since the last update
      */
-    updateTimers() {
+    updateTimers(deltaTime) {
         if (this.isPaused) {
             return;
         }
@@ -404,7 +425,7 @@ export class TimeSystem extends System {
             }
             
             // Update elapsed time
-            timer.elapsed += this.deltaTime;
+            timer.elapsed += deltaTime;
             
             // Call update callback
             if (timer.onUpdate) {
@@ -505,6 +526,9 @@ export class TimeSystem extends System {
      * @param {number} deltaTime - The time in seconds since the last update
      */
     update(deltaTime) {
+        // Timers run on simulation time so delayed gameplay effects land on the same step every run
+        this.updateTimers(deltaTime);
+        
         // Update animation frames
         this.updateAnimationFrames();
     }
@@ -534,4 +558,4 @@ export class TimeSystem extends System {
         
         super.dispose();
     }
-} 
\ No newline at end of file
+} 
\ No newline at end of file
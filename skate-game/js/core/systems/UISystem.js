@@ -1,4 +1,4 @@
-import { System } from '../System.js';
+import { System, SystemPhase } from '../System.js';
 
 /**
  * UI System for managing game user interface elements
@@ -6,6 +6,7 @@ import { System } from '../System.js';
 export class UISystem extends System {
     constructor() {
         super('UISystem');
+        this.phase = SystemPhase.RENDER;
         
         // UI containers
         this.containers = {
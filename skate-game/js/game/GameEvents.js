@@ -0,0 +1,28 @@
+// Gameplay events published on the world's EventBus (scene.events), with their payloads.
+// Emitters never know who listens - HUD, audio, achievements and analytics just subscribe.
+export const GameEvents = Object.freeze({
+    COIN_COLLECTED: 'coin:collected',       // { value, position, collected, total }
+    PLAYER_CAUGHT: 'player:caught',         // { livesRemaining, gameOver }
+    PLAYER_RELEASED: 'player:released',     // { livesRemaining, immunityDuration }
+    POWERUP_ACTIVATED: 'powerup:activated', // { type: 'invincibility' | 'magnet', duration, position }
+    POWERUP_EXPIRED: 'powerup:expired',     // { type }
+    BOOSTER_TRIGGERED: 'booster:triggered', // { position, multiplier, duration }
+    JUMPPAD_TRIGGERED: 'jumppad:triggered', // { position, multiplier }
+    OFFICER_DESTROYED: 'officer:destroyed', // { position }
+    PLAYER_SLAMMED: 'player:slammed',       // { position, normal, speed }
+    PLAYER_BAILED: 'player:bailed',         // { reason, position }
+    GRIND_STARTED: 'grind:started',         // { type, position, balance }
+    GRIND_ENDED: 'grind:ended',             // { type, duration, distance, reason }
+    FLIP_STARTED: 'flip:started',           // { name, position }
+    FLIP_ENDED: 'flip:ended',               // { name, landed }
+    GRAB_STARTED: 'grab:started',           // { name, position }
+    GRAB_ENDED: 'grab:ended',               // { name, duration, bonus, released }
+    MANUAL_STARTED: 'manual:started',       // { type, position, balance }
+    MANUAL_ENDED: 'manual:ended',           // { type, duration, distance, reason }
+    COMBO_UPDATED: 'combo:updated',         // { tricks, points, multiplier, score }
+    COMBO_LANDED: 'combo:landed',           // { tricks, points, multiplier, score }
+    COMBO_LOST: 'combo:lost',               // { tricks, points, multiplier, score, reason }
+    GAME_WON: 'game:won',                   // { score, coinsCollected, trickScore, bestCombo, combosLanded, timeElapsed }
+    GAME_OVER: 'game:over',                 // { score, coinsCollected, trickScore, bestCombo, combosLanded, timeElapsed }
+    GAME_RESET: 'game:reset'                // {}
+});
@@ -1,8 +1,12 @@
+import { Random } from '../core/Random.js';
+import { GameEvents } from './GameEvents.js';
+
 /**
  * GameState class - handles overall game state
  */
 export class GameState {
-    constructor() {
+    constructor(events = null) {
+        this.events = events; // EventBus for state changes (caught, released, power-ups, win/lose)
         this.paused = false;
         this.score = 0;
         this.level = 1;
@@ -15,7 +19,7 @@ export class GameState {
         this.isPlayerCaught = false;
         this.captureRecoveryTime = 2; // seconds player is immobilized
         this.captureTimer = 0;
-        this.lastCaptureEndTime = 0; // Timestamp when player was last released
+        this.lastCaptureEndTime = 0; // Simulation time in seconds when player was last released
         this.gameWon = false;
         
         // Immunity system - new addition
@@ -45,6 +49,11 @@ export class GameState {
         this.coinsCollected = 0;
         this.totalCoins = 0;
         
+        // Trick tracking - points banked from combos, which are also part of score
+        this.trickScore = 0;
+        this.bestCombo = 0;
+        this.combosLanded = 0;
+        
         // For animal animation tracking
         this.animalsInitialized = false;
         this.sheepCount = 0;
@@ -101,6 +110,7 @@ export class GameState {
                 this.isPlayerInvincible = false;
                 this.isInvincibilityVisible = true; // Ensure player is visible when invincibility ends
                 //console.log("Candy invincibility ended");
+                this.emit(GameEvents.POWERUP_EXPIRED, { type: 'invincibility' });
             }
         }
         
@@ -112,6 +122,7 @@ export class GameState {
             if (this.magnetTimer <= 0) {
                 this.hasMagnet = false;
                 //console.log("Magnet effect ended");
+                this.emit(GameEvents.POWERUP_EXPIRED, { type: 'magnet' });
             }
         }
     }
@@ -127,18 +138,23 @@ export class GameState {
         console.log(`Player caught! Lives remaining: ${this.lives}`);
         
         // Check for game over
-        if (this.lives <= 0) {
+        const gameOver = this.lives <= 0;
+        if (gameOver) {
             this.gameOver = true;
             console.log("Game over - out of lives!");
-            return true; // Signal game over
         }
         
-        return false; // Not game over yet
+        this.emit(GameEvents.PLAYER_CAUGHT, { livesRemaining: this.lives, gameOver });
+        if (gameOver) {
+            this.emit(GameEvents.GAME_OVER, this.getSummary());
+        }
+        
+        return gameOver; // Signal game over
     }
     
     releasePlayer() {
         this.isPlayerCaught = false;
-        this.lastCaptureEndTime = performance.now(); // Record timestamp of release
+        this.lastCaptureEndTime = this.timeElapsed; // Record simulation time of release
         
         // Grant immunity period
         this.isPlayerImmune = true;
@@ -146,6 +162,8 @@ export class GameState {
         this.isImmunityVisible = true;
         this.flashTimer = this.immunityFlashInterval;
         
+        this.emit(GameEvents.PLAYER_RELEASED, { livesRemaining: this.lives, immunityDuration: this.immunityDuration });
+        
         console.log(`Player released from capture. Immune for ${this.immunityDuration} seconds`);
     }
     
@@ -153,7 +171,7 @@ export class GameState {
         const immobilized = this.isPlayerCaught || this.gameOver || this.gameWon;
         if (immobilized && this.isPlayerCaught) {
             // Only log this occasionally to avoid console spam
-            if (Math.random() < 0.01) {
+            if (Random.cosmetic.next() < 0.01) {
                 console.log("Player is immobilized due to being caught. Remaining timer: " + this.captureTimer.toFixed(1));
             }
         }
@@ -189,7 +207,7 @@ export class GameState {
     }
     
     // New method to activate candy invincibility
-    activateInvincibility() {
+    activateInvincibility(position = null) {
         this.isPlayerInvincible = true;
         this.invincibilityTimer = this.invincibilityDuration;
         this.isInvincibilityVisible = true;
@@ -201,6 +219,7 @@ export class GameState {
         }
         
         console.log(`Player is now INVINCIBLE for ${this.invincibilityDuration} seconds!`);
+        this.emit(GameEvents.POWERUP_ACTIVATED, { type: 'invincibility', duration: this.invincibilityDuration, position });
     }
     
     collectCoin() {
@@ -217,6 +236,7 @@ export class GameState {
         if (this.totalCoins > 0 && this.coinsCollected === this.totalCoins) {
             this.gameWon = true;
             console.log("Game won! All coins collected!");
+            this.emit(GameEvents.GAME_WON, this.getSummary());
             return true;
         }
         return false;
@@ -259,6 +279,9 @@ export class GameState {
         this.magnetTimer = 0;
         
         this.coinsCollected = 0;
+        this.trickScore = 0;
+        this.bestCombo = 0;
+        this.combosLanded = 0;
         console.log("Game reset");
     }
     
@@ -267,6 +290,14 @@ export class GameState {
         console.log(`Score: ${this.score}`);
     }
     
+    // Bank a landed combo
+    addTrickScore(points) {
+        this.trickScore += points;
+        this.bestCombo = Math.max(this.bestCombo, points);
+        this.combosLanded++;
+        this.addScore(points);
+    }
+    
     setLevel(level) {
         this.level = level;
         console.log(`Level set to ${level}`);
@@ -279,9 +310,28 @@ export class GameState {
         console.log(`Tracking animals: ${sheepCount} sheep and ${birdCount} birds`);
     }
     
-    activateMagnet() {
+    activateMagnet(position = null) {
         this.hasMagnet = true;
         this.magnetTimer = this.magnetDuration;
         console.log(`Magnet activated for ${this.magnetDuration} seconds!`);
+        this.emit(GameEvents.POWERUP_ACTIVATED, { type: 'magnet', duration: this.magnetDuration, position });
+    }
+    
+    // Round results, sent with game:won and game:over
+    getSummary() {
+        return {
+            score: this.score,
+            coinsCollected: this.coinsCollected,
+            trickScore: this.trickScore,
+            bestCombo: this.bestCombo,
+            combosLanded: this.combosLanded,
+            timeElapsed: this.timeElapsed
+        };
+    }
+    
+    emit(type, payload) {
+        if (this.events) {
+            this.events.emit(type, payload);
+        }
     }
 } 
\ No newline at end of file
@@ -9,47 +9,84 @@ import { CloudSystem } from './environment/CloudSystem.js';
 import { LightingSystem } from './environment/LightingSystem.js';
 import { Decorations } from './environment/Decorations.js';
 import { CollisionSystem } from './physics/CollisionSystem.js';
-import { ScoreSystem } from './ui/ScoreSystem.js';
+import { CollisionWorld } from './physics/CollisionWorld.js';
+import { VertController } from './physics/VertController.js';
+import { GrindController } from './tricks/GrindController.js';
+import { FlipController } from './tricks/FlipController.js';
+import { GrabController } from './tricks/GrabController.js';
+import { ManualController } from './tricks/ManualController.js';
+import { TrickSystem } from './tricks/TrickSystem.js';
+import { BailController } from './tricks/BailController.js';
+import { StanceController, Stance } from './tricks/StanceController.js';
 import { CoinSystem } from './gameplay/CoinSystem.js';
 import { InputHandler } from './controls/InputHandler.js';
 import { TextureLoader } from './utils/TextureLoader.js';
-import { AudioSystem } from './audio/AudioSystem.js';
 import { BoosterSystem } from './gameplay/BoosterSystem.js';
 import { JumpPadSystem } from './gameplay/JumpPadSystem.js';
 import { SceneDebug } from './DEBUG.js';
 import { GameState } from './GameState.js';
 import { PoliceSystem } from './gameplay/Police.js';
 import { CandySystem } from './gameplay/CandySystem.js';
-import { MobileControls } from '../game/ui/MobileControls.js';
 import { MagnetSystem } from './gameplay/MagnetSystem.js';
+import { TimeSystem } from '../core/systems/TimeSystem.js';
+import { PhysicsSystem } from '../core/systems/PhysicsSystem.js';
+import { BrowserPresentation } from './presentation/BrowserPresentation.js';
+import { Scene } from '../core/Scene.js';
+import { Random } from '../core/Random.js';
+import { EventBus } from '../core/EventBus.js';
+import { GameEvents } from './GameEvents.js';
+import { SystemPhase, SYSTEM_PHASE_ORDER } from '../core/System.js';
+import { Entity } from '../core/Entity.js';
+import { Transform } from '../core/components/Transform.js';
+import { Physics } from '../core/components/Physics.js';
+import { PlayerController } from './components/PlayerController.js';
+import { SkaterRig } from './components/SkaterRig.js';
+import { CameraSystem } from './camera/CameraSystem.js';
+
+// Everything but presentation runs at the fixed simulation step; the render phase runs once per frame
+const FIXED_STEP_PHASES = SYSTEM_PHASE_ORDER.filter(phase => phase !== SystemPhase.RENDER);
+const RENDER_PHASES = [SystemPhase.RENDER];
 
 export class SkateGame {
-    constructor() {
+    // presentation - BrowserPresentation by default; HeadlessPresentation runs the game without DOM, WebGL or audio
+    // autoStart - start the animation loop; headless runs drive the simulation with step() instead
+    // seed - seeds every random stream, so the same seed reproduces the same park, spawns and run
+    // stance - Stance.REGULAR or Stance.GOOFY, which foot the skater rides with toward the nose
+    constructor({ presentation = new BrowserPresentation(), autoStart = !presentation.isHeadless, seed = Date.now(), stance = Stance.REGULAR } = {}) {
         try {
+            this.presentation = presentation;
+            
+            // Seed before anything is built - the park layout draws from the world stream
+            Random.setSeed(seed);
+            this.seed = Random.seed;
+            console.log(`Game seed: ${this.seed}`);
+            
             // Initialize core Three.js components
+            const viewport = this.presentation.getViewportSize();
             this.scene = new THREE.Scene();
-            this.camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 1000);
-            this.renderer = new THREE.WebGLRenderer({
-                canvas: document.getElementById('gameCanvas'),
-                antialias: true
-            });
-            this.renderer.setSize(window.innerWidth, window.innerHeight);
-            this.renderer.shadowMap.enabled = true;
+            this.camera = new THREE.PerspectiveCamera(75, viewport.width / viewport.height, 0.1, 1000);
+            this.renderer = this.presentation.createRenderer();
 
+            // Gameplay notifications - systems emit, HUD and game flow subscribe
+            this.events = new EventBus(Object.values(GameEvents));
+            
             // Initialize game state first
-            this.gameState = new GameState();
+            this.gameState = new GameState(this.events);
+            
+            // Game clock - the simulation runs at TimeSystem's fixed step, rendering interpolates between steps
+            this.timeSystem = new TimeSystem();
             
             // Debug mode settings - DISABLED
             this.debugMode = false;
             this.preserveDebugObjects = false;
 
             // Create systems
-            this.textureLoader = new TextureLoader();
-            this.skybox = new SkyBox(this.scene);
+            this.textureLoader = new TextureLoader(this.presentation);
+            this.skybox = new SkyBox(this.scene, this.textureLoader);
             this.cloudSystem = new CloudSystem(this.scene);
             this.lighting = new LightingSystem(this.scene);
-            this.score = new ScoreSystem(this.gameState);
-            this.audioSystem = new AudioSystem();
+            this.score = this.presentation.createHud(this.gameState, this.events);
+            this.audioSystem = this.presentation.createMusic();
             
             // Create environment
             this.skatepark = new Skatepark(this.scene, this.textureLoader);
@@ -57,71 +94,95 @@ export class SkateGame {
             // Add decorative elements to environment
             this.decorations = new Decorations(this.scene, this.textureLoader);
             
+            // The level is static, so bake its collision geometry once it's built. Textured
+            // ramps only join the scene when their textures load, so bake again then
+            this.collisionWorld = new CollisionWorld();
+            this.collisionWorld.bakeStatic(this.scene.children);
+            this.textureLoader.whenLoaded().then(() => this.collisionWorld.bakeStatic(this.scene.children));
+            
             // Create player
             this.skateboard = new Skateboard(this.scene);
             this.skater = new Skater(this.scene);
             
             // Setup physics and collision
-            this.collisionSystem = new CollisionSystem(this.skateboard);
+            this.collisionSystem = new CollisionSystem(this.skateboard, this.collisionWorld, this.events);
+            this.grindController = new GrindController(this.skateboard, this.collisionWorld, this.events);
+            this.flipController = new FlipController(this.skateboard, this.events);
+            this.grabController = new GrabController(this.skateboard, this.events);
+            this.manualController = new ManualController(this.skateboard, this.events);
+            this.bailController = new BailController(this.skateboard, this.skater, this.events);
+            this.vertController = new VertController(this.skateboard, this.collisionWorld);
+            this.stanceController = new StanceController(this.skateboard, stance);
+            
+            // Everything that drives or reads the board's tricks is handed them by name
+            this.controllers = {
+                grind: this.grindController,
+                flip: this.flipController,
+                grab: this.grabController,
+                manual: this.manualController,
+                bail: this.bailController,
+                vert: this.vertController,
+                stance: this.stanceController
+            };
+            
+            // Setup controls
+            this.inputHandler = new InputHandler(this.gameState, this.presentation.getInputTarget());
+            
+            // Setup mobile controls
+            this.mobileControls = this.presentation.createMobileControls(this.inputHandler);
+            
+            // Gameplay objects live in an ECS world and are stepped through Scene.update
+            this.world = new Scene('SkateGame', this.events);
+            this.world.init(this.scene);
+            this.createPlayerEntities();
+            
+            // The clock runs in the world too, so delayed gameplay callbacks fire on simulation time
+            this.world.addSystem(this.timeSystem);
+            
+            // Reports pickups and pads the board rolls into. Every solid body is kinematic and the
+            // park itself is handled by CollisionSystem, so there is nothing for a grid to speed up
+            this.physicsSystem = new PhysicsSystem();
+            this.physicsSystem.useSpatialPartitioning = false;
+            this.world.addSystem(this.physicsSystem);
             
             // Setup gameplay systems
-            this.coinSystem = new CoinSystem(this.scene, this.skateboard, this.camera, this.score, this.gameState);
-            this.boosterSystem = new BoosterSystem(this.scene, this.skateboard);
-            this.jumpPadSystem = new JumpPadSystem(this.scene, this.skateboard);
+            this.coinSystem = this.world.addSystem(new CoinSystem(this.skateboard, this.gameState, this.presentation));
+            this.boosterSystem = this.world.addSystem(new BoosterSystem(this.skateboard, this.presentation));
+            this.jumpPadSystem = this.world.addSystem(new JumpPadSystem(this.skateboard, this.presentation));
             
             // Add police officers who will chase the player
-            this.policeSystem = new PoliceSystem(this.scene, this.skateboard, this.camera, this.gameState, this.skater);
+            this.policeSystem = this.world.addSystem(new PoliceSystem(this.skateboard, this.camera, this.gameState, this.skater, this.presentation, this.collisionWorld));
             
             // Add candy collectibles that grant invincibility
-            this.candySystem = new CandySystem(this.scene, this.skateboard, this.camera, this.gameState);
+            this.candySystem = this.world.addSystem(new CandySystem(this.skateboard, this.camera, this.gameState, this.presentation));
             
             // Add magnet collectibles that attract coins
-            this.magnetSystem = new MagnetSystem(this.scene, this.skateboard, this.camera, this.gameState);
+            this.magnetSystem = this.world.addSystem(new MagnetSystem(this.skateboard, this.camera, this.gameState, this.presentation));
+            
+            // Score tricks and chain them into combos
+            this.trickSystem = this.world.addSystem(new TrickSystem(this.skateboard, this.gameState, this.controllers));
             
             // DO NOT add any debug objects
             // this.createDirectDebugObjects();
             
-            // Setup controls
-            this.inputHandler = new InputHandler(this.gameState);
-            
-            // Setup mobile controls
-            this.mobileControls = new MobileControls(this.inputHandler);
-            
-            // Camera setup - adjusted for better view with skater
-            this.camera.position.set(0, 6, 12);
-            this.camera.lookAt(this.skateboard.mesh.position);
+            // Follow camera - runs in the render phase, after the simulation has settled
+            this.cameraSystem = this.world.addSystem(new CameraSystem(this.camera, this.skateboard, this.inputHandler));
 
-            // Camera configuration
-            this.cameraOffsetY = 3.0;     // Height above player
-            this.cameraDistanceZ = 7;     // Distance behind player
-            this.cameraLookOffsetY = 1.0; // Height above skateboard to focus
-            this.cameraSmoothness = 0.18; // Increased for tighter yet smooth follow (from 0.12)
-            this.cameraTiltSmoothness = 0.08; // Separate smoothness for tilt effects
-            
-            // Player tracking parameters
-            this.minPlayerVisibleDistance = 4; // Minimum distance to keep player visible
-            this.playerViewportCheckFrequency = 3; // Check less frequently (was 1)
-            this.frameCounter = 0; // For checking player visibility periodically
-            this.lastPlayerScreenPosition = new THREE.Vector2(0, 0); // Last known screen position
-            this.playerCenterThreshold = 0.3; // Allow slightly more deviation (was 0.25)
-            this.cameraCorrectionStrength = 1.5; // How strongly camera corrects towards center
-            
-            // Camera position history for smoother transitions
-            this.cameraPositionHistory = [];
-            this.historyLength = 6; // Increased history for smoother tracking (was 4)
-            for (let i = 0; i < this.historyLength; i++) {
-                this.cameraPositionHistory.push(new THREE.Vector3(0, 6, 12));
-            }
-            
-            // Camera rotation tracking
-            this.lastQuaternion = new THREE.Quaternion();
-            this.targetQuaternion = new THREE.Quaternion();
-            this.lastForward = new THREE.Vector3(0, 0, -1);
-            this.rotationSmoothSpeed = 0.15; // Increased for more responsive rotation (from 0.03)
+            // Player pose at the previous simulation step, used for render interpolation
+            this.previousBoardPosition = this.skateboard.mesh.position.clone();
+            this.previousBoardQuaternion = this.skateboard.mesh.quaternion.clone();
+            this.previousSkaterPosition = this.skater.mesh.position.clone();
+            this.previousSkaterYaw = this.skater.mesh.rotation.y;
+            this.simulatedBoardPosition = new THREE.Vector3();
+            this.simulatedBoardQuaternion = new THREE.Quaternion();
+            this.simulatedBoardRotation = new THREE.Euler();
+            this.simulatedSkaterPosition = new THREE.Vector3();
+            this.simulatedSkaterYaw = 0;
             
             // Optional: debug orbit controls (can be toggled)
             this.useOrbitControls = false;
             if (this.useOrbitControls) {
+                this.cameraSystem.disable();
                 this.controls = new OrbitControls(this.camera, this.renderer.domElement);
                 this.controls.enableDamping = true;
                 this.controls.target = this.skateboard.mesh.position.clone();
@@ -132,28 +193,21 @@ export class SkateGame {
             this.audioSystem.initialize();
             
             // Set up audio to start on first user interaction
-            const startAudioOnInteraction = () => {
-                this.audioSystem.playMusic();
-                document.removeEventListener('click', startAudioOnInteraction);
-                document.removeEventListener('keydown', startAudioOnInteraction);
-            };
-            
-            document.addEventListener('click', startAudioOnInteraction);
-            document.addEventListener('keydown', startAudioOnInteraction);
+            this.presentation.onFirstInteraction(() => this.audioSystem.playMusic());
 
             // Handle window resize
-            window.addEventListener('resize', () => this.handleResize());
+            this.presentation.onResize(() => this.handleResize());
 
             // First-person view toggle
-            this.isFirstPerson = false;
-            const fpvBtn = document.getElementById('fpvToggle');
+            const fpvBtn = this.presentation.getElement('fpvToggle');
             if (fpvBtn) {
                 fpvBtn.addEventListener('click', () => {
-                    this.isFirstPerson = !this.isFirstPerson;
-                    fpvBtn.textContent = this.isFirstPerson ? 'Third Person View' : 'First Person View';
+                    const isFirstPerson = !this.cameraSystem.isFirstPerson;
+                    this.cameraSystem.isFirstPerson = isFirstPerson;
+                    fpvBtn.textContent = isFirstPerson ? 'Third Person View' : 'First Person View';
                     
                     // Toggle visibility of player models when switching views
-                    if (this.isFirstPerson) {
+                    if (isFirstPerson) {
                         // Hide skater and skateboard in first-person
                         this.skater.mesh.visible = false;
                         // Make skateboard parts invisible but keep collision functional
@@ -172,9 +226,14 @@ export class SkateGame {
             }
 
             
+            // Rounds restart on their own in the browser; headless runs stop at the result
+            this.autoRestart = autoStart;
+            this.bindGameEvents();
+            
             // Start game loop
-            this.lastTime = performance.now() * 0.001;
-            this.animate();
+            if (autoStart) {
+                this.animate();
+            }
         } catch (error) {
             console.error("Error initializing game:", error);
             // Try to restore basic rendering
@@ -182,9 +241,54 @@ export class SkateGame {
         }
     }
 
+    bindGameEvents() {
+        this.events.on(GameEvents.COIN_COLLECTED, ({ value, position }) => {
+            const scorePosition = position.clone();
+            scorePosition.y += 1;
+            this.score.showFloatingScore(value, scorePosition, this.camera);
+        });
+        
+        // Reset game 3 seconds after losing and 5 seconds after winning
+        this.events.on(GameEvents.GAME_OVER, () => this.scheduleReset(3000));
+        this.events.on(GameEvents.GAME_WON, () => this.scheduleReset(5000));
+    }
+    
+    scheduleReset(delay) {
+        if (!this.autoRestart) return;
+        
+        setTimeout(() => {
+            console.log("Executing game reset");
+            this.resetGame();
+        }, delay);
+    }
+    
+    createPlayerEntities() {
+        // The board entity reads input, moves the skateboard and resolves its collisions
+        this.player = this.world.createEntity('player');
+        this.player.addTag('player');
+        this.player.addComponent(new Transform(this.skateboard.mesh));
+        const physics = this.player.addComponent(new Physics());
+        physics.isKinematic = true; // Skateboard integrates its own motion
+        physics.useGravity = false;
+        // Triggers see the board as a point at its center
+        physics.collisionShape = 'sphere';
+        physics.collisionRadius = 0;
+        this.player.addComponent(new PlayerController(this.skateboard, this.inputHandler, this.collisionSystem, this.gameState, this.controllers));
+        
+        // The skater rides the board, so it is a child updated and reset with the player
+        const skaterEntity = new Entity('skater');
+        skaterEntity.addComponent(new Transform(this.skater.mesh));
+        skaterEntity.addComponent(new SkaterRig(this.skater, this.skateboard, this.inputHandler, this.gameState, this.controllers));
+        this.player.addChild(skaterEntity);
+    }
+
+    // Resolves once asynchronously loaded parts of the park (textured ramps) are in the scene
+    whenReady() {
+        return this.textureLoader.whenLoaded();
+    }
+
     handleResize() {
-        const width = window.innerWidth;
-        const height = window.innerHeight;
+        const { width, height } = this.presentation.getViewportSize();
         this.camera.aspect = width / height;
         this.camera.updateProjectionMatrix();
         this.renderer.setSize(width, height);
@@ -192,370 +296,136 @@ export class SkateGame {
 
     animate() {
         try {
-            const time = performance.now() * 0.001;
-            const deltaTime = time - this.lastTime;
-            this.lastTime = time;
+            this.presentation.requestFrame(() => this.animate());
             
-            requestAnimationFrame(() => this.animate());
-
-        
+            // Advance the clock - TimeSystem applies timeScale and clamps long frames
+            // (tab switches, GC pauses) to maxTimeStep so the board can't teleport
+            const frameDelta = this.timeSystem.beginFrame();
 
-            // DEBUG: Log the existence of the update methods only once
-            if (this.frameCounter === undefined) {
-                this.frameCounter = 0;
-            }
-            
-            this.frameCounter++;
-
-            // Update mobile controls if they exist
+            // Sample mobile input once per rendered frame
             if (this.mobileControls) {
                 this.mobileControls.update();
             }
-
-            // Update game state
-            this.gameState.update(deltaTime);
-            
-            // Update UI - with safety check
-            if (this.score && typeof this.score.update === 'function') {
-                this.score.update();
-            } else {
-                // Fallback if update method doesn't exist
-                if (this.score) {
-                    // Manually update UI elements if update method is missing
-                    if (typeof this.score.updateLivesDisplay === 'function') {
-                        this.score.updateLivesDisplay();
-                    }
-                    if (typeof this.score.updateScoreDisplay === 'function') {
-                        this.score.updateScoreDisplay();
-                    }
-                    if (typeof this.score.updateCoinCounter === 'function') {
-                        this.score.updateCoinCounter();
-                    }
-                }
-            }
-            
-            // Handle game over
-            if (this.gameState.gameOver) {
-                // Show game over message and update UI
-                if (this.score && typeof this.score.showGameOverMessage === 'function') {
-                    this.score.showGameOverMessage();
-                }
-                
-                // Reset game after 3 seconds if not already scheduled
-                if (!this.gameOverResetScheduled) {
-                    this.gameOverResetScheduled = true;
-                    console.log("Scheduling game reset after game over");
-                    
-                    setTimeout(() => {
-                        console.log("Executing game reset after game over");
-                        this.resetGame();
-                        this.gameOverResetScheduled = false;
-                    }, 3000);
-                }
-                
-                // Just render the scene
-                this.renderer.render(this.scene, this.camera);
-                return;
-            }
-            
-            // Handle win condition
-            if (this.gameState.gameWon) {
-                // Show victory message if not already shown
-                if (this.score && typeof this.score.showVictoryMessage === 'function') {
-                    this.score.showVictoryMessage();
-                }
-                
-                // Reset game after 5 seconds
-                if (!this.resetTimerStarted) {
-                    this.resetTimerStarted = true;
-                    setTimeout(() => {
-                        this.resetGame();
-                        this.resetTimerStarted = false;
-                    }, 5000);
-                }
-                
-                // Just render the scene
-                this.renderer.render(this.scene, this.camera);
-                return;
-            }
-
-            // Update player's skateboard and skater
-            if (!this.gameState.isPlayerImmobilized()) {
-                // Handle input and update physics
-                const moveX = this.inputHandler.getMoveX();
-                const moveZ = this.inputHandler.getMoveZ();
-                const jump = this.inputHandler.getJump();
-                const sprint = this.inputHandler.isSprinting();
-                const jumpPower = this.inputHandler.getJumpPower();
-                
-                // Update skateboard physics with deltaTime for frame-rate independence
-                this.skateboard.handleInput(moveX, moveZ, jump, sprint, jumpPower, deltaTime);
-                this.skateboard.updatePhysics(deltaTime);
-                
-                // Check collisions with objects in the scene (with deltaTime for frame-rate independence)
-                this.collisionSystem.checkCollisions(this.scene.children, deltaTime);
-            } else {
-                // When immobilized, we still need to maintain skateboard's Y position
-                // but without allowing any movement in X and Z directions
-                const currentY = this.skateboard.mesh.position.y;
-                this.skateboard.mesh.position.copy(this.skateboard.previousPosition);
-                this.skateboard.mesh.position.y = currentY;
-                
-                // Apply gravity only when immobilized
-                this.skateboard.applyGravity(0, deltaTime);
-                
-                // Full stop to prevent any momentum
-                this.skateboard.fullStop();
-            }
-            
-            // Update skater position and animations, including invincibility effects
-            this.updateSkater();
-            
-            // Update coins
-            if (this.coinSystem) {
-                this.coinSystem.update(deltaTime);
-            }
-            
-            // Update boosters
-            if (this.boosterSystem) {
-                this.boosterSystem.update(deltaTime);
-            }
-            
-            // Update jump pads
-            if (this.jumpPadSystem) {
-                this.jumpPadSystem.update(deltaTime);
-            }
-            
-            // Update police officers
-            if (this.policeSystem) {
-                this.policeSystem.update(deltaTime);
-            }
-            
-            // Update candies
-            if (this.candySystem) {
-                this.candySystem.update(deltaTime);
-            }
-            
-            // Update magnets
-            if (this.magnetSystem) {
-                this.magnetSystem.update(deltaTime);
-            }
-            
-            // Update skybox and environment
-            if (this.skybox && typeof this.skybox.update === 'function') {
-                this.skybox.update(deltaTime);
-            }
-
-            // Update clouds
-            if (this.cloudSystem && typeof this.cloudSystem.update === 'function') {
-                this.cloudSystem.update(deltaTime);
-            }
             
-            // Update skatepark
-            if (this.skatepark && typeof this.skatepark.update === 'function') {
-                this.skatepark.update(deltaTime);
+            // Step the simulation at a fixed rate so physics behaves the same at any refresh rate
+            while (this.timeSystem.shouldFixedUpdate()) {
+                this.step();
+                this.timeSystem.consumeFixedTimeStep();
             }
             
-            // Update decorations with camera for distance culling
-            if (this.decorations && typeof this.decorations.update === 'function') {
-                this.decorations.update(deltaTime, this.camera);
-            }
-            
-            // Update camera
-            this.updateCamera();
-            
-            // Update orbit controls if enabled
-            if (this.useOrbitControls && this.controls) {
-                this.controls.update();
-            }
-            
-            // Render the scene
-            this.renderer.render(this.scene, this.camera);
-
-            this.frame = this.frame || 0;
-            this.frame++;
-            
-            // Remove debug info printing
-            // SceneDebug.printSceneInfo(this.scene);
-
-            // Remove debug position logging
-            // console.log("Debug positions:", ...);
-
-            // Remove debug counter and periodic logging
-            // this.debugCounter = (this.debugCounter || 0) + 1;
-            // if (this.debugCounter % 60 === 0) { ... }
+            this.renderFrame(frameDelta, this.timeSystem.getInterpolationAlpha());
         } catch (error) {
             console.error("Error in animation loop:", error);
         }
     }
     
-    updateSkater() {
-        // Update skater position and orientation to match skateboard
-        // Also pass movement input values for better animation
-        this.skater.update(
-            this.skateboard.getPosition(), 
-            this.skateboard.getRotation(),
-            this.skateboard.getJumpingState(),
-            this.skateboard.getInAirState(),
-            this.inputHandler.getMoveX(),
-            this.inputHandler.getMoveZ()
-        );
-        
-        // Update invincibility effects
-        if (this.skater && typeof this.skater.setInvincibility === 'function') {
-            // Set the invincibility state based on the game state
-            this.skater.setInvincibility(this.gameState.isPlayerInvincibleFromCandy());
-            
-            // Update particle effects if invincible
-            if (this.gameState.isPlayerInvincibleFromCandy() && typeof this.skater.updateParticles === 'function') {
-                this.skater.updateParticles();
-            }
+    // Advance the simulation by whole fixed steps without rendering - headless runs call this directly
+    step(steps = 1) {
+        const fixedStep = this.timeSystem.getFixedTimeStep();
+        for (let i = 0; i < steps; i++) {
+            this.storePreviousState();
+            this.fixedUpdate(fixedStep);
         }
     }
     
-    updateCamera() {
-        // First-person mode
-        if (this.isFirstPerson) {
-            // Position camera at a better height and slightly forward for clearer view
-            const headHeight = 1.7; // Higher eye level for better visibility
-            const fpPos = this.skateboard.mesh.position.clone();
-            fpPos.y += headHeight;
-            
-            // Get forward direction and move camera slightly forward from center
-            const forward = new THREE.Vector3(0, 0, -1).applyQuaternion(this.skateboard.mesh.quaternion);
-            fpPos.add(forward.clone().multiplyScalar(0.4)); // Offset forward slightly
-            
-            this.camera.position.copy(fpPos);
-            
-            const lookAtPos = fpPos.clone().add(forward);
-            this.camera.lookAt(lookAtPos);
+    fixedUpdate(deltaTime) {
+        // Update game state
+        this.gameState.update(deltaTime);
+        
+        // Nothing moves once the round is over
+        if (this.gameState.gameOver || this.gameState.gameWon) {
             return;
         }
-        // Skip if using orbit controls
-        if (this.useOrbitControls && this.controls) return;
-
-        // Determine the look target (player position with Y offset)
-        const lookTarget = this.skateboard.mesh.position.clone();
-        lookTarget.y += this.cameraLookOffsetY;
 
-        // Compute forward vector from the skateboard's orientation
-        const forward = new THREE.Vector3(0, 0, -1).applyQuaternion(this.skateboard.mesh.quaternion);
-
-        // Calculate desired camera position behind the player
-        const desiredPosition = this.skateboard.mesh.position.clone()
-            .sub(forward.multiplyScalar(this.cameraDistanceZ));
-        desiredPosition.y += this.cameraOffsetY;
-
-        // Smoothly move camera toward the desired position
-        this.camera.position.lerp(desiredPosition, this.cameraSmoothness);
-
-        // Create a temporary camera to compute the desired orientation
-        const tempCamera = new THREE.PerspectiveCamera();
-        tempCamera.position.copy(this.camera.position);
-        tempCamera.lookAt(lookTarget);
-
-        // Smoothly rotate camera to face the player
-        this.camera.quaternion.slerp(tempCamera.quaternion, this.rotationSmoothSpeed);
+        // Step gameplay systems (pickups, pads, police) and entities (player, skater)
+        this.world.update(deltaTime, FIXED_STEP_PHASES);
     }
     
-    // Method to ensure player is always in view
-    ensurePlayerVisible(playerPosition) {
-        // Project player position to screen space
-        const playerScreenPosition = this.worldToScreen(playerPosition);
-        this.lastPlayerScreenPosition.copy(playerScreenPosition);
+    renderFrame(deltaTime, alpha) {
+        // Update UI - game over, victory and capture messages are driven by events
+        this.score.update();
         
-        // Calculate distance from center of screen
-        const screenCenter = new THREE.Vector2(0.5, 0.5);
-        const distanceFromCenter = playerScreenPosition.distanceTo(screenCenter);
+        // Once the round is over, just render the scene until the reset
+        if (this.gameState.gameOver || this.gameState.gameWon) {
+            this.renderer.render(this.scene, this.camera);
+            return;
+        }
         
-        // Always adjust camera if player is not close enough to center (stricter threshold)
-        if (distanceFromCenter > this.playerCenterThreshold) {
-            // Calculate direction toward center from player position
-            const direction = new THREE.Vector2()
-                .subVectors(screenCenter, playerScreenPosition)
-                .normalize();
-            
-            // Get world direction vectors
-            const forward = new THREE.Vector3(0, 0, -1).applyQuaternion(this.camera.quaternion);
-            const up = new THREE.Vector3(0, 1, 0).applyQuaternion(this.camera.quaternion);
-            const right = new THREE.Vector3(1, 0, 0).applyQuaternion(this.camera.quaternion);
-            
-            // Stronger correction forces to keep player centered
-            const horizontalStrength = 4.0; // Increased from 3.0
-            const verticalStrength = 3.0;   // Increased from 2.0
-            
-            // Force camera to move to keep player centered
-            const correctionForce = new THREE.Vector3()
-                .addScaledVector(right, -direction.x * distanceFromCenter * horizontalStrength)
-                .addScaledVector(up, -direction.y * distanceFromCenter * verticalStrength);
-                
-            // Apply immediate correction to current camera position
-            this.camera.position.add(correctionForce);
-            
-            // Update ALL positions in history with the corrected position to maintain the new view
-            const updatedPosition = this.camera.position.clone();
-            for (let i = 0; i < this.cameraPositionHistory.length; i++) {
-                this.cameraPositionHistory[i] = updatedPosition.clone();
-            }
-            
-            // Immediately update camera to look at player
-            const lookTarget = new THREE.Vector3();
-            lookTarget.copy(playerPosition);
-            this.camera.lookAt(lookTarget);
+        // Cosmetic updates run once per rendered frame with the real frame time
+        
+        // Update skybox and environment
+        if (this.skybox && typeof this.skybox.update === 'function') {
+            this.skybox.update(deltaTime);
+        }
+
+        // Update clouds
+        if (this.cloudSystem && typeof this.cloudSystem.update === 'function') {
+            this.cloudSystem.update(deltaTime);
         }
-    }
-    
-    // Helper method to convert world position to normalized screen position
-    worldToScreen(worldPosition) {
-        // Clone the position to prevent modification
-        const position = worldPosition.clone();
         
-        // Calculate the vector from camera to position
-        const cameraToPosition = position.clone().sub(this.camera.position);
+        // Update skatepark
+        if (this.skatepark && typeof this.skatepark.update === 'function') {
+            this.skatepark.update(deltaTime);
+        }
         
-        // Get the direction vectors from the camera
-        const forward = new THREE.Vector3(0, 0, -1).applyQuaternion(this.camera.quaternion);
-        const up = new THREE.Vector3(0, 1, 0).applyQuaternion(this.camera.quaternion);
-        const right = new THREE.Vector3(1, 0, 0).applyQuaternion(this.camera.quaternion);
+        // Update decorations with camera for distance culling
+        if (this.decorations && typeof this.decorations.update === 'function') {
+            this.decorations.update(deltaTime, this.camera);
+        }
         
-        // Calculate screen position (ranges from -1 to 1 for each axis)
-        const x = cameraToPosition.dot(right) / (right.length() * cameraToPosition.length());
-        const y = cameraToPosition.dot(up) / (up.length() * cameraToPosition.length());
+        // Draw the player between the last two simulation steps
+        this.applyRenderInterpolation(alpha);
         
-        // Convert to normalized screen coordinates (0 to 1)
-        return new THREE.Vector2(0.5 + x * 0.5, 0.5 + y * 0.5);
-    }
-    
-    applySceneCameraEffects() {
-        // Add slight tilt when turning (but only if camera is relatively stable)
-        const tiltAmount = 0.1;
-        const turnDirection = this.inputHandler.getMoveX();
+        // Update camera and other render-phase systems
+        this.world.update(deltaTime, RENDER_PHASES);
         
-        if (Math.abs(turnDirection) > 0.01) {
-            // Calculate a minor roll effect when turning
-            const targetRoll = -turnDirection * tiltAmount;
-            
-            // Create a temporary quaternion for the tilt
-            const tiltQuaternion = new THREE.Quaternion();
-            tiltQuaternion.setFromAxisAngle(new THREE.Vector3(0, 0, 1), targetRoll);
-            
-            // Apply the tilt to the camera rotation
-            const currentRotation = new THREE.Quaternion().copy(this.camera.quaternion);
-            currentRotation.slerp(tiltQuaternion, this.cameraTiltSmoothness);
-            
-            // Apply the rotation
-            this.camera.quaternion.copy(currentRotation);
+        // Update orbit controls if enabled
+        if (this.useOrbitControls && this.controls) {
+            this.controls.update();
         }
         
-        // Very reduced camera shake during jumps
-        if (this.skateboard.getJumpingState() || this.skateboard.getInAirState()) {
-            const shakeAmount = 0.002; // Further reduced shake amount
-            this.camera.position.x += (Math.random() - 0.5) * shakeAmount;
-            this.camera.position.y += (Math.random() - 0.5) * shakeAmount;
-            this.camera.position.z += (Math.random() - 0.5) * shakeAmount;
-        }
+        // Render the scene
+        this.renderer.render(this.scene, this.camera);
+        
+        // Put the simulated pose back before the next fixed step
+        this.restoreSimulatedState();
     }
-
+    
+    storePreviousState() {
+        this.previousBoardPosition.copy(this.skateboard.mesh.position);
+        this.previousBoardQuaternion.copy(this.skateboard.mesh.quaternion);
+        this.previousSkaterPosition.copy(this.skater.mesh.position);
+        this.previousSkaterYaw = this.skater.mesh.rotation.y;
+    }
+    
+    applyRenderInterpolation(alpha) {
+        const board = this.skateboard.mesh;
+        const skater = this.skater.mesh;
+        
+        // Remember the simulated pose so it can be restored after rendering
+        this.simulatedBoardPosition.copy(board.position);
+        this.simulatedBoardQuaternion.copy(board.quaternion);
+        this.simulatedBoardRotation.copy(board.rotation);
+        this.simulatedSkaterPosition.copy(skater.position);
+        this.simulatedSkaterYaw = skater.rotation.y;
+        
+        board.position.lerpVectors(this.previousBoardPosition, this.simulatedBoardPosition, alpha);
+        board.quaternion.slerpQuaternions(this.previousBoardQuaternion, this.simulatedBoardQuaternion, alpha);
+        skater.position.lerpVectors(this.previousSkaterPosition, this.simulatedSkaterPosition, alpha);
+        // Turn the short way round, in case the yaw wrapped past +-PI between steps
+        const yawChange = this.simulatedSkaterYaw - this.previousSkaterYaw;
+        const turn = Math.atan2(Math.sin(yawChange), Math.cos(yawChange));
+        skater.rotation.y = this.previousSkaterYaw + turn * alpha;
+    }
+    
+    restoreSimulatedState() {
+        this.skateboard.mesh.position.copy(this.simulatedBoardPosition);
+        // Restored as angles: straight up a vert wall the quaternion can't say which way is the heading
+        this.skateboard.mesh.rotation.copy(this.simulatedBoardRotation);
+        this.skater.mesh.position.copy(this.simulatedSkaterPosition);
+        this.skater.mesh.rotation.y = this.simulatedSkaterYaw;
+    }
+    
     // Debug method - completely disabled
     /*
     createDirectDebugObjects() {
@@ -648,61 +518,12 @@ export class SkateGame {
         // Reset game state first
         this.gameState.reset();
         
-        // Reset player position and physics
-        this.skateboard.resetPosition();
-        this.skateboard.fullStop();
-        
-        // Remove invincibility effect
-        if (this.skater && typeof this.skater.setInvincibility === 'function') {
-            this.skater.setInvincibility(false);
-        }
-        
-        // Reset camera position
-        this.camera.position.set(0, 6, 12);
-        this.camera.lookAt(this.skateboard.mesh.position);
-        
-        // Update camera history to prevent jarring transitions
-        for (let i = 0; i < this.historyLength; i++) {
-            this.cameraPositionHistory[i] = new THREE.Vector3(0, 6, 12);
-        }
-        
-        // Reset score
-        if (this.score && typeof this.score.resetScore === 'function') {
-            this.score.resetScore();
-        }
-        
-        // Reset coins
-        if (this.coinSystem && typeof this.coinSystem.resetCoins === 'function') {
-            this.coinSystem.resetCoins();
-        }
-        
-        // Reset police
-        if (this.policeSystem && typeof this.policeSystem.resetGame === 'function') {
-            this.policeSystem.resetGame();
-        }
-        
-        // Reset other systems if needed
-        if (this.boosterSystem && typeof this.boosterSystem.reset === 'function') {
-            this.boosterSystem.reset();
-        }
-        
-        if (this.jumpPadSystem && typeof this.jumpPadSystem.reset === 'function') {
-            this.jumpPadSystem.reset();
-        }
-        
-        // Reset candies
-        if (this.candySystem && typeof this.candySystem.initCandies === 'function') {
-            this.candySystem.initCandies();
-        }
-        
-        // Reset magnets
-        if (this.magnetSystem && typeof this.magnetSystem.initMagnets === 'function') {
-            this.magnetSystem.initMagnets();
-        }
+        // Reset the player, pickups, pads, police and camera through their systems and components
+        this.world.reset();
+        this.storePreviousState();
         
-        // Reset any timers or flags
-        this.resetTimerStarted = false;
-        this.gameOverResetScheduled = false;
+        // The HUD resets itself on this event
+        this.events.emit(GameEvents.GAME_RESET);
         
         console.log("Game reset complete");
     }
@@ -0,0 +1,204 @@
+import * as THREE from 'three';
+import { System, SystemPhase } from '../../core/System.js';
+import { Random } from '../../core/Random.js';
+
+// Third- and first-person follow camera. Runs in the render phase so it always
+// sees the player's final (interpolated) pose for the frame
+export class CameraSystem extends System {
+    constructor(camera, skateboard, inputHandler) {
+        super('CameraSystem');
+        this.phase = SystemPhase.RENDER;
+        this.camera = camera;
+        this.skateboard = skateboard;
+        this.inputHandler = inputHandler;
+        this.isFirstPerson = false;
+        
+        // Camera configuration
+        this.cameraOffsetY = 3.0;     // Height above player
+        this.cameraDistanceZ = 7;     // Distance behind player
+        this.cameraLookOffsetY = 1.0; // Height above skateboard to focus
+        this.cameraSmoothness = 0.18; // Increased for tighter yet smooth follow (from 0.12)
+        this.cameraTiltSmoothness = 0.08; // Separate smoothness for tilt effects
+        
+        // Player tracking parameters
+        this.minPlayerVisibleDistance = 4; // Minimum distance to keep player visible
+        this.playerViewportCheckFrequency = 3; // Check less frequently (was 1)
+        this.frameCounter = 0; // For checking player visibility periodically
+        this.lastPlayerScreenPosition = new THREE.Vector2(0, 0); // Last known screen position
+        this.playerCenterThreshold = 0.3; // Allow slightly more deviation (was 0.25)
+        this.cameraCorrectionStrength = 1.5; // How strongly camera corrects towards center
+        
+        // Camera position history for smoother transitions
+        this.cameraPositionHistory = [];
+        this.historyLength = 6; // Increased history for smoother tracking (was 4)
+        for (let i = 0; i < this.historyLength; i++) {
+            this.cameraPositionHistory.push(new THREE.Vector3(0, 6, 12));
+        }
+        
+        // Camera rotation tracking
+        this.lastQuaternion = new THREE.Quaternion();
+        this.targetQuaternion = new THREE.Quaternion();
+        this.lastForward = new THREE.Vector3(0, 0, -1);
+        this.rotationSmoothSpeed = 0.15; // Increased for more responsive rotation (from 0.03)
+        
+        this.reset();
+    }
+    
+    reset() {
+        // Camera setup - adjusted for better view with skater
+        this.camera.position.set(0, 6, 12);
+        this.camera.lookAt(this.skateboard.mesh.position);
+        
+        // Update camera history to prevent jarring transitions
+        for (let i = 0; i < this.historyLength; i++) {
+            this.cameraPositionHistory[i] = new THREE.Vector3(0, 6, 12);
+        }
+    }
+    
+    update(deltaTime = 1/60) {
+        // First-person mode
+        if (this.isFirstPerson) {
+            // Position camera at a better height and slightly forward for clearer view
+            const headHeight = 1.7; // Higher eye level for better visibility
+            const fpPos = this.skateboard.mesh.position.clone();
+            fpPos.y += headHeight;
+            
+            // Get forward direction and move camera slightly forward from center
+            const forward = new THREE.Vector3(0, 0, -1).applyQuaternion(this.skateboard.mesh.quaternion);
+            fpPos.add(forward.clone().multiplyScalar(0.4)); // Offset forward slightly
+            
+            this.camera.position.copy(fpPos);
+            
+            const lookAtPos = fpPos.clone().add(forward);
+            this.camera.lookAt(lookAtPos);
+            return;
+        }
+
+        // Determine the look target (player position with Y offset)
+        const lookTarget = this.skateboard.mesh.position.clone();
+        lookTarget.y += this.cameraLookOffsetY;
+
+        // Compute forward vector from the skateboard's orientation
+        const forward = new THREE.Vector3(0, 0, -1).applyQuaternion(this.skateboard.mesh.quaternion);
+
+        // Calculate desired camera position behind the player
+        const desiredPosition = this.skateboard.mesh.position.clone()
+            .sub(forward.multiplyScalar(this.cameraDistanceZ));
+        desiredPosition.y += this.cameraOffsetY;
+
+        // Smoothing factors are tuned for 60fps - convert them so the follow speed
+        // doesn't depend on the display refresh rate
+        const frameScale = deltaTime * 60;
+        const followFactor = 1 - Math.pow(1 - this.cameraSmoothness, frameScale);
+        const rotationFactor = 1 - Math.pow(1 - this.rotationSmoothSpeed, frameScale);
+
+        // Smoothly move camera toward the desired position
+        this.camera.position.lerp(desiredPosition, followFactor);
+
+        // Create a temporary camera to compute the desired orientation
+        const tempCamera = new THREE.PerspectiveCamera();
+        tempCamera.position.copy(this.camera.position);
+        tempCamera.lookAt(lookTarget);
+
+        // Smoothly rotate camera to face the player
+        this.camera.quaternion.slerp(tempCamera.quaternion, rotationFactor);
+    }
+    
+    // Method to ensure player is always in view
+    ensurePlayerVisible(playerPosition) {
+        // Project player position to screen space
+        const playerScreenPosition = this.worldToScreen(playerPosition);
+        this.lastPlayerScreenPosition.copy(playerScreenPosition);
+        
+        // Calculate distance from center of screen
+        const screenCenter = new THREE.Vector2(0.5, 0.5);
+        const distanceFromCenter = playerScreenPosition.distanceTo(screenCenter);
+        
+        // Always adjust camera if player is not close enough to center (stricter threshold)
+        if (distanceFromCenter > this.playerCenterThreshold) {
+            // Calculate direction toward center from player position
+            const direction = new THREE.Vector2()
+                .subVectors(screenCenter, playerScreenPosition)
+                .normalize();
+            
+            // Get world direction vectors
+            const forward = new THREE.Vector3(0, 0, -1).applyQuaternion(this.camera.quaternion);
+            const up = new THREE.Vector3(0, 1, 0).applyQuaternion(this.camera.quaternion);
+            const right = new THREE.Vector3(1, 0, 0).applyQuaternion(this.camera.quaternion);
+            
+            // Stronger correction forces to keep player centered
+            const horizontalStrength = 4.0; // Increased from 3.0
+            const verticalStrength = 3.0;   // Increased from 2.0
+            
+            // Force camera to move to keep player centered
+            const correctionForce = new THREE.Vector3()
+                .addScaledVector(right, -direction.x * distanceFromCenter * horizontalStrength)
+                .addScaledVector(up, -direction.y * distanceFromCenter * verticalStrength);
+                
+            // Apply immediate correction to current camera position
+            this.camera.position.add(correctionForce);
+            
+            // Update ALL positions in history with the corrected position to maintain the new view
+            const updatedPosition = this.camera.position.clone();
+            for (let i = 0; i < this.cameraPositionHistory.length; i++) {
+                this.cameraPositionHistory[i] = updatedPosition.clone();
+            }
+            
+            // Immediately update camera to look at player
+            const lookTarget = new THREE.Vector3();
+            lookTarget.copy(playerPosition);
+            this.camera.lookAt(lookTarget);
+        }
+    }
+    
+    // Helper method to convert world position to normalized screen position
+    worldToScreen(worldPosition) {
+        // Clone the position to prevent modification
+        const position = worldPosition.clone();
+        
+        // Calculate the vector from camera to position
+        const cameraToPosition = position.clone().sub(this.camera.position);
+        
+        // Get the direction vectors from the camera
+        const forward = new THREE.Vector3(0, 0, -1).applyQuaternion(this.camera.quaternion);
+        const up = new THREE.Vector3(0, 1, 0).applyQuaternion(this.camera.quaternion);
+        const right = new THREE.Vector3(1, 0, 0).applyQuaternion(this.camera.quaternion);
+        
+        // Calculate screen position (ranges from -1 to 1 for each axis)
+        const x = cameraToPosition.dot(right) / (right.length() * cameraToPosition.length());
+        const y = cameraToPosition.dot(up) / (up.length() * cameraToPosition.length());
+        
+        // Convert to normalized screen coordinates (0 to 1)
+        return new THREE.Vector2(0.5 + x * 0.5, 0.5 + y * 0.5);
+    }
+    
+    applySceneCameraEffects() {
+        // Add slight tilt when turning (but only if camera is relatively stable)
+        const tiltAmount = 0.1;
+        const turnDirection = this.inputHandler.getMoveX();
+        
+        if (Math.abs(turnDirection) > 0.01) {
+            // Calculate a minor roll effect when turning
+            const targetRoll = -turnDirection * tiltAmount;
+            
+            // Create a temporary quaternion for the tilt
+            const tiltQuaternion = new THREE.Quaternion();
+            tiltQuaternion.setFromAxisAngle(new THREE.Vector3(0, 0, 1), targetRoll);
+            
+            // Apply the tilt to the camera rotation
+            const currentRotation = new THREE.Quaternion().copy(this.camera.quaternion);
+            currentRotation.slerp(tiltQuaternion, this.cameraTiltSmoothness);
+            
+            // Apply the rotation
+            this.camera.quaternion.copy(currentRotation);
+        }
+        
+        // Very reduced camera shake during jumps
+        if (this.skateboard.getJumpingState() || this.skateboard.getInAirState()) {
+            const shakeAmount = 0.002; // Further reduced shake amount
+            this.camera.position.x += (Random.cosmetic.next() - 0.5) * shakeAmount;
+            this.camera.position.y += (Random.cosmetic.next() - 0.5) * shakeAmount;
+            this.camera.position.z += (Random.cosmetic.next() - 0.5) * shakeAmount;
+        }
+    }
+}
@@ -0,0 +1,42 @@
+import { Component } from '../../core/Component.js';
+
+/**
+ * Marks an entity as a pickup (coin, candy, magnet) and holds its collection state.
+ * The entity's Physics trigger decides when the player touches it
+ */
+export class Collectible extends Component {
+    /**
+     * @param {string} type - Kind of pickup, e.g. 'coin' or 'candy'
+     * @param {Object} options - Pickup options
+     * @param {number} options.value - Score awarded for collecting it
+     * @param {Function} options.onCollect - (entity, player) called while the player touches it
+     * and it hasn't been collected yet
+     */
+    constructor(type, options = {}) {
+        super();
+        this.type = type;
+        this.value = options.value || 0;
+        this.onCollect = options.onCollect || null;
+        this.collected = false;
+        this.baseY = 0; // Resting height used by hover animations
+        this.animationOffset = options.animationOffset || 0; // Phase offset so pickups don't bob in sync
+    }
+
+    init() {
+        const transform = this.entity.getComponent('Transform');
+        if (transform) {
+            this.baseY = transform.position.y;
+        }
+    }
+
+    onTriggerEnter(other) {
+        this.onTriggerStay(other);
+    }
+
+    // Keep trying while the player stays in range, in case collecting was blocked on entry
+    onTriggerStay(other) {
+        if (!this.collected && this.onCollect && other.hasTag('player')) {
+            this.onCollect(this.entity, other);
+        }
+    }
+}
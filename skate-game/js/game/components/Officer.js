@@ -0,0 +1,39 @@
+import * as THREE from 'three';
+import { Component } from '../../core/Component.js';
+import { Random } from '../../core/Random.js';
+
+/**
+ * AI state for a police officer chasing the player.
+ * The entity's Physics trigger decides when the officer reaches the player
+ */
+export class Officer extends Component {
+    /**
+     * @param {number} speed - Chase speed per simulation step
+     * @param {THREE.Vector3} origin - Centre of the officer's patrol route
+     * @param {Object} options - Officer options
+     * @param {Function} options.onReachPlayer - (entity, player) called while the officer touches the player
+     */
+    constructor(speed, origin, options = {}) {
+        super();
+        this.isChasing = false;
+        this.speed = speed;
+        this.chasingTime = 0;
+        this.pauseTime = 0; // Remaining stumble time
+        this.originalPos = origin ? origin.clone() : new THREE.Vector3();
+        this.animationOffset = Random.gameplay.next(); // Unique offset for patrol/animation phases
+        this.exploding = false;
+        this.toDelete = false;
+        this.onReachPlayer = options.onReachPlayer || null;
+    }
+
+    onTriggerEnter(other) {
+        this.onTriggerStay(other);
+    }
+
+    // Keep trying while the officer stays on the player, in case their immunity runs out first
+    onTriggerStay(other) {
+        if (!this.exploding && this.onReachPlayer && other.hasTag('player')) {
+            this.onReachPlayer(this.entity, other);
+        }
+    }
+}
@@ -0,0 +1,194 @@
+import { Component } from '../../core/Component.js';
+import { GrindExit } from '../tricks/GrindController.js';
+import { ManualExit, ManualType } from '../tricks/ManualController.js';
+import { BailReason } from '../tricks/BailController.js';
+
+/**
+ * Drives the skateboard from player input and resolves its collisions with the park
+ */
+export class PlayerController extends Component {
+    /**
+     * @param {Skateboard} skateboard - The skateboard being controlled
+     * @param {InputHandler} inputHandler - Source of player input
+     * @param {CollisionSystem} collisionSystem - Resolves collisions with the skatepark
+     * @param {GameState} gameState - Shared game state
+     * @param {Object} controllers - The board's riding and trick controllers, by name
+     * @param {GrindController} controllers.grind - Locks the board onto rails it lands on
+     * @param {FlipController} controllers.flip - Plays flip tricks in the air
+     * @param {GrabController} controllers.grab - Tracks grab tricks in the air
+     * @param {ManualController} controllers.manual - Balances the board on two wheels
+     * @param {BailController} controllers.bail - Throws the skater off on bad landings
+     * @param {VertController} controllers.vert - Rides the board up and down transitions
+     * @param {StanceController} controllers.stance - Tracks which way round the skater is riding
+     */
+    constructor(skateboard, inputHandler, collisionSystem, gameState, controllers) {
+        super();
+        this.skateboard = skateboard;
+        this.inputHandler = inputHandler;
+        this.collisionSystem = collisionSystem;
+        this.gameState = gameState;
+        this.grindController = controllers.grind;
+        this.flipController = controllers.flip;
+        this.grabController = controllers.grab;
+        this.manualController = controllers.manual;
+        this.bailController = controllers.bail;
+        this.vertController = controllers.vert;
+        this.stanceController = controllers.stance;
+    }
+
+    update(deltaTime) {
+        if (this.bailController.isBailing() && !this.gameState.isPlayerImmobilized()) {
+            // Thrown off: the board rolls on by itself until the skater is back on it
+            this.vertController.release();
+            this.skateboard.handleInput(0, 0, false, false, 1, deltaTime);
+            this.skateboard.updatePhysics(deltaTime);
+            this.collisionSystem.checkCollisions(deltaTime);
+            this.bailController.update(deltaTime);
+        } else if (!this.gameState.isPlayerImmobilized()) {
+            // Handle input and update physics
+            const moveX = this.inputHandler.getMoveX();
+            const moveZ = this.inputHandler.getMoveZ();
+            const jump = this.inputHandler.getJump();
+            const sprint = this.inputHandler.isSprinting();
+            const jumpPower = this.inputHandler.getJumpPower();
+            const flip = this.inputHandler.getFlip();
+            const grab = this.inputHandler.getGrab();
+            const manual = this.inputHandler.getManual();
+            const swapFeet = this.inputHandler.getSwitchStance();
+            const pump = this.inputHandler.getPump();
+            
+            if (this.grindController.isGrinding()) {
+                // On a rail, steering works the balance and the only way off is to ollie
+                this.skateboard.handleInput(0, 0, jump, false, jumpPower, deltaTime);
+                if (!this.skateboard.isJumping) {
+                    this.grindController.update(deltaTime, Math.sign(moveX));
+                    return;
+                }
+                this.grindController.release(GrindExit.OLLIE);
+            } else if (this.manualController.isManualing()) {
+                // In a manual, forward and back work the balance instead of pushing
+                this.skateboard.handleInput(moveX, 0, jump, false, jumpPower, deltaTime);
+                if (this.skateboard.isJumping) {
+                    // Popping out of a nose manual is off the nose
+                    const nose = this.manualController.type === ManualType.NOSE_MANUAL;
+                    this.manualController.release(ManualExit.OLLIE);
+                    if (nose) {
+                        this.stanceController.popNose();
+                    }
+                } else if (manual) {
+                    this.manualController.release(ManualExit.RELEASED);
+                }
+            } else {
+                // There's no pushing off a transition, only steering and pumping
+                const push = this.vertController.isRiding() ? 0 : moveZ;
+                const grounded = !this.skateboard.isJumping && !this.skateboard.inAir;
+                this.skateboard.handleInput(moveX, push, jump, sprint, jumpPower, deltaTime);
+                // Ollieing with forward held, like asking for a nose manual, is off the nose
+                if (grounded && this.skateboard.isJumping && moveZ < 0) {
+                    this.stanceController.popNose();
+                }
+                if (pump) {
+                    this.vertController.pump();
+                }
+                if (manual) {
+                    this.manualController.request(moveZ < 0);
+                }
+                if (swapFeet) {
+                    this.stanceController.swapFeet();
+                }
+            }
+            
+            // The board can't be flipped while it's held, or grabbed while it's still flipping
+            const mirrored = this.stanceController.isMirrored();
+            if (flip && !this.grabController.isGrabbing()) {
+                this.flipController.tryStart(moveX, moveZ, mirrored);
+            }
+            const canGrab = !this.flipController.isFlipping() || this.flipController.isComplete();
+            this.grabController.update(deltaTime, grab && canGrab, moveX, moveZ, mirrored);
+            
+            const wasAirborne = this.skateboard.isJumping || this.skateboard.inAir;
+            
+            // An ollie takes the board off a transition, back to its usual physics
+            if (this.skateboard.isJumping) {
+                this.vertController.release();
+            }
+            
+            if (this.vertController.isRiding()) {
+                this.vertController.update(deltaTime);
+            } else {
+                this.skateboard.updatePhysics(deltaTime);
+                
+                // Check collisions with the park
+                this.collisionSystem.checkCollisions(deltaTime);
+                this.grindController.tryLock(wasAirborne);
+                if (!this.grindController.isGrinding()) {
+                    this.vertController.tryEnter();
+                }
+            }
+            
+            // Coming down sideways or upside down throws the skater off, unless it was onto a rail
+            const landed = wasAirborne && !this.skateboard.isJumping && !this.skateboard.inAir;
+            if (landed && !this.grindController.isGrinding()) {
+                const normal = this.vertController.isRiding() ? this.vertController.normal : this.collisionSystem.groundNormal;
+                const bail = this.bailController.checkLanding(normal);
+                if (bail) {
+                    this.flipController.reset();
+                    this.grabController.reset();
+                    this.manualController.reset();
+                    this.vertController.release();
+                    this.bailController.bail(bail);
+                    return;
+                }
+            }
+            
+            // Which way the board rolls once it's down decides fakie
+            this.stanceController.update();
+            
+            // Tricks end when the board touches down, on the ground or on a rail
+            this.flipController.update(deltaTime);
+            if (!this.skateboard.isJumping && !this.skateboard.inAir) {
+                this.flipController.land();
+                this.grabController.release();
+            }
+            
+            // A manual rolls on until it drops or leaves the ground, and one asked for in the
+            // air is caught on landing - unless the board landed on a rail. Tipping it over the
+            // wheels it's on throws the skater off like a bad landing
+            if (this.manualController.update(deltaTime, Math.sign(moveZ), this.grindController.isGrinding())) {
+                this.bailController.bail(BailReason.TIPPED_OVER);
+            }
+        } else {
+            this.grindController.release(GrindExit.INTERRUPTED);
+            this.flipController.reset();
+            this.grabController.reset();
+            this.manualController.release(ManualExit.INTERRUPTED);
+            this.bailController.reset();
+            this.vertController.release();
+            
+            // When immobilized, we still need to maintain skateboard's Y position
+            // but without allowing any movement in X and Z directions
+            const currentY = this.skateboard.mesh.position.y;
+            this.skateboard.mesh.position.copy(this.skateboard.previousPosition);
+            this.skateboard.mesh.position.y = currentY;
+            
+            // Apply gravity only when immobilized
+            this.skateboard.applyGravity(0, deltaTime);
+            
+            // Full stop to prevent any momentum
+            this.skateboard.fullStop();
+        }
+    }
+
+    reset() {
+        // Reset player position and physics
+        this.grindController.reset();
+        this.flipController.reset();
+        this.grabController.reset();
+        this.manualController.reset();
+        this.bailController.reset();
+        this.vertController.reset();
+        this.stanceController.reset();
+        this.skateboard.resetPosition();
+        this.skateboard.fullStop();
+    }
+}
@@ -0,0 +1,40 @@
+import { Component } from '../../core/Component.js';
+
+/**
+ * State for a floor pad (booster or jump pad) that triggers when the board rolls over it.
+ * The entity's Physics trigger decides when the board is on the pad
+ */
+export class PowerPad extends Component {
+    /**
+     * @param {string} type - Kind of pad, e.g. 'booster' or 'jumppad'
+     * @param {Object} options - Pad options
+     * @param {THREE.Object3D} options.particles - Ambient particle group shown while the pad is armed
+     * @param {Function} options.onActivate - (entity, player) called while the player is on the armed pad
+     */
+    constructor(type, options = {}) {
+        super();
+        this.type = type;
+        this.particles = options.particles || null;
+        this.onActivate = options.onActivate || null;
+        this.active = true;
+        this.lastActivatedTime = 0;
+    }
+
+    onTriggerEnter(other) {
+        this.onTriggerStay(other);
+    }
+
+    // A pad that re-arms while the board is still on it fires again
+    onTriggerStay(other) {
+        if (this.active && this.onActivate && other.hasTag('player')) {
+            this.onActivate(this.entity, other);
+        }
+    }
+
+    dispose() {
+        // The particle group lives directly in the THREE scene, not under the pad
+        if (this.particles && this.particles.parent) {
+            this.particles.parent.remove(this.particles);
+        }
+    }
+}
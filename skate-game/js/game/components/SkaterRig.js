@@ -0,0 +1,79 @@
+import { Component } from '../../core/Component.js';
+
+/**
+ * Keeps the skater model on the board and drives its animations and power-up effects
+ */
+export class SkaterRig extends Component {
+    /**
+     * @param {Skater} skater - The skater model
+     * @param {Skateboard} skateboard - The board the skater rides
+     * @param {InputHandler} inputHandler - Source of player input (used for lean/pump animation)
+     * @param {GameState} gameState - Shared game state
+     * @param {Object} controllers - The board's riding and trick controllers, by name
+     * @param {GrabController} controllers.grab - Grab trick being held, if any
+     * @param {ManualController} controllers.manual - Manual being held, if any
+     * @param {BailController} controllers.bail - Moves the skater itself while bailing
+     * @param {VertController} controllers.vert - Tips the skater with the board on transitions
+     * @param {StanceController} controllers.stance - Which foot the skater has toward the nose
+     */
+    constructor(skater, skateboard, inputHandler, gameState, controllers) {
+        super();
+        this.skater = skater;
+        this.skateboard = skateboard;
+        this.inputHandler = inputHandler;
+        this.gameState = gameState;
+        this.grabController = controllers.grab;
+        this.manualController = controllers.manual;
+        this.bailController = controllers.bail;
+        this.vertController = controllers.vert;
+        this.stanceController = controllers.stance;
+    }
+
+    update(deltaTime) {
+        // Thrown off the board, the skater tumbles on its own
+        if (this.bailController.isBailing()) return;
+        
+        const grab = this.grabController.trick;
+        this.skater.setGrabPose(grab ? grab.pose : null);
+        this.skater.setWeightShift(this.manualController.getWeightShift());
+        this.skater.setMirrored(this.stanceController.isMirrored());
+        
+        // Update skater position and orientation to match skateboard
+        // Also pass movement input values for better animation
+        this.skater.update(
+            this.skateboard.getPosition(), 
+            this.skateboard.getRotation(),
+            this.skateboard.getJumpingState(),
+            this.skateboard.getInAirState(),
+            this.inputHandler.getMoveX(),
+            this.inputHandler.getMoveZ()
+        );
+        
+        // Up a transition the skater stands square to the wall, not upright
+        if (this.vertController.isRiding()) {
+            this.skater.alignToSurface(this.skateboard.getPosition(), this.vertController.normal);
+        }
+        
+        // The held board follows the grabbing hand
+        if (grab) {
+            this.grabController.holdBoard(this.skater.getHandPosition(this.grabController.getHand()));
+        }
+        
+        // Set the invincibility state based on the game state
+        const invincible = this.gameState.isPlayerInvincibleFromCandy();
+        this.skater.setInvincibility(invincible);
+        
+        // Update particle effects if invincible
+        if (invincible) {
+            this.skater.updateParticles();
+        }
+    }
+
+    reset() {
+        // Remove invincibility effect
+        this.skater.setInvincibility(false);
+        this.skater.setGrabPose(null);
+        this.skater.setWeightShift(0);
+        this.skater.setMirrored(this.stanceController.isMirrored());
+    }
+}
@@ -1,7 +1,7 @@
 import * as THREE from 'three';
 
 export class InputHandler {
-    constructor(gameState) {
+    constructor(gameState, eventTarget = null) {
         // Store reference to game state
         this.gameState = gameState;
         
@@ -12,6 +12,7 @@ export class InputHandler {
         this.left = false;
         this.right = false;
         this.shift = false; // Track Shift key
+        this.grab = false; // Grab key held
         
         // Jump key tracking
         this.spaceHoldStartTime = 0;
@@ -19,11 +20,23 @@ export class InputHandler {
         this.jumpPowerStored = 1.0;
         this.jumpKeyWasPressed = false;
         
+        // Flip trick, manual, switch stance and pump key tracking
+        this.flipKeyWasPressed = false;
+        this.manualKeyWasPressed = false;
+        this.switchKeyWasPressed = false;
+        this.pumpKeyWasPressed = false;
+        
         // Track previous key state for "just pressed" detection
         this.previousKeys = {};
         
-        // Initialize input listeners
-        window.addEventListener('keydown', e => {
+        // Initialize input listeners - headless runs have no event target and use setMovement/queueJump
+        if (eventTarget) {
+            this.attachKeyboard(eventTarget);
+        }
+    }
+    
+    attachKeyboard(eventTarget) {
+        eventTarget.addEventListener('keydown', e => {
             const key = e.key.toLowerCase();
             this.keys[key] = true;
             
@@ -33,6 +46,7 @@ export class InputHandler {
             if (key === 'a' || key === 'arrowleft') this.left = true;
             if (key === 'd' || key === 'arrowright') this.right = true;
             if (key === 'shift') this.shift = true;
+            if (key === 'g') this.grab = true;
             
             // Track when space is first pressed down
             if (key === ' ' && !this.isHoldingSpace) {
@@ -41,9 +55,23 @@ export class InputHandler {
                 this.jumpKeyWasPressed = false; // Reset jump flag on new press
                 this.jumpPowerStored = 1.0; // Reset power
             }
+            
+            // Flip tricks fire on press, and holding the key doesn't repeat them
+            if (key === 'f' && !e.repeat) {
+                this.flipKeyWasPressed = true;
+            }
+            if (key === 'm' && !e.repeat) {
+                this.manualKeyWasPressed = true;
+            }
+            if (key === 'x' && !e.repeat) {
+                this.switchKeyWasPressed = true;
+            }
+            if (key === 'e' && !e.repeat) {
+                this.pumpKeyWasPressed = true;
+            }
         });
         
-        window.addEventListener('keyup', e => {
+        eventTarget.addEventListener('keyup', e => {
             const key = e.key.toLowerCase();
             this.keys[key] = false;
             
@@ -53,6 +81,7 @@ export class InputHandler {
             if (key === 'a' || key === 'arrowleft') this.left = false;
             if (key === 'd' || key === 'arrowright') this.right = false;
             if (key === 'shift') this.shift = false;
+            if (key === 'g') this.grab = false;
             
             // When space is released, calculate and store the final jump power
             if (key === ' ') {
@@ -112,6 +141,67 @@ export class InputHandler {
         return false;
     }
     
+    // Whether the flip trick key was pressed since the last call
+    getFlip() {
+        if (this.gameState && this.gameState.isPlayerImmobilized()) {
+            return false;
+        }
+        
+        if (this.flipKeyWasPressed) {
+            this.flipKeyWasPressed = false;
+            return true;
+        }
+        return false;
+    }
+    
+    // Whether the manual key was pressed since the last call
+    getManual() {
+        if (this.gameState && this.gameState.isPlayerImmobilized()) {
+            return false;
+        }
+        
+        if (this.manualKeyWasPressed) {
+            this.manualKeyWasPressed = false;
+            return true;
+        }
+        return false;
+    }
+    
+    // Whether the switch stance key was pressed since the last call
+    getSwitchStance() {
+        if (this.gameState && this.gameState.isPlayerImmobilized()) {
+            return false;
+        }
+        
+        if (this.switchKeyWasPressed) {
+            this.switchKeyWasPressed = false;
+            return true;
+        }
+        return false;
+    }
+    
+    // Whether the pump key was pressed since the last call
+    getPump() {
+        if (this.gameState && this.gameState.isPlayerImmobilized()) {
+            return false;
+        }
+        
+        if (this.pumpKeyWasPressed) {
+            this.pumpKeyWasPressed = false;
+            return true;
+        }
+        return false;
+    }
+    
+    // Whether the grab key is held
+    getGrab() {
+        if (this.gameState && this.gameState.isPlayerImmobilized()) {
+            return false;
+        }
+        
+        return this.grab;
+    }
+    
     getJumpPower() {
         // Return the stored jump power
         return this.jumpPowerStored;
@@ -163,4 +253,41 @@ export class InputHandler {
         // Return true if Shift and Forward are held
         return this.shift && this.forward;
     }
+    
+    // Scripted controls for headless runs - hold the given directions until the next call
+    setMovement({ forward = false, backward = false, left = false, right = false, sprint = false, grab = false } = {}) {
+        this.forward = forward;
+        this.backward = backward;
+        this.left = left;
+        this.right = right;
+        this.shift = sprint;
+        this.grab = grab;
+    }
+    
+    // Scripted jump, as if space had been held and released (power 1.0 - 2.0)
+    queueJump(power = 1.0) {
+        this.isHoldingSpace = false;
+        this.jumpPowerStored = Math.min(Math.max(power, 1.0), 2.0);
+        this.jumpKeyWasPressed = true;
+    }
+    
+    // Scripted flip trick press, picked by the directions held with setMovement
+    queueFlip() {
+        this.flipKeyWasPressed = true;
+    }
+    
+    // Scripted manual key press - a nose manual if forward is held
+    queueManual() {
+        this.manualKeyWasPressed = true;
+    }
+    
+    // Scripted switch stance key press
+    queueSwitchStance() {
+        this.switchKeyWasPressed = true;
+    }
+    
+    // Scripted pump key press
+    queuePump() {
+        this.pumpKeyWasPressed = true;
+    }
 } 
\ No newline at end of file
@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import { Random } from '../../core/Random.js';
 
 export class BirdSystem {
     constructor(scene, count = 10) {
@@ -77,7 +78,7 @@ export class BirdSystem {
         
         // Wing flap animation parameters
         birdGroup.userData.wingFlapSpeed = this.randomRange(0.1, 0.2);
-        birdGroup.userData.wingFlapTime = Math.random() * Math.PI * 2;
+        birdGroup.userData.wingFlapTime = Random.cosmetic.next() * Math.PI * 2;
         
         // Make birds huge and visible
         birdGroup.scale.set(4, 4, 4);
@@ -147,11 +148,11 @@ export class BirdSystem {
             0xff00ff, // Bright magenta
             0x00ffff, // Bright cyan
         ];
-        return colors[Math.floor(Math.random() * colors.length)];
+        return colors[Math.floor(Random.cosmetic.next() * colors.length)];
     }
 
     randomRange(min, max) {
-        return Math.random() * (max - min) + min;
+        return Random.cosmetic.next() * (max - min) + min;
     }
 
     update(deltaTime) {
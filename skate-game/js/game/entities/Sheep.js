@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import { Random } from '../../core/Random.js';
 
 export class SheepSystem {
     constructor(scene, count = 5) {
@@ -103,7 +104,7 @@ export class SheepSystem {
     }
     
     randomRange(min, max) {
-        return Math.random() * (max - min) + min;
+        return Random.cosmetic.next() * (max - min) + min;
     }
     
     update(deltaTime) {
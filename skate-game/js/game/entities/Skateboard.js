@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import { Random } from '../../core/Random.js';
 
 export class Skateboard {
     constructor(scene) {
@@ -6,6 +7,10 @@ export class Skateboard {
         this.mesh = new THREE.Group();
         this.mesh.position.y = 0.5;
         
+        // Heading is applied first and the surface tilt over it, so rotation.y stays the heading
+        // whichever way the board is tipped, even straight up a vert wall
+        this.mesh.rotation.order = 'ZXY';
+        
         // Physics properties
         this.velocity = new THREE.Vector3(); // Use this for X, Y, Z velocity
         this.isJumping = false;
@@ -30,6 +35,11 @@ export class Skateboard {
         // Animation properties
         this.wheelMeshes = []; // Store wheel meshes for rotation animation
         
+        // Deck, trucks and wheels sit in their own group so flip tricks can spin them
+        // without touching the board's heading or tilt
+        this.board = new THREE.Group();
+        this.mesh.add(this.board);
+        
         // Create skateboard parts
         this.createSkateboard();
         
@@ -55,7 +65,7 @@ export class Skateboard {
         // Create the main deck
         const deck = new THREE.Mesh(deckGeometry, deckMaterial);
         deck.castShadow = true;
-        this.mesh.add(deck);
+        this.board.add(deck);
         
         // Add grip tape on top
         const gripTapeGeometry = new THREE.BoxGeometry(0.76, 0.01, 1.95);
@@ -87,7 +97,7 @@ export class Skateboard {
             axle.castShadow = true;
             truckGroup.add(axle);
             
-            this.mesh.add(truckGroup);
+            this.board.add(truckGroup);
             return truckGroup;
         };
         
@@ -113,7 +123,7 @@ export class Skateboard {
             wheel.position.set(pos[0], pos[1], pos[2]);
             wheel.rotation.x = Math.PI / 2;
             wheel.castShadow = true;
-            this.mesh.add(wheel);
+            this.board.add(wheel);
             this.wheelMeshes.push(wheel); // Store for animation
         });
     }
@@ -306,20 +316,16 @@ export class Skateboard {
         // Adjust skateboard rotation to match surface normal
         if (normal) {
             if (normal.y < 0.99) { // If on a slope
-                // Calculate tilt based on surface normal
-                const slopeX = Math.atan2(normal.x, normal.y);
-                const slopeZ = Math.atan2(normal.z, normal.y);
-                
                 // Smoothly adjust rotation
                 this.mesh.rotation.x = THREE.MathUtils.lerp(
                     this.mesh.rotation.x,
-                    -slopeZ,
+                    Math.asin(THREE.MathUtils.clamp(normal.z, -1, 1)),
                     0.1
                 );
                 
                 this.mesh.rotation.z = THREE.MathUtils.lerp(
                     this.mesh.rotation.z,
-                    slopeX,
+                    Math.atan2(-normal.x, normal.y),
                     0.1
                 );
                 
@@ -335,13 +341,22 @@ export class Skateboard {
         }
     }
     
+    // Stand the board square on a surface, however steep, keeping its heading
+    setTilt(normal) {
+        this.mesh.rotation.x = Math.asin(THREE.MathUtils.clamp(normal.z, -1, 1));
+        
+        // Tipped all the way over x there is no roll left, only a heading
+        const level = Math.hypot(normal.x, normal.y);
+        this.mesh.rotation.z = level > 1e-6 ? Math.atan2(-normal.x, normal.y) : 0;
+    }
+    
     addAirRotation() {
         // Add slight random rotation when in air
         if (this.isJumping || this.inAir) {
             const airRotation = 0.005;
             if (Math.abs(this.velocity.x) + Math.abs(this.velocity.z) > 0.1) {
-                this.mesh.rotation.x += (Math.random() - 0.5) * airRotation;
-                this.mesh.rotation.z += (Math.random() - 0.5) * airRotation;
+                this.mesh.rotation.x += (Random.gameplay.next() - 0.5) * airRotation;
+                this.mesh.rotation.z += (Random.gameplay.next() - 0.5) * airRotation;
             }
         }
     }
@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import { Random } from '../../core/Random.js';
 
 export class Skater {
     constructor(scene) {
@@ -9,6 +10,7 @@ export class Skater {
         this.bodyParts = {
             legs: [],
             arms: [],
+            hands: [],
             torso: null,
             head: null
         };
@@ -21,6 +23,9 @@ export class Skater {
         this.turnDirection = 0;
         this.lastRotation = 0;
         this.leanAmount = 0;
+        this.grabPose = null; // Pose of the grab trick being held, see GrabController
+        this.weightShift = 0; // Weight along the board in a manual, 1 onto the tail, -1 onto the nose
+        this.mirrored = false; // Standing goofy or switch, see setMirrored
         
         // Glow effect for invincibility
         this.glowEffect = null;
@@ -166,7 +171,7 @@ export class Skater {
         this.mesh.add(torsoGroup);
         
         // Create more detailed legs
-        const createLeg = (x, isLeft) => {
+        const createLeg = (x, z, isLeft) => {
             const legGroup = new THREE.Group();
             
             // Thigh (upper leg)
@@ -198,7 +203,7 @@ export class Skater {
             legGroup.add(shoe);
             
             // Position the leg group
-            legGroup.position.set(x, 0.55, 0);
+            legGroup.position.set(x, 0.55, z);
             
             // Slightly bend knees for skating stance
             legGroup.rotation.x = isLeft ? 0.2 : -0.2;
@@ -207,9 +212,9 @@ export class Skater {
             return legGroup;
         };
         
-        // Add legs
-        const leftLeg = createLeg(-0.1, true);
-        const rightLeg = createLeg(0.1, false);
+        // Add legs, left foot toward the nose (local -z) for a regular stance
+        const leftLeg = createLeg(-0.1, -0.1, true);
+        const rightLeg = createLeg(0.1, 0.1, false);
         this.mesh.add(leftLeg);
         this.mesh.add(rightLeg);
         
@@ -244,6 +249,7 @@ export class Skater {
             const hand = new THREE.Mesh(handGeometry, skinMaterial);
             hand.position.y = -0.45;
             armGroup.add(hand);
+            this.bodyParts.hands.push(hand);
             
             // Position the arm group at shoulder
             armGroup.position.set(x, 0.95, 0);
@@ -300,6 +306,13 @@ export class Skater {
             // Match skateboard's direction
             this.mesh.rotation.y = skateboardRotation || 0;
             
+            // Stand over the wheels a manual is balanced on (the tail is toward local +z)
+            if (this.weightShift !== 0) {
+                const shift = new THREE.Vector3(0, 0, this.weightShift * 0.25);
+                shift.applyAxisAngle(new THREE.Vector3(0, 1, 0), this.mesh.rotation.y);
+                this.mesh.position.add(shift);
+            }
+            
             // Apply animations based on movement state
             this.animateSkater(isJumping, inAir, moveX, moveZ);
         } catch (error) {
@@ -363,6 +376,9 @@ export class Skater {
             this.leanAmount = THREE.MathUtils.lerp(this.leanAmount, targetLean, 0.15);
             this.mesh.rotation.z = this.leanAmount;
             
+            // Lean over the wheels a manual is balanced on
+            this.mesh.rotation.x += this.weightShift * 0.2;
+            
             // Apply movement animations when on ground
             if (!isJumping && !inAir && this.movementSpeed > 0.1) {
                 // Calculate animation intensity based on speed
@@ -412,12 +428,101 @@ export class Skater {
                 
                 // Reduced side lean in air for stability
                 this.mesh.rotation.z = this.leanAmount * 0.5;
+                
+                // A held grab takes over from the tuck
+                if (this.grabPose) {
+                    this.applyGrabPose(this.grabPose);
+                }
             }
         } catch (error) {
             console.error("Error in Skater.animateSkater:", error);
         }
     }
     
+    // Shift weight along the board for a manual, 1 onto the tail, -1 onto the nose, 0 centered
+    setWeightShift(shift) {
+        this.weightShift = shift;
+    }
+    
+    // Mirror the skater left to right, to stand goofy or switch with the right foot toward the nose
+    setMirrored(mirrored) {
+        this.mirrored = mirrored;
+        this.mesh.scale.x = mirrored ? -1 : 1;
+    }
+    
+    // Lean the whole skater with the board riding up a wall, pivoting about the board's position.
+    // Call after update, which stands the skater upright
+    alignToSurface(boardPosition, normal) {
+        const tilt = new THREE.Quaternion().setFromUnitVectors(new THREE.Vector3(0, 1, 0), normal);
+        this.mesh.position.sub(boardPosition).applyQuaternion(tilt).add(boardPosition);
+        this.mesh.quaternion.premultiply(tilt);
+    }
+    
+    // Hold a grab trick's pose while in the air, or pass null to let go
+    setGrabPose(pose) {
+        if (!pose && this.grabPose) {
+            this.resetArms();
+        }
+        this.grabPose = pose;
+    }
+    
+    // Bring arms and torso back to the stance they were built in
+    resetArms() {
+        this.bodyParts.arms.forEach((arm, index) => {
+            if (!arm) return;
+            arm.rotation.x = -0.3;
+            arm.rotation.z = index === 0 ? 0.3 : -0.3;
+        });
+        if (this.bodyParts.torso) {
+            this.bodyParts.torso.rotation.y = 0;
+        }
+    }
+    
+    // Sprawl thrown off the board in a bail. flail from 1 (tumbling) to 0 (lying still)
+    // sets how hard the arms and legs swing
+    applyBailPose(flail, time) {
+        this.bodyParts.arms.forEach((arm, index) => {
+            if (!arm) return;
+            const side = index === 0 ? 1 : -1;
+            arm.rotation.x = -1.2 + Math.sin(time * 14 + index * Math.PI) * 0.8 * flail;
+            arm.rotation.z = side * (1.1 + Math.sin(time * 11) * 0.4 * flail);
+        });
+        
+        this.bodyParts.legs.forEach((leg, index) => {
+            if (!leg) return;
+            const side = index === 0 ? 1 : -1;
+            leg.rotation.x = Math.sin(time * 12 + index * Math.PI) * 0.7 * flail;
+            leg.rotation.z = side * 0.4;
+        });
+    }
+    
+    applyGrabPose(pose) {
+        this.mesh.rotation.x = pose.lean;
+        
+        if (this.bodyParts.torso) {
+            this.bodyParts.torso.rotation.y = pose.torso;
+        }
+        
+        this.bodyParts.arms.forEach((arm, index) => {
+            if (!arm) return;
+            arm.rotation.x = pose.arms[index][0];
+            arm.rotation.z = pose.arms[index][1];
+        });
+        
+        this.bodyParts.legs.forEach((leg, index) => {
+            if (!leg) return;
+            leg.rotation.x = pose.legs[index];
+        });
+    }
+    
+    // World position of the skater's own 'left' or 'right' hand. Mirrored, the model's left hand
+    // is the skater's right
+    getHandPosition(side, target = new THREE.Vector3()) {
+        const left = (side === 'left') !== this.mirrored;
+        const hand = this.bodyParts.hands[left ? 0 : 1];
+        return hand.getWorldPosition(target);
+    }
+    
     // Add a method to toggle invincibility glow effect
     setInvincibility(isInvincible) {
         if (isInvincible && !this.isGlowing) {
@@ -479,18 +584,18 @@ export class Skater {
             const particle = new THREE.Mesh(particleGeometry, particleMaterial);
             
             // Random position around skater
-            const angle = Math.random() * Math.PI * 2;
-            const radius = 0.8 + Math.random() * 0.7;
+            const angle = Random.cosmetic.next() * Math.PI * 2;
+            const radius = 0.8 + Random.cosmetic.next() * 0.7;
             particle.position.x = Math.cos(angle) * radius;
             particle.position.z = Math.sin(angle) * radius;
-            particle.position.y = Math.random() * 1.5;
+            particle.position.y = Random.cosmetic.next() * 1.5;
             
             // Store animation data in userData
             particle.userData = {
                 angle: angle,
                 radius: radius,
-                speed: 0.5 + Math.random() * 1.5,
-                ySpeed: -0.01 + Math.random() * 0.02,
+                speed: 0.5 + Random.cosmetic.next() * 1.5,
+                ySpeed: -0.01 + Random.cosmetic.next() * 0.02,
                 originalY: particle.position.y
             };
             
@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import { Random } from '../../core/Random.js';
 
 export class CloudSystem {
     constructor(scene) {
@@ -24,10 +25,10 @@ export class CloudSystem {
         // Create several clouds with random positions and sizes
         for (let i = 0; i < this.cloudCount; i++) {
             this.createCloud(
-                (Math.random() * this.areaSize) - (this.areaSize / 2),  // x
-                this.minHeight + Math.random() * (this.maxHeight - this.minHeight), // y
-                (Math.random() * this.areaSize) - (this.areaSize / 2),  // z
-                this.minScale + Math.random() * (this.maxScale - this.minScale) // scale
+                (Random.cosmetic.next() * this.areaSize) - (this.areaSize / 2),  // x
+                this.minHeight + Random.cosmetic.next() * (this.maxHeight - this.minHeight), // y
+                (Random.cosmetic.next() * this.areaSize) - (this.areaSize / 2),  // z
+                this.minScale + Random.cosmetic.next() * (this.maxScale - this.minScale) // scale
             );
         }
     }
@@ -46,11 +47,11 @@ export class CloudSystem {
         });
         
         // Create multiple overlapping sphere meshes to form a cloud
-        const particleCount = 5 + Math.floor(Math.random() * 8); // Random number of particles per cloud
+        const particleCount = 5 + Math.floor(Random.cosmetic.next() * 8); // Random number of particles per cloud
         
         for (let i = 0; i < particleCount; i++) {
             // Create a sphere with random size
-            const size = (0.5 + Math.random() * 0.5) * scale;
+            const size = (0.5 + Random.cosmetic.next() * 0.5) * scale;
             const geometry = new THREE.SphereGeometry(size, 7, 7);
             
             // Create mesh
@@ -58,9 +59,9 @@ export class CloudSystem {
             
             // Position each sphere within the cloud with some overlap
             mesh.position.set(
-                (Math.random() - 0.5) * scale * 0.6,
-                (Math.random() - 0.5) * scale * 0.3,
-                (Math.random() - 0.5) * scale * 0.6
+                (Random.cosmetic.next() - 0.5) * scale * 0.6,
+                (Random.cosmetic.next() - 0.5) * scale * 0.3,
+                (Random.cosmetic.next() - 0.5) * scale * 0.6
             );
             
             // Add soft shadows
@@ -75,10 +76,10 @@ export class CloudSystem {
         cloud.position.set(x, y, z);
         
         // Slightly random rotation for variety
-        cloud.rotation.y = Math.random() * Math.PI * 2;
+        cloud.rotation.y = Random.cosmetic.next() * Math.PI * 2;
         
         // Store movement speed
-        cloud.userData.speed = this.minSpeed + Math.random() * (this.maxSpeed - this.minSpeed);
+        cloud.userData.speed = this.minSpeed + Random.cosmetic.next() * (this.maxSpeed - this.minSpeed);
         
         // Add to scene and store reference
         this.scene.add(cloud);
@@ -142,7 +143,7 @@ export class CloudSystem {
         // Update all cloud speeds
         this.clouds.forEach(cloud => {
             if (cloud && cloud.userData) {
-                cloud.userData.speed = (this.minSpeed + Math.random() * (this.maxSpeed - this.minSpeed)) * speedFactor;
+                cloud.userData.speed = (this.minSpeed + Random.cosmetic.next() * (this.maxSpeed - this.minSpeed)) * speedFactor;
             }
         });
     }
@@ -1,4 +1,6 @@
 import * as THREE from 'three';
+import { Random } from '../../core/Random.js';
+import { CollisionLayer, setCollisionLayer } from '../physics/CollisionLayers.js';
 
 export class Decorations {
     constructor(scene, textureLoader) {
@@ -131,7 +133,7 @@ export class Decorations {
         river.rotation.z = angle;
         
         // Add to scene
-        this.scene.add(river);
+        this.addToScene(river, CollisionLayer.GROUND);
         
         // Add natural-looking river banks with rocks and vegetation
         this.addRiverBanks(river, riverWidth, riverLength, riverStart, riverEnd, direction);
@@ -157,7 +159,7 @@ export class Decorations {
         leftBank.position.z -= perpendicular.z * (riverWidth / 2 + bankWidth / 2);
         leftBank.rotation.copy(river.rotation);
         leftBank.position.y = 0.03; // Slightly raised above ground but below river level
-        this.scene.add(leftBank);
+        this.addToScene(leftBank, CollisionLayer.GROUND);
         
         // Right bank
         const rightBank = new THREE.Mesh(bankGeometry, bankMaterial);
@@ -166,7 +168,7 @@ export class Decorations {
         rightBank.position.z += perpendicular.z * (riverWidth / 2 + bankWidth / 2);
         rightBank.rotation.copy(river.rotation);
         rightBank.position.y = 0.03; // Slightly raised above ground but below river level
-        this.scene.add(rightBank);
+        this.addToScene(rightBank, CollisionLayer.GROUND);
         
         // Add rocks and vegetation along the banks
         this.addRiverDecoration(riverStart, riverEnd, riverWidth, direction, perpendicular);
@@ -187,29 +189,29 @@ export class Decorations {
             
             // Add rocks on left and right banks
             this.addRiverRockCluster(
-                posAlong.x - perpendicular.x * (riverWidth/2 + 2 + Math.random() * 3),
-                posAlong.z - perpendicular.z * (riverWidth/2 + 2 + Math.random() * 3),
-                2 + Math.floor(Math.random() * 3) // 2-4 rocks per cluster
+                posAlong.x - perpendicular.x * (riverWidth/2 + 2 + Random.world.next() * 3),
+                posAlong.z - perpendicular.z * (riverWidth/2 + 2 + Random.world.next() * 3),
+                2 + Math.floor(Random.world.next() * 3) // 2-4 rocks per cluster
             );
             
             this.addRiverRockCluster(
-                posAlong.x + perpendicular.x * (riverWidth/2 + 2 + Math.random() * 3),
-                posAlong.z + perpendicular.z * (riverWidth/2 + 2 + Math.random() * 3),
-                2 + Math.floor(Math.random() * 3) // 2-4 rocks per cluster
+                posAlong.x + perpendicular.x * (riverWidth/2 + 2 + Random.world.next() * 3),
+                posAlong.z + perpendicular.z * (riverWidth/2 + 2 + Random.world.next() * 3),
+                2 + Math.floor(Random.world.next() * 3) // 2-4 rocks per cluster
             );
             
             // Add reeds/tall grass at some spots
-            if (Math.random() > 0.5) {
+            if (Random.world.next() > 0.5) {
                 this.addRiverReeds(
-                    posAlong.x - perpendicular.x * (riverWidth/2 - 1 + Math.random()),
-                    posAlong.z - perpendicular.z * (riverWidth/2 - 1 + Math.random()),
-                    3 + Math.floor(Math.random() * 5) // 3-7 reeds per cluster
+                    posAlong.x - perpendicular.x * (riverWidth/2 - 1 + Random.world.next()),
+                    posAlong.z - perpendicular.z * (riverWidth/2 - 1 + Random.world.next()),
+                    3 + Math.floor(Random.world.next() * 5) // 3-7 reeds per cluster
                 );
                 
                 this.addRiverReeds(
-                    posAlong.x + perpendicular.x * (riverWidth/2 - 1 + Math.random()),
-                    posAlong.z + perpendicular.z * (riverWidth/2 - 1 + Math.random()),
-                    3 + Math.floor(Math.random() * 5) // 3-7 reeds per cluster
+                    posAlong.x + perpendicular.x * (riverWidth/2 - 1 + Random.world.next()),
+                    posAlong.z + perpendicular.z * (riverWidth/2 - 1 + Random.world.next()),
+                    3 + Math.floor(Random.world.next() * 5) // 3-7 reeds per cluster
                 );
             }
         }
@@ -226,23 +228,23 @@ export class Decorations {
         
         // Add several rocks in a tight cluster
         for (let i = 0; i < count; i++) {
-            const offsetX = Math.random() * 2 - 1; // -1 to 1
-            const offsetZ = Math.random() * 2 - 1; // -1 to 1
+            const offsetX = Random.world.next() * 2 - 1; // -1 to 1
+            const offsetZ = Random.world.next() * 2 - 1; // -1 to 1
             
             const rock = new THREE.Mesh(rockGeometry, rockMaterial);
             rock.position.set(
                 x + offsetX, 
-                0.1 + Math.random() * 0.3, // Slightly vary height
+                0.1 + Random.world.next() * 0.3, // Slightly vary height
                 z + offsetZ
             );
             rock.rotation.set(
-                Math.random() * Math.PI, 
-                Math.random() * Math.PI, 
-                Math.random() * Math.PI
+                Random.world.next() * Math.PI, 
+                Random.world.next() * Math.PI, 
+                Random.world.next() * Math.PI
             );
-            const scale = 0.4 + Math.random() * 0.6;
+            const scale = 0.4 + Random.world.next() * 0.6;
             rock.scale.set(scale, scale * 0.7, scale);
-            this.scene.add(rock);
+            this.addToScene(rock, CollisionLayer.GROUND);
         }
     }
     
@@ -260,8 +262,8 @@ export class Decorations {
         
         // Create a cluster of reeds
         for (let i = 0; i < count; i++) {
-            const offsetX = Math.random() * 1.0 - 0.5; // -0.5 to 0.5
-            const offsetZ = Math.random() * 1.0 - 0.5; // -0.5 to 0.5
+            const offsetX = Random.world.next() * 1.0 - 0.5; // -0.5 to 0.5
+            const offsetZ = Random.world.next() * 1.0 - 0.5; // -0.5 to 0.5
             
             // Create reed stem
             const reed = new THREE.Mesh(reedGeometry, reedMaterial);
@@ -273,9 +275,9 @@ export class Decorations {
             
             // Add slight random tilt
             reed.rotation.set(
-                (Math.random() * 0.2 - 0.1), // Slight random tilt
-                Math.random() * Math.PI * 2,   // Random rotation around Y
-                (Math.random() * 0.2 - 0.1)   // Slight random tilt
+                (Random.world.next() * 0.2 - 0.1), // Slight random tilt
+                Random.world.next() * Math.PI * 2,   // Random rotation around Y
+                (Random.world.next() * 0.2 - 0.1)   // Slight random tilt
             );
             
             // Add tip to the reed
@@ -283,7 +285,7 @@ export class Decorations {
             tip.position.y = 1.0; // Place at top of reed
             reed.add(tip);
             
-            this.scene.add(reed);
+            this.addToScene(reed, CollisionLayer.DECORATION);
         }
     }
     
@@ -322,8 +324,8 @@ export class Decorations {
     createTreeCluster(centerX, centerZ, count, radius) {
         for (let i = 0; i < count; i++) {
             // Calculate random position within the cluster radius
-            const angle = Math.random() * Math.PI * 2;
-            const distance = Math.random() * radius;
+            const angle = Random.world.next() * Math.PI * 2;
+            const distance = Random.world.next() * radius;
             const x = centerX + Math.cos(angle) * distance;
             const z = centerZ + Math.sin(angle) * distance;
             
@@ -332,7 +334,7 @@ export class Decorations {
     }
     
     createTree(x, z) {
-        const treeHeight = 8 + Math.random() * 4; // 8-12 units tall
+        const treeHeight = 8 + Random.world.next() * 4; // 8-12 units tall
         
         // Create trunk
         const trunkGeometry = new THREE.CylinderGeometry(0.4, 0.6, treeHeight * 0.7, 8);
@@ -346,7 +348,7 @@ export class Decorations {
         trunk.castShadow = true;
         
         // Create foliage (multiple layers for fuller look)
-        const foliageRadius = 2 + Math.random() * 1.5;
+        const foliageRadius = 2 + Random.world.next() * 1.5;
         const foliageLayers = 3;
         const foliageHeight = treeHeight * 0.5;
         
@@ -363,7 +365,7 @@ export class Decorations {
             }
             
             // Vary the green color slightly for each tree
-            const colorShift = Math.random() * 0.15;
+            const colorShift = Random.world.next() * 0.15;
             const foliageMaterial = new THREE.MeshStandardMaterial({
                 color: new THREE.Color(0.2 + colorShift, 0.5 + colorShift, 0.1),
                 roughness: 0.8
@@ -375,7 +377,7 @@ export class Decorations {
             trunk.add(foliage);
         }
         
-        this.scene.add(trunk);
+        this.addToScene(trunk, CollisionLayer.WALL);
     }
     
     addBasketballCourt() {
@@ -406,9 +408,7 @@ export class Decorations {
         const courtGeometry = new THREE.PlaneGeometry(width, length);
         
         // Create asphalt texture procedurally
-        const canvas = document.createElement('canvas');
-        canvas.width = 512;
-        canvas.height = 512;
+        const canvas = this.textureLoader.createCanvas(512, 512);
         const context = canvas.getContext('2d');
         
         // Base color - dark gray asphalt
@@ -417,12 +417,12 @@ export class Decorations {
         
         // Add asphalt texture details
         for (let i = 0; i < 5000; i++) {
-            const x = Math.random() * canvas.width;
-            const y = Math.random() * canvas.height;
-            const size = Math.random() * 2;
+            const x = Random.cosmetic.next() * canvas.width;
+            const y = Random.cosmetic.next() * canvas.height;
+            const size = Random.cosmetic.next() * 2;
             
             // Slightly lighter gray specs
-            const gray = 60 + Math.floor(Math.random() * 20);
+            const gray = 60 + Math.floor(Random.cosmetic.next() * 20);
             context.fillStyle = `rgb(${gray}, ${gray}, ${gray})`;
             
             context.beginPath();
@@ -448,7 +448,7 @@ export class Decorations {
         court.position.copy(position);
         court.receiveShadow = true;
         
-        this.scene.add(court);
+        this.addToScene(court, CollisionLayer.GROUND);
         return court;
     }
     
@@ -471,7 +471,7 @@ export class Decorations {
             line.rotation.x = -Math.PI / 2; // Lay flat
             line.rotation.z = Math.atan2(z2 - z1, x2 - x1);
             
-            this.scene.add(line);
+            this.addToScene(line, CollisionLayer.DECORATION);
         };
         
         // Calculate court boundaries
@@ -510,7 +510,7 @@ export class Decorations {
         arcGeometry.setFromPoints(arcPoints);
         const arcMaterial = new THREE.LineBasicMaterial({ color: 0xFFFFFF });
         const arc = new THREE.Line(arcGeometry, arcMaterial);
-        this.scene.add(arc);
+        this.addToScene(arc, CollisionLayer.DECORATION);
         
         // Center circle - use a ring geometry instead of circle to avoid the vertices.shift issue
         const centerRadius = width * 0.1;
@@ -519,7 +519,7 @@ export class Decorations {
         const centerCircle = new THREE.Mesh(ringGeometry, centerMaterial);
         centerCircle.rotation.x = -Math.PI / 2; // Lay flat
         centerCircle.position.set(position.x, position.y + 0.01, position.z);
-        this.scene.add(centerCircle);
+        this.addToScene(centerCircle, CollisionLayer.DECORATION);
     }
     
     addBasketballHoop(position, width, length) {
@@ -542,7 +542,7 @@ export class Decorations {
         
         const backboard = new THREE.Mesh(backboardGeometry, backboardMaterial);
         backboard.position.set(hoopPosition.x, hoopPosition.y + 3.05, hoopPosition.z);
-        this.scene.add(backboard);
+        this.addToScene(backboard, CollisionLayer.DECORATION);
         
         // Add target square on backboard
         const targetGeometry = new THREE.PlaneGeometry(backboardWidth * 0.4, backboardWidth * 0.3);
@@ -560,14 +560,14 @@ export class Decorations {
         const rim = new THREE.Mesh(rimGeometry, rimMaterial);
         rim.position.set(hoopPosition.x, hoopPosition.y + 3.05 - backboardHeight * 0.2, hoopPosition.z + rimRadius + 0.1);
         rim.rotation.x = Math.PI / 2; // Orient horizontally
-        this.scene.add(rim);
+        this.addToScene(rim, CollisionLayer.DECORATION);
         
         // Create pole
         const poleGeometry = new THREE.CylinderGeometry(0.1, 0.1, 3.05, 8);
         const poleMaterial = new THREE.MeshStandardMaterial({ color: 0x333333 });
         const pole = new THREE.Mesh(poleGeometry, poleMaterial);
         pole.position.set(hoopPosition.x, hoopPosition.y + 3.05/2, hoopPosition.z);
-        this.scene.add(pole);
+        this.addToScene(pole, CollisionLayer.WALL);
         
         // Create support structure
         const supportWidth = backboardWidth * 0.8;
@@ -575,7 +575,7 @@ export class Decorations {
         const supportMaterial = new THREE.MeshStandardMaterial({ color: 0x333333 });
         const support = new THREE.Mesh(supportGeometry, supportMaterial);
         support.position.set(hoopPosition.x, hoopPosition.y + 3.05, hoopPosition.z + 0.6);
-        this.scene.add(support);
+        this.addToScene(support, CollisionLayer.DECORATION);
     }
     
     addCourtFence(position, width, length) {
@@ -629,7 +629,7 @@ export class Decorations {
                 position.y + fenceHeight/2,
                 position.z + coord.z
             );
-            this.scene.add(post);
+            this.addToScene(post, CollisionLayer.WALL);
         });
         
         // Create fence mesh
@@ -639,9 +639,7 @@ export class Decorations {
             const sectionGeometry = new THREE.PlaneGeometry(sectionLength, fenceHeight);
             
             // Create chain-link texture
-            const canvas = document.createElement('canvas');
-            canvas.width = 64;
-            canvas.height = 64;
+            const canvas = this.textureLoader.createCanvas(64, 64);
             const context = canvas.getContext('2d');
             
             // Draw grid pattern
@@ -684,7 +682,7 @@ export class Decorations {
             // Rotate to align with fence direction
             fence.rotation.y = Math.atan2(x2 - x1, z2 - z1);
             
-            this.scene.add(fence);
+            this.addToScene(fence, CollisionLayer.WALL);
         };
         
         // Create fence sections between posts
@@ -705,9 +703,7 @@ export class Decorations {
         const gateGeometry = new THREE.PlaneGeometry(gateSize, fenceHeight * 0.8);
         
         // Create gate texture (same as fence texture)
-        const gateCanvas = document.createElement('canvas');
-        gateCanvas.width = 64;
-        gateCanvas.height = 64;
+        const gateCanvas = this.textureLoader.createCanvas(64, 64);
         const gateContext = gateCanvas.getContext('2d');
         
         // Draw grid pattern
@@ -745,7 +741,7 @@ export class Decorations {
             position.z - halfFenceLength
         );
         gate.rotation.y = Math.PI / 6; // Slightly open
-        this.scene.add(gate);
+        this.addToScene(gate, CollisionLayer.WALL);
     }
     
     // Empty implementation - we no longer need this
@@ -790,16 +786,14 @@ export class Decorations {
             topSphere.position.y = 8;  // Place at top of post
             marker.add(topSphere);
             
-            this.scene.add(marker);
+            this.addToScene(marker, CollisionLayer.WALL);
             
             // Add a floating text label for even better visibility
             const message = "RIVER HERE";
             
             // Create canvas for text
-            const canvas = document.createElement('canvas');
+            const canvas = this.textureLoader.createCanvas(256, 128);
             const context = canvas.getContext('2d');
-            canvas.width = 256;
-            canvas.height = 128;
             
             // White background with margin
             context.fillStyle = '#ffffff';
@@ -851,15 +845,15 @@ export class Decorations {
         // Place vegetation along the river - fewer points for performance
         for (let i = 0; i < riverPoints.length; i += 3) {
             // Skip some points to reduce density
-            if (Math.random() > 0.7) continue;
+            if (Random.world.next() > 0.7) continue;
             
             // Create a plant cluster at this point
             const point = riverPoints[i];
             
             // Add a bush on one side
-            if (Math.random() > 0.4) {
-                const angleOffset = Math.random() * Math.PI * 0.3;
-                const distance = (riverWidth / 2) + 2 + Math.random() * 3; // Just outside the river bank
+            if (Random.world.next() > 0.4) {
+                const angleOffset = Random.world.next() * Math.PI * 0.3;
+                const distance = (riverWidth / 2) + 2 + Random.world.next() * 3; // Just outside the river bank
                 
                 // Get position offset perpendicular to river
                 const dx = Math.cos(angleOffset) * distance;
@@ -868,21 +862,21 @@ export class Decorations {
                 const bush = new THREE.Mesh(bushGeometry, bushMaterial);
                 bush.position.set(
                     point.x + dx,
-                    1.9 + Math.random() * 0.5,
+                    1.9 + Random.world.next() * 0.5,
                     point.z + dz
                 );
                 
-                const scale = 0.7 + Math.random() * 0.6;
+                const scale = 0.7 + Random.world.next() * 0.6;
                 bush.scale.set(scale, scale * 0.8, scale);
-                bush.rotation.y = Math.random() * Math.PI * 2;
+                bush.rotation.y = Random.world.next() * Math.PI * 2;
                 
-                this.scene.add(bush);
+                this.addToScene(bush, CollisionLayer.DECORATION);
             }
             
             // Add reeds/cattails near the water's edge
-            if (Math.random() > 0.5) {
-                const angleOffset = Math.random() * Math.PI * 2;
-                const bankDistance = (riverWidth / 2) - 0.5 + Math.random() * 3;
+            if (Random.world.next() > 0.5) {
+                const angleOffset = Random.world.next() * Math.PI * 2;
+                const bankDistance = (riverWidth / 2) - 0.5 + Random.world.next() * 3;
                 
                 const dx = Math.cos(angleOffset) * bankDistance;
                 const dz = Math.sin(angleOffset) * bankDistance;
@@ -894,11 +888,11 @@ export class Decorations {
                     point.z + dz
                 );
                 
-                reed.rotation.x = Math.random() * 0.2 - 0.1;
-                reed.rotation.z = Math.random() * 0.2 - 0.1;
-                reed.rotation.y = Math.random() * Math.PI * 2;
+                reed.rotation.x = Random.world.next() * 0.2 - 0.1;
+                reed.rotation.z = Random.world.next() * 0.2 - 0.1;
+                reed.rotation.y = Random.world.next() * Math.PI * 2;
                 
-                this.scene.add(reed);
+                this.addToScene(reed, CollisionLayer.DECORATION);
             }
         }
     }
@@ -920,12 +914,12 @@ export class Decorations {
         ['left', 'right'].forEach((side, sideIndex) => {
             for (let i = 0; i < rocksPerBank; i++) {
                 // Random point along the river
-                const pointIndex = Math.floor(Math.random() * (riverPoints.length - 1));
+                const pointIndex = Math.floor(Random.world.next() * (riverPoints.length - 1));
                 const p1 = riverPoints[pointIndex];
                 const p2 = riverPoints[pointIndex + 1];
                 
                 // Random position between these two points
-                const t = Math.random();
+                const t = Random.world.next();
                 const pos = new THREE.Vector3().lerpVectors(p1, p2, t);
                 
                 // Direction between the points
@@ -938,7 +932,7 @@ export class Decorations {
                 const sideMult = sideIndex === 0 ? -1 : 1;
                 
                 // Position away from river center
-                const distance = (riverWidth / 2) + Math.random() * 2.5;
+                const distance = (riverWidth / 2) + Random.world.next() * 2.5;
                 pos.add(perp.multiplyScalar(sideMult * distance));
                 
                 // Create rock
@@ -946,21 +940,21 @@ export class Decorations {
                 
                 // Position and scale
                 // Position the rock at elevated position matching the river height
-                rock.position.set(pos.x, 1.9 + Math.random() * 0.4, pos.z);
-                const scale = 0.5 + Math.random() * 0.8;
+                rock.position.set(pos.x, 1.9 + Random.world.next() * 0.4, pos.z);
+                const scale = 0.5 + Random.world.next() * 0.8;
                 rock.scale.set(scale, scale * 0.7, scale);
                 
                 // Random rotation
-                rock.rotation.y = Math.random() * Math.PI * 2;
-                rock.rotation.x = Math.random() * 0.2;
-                rock.rotation.z = Math.random() * 0.2;
+                rock.rotation.y = Random.world.next() * Math.PI * 2;
+                rock.rotation.x = Random.world.next() * 0.2;
+                rock.rotation.z = Random.world.next() * 0.2;
                 
                 // Add shadows
                 rock.castShadow = true;
                 rock.receiveShadow = true;
                 
                 // Add to scene
-                this.scene.add(rock);
+                this.addToScene(rock, CollisionLayer.GROUND);
             }
         });
     }
@@ -1005,27 +999,27 @@ export class Decorations {
         // Place bushes in the grassfield (outside the skateable area which is 100 units from center)
         for (let i = 0; i < numBushes; i++) {
             // Calculate random position in the grassfield (green area outside skatepark)
-            const angle = Math.random() * Math.PI * 2;
-            const distance = 110 + Math.random() * 80; // Between 110 and 190 units from center
+            const angle = Random.world.next() * Math.PI * 2;
+            const distance = 110 + Random.world.next() * 80; // Between 110 and 190 units from center
             
             const x = Math.cos(angle) * distance;
             const z = Math.sin(angle) * distance;
             
             // Add some randomness
             position.set(
-                x + (Math.random() * 10 - 5),
+                x + (Random.world.next() * 10 - 5),
                 0, // On the ground
-                z + (Math.random() * 10 - 5)
+                z + (Random.world.next() * 10 - 5)
             );
             
             // Random rotation
             quaternion.setFromAxisAngle(
                 new THREE.Vector3(0, 1, 0),
-                Math.random() * Math.PI * 2
+                Random.world.next() * Math.PI * 2
             );
             
             // Varying sizes
-            const size = 0.8 + Math.random() * 0.7;
+            const size = 0.8 + Random.world.next() * 0.7;
             scale.set(size, size, size);
             
             // Apply transformations
@@ -1033,7 +1027,7 @@ export class Decorations {
             instancedMesh.setMatrixAt(i, matrix);
             
             // Set random color for variation
-            const colorIndex = Math.floor(Math.random() * bushColors.length);
+            const colorIndex = Math.floor(Random.world.next() * bushColors.length);
             instancedMesh.setColorAt(i, bushColors[colorIndex]);
         }
         
@@ -1042,7 +1036,7 @@ export class Decorations {
         if (instancedMesh.instanceColor) instancedMesh.instanceColor.needsUpdate = true;
         
         // Add to scene and track for updates
-        this.scene.add(instancedMesh);
+        this.addToScene(instancedMesh, CollisionLayer.DECORATION);
         this.bushes.push(instancedMesh);
     }
     
@@ -1080,30 +1074,30 @@ export class Decorations {
         // Place rocks in the grassfield (outside the skateable area)
         for (let i = 0; i < numRocks; i++) {
             // Calculate random position in the grassfield (green area outside skatepark)
-            const angle = Math.random() * Math.PI * 2;
-            const distance = 120 + Math.random() * 70; // Between 120 and 190 units from center
+            const angle = Random.world.next() * Math.PI * 2;
+            const distance = 120 + Random.world.next() * 70; // Between 120 and 190 units from center
             
             const x = Math.cos(angle) * distance;
             const z = Math.sin(angle) * distance;
             
             // Random position with slight elevation
             position.set(
-                x + (Math.random() * 8 - 4),
-                -0.5 + Math.random() * 0.2, // Slightly buried in the ground
-                z + (Math.random() * 8 - 4)
+                x + (Random.world.next() * 8 - 4),
+                -0.5 + Random.world.next() * 0.2, // Slightly buried in the ground
+                z + (Random.world.next() * 8 - 4)
             );
             
             // Random rotation for natural look
             quaternion.setFromEuler(new THREE.Euler(
-                Math.random() * 0.3,
-                Math.random() * Math.PI * 2,
-                Math.random() * 0.3
+                Random.world.next() * 0.3,
+                Random.world.next() * Math.PI * 2,
+                Random.world.next() * 0.3
             ));
             
             // Varying sizes
-            const sizeX = 0.3 + Math.random() * 0.6;
-            const sizeY = 0.2 + Math.random() * 0.4;
-            const sizeZ = 0.3 + Math.random() * 0.6;
+            const sizeX = 0.3 + Random.world.next() * 0.6;
+            const sizeY = 0.2 + Random.world.next() * 0.4;
+            const sizeZ = 0.3 + Random.world.next() * 0.6;
             scale.set(sizeX, sizeY, sizeZ);
             
             // Apply transformations
@@ -1111,7 +1105,7 @@ export class Decorations {
             instancedMesh.setMatrixAt(i, matrix);
             
             // Vary the color slightly
-            const shade = 0.7 + Math.random() * 0.3;
+            const shade = 0.7 + Random.world.next() * 0.3;
             const rockColor = new THREE.Color(shade, shade, shade);
             instancedMesh.setColorAt(i, rockColor);
         }
@@ -1121,7 +1115,7 @@ export class Decorations {
         if (instancedMesh.instanceColor) instancedMesh.instanceColor.needsUpdate = true;
         
         // Add to scene and track for updates
-        this.scene.add(instancedMesh);
+        this.addToScene(instancedMesh, CollisionLayer.GROUND);
         this.rocks.push(instancedMesh);
     }
     
@@ -1148,8 +1142,8 @@ export class Decorations {
         // Create flower clusters
         for (let c = 0; c < numClusters; c++) {
             // Random cluster position in the grassfield (outside the skateable area)
-            const angle = Math.random() * Math.PI * 2;
-            const distance = 130 + Math.random() * 60; // Between 130 and 190 units from center
+            const angle = Random.world.next() * Math.PI * 2;
+            const distance = 130 + Random.world.next() * 60; // Between 130 and 190 units from center
             
             const clusterX = Math.cos(angle) * distance;
             const clusterZ = Math.sin(angle) * distance;
@@ -1170,7 +1164,7 @@ export class Decorations {
                 const headGeometry = new THREE.ConeGeometry(0.15, 0.2, 5);
                 
                 // Pick a random color from the array
-                const colorIndex = Math.floor(Math.random() * flowerColors.length);
+                const colorIndex = Math.floor(Random.world.next() * flowerColors.length);
                 const headMaterial = new THREE.MeshBasicMaterial({ color: flowerColors[colorIndex] });
                 
                 const head = new THREE.Mesh(headGeometry, headMaterial);
@@ -1180,13 +1174,13 @@ export class Decorations {
                 
                 // Position within the cluster with some randomness
                 flowerGroup.position.set(
-                    clusterX + (Math.random() * 3 - 1.5),
+                    clusterX + (Random.world.next() * 3 - 1.5),
                     0,
-                    clusterZ + (Math.random() * 3 - 1.5)
+                    clusterZ + (Random.world.next() * 3 - 1.5)
                 );
                 
                 // Add to scene
-                this.scene.add(flowerGroup);
+                this.addToScene(flowerGroup, CollisionLayer.DECORATION);
                 this.flowers.push(flowerGroup);
                 allFlowers.push(flowerGroup);
             }
@@ -1275,21 +1269,21 @@ export class Decorations {
             }
             
             // Add some randomness to positions
-            x += (Math.random() - 0.5) * 10;
-            z += (Math.random() - 0.5) * 10;
+            x += (Random.world.next() - 0.5) * 10;
+            z += (Random.world.next() - 0.5) * 10;
             
             // Random size
-            const size = 0.5 + Math.random() * 0.8;
-            const bushType = Math.floor(Math.random() * 3);
+            const size = 0.5 + Random.world.next() * 0.8;
+            const bushType = Math.floor(Random.world.next() * 3);
             const y = size/2; // Position on ground
             
             // Set position, rotation and scale
             position.set(x, y, z);
-            quaternion.setFromAxisAngle(new THREE.Vector3(0, 1, 0), Math.random() * Math.PI * 2);
+            quaternion.setFromAxisAngle(new THREE.Vector3(0, 1, 0), Random.world.next() * Math.PI * 2);
             scale.set(
-                size * (0.8 + Math.random() * 0.4),
-                size * (0.8 + Math.random() * 0.4),
-                size * (0.8 + Math.random() * 0.4)
+                size * (0.8 + Random.world.next() * 0.4),
+                size * (0.8 + Random.world.next() * 0.4),
+                size * (0.8 + Random.world.next() * 0.4)
             );
             
             // Apply transformation
@@ -1310,7 +1304,7 @@ export class Decorations {
         instancedMesh.receiveShadow = false;
         
         // Add to scene
-        this.scene.add(instancedMesh);
+        this.addToScene(instancedMesh, CollisionLayer.DECORATION);
         this.bushes.push(instancedMesh);
         
         // Add fewer bush clusters (half the original amount)
@@ -1348,11 +1342,11 @@ export class Decorations {
                     break;
             }
             
-            x += (Math.random() - 0.5) * 10;
-            z += (Math.random() - 0.5) * 10;
+            x += (Random.world.next() - 0.5) * 10;
+            z += (Random.world.next() - 0.5) * 10;
             
-            const size = 0.5 + Math.random() * 1.0;
-            const bushType = Math.floor(Math.random() * 3);
+            const size = 0.5 + Random.world.next() * 1.0;
+            const bushType = Math.floor(Random.world.next() * 3);
             this.createBush(x, 0, z, size, bushType);
         }
         
@@ -1390,26 +1384,26 @@ export class Decorations {
             
             let index = 0;
             for (let i = 0; i < count; i++) {
-                const angle = Math.random() * Math.PI * 2;
-                const distance = 20 + Math.random() * 70;
+                const angle = Random.world.next() * Math.PI * 2;
+                const distance = 20 + Random.world.next() * 70;
                 const centerX = Math.cos(angle) * distance;
                 const centerZ = Math.sin(angle) * distance;
                 
                 // Create bushes for this cluster
-                const clusterSize = Math.min(3, 2 + Math.floor(Math.random() * 4));
+                const clusterSize = Math.min(3, 2 + Math.floor(Random.world.next() * 4));
                 
                 for (let j = 0; j < clusterSize && index < totalInstances; j++) {
-                    const offsetX = (Math.random() - 0.5) * 5;
-                    const offsetZ = (Math.random() - 0.5) * 5;
-                    const size = 0.3 + Math.random() * 0.8;
-                    const bushType = Math.floor(Math.random() * 3);
+                    const offsetX = (Random.world.next() - 0.5) * 5;
+                    const offsetZ = (Random.world.next() - 0.5) * 5;
+                    const size = 0.3 + Random.world.next() * 0.8;
+                    const bushType = Math.floor(Random.world.next() * 3);
                     const x = centerX + offsetX;
                     const z = centerZ + offsetZ;
                     const y = size/2;
                     
                     // Set instance transformation
                     position.set(x, y, z);
-                    quaternion.setFromAxisAngle(new THREE.Vector3(0, 1, 0), Math.random() * Math.PI * 2);
+                    quaternion.setFromAxisAngle(new THREE.Vector3(0, 1, 0), Random.world.next() * Math.PI * 2);
                     scale.set(size, size, size);
                     
                     matrix.compose(position, quaternion, scale);
@@ -1430,24 +1424,24 @@ export class Decorations {
             instancedMesh.receiveShadow = false;
             
             // Add to scene
-            this.scene.add(instancedMesh);
+            this.addToScene(instancedMesh, CollisionLayer.DECORATION);
             this.bushes.push(instancedMesh);
             
         } else {
             // Original implementation
             for (let i = 0; i < count; i++) {
-                const angle = Math.random() * Math.PI * 2;
-                const distance = 20 + Math.random() * 70;
+                const angle = Random.world.next() * Math.PI * 2;
+                const distance = 20 + Random.world.next() * 70;
                 const x = Math.cos(angle) * distance;
                 const z = Math.sin(angle) * distance;
                 
-                const clusterSize = 2 + Math.floor(Math.random() * 4);
+                const clusterSize = 2 + Math.floor(Random.world.next() * 4);
                 
                 for (let j = 0; j < clusterSize; j++) {
-                    const offsetX = (Math.random() - 0.5) * 5;
-                    const offsetZ = (Math.random() - 0.5) * 5;
-                    const size = 0.3 + Math.random() * 0.8;
-                    const bushType = Math.floor(Math.random() * 3);
+                    const offsetX = (Random.world.next() - 0.5) * 5;
+                    const offsetZ = (Random.world.next() - 0.5) * 5;
+                    const size = 0.3 + Random.world.next() * 0.8;
+                    const bushType = Math.floor(Random.world.next() * 3);
                     
                     this.createBush(x + offsetX, 0, z + offsetZ, size, bushType);
                 }
@@ -1487,9 +1481,9 @@ export class Decorations {
                 const vertices = posAttr.array;
                 
                 for (let i = 0; i < vertices.length; i += 3) {
-                    vertices[i] *= (0.8 + Math.random() * 0.4); // x
-                    vertices[i + 1] *= (0.8 + Math.random() * 0.4); // y
-                    vertices[i + 2] *= (0.8 + Math.random() * 0.4); // z
+                    vertices[i] *= (0.8 + Random.world.next() * 0.4); // x
+                    vertices[i + 1] *= (0.8 + Random.world.next() * 0.4); // y
+                    vertices[i + 2] *= (0.8 + Random.world.next() * 0.4); // z
                 }
                 
                 posAttr.needsUpdate = true;
@@ -1507,7 +1501,7 @@ export class Decorations {
         bush.userData.isBush = true;
         bush.userData.size = size;
         
-        this.scene.add(bush);
+        this.addToScene(bush, CollisionLayer.DECORATION);
         this.bushes.push(bush);
         
         return bush;
@@ -1556,27 +1550,27 @@ export class Decorations {
         // Create rocks around the edges
         for (let i = 0; i < count; i++) {
             // Choose random positions at the edges
-            const angle = Math.random() * Math.PI * 2;
-            const distance = 30 + Math.random() * 70;
+            const angle = Random.world.next() * Math.PI * 2;
+            const distance = 30 + Random.world.next() * 70;
             const x = Math.cos(angle) * distance;
             const z = Math.sin(angle) * distance;
             
             // Random size
-            const size = 0.3 + Math.random() * 0.8;
+            const size = 0.3 + Random.world.next() * 0.8;
             const y = size/2;
             
             // Random rotation
             quaternion.setFromEuler(new THREE.Euler(
-                Math.random() * Math.PI,
-                Math.random() * Math.PI,
-                Math.random() * Math.PI
+                Random.world.next() * Math.PI,
+                Random.world.next() * Math.PI,
+                Random.world.next() * Math.PI
             ));
             
             // Random deformation through scaling
             scale.set(
-                size * (0.7 + Math.random() * 0.6),
-                size * (0.7 + Math.random() * 0.6),
-                size * (0.7 + Math.random() * 0.6)
+                size * (0.7 + Random.world.next() * 0.6),
+                size * (0.7 + Random.world.next() * 0.6),
+                size * (0.7 + Random.world.next() * 0.6)
             );
             
             // Set position
@@ -1596,7 +1590,7 @@ export class Decorations {
         instancedMesh.receiveShadow = false;
         
         // Add to scene
-        this.scene.add(instancedMesh);
+        this.addToScene(instancedMesh, CollisionLayer.GROUND);
         this.rocks.push(instancedMesh);
     }
     
@@ -1605,12 +1599,12 @@ export class Decorations {
         const count = 25;
         
         for (let i = 0; i < count; i++) {
-            const angle = Math.random() * Math.PI * 2;
-            const distance = 30 + Math.random() * 70;
+            const angle = Random.world.next() * Math.PI * 2;
+            const distance = 30 + Random.world.next() * 70;
             const x = Math.cos(angle) * distance;
             const z = Math.sin(angle) * distance;
             
-            const size = 0.3 + Math.random() * 1.0;
+            const size = 0.3 + Random.world.next() * 1.0;
             this.createRock(x, 0, z, size);
         }
     }
@@ -1624,9 +1618,9 @@ export class Decorations {
         const vertices = posAttr.array;
         
         for (let i = 0; i < vertices.length; i += 3) {
-            vertices[i] *= (0.7 + Math.random() * 0.6);
-            vertices[i + 1] *= (0.7 + Math.random() * 0.6);
-            vertices[i + 2] *= (0.7 + Math.random() * 0.6);
+            vertices[i] *= (0.7 + Random.world.next() * 0.6);
+            vertices[i + 1] *= (0.7 + Random.world.next() * 0.6);
+            vertices[i + 2] *= (0.7 + Random.world.next() * 0.6);
         }
         
         posAttr.needsUpdate = true;
@@ -1641,7 +1635,7 @@ export class Decorations {
         
         const rock = new THREE.Mesh(rockGeometry, rockMaterial);
         rock.position.set(x, y + size/2, z);
-        rock.rotation.set(Math.random() * Math.PI, Math.random() * Math.PI, Math.random() * Math.PI);
+        rock.rotation.set(Random.world.next() * Math.PI, Random.world.next() * Math.PI, Random.world.next() * Math.PI);
         
         // Optimize shadow settings
         rock.castShadow = true;
@@ -1651,7 +1645,7 @@ export class Decorations {
         rock.userData.isRock = true;
         rock.userData.size = size;
         
-        this.scene.add(rock);
+        this.addToScene(rock, CollisionLayer.GROUND);
         this.rocks.push(rock);
         
         return rock;
@@ -1694,7 +1688,7 @@ export class Decorations {
         let totalFlowers = 0;
         for (let i = 0; i < patchCount; i++) {
             // Create fewer flowers per patch
-            totalFlowers += 3 + Math.floor(Math.random() * 5); // 3-7 flowers per patch instead of 5-15
+            totalFlowers += 3 + Math.floor(Random.world.next() * 5); // 3-7 flowers per patch instead of 5-15
         }
         
         // Cap total flowers at the maximum visible limit
@@ -1706,25 +1700,25 @@ export class Decorations {
         // Create simplified flowers - one mesh per patch but with merged geometry
         for (let i = 0; i < patchCount; i++) {
             // Create patch at random position
-            const angle = Math.random() * Math.PI * 2;
-            const distance = 40 + Math.random() * 60; // Keep away from center
+            const angle = Random.world.next() * Math.PI * 2;
+            const distance = 40 + Random.world.next() * 60; // Keep away from center
             const patchX = Math.cos(angle) * distance;
             const patchZ = Math.sin(angle) * distance;
             
             // Create a single merged geometry for this patch
-            const flowerCount = 3 + Math.floor(Math.random() * 5); // Reduced flower count
+            const flowerCount = 3 + Math.floor(Random.world.next() * 5); // Reduced flower count
             
             // Create a group for this patch
             const patchGroup = new THREE.Group();
             
             for (let j = 0; j < flowerCount; j++) {
-                const offsetX = (Math.random() - 0.5) * 4;
-                const offsetZ = (Math.random() - 0.5) * 4;
+                const offsetX = (Random.world.next() - 0.5) * 4;
+                const offsetZ = (Random.world.next() - 0.5) * 4;
                 const x = patchX + offsetX;
                 const z = patchZ + offsetZ;
                 
                 // Choose random color
-                const colorIndex = Math.floor(Math.random() * flowerColors.length);
+                const colorIndex = Math.floor(Random.world.next() * flowerColors.length);
                 const flowerColor = flowerColors[colorIndex];
                 
                 // Create a simplified flower (just a colored circle on a stem)
@@ -1733,7 +1727,7 @@ export class Decorations {
             }
             
             // Add the patch group to the scene
-            this.scene.add(patchGroup);
+            this.addToScene(patchGroup, CollisionLayer.DECORATION);
             
             // Add to flowers array for updates
             this.flowers.push(patchGroup);
@@ -1745,7 +1739,7 @@ export class Decorations {
         const flowerGroup = new THREE.Group();
         
         // Simplified stem
-        const stemHeight = 0.2 + Math.random() * 0.2;
+        const stemHeight = 0.2 + Random.world.next() * 0.2;
         const stemRadius = 0.02;
         const stemGeometry = new THREE.CylinderGeometry(stemRadius, stemRadius, stemHeight, 4); // Reduced segments
         const stemMaterial = new THREE.MeshBasicMaterial({ color: 0x008000 }); // BasicMaterial for better performance
@@ -1755,7 +1749,7 @@ export class Decorations {
         flowerGroup.add(stem);
         
         // Simplified flower head - just a single circle
-        const flowerSize = 0.1 + Math.random() * 0.05;
+        const flowerSize = 0.1 + Random.world.next() * 0.05;
         const flowerGeometry = new THREE.CircleGeometry(flowerSize, 6); // Reduced segments
         const flowerMaterial = new THREE.MeshBasicMaterial({
             color: color,
@@ -1782,12 +1776,12 @@ export class Decorations {
         const patchCount = 12;
         
         for (let i = 0; i < patchCount; i++) {
-            const angle = Math.random() * Math.PI * 2;
-            const distance = 40 + Math.random() * 60;
+            const angle = Random.world.next() * Math.PI * 2;
+            const distance = 40 + Random.world.next() * 60;
             const x = Math.cos(angle) * distance;
             const z = Math.sin(angle) * distance;
             
-            const flowerCount = 5 + Math.floor(Math.random() * 10);
+            const flowerCount = 5 + Math.floor(Random.world.next() * 10);
             const flowerColors = [
                 0xFF1493, // Deep Pink
                 0xFFFF00, // Yellow
@@ -1797,9 +1791,9 @@ export class Decorations {
             ];
             
             for (let j = 0; j < flowerCount; j++) {
-                const offsetX = (Math.random() - 0.5) * 4;
-                const offsetZ = (Math.random() - 0.5) * 4;
-                const flowerColor = flowerColors[Math.floor(Math.random() * flowerColors.length)];
+                const offsetX = (Random.world.next() - 0.5) * 4;
+                const offsetZ = (Random.world.next() - 0.5) * 4;
+                const flowerColor = flowerColors[Math.floor(Random.world.next() * flowerColors.length)];
                 
                 this.createFlower(x + offsetX, 0, z + offsetZ, flowerColor);
             }
@@ -1809,7 +1803,7 @@ export class Decorations {
     createFlower(x, y, z, color) {
         // Original detailed flower method
         // Stem
-        const stemHeight = 0.2 + Math.random() * 0.3;
+        const stemHeight = 0.2 + Random.world.next() * 0.3;
         const stemRadius = 0.02;
         
         const stemGeometry = new THREE.CylinderGeometry(stemRadius, stemRadius, stemHeight, 4); // Reduced segments
@@ -1821,8 +1815,8 @@ export class Decorations {
         stem.castShadow = false; // Don't cast shadows for better performance
         
         // Flower head
-        const petalCount = 5 + Math.floor(Math.random() * 3);
-        const petalSize = 0.05 + Math.random() * 0.05;
+        const petalCount = 5 + Math.floor(Random.world.next() * 3);
+        const petalSize = 0.05 + Random.world.next() * 0.05;
         const flowerGroup = new THREE.Group();
         
         // Create petals
@@ -1864,7 +1858,7 @@ export class Decorations {
         flowerGroup.add(center);
         flowerGroup.add(stem);
         
-        this.scene.add(flowerGroup);
+        this.addToScene(flowerGroup, CollisionLayer.DECORATION);
         this.flowers.push(flowerGroup);
         
         return flowerGroup;
@@ -1934,7 +1928,7 @@ export class Decorations {
         light.shadow.camera.far = 25; // Reduced distance
         
         // Randomly toggle some lights on/off to simulate time of day
-        light.intensity = Math.random() > 0.5 ? 1 : 0;
+        light.intensity = Random.world.next() > 0.5 ? 1 : 0;
         
         fixtureGroup.add(light);
         
@@ -1945,7 +1939,7 @@ export class Decorations {
         fixtureGroup.userData.isStreetLight = true;
         fixtureGroup.userData.light = light;
         
-        this.scene.add(fixtureGroup);
+        this.addToScene(fixtureGroup, CollisionLayer.WALL);
         this.streetLights.push(fixtureGroup);
         
         return fixtureGroup;
@@ -2071,4 +2065,12 @@ export class Decorations {
             }
         });
     }
+    
+    // Add an object to the scene on a collision layer, so the physics knows whether the
+    // board can ride on it, must stop at it or can pass through it
+    addToScene(object, layer) {
+        setCollisionLayer(object, layer);
+        this.scene.add(object);
+        return object;
+    }
 }
@@ -1,4 +1,8 @@
 import * as THREE from 'three';
+import { Random } from '../../core/Random.js';
+import { CollisionLayer, setCollisionLayer } from '../physics/CollisionLayers.js';
+import { BowlCollider, SlopeCollider, TransitionCollider, setShapeCollider } from '../physics/ShapeColliders.js';
+import { BowlTransition, StraightTransition, addTransition } from '../physics/Transitions.js';
 
 export class Skatepark {
     constructor(scene, textureLoader) {
@@ -27,7 +31,7 @@ export class Skatepark {
         baseGround.position.y = -0.51;
         baseGround.receiveShadow = true;
         baseGround.name = "base_ground";
-        this.scene.add(baseGround);
+        this.addToScene(baseGround, CollisionLayer.GROUND);
         
         // Add normal sheep (not debug sheep with markers)
         console.log("Creating sheep for gameplay");
@@ -48,7 +52,7 @@ export class Skatepark {
         ground.position.y = -0.5; // Slightly higher to avoid z-fighting
         ground.receiveShadow = true;
         ground.name = "textured_ground";
-        this.scene.add(ground);
+        this.addToScene(ground, CollisionLayer.GROUND);
         
         // Skatepark concrete base
         const skateparkGeometry = new THREE.BoxGeometry(skateparkSize, 1, skateparkSize);
@@ -69,7 +73,7 @@ export class Skatepark {
         skatepark.position.y = -0.5;
         skatepark.receiveShadow = true;
         skatepark.name = "skatepark_base";
-        this.scene.add(skatepark);
+        this.addToScene(skatepark, CollisionLayer.GROUND);
         
         // SKATEPARK LAYOUT - Completely reorganized with more skateable features
         // Main central elements
@@ -153,7 +157,8 @@ export class Skatepark {
         
         ramp.castShadow = true;
         ramp.receiveShadow = true;
-        this.scene.add(ramp);
+        setShapeCollider(ramp, new SlopeCollider(rampWidth, rampHeight, rampLength));
+        this.addToScene(ramp, CollisionLayer.GROUND);
         
         // Add grind edges to the ramp
         const edgeGeometry = new THREE.CylinderGeometry(0.1, 0.1, rampWidth + 0.5);
@@ -164,7 +169,7 @@ export class Skatepark {
         topEdge.position.set(x, y + rampHeight - 0.1, z - rampLength/2);
         topEdge.castShadow = true;
         topEdge.name = "rail_edge";
-        this.scene.add(topEdge);
+        this.addToScene(topEdge, CollisionLayer.RAIL);
     }
     
     createRail(x, y, z, length = 10, mirrored = false) {
@@ -182,7 +187,7 @@ export class Skatepark {
         }
         rail.castShadow = true;
         rail.name = "rail";
-        this.scene.add(rail);
+        this.addToScene(rail, CollisionLayer.RAIL);
         
         // Add supports
         const supportGeometry = new THREE.CylinderGeometry(0.05, 0.05, 1);
@@ -197,7 +202,7 @@ export class Skatepark {
             support.position.set(supportX, y + 0.5, supportZ);
             support.castShadow = true;
             support.name = `rail_support_${index}`;
-            this.scene.add(support);
+            this.addToScene(support, CollisionLayer.RAIL);
         });
     }
     
@@ -206,33 +211,28 @@ export class Skatepark {
         const height = 4;
         const length = 20;
         const segments = 12;
+        const flat = width/2 - height; // Half the flat bottom between the walls
         
-        // Create half-pipe shape with curved sides
+        // Cross-section of the half pipe: flat bottom and two quarter-circle walls, with their
+        // backs dropping straight down from the lips. It goes a little below ground so the flat
+        // bottom has some thickness
         const shape = new THREE.Shape();
-        shape.moveTo(-width/2, 0);
-        shape.lineTo(-width/2, 0.2);
+        shape.moveTo(-width/2, -0.2);
+        shape.lineTo(-width/2, height);
         
-        // Left curved wall
-        for (let i = 0; i <= segments; i++) {
+        // Left wall, down from the lip
+        for (let i = segments; i >= 0; i--) {
             const angle = (Math.PI/2) * (i/segments);
-            const px = -width/2 + height * (1 - Math.cos(angle));
-            const py = height * Math.sin(angle);
-            shape.lineTo(px, py);
+            shape.lineTo(-flat - height * Math.sin(angle), height * (1 - Math.cos(angle)));
         }
         
-        // Flat middle
-        shape.lineTo(width/2, height);
-        
-        // Right curved wall
-        for (let i = segments; i >= 0; i--) {
+        // Right wall, up to the lip
+        for (let i = 0; i <= segments; i++) {
             const angle = (Math.PI/2) * (i/segments);
-            const px = width/2 - height * (1 - Math.cos(angle));
-            const py = height * Math.sin(angle);
-            shape.lineTo(px, py);
+            shape.lineTo(flat + height * Math.sin(angle), height * (1 - Math.cos(angle)));
         }
         
-        shape.lineTo(width/2, 0);
-        shape.lineTo(width/2, 0);
+        shape.lineTo(width/2, -0.2);
         
         const extrudeSettings = {
             steps: 1,
@@ -241,7 +241,12 @@ export class Skatepark {
         };
         
         const halfPipeGeometry = new THREE.ExtrudeGeometry(shape, extrudeSettings);
-        halfPipeGeometry.center();
+        
+        // Both walls run the length of the half pipe, facing each other across the flat bottom
+        const rightWall = new StraightTransition(height, length, new THREE.Matrix4().makeTranslation(flat, 0, 0));
+        const leftWall = new StraightTransition(height, length, new THREE.Matrix4()
+            .makeTranslation(-flat, 0, length)
+            .multiply(new THREE.Matrix4().makeRotationY(Math.PI)));
         
         // Load a texture for the half pipe
         this.textureLoader.load('https://threejs.org/examples/textures/hardwood2_diffuse.jpg')
@@ -256,12 +261,13 @@ export class Skatepark {
                 });
                 
                 const halfPipe = new THREE.Mesh(halfPipeGeometry, halfPipeMaterial);
-                halfPipe.position.set(x, y, z);
-                halfPipe.rotation.x = Math.PI/2;
+                halfPipe.position.set(x, y, z - length/2);
                 halfPipe.castShadow = true;
                 halfPipe.receiveShadow = true;
+                addTransition(halfPipe, rightWall);
+                addTransition(halfPipe, leftWall);
                 
-                this.scene.add(halfPipe);
+                this.addToScene(halfPipe, CollisionLayer.GROUND);
             })
             .catch(() => {
                 const halfPipeMaterial = new THREE.MeshStandardMaterial({ 
@@ -270,12 +276,13 @@ export class Skatepark {
                 });
                 
                 const halfPipe = new THREE.Mesh(halfPipeGeometry, halfPipeMaterial);
-                halfPipe.position.set(x, y, z);
-                halfPipe.rotation.x = Math.PI/2;
+                halfPipe.position.set(x, y, z - length/2);
                 halfPipe.castShadow = true;
                 halfPipe.receiveShadow = true;
+                addTransition(halfPipe, rightWall);
+                addTransition(halfPipe, leftWall);
                 
-                this.scene.add(halfPipe);
+                this.addToScene(halfPipe, CollisionLayer.GROUND);
             });
         
         // Add coping at the top edges
@@ -291,14 +298,14 @@ export class Skatepark {
         leftCoping.rotation.x = Math.PI/2;
         leftCoping.castShadow = true;
         leftCoping.name = "rail_coping_left";
-        this.scene.add(leftCoping);
+        this.addToScene(leftCoping, CollisionLayer.RAIL);
         
         const rightCoping = new THREE.Mesh(copingGeometry, copingMaterial);
         rightCoping.position.set(x + width/2, y + height, z);
         rightCoping.rotation.x = Math.PI/2;
         rightCoping.castShadow = true;
         rightCoping.name = "rail_coping_right";
-        this.scene.add(rightCoping);
+        this.addToScene(rightCoping, CollisionLayer.RAIL);
     }
     
     createFunBox(x, y, z) {
@@ -313,7 +320,7 @@ export class Skatepark {
         box.position.set(x, y + boxHeight/2, z);
         box.castShadow = true;
         box.receiveShadow = true;
-        this.scene.add(box);
+        this.addToScene(box, CollisionLayer.GROUND);
         
         // Angled ramps on each side
         const rampGeometry = new THREE.BoxGeometry(boxWidth, boxHeight, boxHeight * 2);
@@ -324,14 +331,14 @@ export class Skatepark {
         frontRamp.rotation.x = -Math.PI/6;
         frontRamp.castShadow = true;
         frontRamp.receiveShadow = true;
-        this.scene.add(frontRamp);
+        this.addToScene(frontRamp, CollisionLayer.GROUND);
         
         const backRamp = new THREE.Mesh(rampGeometry, rampMaterial);
         backRamp.position.set(x, y + boxHeight/2, z + boxLength/2 + boxHeight);
         backRamp.rotation.x = Math.PI/6;
         backRamp.castShadow = true;
         backRamp.receiveShadow = true;
-        this.scene.add(backRamp);
+        this.addToScene(backRamp, CollisionLayer.GROUND);
         
         // Rails on top
         this.createRail(x - 1.5, y + boxHeight - 0.5, z, boxLength - 1);
@@ -358,7 +365,7 @@ export class Skatepark {
             
             step.castShadow = true;
             step.receiveShadow = true;
-            this.scene.add(step);
+            this.addToScene(step, CollisionLayer.GROUND);
         }
         
         // Handrails on the sides
@@ -382,7 +389,7 @@ export class Skatepark {
         leftRail.rotation.x = Math.PI/2 - railAngle;
         leftRail.castShadow = true;
         leftRail.name = "rail_stair_left";
-        this.scene.add(leftRail);
+        this.addToScene(leftRail, CollisionLayer.RAIL);
         
         const rightRail = new THREE.Mesh(rightRailGeometry, railMaterial);
         rightRail.position.set(
@@ -393,27 +400,26 @@ export class Skatepark {
         rightRail.rotation.x = Math.PI/2 - railAngle;
         rightRail.castShadow = true;
         rightRail.name = "rail_stair_right";
-        this.scene.add(rightRail);
+        this.addToScene(rightRail, CollisionLayer.RAIL);
     }
     
+    // A quarter pipe running along x from z to z - height, where its back drops straight down
+    // from the lip. It is ridden from the +z side
     createQuarterPipe(x, y, z, width = 10, height = 3) {
-        const depth = height * 2; // Make depth proportional to height
         const segments = 8;
         
-        // Create quarter-pipe shape
+        // Create quarter-pipe shape: the curve rises toward +x, up to the lip above the back
         const shape = new THREE.Shape();
-        shape.moveTo(0, 0);
+        shape.moveTo(0, -0.2);
+        shape.lineTo(0, 0);
         
         // Curved section
-        for (let i = 0; i <= segments; i++) {
+        for (let i = 1; i <= segments; i++) {
             const angle = (Math.PI/2) * (i/segments);
-            const px = height * (1 - Math.cos(angle));
-            const py = height * Math.sin(angle);
-            shape.lineTo(px, py);
+            shape.lineTo(height * Math.sin(angle), height * (1 - Math.cos(angle)));
         }
         
-        shape.lineTo(height, 0);
-        shape.lineTo(0, 0);
+        shape.lineTo(height, -0.2);
         
         const extrudeSettings = {
             steps: 1,
@@ -422,6 +428,10 @@ export class Skatepark {
         };
         
         const pipeGeometry = new THREE.ExtrudeGeometry(shape, extrudeSettings);
+        const transition = new StraightTransition(height, width);
+        
+        // The curve is a quarter circle rising from the ground, extruded along z
+        const pipeCollider = new TransitionCollider(height, width);
         
         // Load texture for the quarter pipe
         this.textureLoader.load('https://threejs.org/examples/textures/hardwood2_diffuse.jpg')
@@ -441,7 +451,9 @@ export class Skatepark {
                 pipe.castShadow = true;
                 pipe.receiveShadow = true;
                 pipe.name = "quarter_pipe";
-                this.scene.add(pipe);
+                setShapeCollider(pipe, pipeCollider);
+                addTransition(pipe, transition);
+                this.addToScene(pipe, CollisionLayer.GROUND);
             })
             .catch(() => {
                 const pipeMaterial = new THREE.MeshStandardMaterial({ 
@@ -455,10 +467,12 @@ export class Skatepark {
                 pipe.castShadow = true;
                 pipe.receiveShadow = true;
                 pipe.name = "quarter_pipe";
-                this.scene.add(pipe);
+                setShapeCollider(pipe, pipeCollider);
+                addTransition(pipe, transition);
+                this.addToScene(pipe, CollisionLayer.GROUND);
             });
         
-        // Add coping at the top edge
+        // Add coping along the lip
         const copingGeometry = new THREE.CylinderGeometry(0.15, 0.15, width);
         const copingMaterial = new THREE.MeshStandardMaterial({ 
             color: 0xa0a0a0, 
@@ -466,74 +480,60 @@ export class Skatepark {
         });
         
         const coping = new THREE.Mesh(copingGeometry, copingMaterial);
-        // Adjust coping position based on potentially changed height
         coping.position.set(x, y + height, z - height);
-        coping.rotation.x = Math.PI/2;
+        coping.rotation.z = Math.PI/2;
         coping.castShadow = true;
         coping.name = "rail_coping_quarter";
-        this.scene.add(coping);
+        this.addToScene(coping, CollisionLayer.RAIL);
     }
     
+    // A round bowl standing on the ground: a flat floor, a transition up to the coping all the way
+    // round, a narrow deck and a bank down the outside to roll up and drop in from
     createBowl(x, y, z, radius = 6, depth = 2) {
-        const segments = 32;
-        const innerRadius = radius - 0.2;
-        
-        // Create bowl shape
-        const shape = new THREE.Shape();
-        shape.moveTo(radius, 0);
-        
-        // Outer circle
-        for (let i = 0; i <= segments; i++) {
-            const angle = 2 * Math.PI * i / segments;
-            shape.lineTo(
-                radius * Math.cos(angle),
-                radius * Math.sin(angle)
-            );
-        }
-        
-        // Inner circle (hole)
-        const hole = new THREE.Path();
-        for (let i = segments; i >= 0; i--) {
-            const angle = 2 * Math.PI * i / segments;
-            hole.lineTo(
-                innerRadius * Math.cos(angle),
-                innerRadius * Math.sin(angle)
-            );
+        const segments = 48;
+        const curveSegments = 8;
+        const floorRadius = radius - depth;
+        const deckWidth = 1;
+        const bankLength = depth * 1.5;
+        
+        // Profiles from the middle of the floor up to the coping, and from the coping out to the
+        // foot of the bank, spun around y. The lathe faces them the right way up when they run
+        // outside in, so they are reversed below
+        const wallProfile = [new THREE.Vector2(0, 0)];
+        for (let i = 0; i <= curveSegments; i++) {
+            const angle = (Math.PI/2) * (i/curveSegments);
+            wallProfile.push(new THREE.Vector2(
+                floorRadius + depth * Math.sin(angle),
+                depth * (1 - Math.cos(angle))
+            ));
         }
-        shape.holes.push(hole);
-        
-        // Floor of the bowl
-        const floorGeometry = new THREE.CircleGeometry(innerRadius, segments);
-        const floorMaterial = new THREE.MeshStandardMaterial({ 
-            color: 0x999999,
-            side: THREE.DoubleSide
-        });
-        const floor = new THREE.Mesh(floorGeometry, floorMaterial);
-        floor.position.set(x, y - depth, z);
-        floor.rotation.x = -Math.PI/2;
-        floor.receiveShadow = true;
-        this.scene.add(floor);
-        
-        // Walls of the bowl
-        const extrudeSettings = {
-            steps: 1,
-            depth: depth,
-            bevelEnabled: false
-        };
+        const deckProfile = [
+            new THREE.Vector2(radius, depth),
+            new THREE.Vector2(radius + deckWidth, depth),
+            new THREE.Vector2(radius + deckWidth + bankLength, 0)
+        ];
         
-        const wallGeometry = new THREE.ExtrudeGeometry(shape, extrudeSettings);
-        const wallMaterial = new THREE.MeshStandardMaterial({ 
+        const bowlMaterial = new THREE.MeshStandardMaterial({ 
             color: 0x888888,
             side: THREE.DoubleSide
         });
         
-        const wall = new THREE.Mesh(wallGeometry, wallMaterial);
-        wall.position.set(x, y, z);
-        wall.rotation.x = Math.PI/2;
-        wall.castShadow = true;
-        wall.receiveShadow = true;
-        
-        this.scene.add(wall);
+        // The curved wall is collided with as an exact shape, the deck and bank as triangles
+        const bowl = new THREE.Mesh(new THREE.LatheGeometry(wallProfile.reverse(), segments), bowlMaterial);
+        bowl.position.set(x, y, z);
+        bowl.castShadow = true;
+        bowl.receiveShadow = true;
+        bowl.name = "bowl";
+        setShapeCollider(bowl, new BowlCollider(floorRadius, depth));
+        addTransition(bowl, new BowlTransition(floorRadius, depth));
+        this.addToScene(bowl, CollisionLayer.GROUND);
+        
+        const deck = new THREE.Mesh(new THREE.LatheGeometry(deckProfile.reverse(), segments), bowlMaterial);
+        deck.position.set(x, y, z);
+        deck.castShadow = true;
+        deck.receiveShadow = true;
+        deck.name = "bowl_deck";
+        this.addToScene(deck, CollisionLayer.GROUND);
         
         // Add coping around the edge
         const copingGeometry = new THREE.TorusGeometry(radius, 0.15, 16, 48);
@@ -543,11 +543,11 @@ export class Skatepark {
         });
         
         const coping = new THREE.Mesh(copingGeometry, copingMaterial);
-        coping.position.set(x, y, z);
+        coping.position.set(x, y + depth, z);
         coping.rotation.x = Math.PI/2;
         coping.castShadow = true;
         coping.name = "rail_coping_bowl";
-        this.scene.add(coping);
+        this.addToScene(coping, CollisionLayer.RAIL);
     }
     
     addSkateparkDecorations() {
@@ -603,7 +603,7 @@ export class Skatepark {
         ledge.receiveShadow = true;
         ledge.name = `ledge_${x}_${z}`;
         
-        this.scene.add(ledge);
+        this.addToScene(ledge, CollisionLayer.GROUND);
         return ledge;
     }
     
@@ -630,7 +630,7 @@ export class Skatepark {
         const post = new THREE.Mesh(postGeometry, postMaterial);
         post.position.set(80, 2.5, 80);
         post.castShadow = true;
-        this.scene.add(post);
+        this.addToScene(post, CollisionLayer.WALL);
         
         // Create sign panel
         const signGeometry = new THREE.BoxGeometry(signWidth, signHeight, 0.2);
@@ -656,7 +656,7 @@ export class Skatepark {
         wall.rotation.y = Math.PI / 4;
         wall.castShadow = true;
         wall.receiveShadow = true;
-        this.scene.add(wall);
+        this.addToScene(wall, CollisionLayer.WALL);
         
         // Add some colored shapes for 'graffiti'
         const addGraffitiShape = (width, height, x, y, color) => {
@@ -715,7 +715,7 @@ export class Skatepark {
         bottomRail.position.set(0, 0.5, 0);
         barrierGroup.add(bottomRail);
         
-        this.scene.add(barrierGroup);
+        this.addToScene(barrierGroup, CollisionLayer.WALL);
     }
     
     addWaterFountain() {
@@ -724,7 +724,7 @@ export class Skatepark {
         const baseMaterial = new THREE.MeshStandardMaterial({ color: 0x888888 });
         const base = new THREE.Mesh(baseGeometry, baseMaterial);
         base.position.set(90, 0.4, 90);
-        this.scene.add(base);
+        this.addToScene(base, CollisionLayer.WALL);
         
         const topGeometry = new THREE.CylinderGeometry(0.4, 0.5, 0.3, 8);
         const topMaterial = new THREE.MeshStandardMaterial({ color: 0x777777 });
@@ -785,7 +785,7 @@ export class Skatepark {
         const border = new THREE.Mesh(borderGeometry, borderMaterial);
         border.rotation.x = -Math.PI / 2; // Lay flat
         border.position.set(position.x, position.y - 0.001, position.z); // Slightly below court surface
-        this.scene.add(border);
+        this.addToScene(border, CollisionLayer.GROUND);
         return border;
     }
     
@@ -794,9 +794,7 @@ export class Skatepark {
         const courtGeometry = new THREE.PlaneGeometry(width, length);
         
         // Create asphalt texture procedurally
-        const canvas = document.createElement('canvas');
-        canvas.width = 512;
-        canvas.height = 512;
+        const canvas = this.textureLoader.createCanvas(512, 512);
         const context = canvas.getContext('2d');
         
         // Base color - dark gray asphalt with a hint of blue (typical court color)
@@ -805,12 +803,12 @@ export class Skatepark {
         
         // Add asphalt texture details
         for (let i = 0; i < 5000; i++) {
-            const x = Math.random() * canvas.width;
-            const y = Math.random() * canvas.height;
-            const size = Math.random() * 2;
+            const x = Random.cosmetic.next() * canvas.width;
+            const y = Random.cosmetic.next() * canvas.height;
+            const size = Random.cosmetic.next() * 2;
             
             // Slightly lighter gray specs
-            const gray = 60 + Math.floor(Math.random() * 20);
+            const gray = 60 + Math.floor(Random.cosmetic.next() * 20);
             context.fillStyle = `rgb(${gray}, ${gray + 5}, ${gray + 8})`;
             
             context.beginPath();
@@ -836,7 +834,7 @@ export class Skatepark {
         court.position.copy(position);
         court.receiveShadow = true;
         
-        this.scene.add(court);
+        this.addToScene(court, CollisionLayer.GROUND);
         return court;
     }
     
@@ -859,7 +857,7 @@ export class Skatepark {
             line.rotation.x = -Math.PI / 2; // Lay flat
             line.rotation.z = Math.atan2(z2 - z1, x2 - x1);
             
-            this.scene.add(line);
+            this.addToScene(line, CollisionLayer.DECORATION);
         };
         
         // Calculate court boundaries
@@ -898,7 +896,7 @@ export class Skatepark {
         arcGeometry.setFromPoints(arcPoints);
         const arcMaterial = new THREE.LineBasicMaterial({ color: 0xFFFFFF });
         const arc = new THREE.Line(arcGeometry, arcMaterial);
-        this.scene.add(arc);
+        this.addToScene(arc, CollisionLayer.DECORATION);
         
         // Center circle - use a ring geometry instead of circle
         const centerRadius = width * 0.1;
@@ -907,7 +905,7 @@ export class Skatepark {
         const centerCircle = new THREE.Mesh(ringGeometry, centerMaterial);
         centerCircle.rotation.x = -Math.PI / 2; // Lay flat
         centerCircle.position.set(position.x, position.y + 0.01, position.z);
-        this.scene.add(centerCircle);
+        this.addToScene(centerCircle, CollisionLayer.DECORATION);
     }
     
     addBasketballHoop(position, width, length) {
@@ -930,7 +928,7 @@ export class Skatepark {
         
         const backboard = new THREE.Mesh(backboardGeometry, backboardMaterial);
         backboard.position.set(hoopPosition.x, hoopPosition.y + 3.05, hoopPosition.z);
-        this.scene.add(backboard);
+        this.addToScene(backboard, CollisionLayer.DECORATION);
         
         // Add target square on backboard
         const targetGeometry = new THREE.PlaneGeometry(backboardWidth * 0.4, backboardWidth * 0.3);
@@ -948,14 +946,14 @@ export class Skatepark {
         const rim = new THREE.Mesh(rimGeometry, rimMaterial);
         rim.position.set(hoopPosition.x, hoopPosition.y + 3.05 - backboardHeight * 0.2, hoopPosition.z + rimRadius + 0.1);
         rim.rotation.x = Math.PI / 2; // Orient horizontally
-        this.scene.add(rim);
+        this.addToScene(rim, CollisionLayer.DECORATION);
         
         // Create pole
         const poleGeometry = new THREE.CylinderGeometry(0.1, 0.1, 3.05, 8);
         const poleMaterial = new THREE.MeshStandardMaterial({ color: 0x333333 });
         const pole = new THREE.Mesh(poleGeometry, poleMaterial);
         pole.position.set(hoopPosition.x, hoopPosition.y + 3.05/2, hoopPosition.z);
-        this.scene.add(pole);
+        this.addToScene(pole, CollisionLayer.WALL);
         
         // Create support structure
         const supportWidth = backboardWidth * 0.8;
@@ -963,7 +961,7 @@ export class Skatepark {
         const supportMaterial = new THREE.MeshStandardMaterial({ color: 0x333333 });
         const support = new THREE.Mesh(supportGeometry, supportMaterial);
         support.position.set(hoopPosition.x, hoopPosition.y + 3.05, hoopPosition.z + 0.6);
-        this.scene.add(support);
+        this.addToScene(support, CollisionLayer.WALL);
     }
     
     addBenches() {
@@ -977,7 +975,7 @@ export class Skatepark {
             seat.position.set(x, y + 0.5, z);
             seat.rotation.y = rotation;
             seat.castShadow = true;
-            this.scene.add(seat);
+            this.addToScene(seat, CollisionLayer.WALL);
             
             // Legs
             const legOffsets = [
@@ -993,7 +991,7 @@ export class Skatepark {
                 
                 leg.position.set(x + rotatedX, y + 0.1, z + rotatedZ);
                 leg.castShadow = true;
-                this.scene.add(leg);
+                this.addToScene(leg, CollisionLayer.WALL);
             });
         };
         
@@ -1016,7 +1014,7 @@ export class Skatepark {
             const can = new THREE.Mesh(canGeometry, canMaterial);
             can.position.set(x, 0.5, z);
             can.castShadow = true;
-            this.scene.add(can);
+            this.addToScene(can, CollisionLayer.WALL);
         };
         
         // Place trash cans around the expanded park
@@ -1044,7 +1042,8 @@ export class Skatepark {
         kicker.castShadow = true;
         kicker.receiveShadow = true;
         kicker.name = "kicker";
-        this.scene.add(kicker);
+        setShapeCollider(kicker, new SlopeCollider(width, height, length));
+        this.addToScene(kicker, CollisionLayer.GROUND);
     }
 
     createManualPad(x, y, z, length = 10, width = 3, height = 0.5) {
@@ -1056,7 +1055,7 @@ export class Skatepark {
         pad.castShadow = true;
         pad.receiveShadow = true;
         pad.name = "manual_pad";
-        this.scene.add(pad);
+        this.addToScene(pad, CollisionLayer.GROUND);
     }
 
     createBank(x, y, z, width = 10, height = 2, length = 8, mirrored = false) {
@@ -1070,7 +1069,8 @@ export class Skatepark {
         bank.castShadow = true;
         bank.receiveShadow = true;
         bank.name = "bank";
-        this.scene.add(bank);
+        setShapeCollider(bank, new SlopeCollider(width, height, length));
+        this.addToScene(bank, CollisionLayer.GROUND);
     }
 
     createHouse(x, y, z) {
@@ -1083,7 +1083,7 @@ export class Skatepark {
         const houseGroup = new THREE.Group();
         houseGroup.position.set(x, y, z);
         houseGroup.name = "house";
-        this.scene.add(houseGroup);
+        this.addToScene(houseGroup, CollisionLayer.WALL);
         
         // Create materials
         const wallMaterial = new THREE.MeshStandardMaterial({ color: 0xd2b48c }); // Tan color
@@ -1152,7 +1152,9 @@ export class Skatepark {
         houseGroup.add(door);
     }
     
-    createWallCollider(x, y, z, width, height, depth, name) {
+    // Invisible box the board collides with. Colliders of rideable obstacles pass
+    // CollisionLayer.GROUND so the board can land on them instead of being stopped
+    createWallCollider(x, y, z, width, height, depth, name, layer = CollisionLayer.WALL) {
         const wallGeometry = new THREE.BoxGeometry(width, height, depth);
         const wallMaterial = new THREE.MeshStandardMaterial({ 
             color: 0xff0000,
@@ -1164,7 +1166,7 @@ export class Skatepark {
         wall.position.set(x, y, z);
         wall.name = name;
         wall.userData.isCollider = true; // Explicit collision flag
-        this.scene.add(wall);
+        this.addToScene(wall, layer);
         return wall; // Return the wall for potential further use
     }
 
@@ -1187,7 +1189,7 @@ export class Skatepark {
         cone.castShadow = true;
         cone.receiveShadow = true;
         cone.name = 'traffic_cone';
-        this.scene.add(cone);
+        this.addToScene(cone, CollisionLayer.WALL);
         // Add invisible collider around the traffic cone for collision detection
         this.createWallCollider(x, y + height / 2, z, radius * 2, height, radius * 2, 'traffic_cone_collider');
     }
@@ -1209,7 +1211,7 @@ export class Skatepark {
         barrel.castShadow = true;
         barrel.receiveShadow = true;
         barrel.name = 'barrel';
-        this.scene.add(barrel);
+        this.addToScene(barrel, CollisionLayer.WALL);
         // Add invisible collider around the barrel for collision detection
         this.createWallCollider(x, y + height / 2, z, radiusTop * 2, height, radiusTop * 2, 'barrel_collider');
     }
@@ -1241,7 +1243,7 @@ export class Skatepark {
             ramp.castShadow = true;
             ramp.receiveShadow = true;
             ramp.name = "ramp_series_" + i;
-            this.scene.add(ramp);
+            this.addToScene(ramp, CollisionLayer.GROUND);
             
             // Add grind edge to the top
             const edgeGeometry = new THREE.CylinderGeometry(0.1, 0.1, rampWidth + 0.5);
@@ -1252,7 +1254,7 @@ export class Skatepark {
             topEdge.position.set(x, y + rampHeight - 0.1, posZ - rampLength/2);
             topEdge.castShadow = true;
             topEdge.name = "rail_edge_series_" + i;
-            this.scene.add(topEdge);
+            this.addToScene(topEdge, CollisionLayer.RAIL);
         }
     }
     
@@ -1272,7 +1274,7 @@ export class Skatepark {
         base.castShadow = true;
         base.receiveShadow = true;
         base.name = "merry_go_round_base";
-        this.scene.add(base);
+        this.addToScene(base, CollisionLayer.GROUND);
         
         // Create rails/barriers on the platform
         const barCount = 6;
@@ -1295,11 +1297,11 @@ export class Skatepark {
             rail.rotation.z = angle + Math.PI/2;
             rail.castShadow = true;
             rail.name = "merry_go_round_rail_" + i;
-            this.scene.add(rail);
+            this.addToScene(rail, CollisionLayer.RAIL);
         }
         
         // Add collision detection for the base
-        this.createWallCollider(centerX, height/2, centerZ, radius * 2, height, radius * 2, "merry_go_round_collider");
+        this.createWallCollider(centerX, height/2, centerZ, radius * 2, height, radius * 2, "merry_go_round_collider", CollisionLayer.GROUND);
     }
     
     addSeeSaw() {
@@ -1321,7 +1323,7 @@ export class Skatepark {
         pivotBase.castShadow = true;
         pivotBase.receiveShadow = true;
         pivotBase.name = "see_saw_pivot";
-        this.scene.add(pivotBase);
+        this.addToScene(pivotBase, CollisionLayer.WALL);
         
         // Create the see-saw plank
         const plankGeometry = new THREE.BoxGeometry(width, height, length);
@@ -1334,13 +1336,13 @@ export class Skatepark {
         plank.castShadow = true;
         plank.receiveShadow = true;
         plank.name = "see_saw_plank";
-        this.scene.add(plank);
+        this.addToScene(plank, CollisionLayer.GROUND);
         
         // Add collision detection for the plank
-        this.createWallCollider(centerX, pivotHeight + height/2, centerZ, width, height, length, "see_saw_collider");
+        this.createWallCollider(centerX, pivotHeight + height/2, centerZ, width, height, length, "see_saw_collider", CollisionLayer.GROUND);
         
         // Add collision for the pivot
-        this.createWallCollider(centerX, pivotHeight/2, centerZ, width, pivotHeight, width, "see_saw_pivot_collider");
+        this.createWallCollider(centerX, pivotHeight/2, centerZ, width, pivotHeight, width, "see_saw_pivot_collider", CollisionLayer.GROUND);
     }
     
     addGrindBox() {
@@ -1362,7 +1364,7 @@ export class Skatepark {
         box.castShadow = true;
         box.receiveShadow = true;
         box.name = "grind_box";
-        this.scene.add(box);
+        this.addToScene(box, CollisionLayer.GROUND);
         
         // Add rails on top in different configurations
         
@@ -1379,7 +1381,7 @@ export class Skatepark {
         centerRail.rotation.x = Math.PI/2;
         centerRail.castShadow = true;
         centerRail.name = "grind_box_center_rail";
-        this.scene.add(centerRail);
+        this.addToScene(centerRail, CollisionLayer.RAIL);
         
         // Angled rails on the sides
         const leftRailGeometry = new THREE.CylinderGeometry(0.1, 0.1, boxLength - 2);
@@ -1389,7 +1391,7 @@ export class Skatepark {
         leftRail.rotation.z = Math.PI/12; // Slight angle
         leftRail.castShadow = true;
         leftRail.name = "grind_box_left_rail";
-        this.scene.add(leftRail);
+        this.addToScene(leftRail, CollisionLayer.RAIL);
         
         const rightRailGeometry = new THREE.CylinderGeometry(0.1, 0.1, boxLength - 2);
         const rightRail = new THREE.Mesh(rightRailGeometry, railMaterial);
@@ -1398,10 +1400,10 @@ export class Skatepark {
         rightRail.rotation.z = -Math.PI/12; // Opposite angle
         rightRail.castShadow = true;
         rightRail.name = "grind_box_right_rail";
-        this.scene.add(rightRail);
+        this.addToScene(rightRail, CollisionLayer.RAIL);
         
         // Add collision detection for the box
-        this.createWallCollider(x, y + boxHeight/2, z, boxWidth, boxHeight, boxLength, "grind_box_collider");
+        this.createWallCollider(x, y + boxHeight/2, z, boxWidth, boxHeight, boxLength, "grind_box_collider", CollisionLayer.GROUND);
     }
     
     addHalfPyramid() {
@@ -1427,10 +1429,10 @@ export class Skatepark {
             level.castShadow = true;
             level.receiveShadow = true;
             level.name = "pyramid_level_" + i;
-            this.scene.add(level);
+            this.addToScene(level, CollisionLayer.GROUND);
             
             // Add collision for each level
-            this.createWallCollider(x, levelY + stepHeight/2, z, levelWidth, stepHeight, levelLength, "pyramid_level_" + i + "_collider");
+            this.createWallCollider(x, levelY + stepHeight/2, z, levelWidth, stepHeight, levelLength, "pyramid_level_" + i + "_collider", CollisionLayer.GROUND);
             
             // Add rails on the edges of each level (except the top)
             if (i < levels - 1) {
@@ -1448,7 +1450,7 @@ export class Skatepark {
                 frontRail.position.set(x, levelY + stepHeight, z + levelLength/2 - 0.1);
                 frontRail.castShadow = true;
                 frontRail.name = "pyramid_rail_front_" + i;
-                this.scene.add(frontRail);
+                this.addToScene(frontRail, CollisionLayer.RAIL);
                 
                 // Back rail
                 const backRail = new THREE.Mesh(railGeometry, railMaterial);
@@ -1456,7 +1458,7 @@ export class Skatepark {
                 backRail.position.set(x, levelY + stepHeight, z - levelLength/2 + 0.1);
                 backRail.castShadow = true;
                 backRail.name = "pyramid_rail_back_" + i;
-                this.scene.add(backRail);
+                this.addToScene(backRail, CollisionLayer.RAIL);
                 
                 // Side rails (rotated 90 degrees)
                 const sideRailGeometry = new THREE.CylinderGeometry(0.1, 0.1, levelLength - 1);
@@ -1467,7 +1469,7 @@ export class Skatepark {
                 leftRail.position.set(x - levelWidth/2 + 0.1, levelY + stepHeight, z);
                 leftRail.castShadow = true;
                 leftRail.name = "pyramid_rail_left_" + i;
-                this.scene.add(leftRail);
+                this.addToScene(leftRail, CollisionLayer.RAIL);
                 
                 // Right rail
                 const rightRail = new THREE.Mesh(sideRailGeometry, railMaterial);
@@ -1475,7 +1477,7 @@ export class Skatepark {
                 rightRail.position.set(x + levelWidth/2 - 0.1, levelY + stepHeight, z);
                 rightRail.castShadow = true;
                 rightRail.name = "pyramid_rail_right_" + i;
-                this.scene.add(rightRail);
+                this.addToScene(rightRail, CollisionLayer.RAIL);
             }
         }
     }
@@ -1504,10 +1506,10 @@ export class Skatepark {
             block.castShadow = true;
             block.receiveShadow = true;
             block.name = "obstacle_course_block_" + i;
-            this.scene.add(block);
+            this.addToScene(block, CollisionLayer.GROUND);
             
             // Add collision
-            this.createWallCollider(blockX, blockHeight/2, blockZ, blockWidth, blockHeight, blockLength, "obstacle_course_block_" + i + "_collider");
+            this.createWallCollider(blockX, blockHeight/2, blockZ, blockWidth, blockHeight, blockLength, "obstacle_course_block_" + i + "_collider", CollisionLayer.GROUND);
             
             // Add different obstacles on each block
             switch (i % 5) {
@@ -1527,10 +1529,10 @@ export class Skatepark {
                     doubleBlock.castShadow = true;
                     doubleBlock.receiveShadow = true;
                     doubleBlock.name = "obstacle_course_double_" + i;
-                    this.scene.add(doubleBlock);
+                    this.addToScene(doubleBlock, CollisionLayer.GROUND);
                     
                     // Add collision
-                    this.createWallCollider(blockX, blockHeight * 1.5, blockZ, blockWidth * 0.6, blockHeight, blockLength, "obstacle_course_double_" + i + "_collider");
+                    this.createWallCollider(blockX, blockHeight * 1.5, blockZ, blockWidth * 0.6, blockHeight, blockLength, "obstacle_course_double_" + i + "_collider", CollisionLayer.GROUND);
                     
                     // Add rail on top
                     this.createRail(blockX, blockHeight * 2, blockZ, blockLength * 0.6);
@@ -1558,10 +1560,10 @@ export class Skatepark {
         ramp.castShadow = true;
         ramp.receiveShadow = true;
         ramp.name = "small_ramp";
-        this.scene.add(ramp);
+        this.addToScene(ramp, CollisionLayer.GROUND);
         
         // Add invisible collider that follows the ramp shape
-        this.createWallCollider(x, y + height/2, z, width, height, length, "small_ramp_collider");
+        this.createWallCollider(x, y + height/2, z, width, height, length, "small_ramp_collider", CollisionLayer.GROUND);
     }
     
     createFunBoxMini(x, y, z, width, height, length) {
@@ -1573,10 +1575,10 @@ export class Skatepark {
         box.castShadow = true;
         box.receiveShadow = true;
         box.name = "funbox_mini";
-        this.scene.add(box);
+        this.addToScene(box, CollisionLayer.GROUND);
         
         // Add collision
-        this.createWallCollider(x, y + height/2, z, width, height, length, "funbox_mini_collider");
+        this.createWallCollider(x, y + height/2, z, width, height, length, "funbox_mini_collider", CollisionLayer.GROUND);
         
         // Add a rail on top
         const railGeometry = new THREE.CylinderGeometry(0.1, 0.1, length * 0.8);
@@ -1591,7 +1593,7 @@ export class Skatepark {
         rail.rotation.x = Math.PI/2;
         rail.castShadow = true;
         rail.name = "funbox_mini_rail";
-        this.scene.add(rail);
+        this.addToScene(rail, CollisionLayer.RAIL);
     }
     
     addSkatePool() {
@@ -1615,7 +1617,7 @@ export class Skatepark {
         poolFrame.receiveShadow = true;
         poolFrame.castShadow = true;
         poolFrame.name = "skate_pool_frame";
-        this.scene.add(poolFrame);
+        this.addToScene(poolFrame, CollisionLayer.GROUND);
         
         // Create a larger, more distinct blue water surface that sits higher
         // Make it MUCH more noticeable with a bright blue color
@@ -1631,7 +1633,7 @@ export class Skatepark {
         poolWater.position.set(x, y + 0.3, z);
         poolWater.name = "skate_pool_water";
         poolWater.renderOrder = 10; // Ensure it renders above other items
-        this.scene.add(poolWater);
+        this.addToScene(poolWater, CollisionLayer.GROUND);
         
         // Create a second water layer with a different blue for better visibility
         const waterTopGeometry = new THREE.BoxGeometry(width - 0.5, 0.1, length - 0.5);
@@ -1644,7 +1646,7 @@ export class Skatepark {
         waterTop.position.set(x, y + 0.6, z);
         waterTop.name = "skate_pool_water_top";
         waterTop.renderOrder = 11; // Even higher render order
-        this.scene.add(waterTop);
+        this.addToScene(waterTop, CollisionLayer.GROUND);
         
         // Create pool coping (edge rail all around)
         this.createPoolCoping(x, y + height, z, width, length);
@@ -1665,8 +1667,21 @@ export class Skatepark {
         this.createWallCollider(x - width/2 - wallThickness/2, y + height/2, z, 
                                wallThickness, height, length, "pool_wall_left");
         
+        // Each outside wall is ridden like a quarter pipe, curving up from the ground in front of it
+        // to the top of the wall, so the pool can be pumped
+        const halfWidth = (width + 3) / 2;
+        const halfLength = (length + 3) / 2;
+        [0, Math.PI / 2, Math.PI, -Math.PI / 2].forEach(angle => {
+            const facingZ = angle % Math.PI !== 0;
+            const reach = facingZ ? halfLength : halfWidth;
+            const along = facingZ ? halfWidth : halfLength;
+            const offset = new THREE.Matrix4().makeRotationY(angle)
+                .multiply(new THREE.Matrix4().makeTranslation(-reach - height, -height/2, -along));
+            addTransition(poolFrame, new StraightTransition(height, along * 2, offset));
+        });
+        
         // Add pool floor collision
-        this.createWallCollider(x, y + 0.1, z, width, 0.2, length, "pool_floor");
+        this.createWallCollider(x, y + 0.1, z, width, 0.2, length, "pool_floor", CollisionLayer.GROUND);
     }
     
     createPoolCoping(x, y, z, width, length) {
@@ -1698,10 +1713,18 @@ export class Skatepark {
             
             coping.castShadow = true;
             coping.name = "pool_coping_" + i;
-            this.scene.add(coping);
+            this.addToScene(coping, CollisionLayer.RAIL);
         });
     }
 
+    // Add an object to the scene on a collision layer, so the physics knows whether it is
+    // ground, a wall, a rail or just for show
+    addToScene(object, layer) {
+        setCollisionLayer(object, layer);
+        this.scene.add(object);
+        return object;
+    }
+
     // Add a method to check for and warn about overlapping objects
     checkForOverlappingObjects() {
         // Implementation of overlap checking for development purposes
@@ -1727,8 +1750,8 @@ export class Skatepark {
         
         // Create sheep in grassy area around skatepark only (far from player)
         for (let i = 0; i < 10; i++) {
-            const angle = Math.random() * Math.PI * 2;
-            const distance = 100 + Math.random() * 30; // Farther away from player
+            const angle = Random.world.next() * Math.PI * 2;
+            const distance = 100 + Random.world.next() * 30; // Farther away from player
             const x = Math.cos(angle) * distance;
             const z = Math.sin(angle) * distance;
             this.createSheep(x, 0, z);
@@ -1776,20 +1799,20 @@ export class Skatepark {
         sheepGroup.userData.legs = legs;
         
         // Add animation properties
-        sheepGroup.userData.animTime = Math.random() * 10; // Random starting phase
+        sheepGroup.userData.animTime = Random.world.next() * 10; // Random starting phase
         sheepGroup.userData.baseY = y + 1.0; // Store base height for bounce animation
         sheepGroup.userData.moveDirection = new THREE.Vector2(
-            Math.random() * 2 - 1, 
-            Math.random() * 2 - 1
+            Random.world.next() * 2 - 1, 
+            Random.world.next() * 2 - 1
         ).normalize();
-        sheepGroup.userData.moveSpeed = 0.5 + Math.random() * 0.5; // Random speed
-        sheepGroup.userData.nextDirectionChange = 5 + Math.random() * 5; // Time until direction change
+        sheepGroup.userData.moveSpeed = 0.5 + Random.world.next() * 0.5; // Random speed
+        sheepGroup.userData.nextDirectionChange = 5 + Random.world.next() * 5; // Time until direction change
         
         // Position the sheep
         sheepGroup.position.set(x, y + 1.0, z);
         
         // Add to scene
-        this.scene.add(sheepGroup);
+        this.addToScene(sheepGroup, CollisionLayer.DECORATION);
         this.sheep.push(sheepGroup);
         
         return sheepGroup;
@@ -1823,10 +1846,10 @@ export class Skatepark {
                 if (sheep.userData.nextDirectionChange <= 0) {
                     // Change direction randomly
                     sheep.userData.moveDirection = new THREE.Vector2(
-                        Math.random() * 2 - 1, 
-                        Math.random() * 2 - 1
+                        Random.cosmetic.next() * 2 - 1, 
+                        Random.cosmetic.next() * 2 - 1
                     ).normalize();
-                    sheep.userData.nextDirectionChange = 5 + Math.random() * 5;
+                    sheep.userData.nextDirectionChange = 5 + Random.cosmetic.next() * 5;
                 }
                 
                 // Apply movement (scaled by deltaTime for frame-rate independence)
@@ -1864,9 +1887,7 @@ export class Skatepark {
 
     // Create a procedural grass texture
     createProceduralGrassTexture() {
-        const canvas = document.createElement('canvas');
-        canvas.width = 512;
-        canvas.height = 512;
+        const canvas = this.textureLoader.createCanvas(512, 512);
         const context = canvas.getContext('2d');
         
         // Base green color
@@ -1875,15 +1896,15 @@ export class Skatepark {
         
         // Add grass texture details
         for (let i = 0; i < 5000; i++) {
-            const x = Math.random() * canvas.width;
-            const y = Math.random() * canvas.height;
-            const width = 1 + Math.random() * 2;
-            const height = 3 + Math.random() * 5;
+            const x = Random.cosmetic.next() * canvas.width;
+            const y = Random.cosmetic.next() * canvas.height;
+            const width = 1 + Random.cosmetic.next() * 2;
+            const height = 3 + Random.cosmetic.next() * 5;
             
             // Random green shade
-            const r = 100 + Math.floor(Math.random() * 50);
-            const g = 180 + Math.floor(Math.random() * 70);
-            const b = Math.floor(Math.random() * 50);
+            const r = 100 + Math.floor(Random.cosmetic.next() * 50);
+            const g = 180 + Math.floor(Random.cosmetic.next() * 70);
+            const b = Math.floor(Random.cosmetic.next() * 50);
             context.fillStyle = `rgb(${r}, ${g}, ${b})`;
             
             // Draw grass blade
@@ -1903,9 +1924,7 @@ export class Skatepark {
 
     // Create a procedural concrete texture
     createProceduralConcreteTexture() {
-        const canvas = document.createElement('canvas');
-        canvas.width = 512;
-        canvas.height = 512;
+        const canvas = this.textureLoader.createCanvas(512, 512);
         const context = canvas.getContext('2d');
         
         // Base concrete color
@@ -1914,12 +1933,12 @@ export class Skatepark {
         
         // Add noise and variations
         for (let i = 0; i < 10000; i++) {
-            const x = Math.random() * canvas.width;
-            const y = Math.random() * canvas.height;
-            const size = 1 + Math.random() * 3;
+            const x = Random.cosmetic.next() * canvas.width;
+            const y = Random.cosmetic.next() * canvas.height;
+            const size = 1 + Random.cosmetic.next() * 3;
             
             // Random gray tone
-            const tone = 170 + Math.floor(Math.random() * 60);
+            const tone = 170 + Math.floor(Random.cosmetic.next() * 60);
             context.fillStyle = `rgb(${tone}, ${tone}, ${tone})`;
             
             context.beginPath();
@@ -1929,16 +1948,16 @@ export class Skatepark {
         
         // Add a few larger spots and cracks
         for (let i = 0; i < 50; i++) {
-            const x = Math.random() * canvas.width;
-            const y = Math.random() * canvas.height;
-            const size = 5 + Math.random() * 20;
+            const x = Random.cosmetic.next() * canvas.width;
+            const y = Random.cosmetic.next() * canvas.height;
+            const size = 5 + Random.cosmetic.next() * 20;
             
             // Darker tones for cracks
-            const tone = 120 + Math.floor(Math.random() * 50);
+            const tone = 120 + Math.floor(Random.cosmetic.next() * 50);
             context.fillStyle = `rgba(${tone}, ${tone}, ${tone}, 0.5)`;
             
             context.beginPath();
-            context.ellipse(x, y, size, size/4, Math.random() * Math.PI, 0, Math.PI * 2);
+            context.ellipse(x, y, size, size/4, Random.cosmetic.next() * Math.PI, 0, Math.PI * 2);
             context.fill();
         }
         
@@ -1,8 +1,10 @@
 import * as THREE from 'three';
+import { Random } from '../../core/Random.js';
 
 export class SkyBox {
-    constructor(scene) {
+    constructor(scene, textureLoader) {
         this.scene = scene;
+        this.textureLoader = textureLoader; // Creates the canvases the sky gradients are drawn on
         this.birds = [];
         console.log("SkyBox constructor called");
         this.createSkybox();
@@ -37,9 +39,7 @@ export class SkyBox {
         
         for (let i = 0; i < 6; i++) {
             // Create a canvas for dynamic texture generation
-            const canvas = document.createElement('canvas');
-            canvas.width = 1024; // Higher resolution for better quality
-            canvas.height = 1024;
+            const canvas = this.textureLoader.createCanvas(1024, 1024);
             const context = canvas.getContext('2d');
             
             // Create a gradient based on which face we're creating
@@ -113,11 +113,11 @@ export class SkyBox {
             // Cirrus clouds
             context.fillStyle = 'rgba(255, 255, 255, 0.15)';
             for (let c = 0; c < 20; c++) {
-                const x = Math.random() * canvas.width;
-                const y = Math.random() * canvas.height;
-                const width = 100 + Math.random() * 150;
-                const height = 2 + Math.random() * 4;
-                const angle = Math.random() * Math.PI;
+                const x = Random.cosmetic.next() * canvas.width;
+                const y = Random.cosmetic.next() * canvas.height;
+                const width = 100 + Random.cosmetic.next() * 150;
+                const height = 2 + Random.cosmetic.next() * 4;
+                const angle = Random.cosmetic.next() * Math.PI;
                 
                 context.save();
                 context.translate(x, y);
@@ -129,21 +129,21 @@ export class SkyBox {
             }
         } else { // Side faces - mix of cloud types
             // Fluffy cumulus clouds
-            const cloudCount = 5 + Math.floor(Math.random() * 5);
+            const cloudCount = 5 + Math.floor(Random.cosmetic.next() * 5);
             
             for (let c = 0; c < cloudCount; c++) {
-                const x = Math.random() * canvas.width;
-                const y = Math.random() * canvas.height * 0.5; // Keep clouds in upper half
-                const cloudSize = 30 + Math.random() * 60;
+                const x = Random.cosmetic.next() * canvas.width;
+                const y = Random.cosmetic.next() * canvas.height * 0.5; // Keep clouds in upper half
+                const cloudSize = 30 + Random.cosmetic.next() * 60;
                 
                 // Create each puffy cloud with multiple overlapping circles
-                const segments = 5 + Math.floor(Math.random() * 7);
-                const baseOpacity = 0.6 + Math.random() * 0.3;
+                const segments = 5 + Math.floor(Random.cosmetic.next() * 7);
+                const baseOpacity = 0.6 + Random.cosmetic.next() * 0.3;
                 
                 for (let s = 0; s < segments; s++) {
-                    const segmentX = x + (Math.random() * cloudSize - cloudSize/2);
-                    const segmentY = y + (Math.random() * cloudSize/2 - cloudSize/4);
-                    const segmentSize = cloudSize * (0.4 + Math.random() * 0.6);
+                    const segmentX = x + (Random.cosmetic.next() * cloudSize - cloudSize/2);
+                    const segmentY = y + (Random.cosmetic.next() * cloudSize/2 - cloudSize/4);
+                    const segmentSize = cloudSize * (0.4 + Random.cosmetic.next() * 0.6);
                     
                     // Vary opacity to give clouds some depth
                     context.fillStyle = `rgba(255, 255, 255, ${baseOpacity})`;
@@ -156,10 +156,10 @@ export class SkyBox {
             // Add some thin wispy clouds
             context.fillStyle = 'rgba(255, 255, 255, 0.3)';
             for (let c = 0; c < 10; c++) {
-                const x = Math.random() * canvas.width;
-                const y = Math.random() * canvas.height * 0.4; // Higher up
-                const width = 70 + Math.random() * 120;
-                const height = 3 + Math.random() * 8;
+                const x = Random.cosmetic.next() * canvas.width;
+                const y = Random.cosmetic.next() * canvas.height * 0.4; // Higher up
+                const width = 70 + Random.cosmetic.next() * 120;
+                const height = 3 + Random.cosmetic.next() * 8;
                 
                 context.beginPath();
                 context.ellipse(x, y, width, height, 0, 0, Math.PI * 2);
@@ -174,9 +174,9 @@ export class SkyBox {
         // Add birds in random positions, away from player
         for (let i = 0; i < count; i++) {
             // Position birds high up and far away
-            const x = Math.random() * 200 - 100;   // -100 to 100
-            const y = Math.random() * 20 + 15;     // 15 to 35 (higher altitude)
-            const z = Math.random() * 200 - 100;   // -100 to 100
+            const x = Random.cosmetic.next() * 200 - 100;   // -100 to 100
+            const y = Random.cosmetic.next() * 20 + 15;     // 15 to 35 (higher altitude)
+            const z = Random.cosmetic.next() * 200 - 100;   // -100 to 100
             
             // More subtle natural colors
             const naturalColors = [
@@ -186,7 +186,7 @@ export class SkyBox {
                 0x4682b4, // Steel blue
                 0xcd853f  // Peru (brownish)
             ];
-            const color = naturalColors[Math.floor(Math.random() * naturalColors.length)];
+            const color = naturalColors[Math.floor(Random.cosmetic.next() * naturalColors.length)];
             
             this.createBird(x, y, z, color);
         }
@@ -231,17 +231,17 @@ export class SkyBox {
         birdGroup.position.set(x, y, z);
         
         // Randomize initial rotation
-        birdGroup.rotation.y = Math.random() * Math.PI * 2;
+        birdGroup.rotation.y = Random.cosmetic.next() * Math.PI * 2;
         
         // Flight animation parameters
-        birdGroup.userData.speed = 0.03 + Math.random() * 0.02;
+        birdGroup.userData.speed = 0.03 + Random.cosmetic.next() * 0.02;
         birdGroup.userData.direction = new THREE.Vector3(
-            Math.random() * 2 - 1,
-            Math.random() * 0.2 - 0.1,
-            Math.random() * 2 - 1
+            Random.cosmetic.next() * 2 - 1,
+            Random.cosmetic.next() * 0.2 - 0.1,
+            Random.cosmetic.next() * 2 - 1
         ).normalize();
-        birdGroup.userData.wingSpeed = 0.15 + Math.random() * 0.1;
-        birdGroup.userData.wingTime = Math.random() * Math.PI;
+        birdGroup.userData.wingSpeed = 0.15 + Random.cosmetic.next() * 0.1;
+        birdGroup.userData.wingTime = Random.cosmetic.next() * Math.PI;
         
         // Add to scene and store reference
         this.scene.add(birdGroup);
@@ -258,7 +258,7 @@ export class SkyBox {
         }
 
         // Log periodically (approximately once every 300 frames)
-        if (Math.random() < 0.003) {
+        if (Random.cosmetic.next() < 0.003) {
             console.log(`Updating ${this.birds.length} birds in skybox`);
         }
         
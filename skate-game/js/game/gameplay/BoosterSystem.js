@@ -1,10 +1,20 @@
 import * as THREE from 'three';
+import { System } from '../../core/System.js';
+import { PowerPad } from '../components/PowerPad.js';
+import { GameEvents } from '../GameEvents.js';
+import { Random } from '../../core/Random.js';
+import { ObjectPool } from '../../core/ObjectPool.js';
+import { CollisionLayer, setCollisionLayer } from '../physics/CollisionLayers.js';
 
-export class BoosterSystem {
-    constructor(scene, skateboard) {
-        this.scene = scene;
+export class BoosterSystem extends System {
+    constructor(skateboard, presentation) {
+        super('BoosterSystem');
         this.skateboard = skateboard;
-        this.boosters = [];
+        this.presentation = presentation;
+        this.elapsedTime = 0; // Simulation clock in seconds, drives cooldowns and the pulse
+        this.burstParticleCount = 30;
+        this.burstPool = new ObjectPool(() => this.createBurstPoints()); // Activation bursts, reused
+        this.boosters = []; // Booster pad entities
         this.boosterMaterial = new THREE.MeshStandardMaterial({
             color: 0x00aaff,
             emissive: 0x0066cc,
@@ -23,15 +33,27 @@ export class BoosterSystem {
         
         // Create boost notification element
         this.createBoostNotification();
+    }
+    
+    init(scene) {
+        super.init(scene);
+        this.threeScene = scene.threeScene;
+        this.timeSystem = scene.getSystem('TimeSystem'); // Ends boosts on simulation time
         
         // Initialize boosters
+        this.registerPrefab();
         this.createBoosters();
     }
     
+    reset() {
+        // Re-arm every booster for the new round
+        this.activatedBoosters.clear();
+        this.boosters.forEach(entity => this.rearmBooster(entity));
+    }
+    
     createBoostNotification() {
         // Create a notification element that appears when a boost is activated
-        this.boostNotification = document.createElement('div');
-        this.boostNotification.id = 'boostNotification';
+        this.boostNotification = this.presentation.createOverlay('boostNotification');
         this.boostNotification.textContent = 'SPEED BOOST!';
         this.boostNotification.style.position = 'fixed';
         this.boostNotification.style.top = '35%'; // Position higher than jump notification
@@ -46,8 +68,6 @@ export class BoosterSystem {
         this.boostNotification.style.opacity = '0';
         this.boostNotification.style.transition = 'opacity 0.3s ease-in-out';
         this.boostNotification.style.pointerEvents = 'none'; // Don't block clicks/interactions
-        
-        document.body.appendChild(this.boostNotification);
     }
     
     createBoosters() {
@@ -69,30 +89,36 @@ export class BoosterSystem {
         });
     }
     
-    createBooster(x, z) {
-        // Create booster pad geometry
-        const geometry = new THREE.CylinderGeometry(2, 2, 0.2, 32);
-        const booster = new THREE.Mesh(geometry, this.boosterMaterial);
-        
-        // Position the booster
-        booster.position.set(x, 0.1, z); // Slightly above ground
-        
-        // Add glow effect with particles
-        const particleSystem = this.createParticleSystem(x, z);
-        
-        // Add to scene and boosters array
-        this.scene.add(booster);
-        this.scene.add(particleSystem);
-        
-        this.boosters.push({
-            mesh: booster,
-            particles: particleSystem,
-            position: new THREE.Vector3(x, 0.1, z),
-            active: true,
-            lastActivatedTime: 0
+    registerPrefab() {
+        this.scene.prefabs.register('booster', {
+            // Booster pad geometry
+            createObject: () => setCollisionLayer(
+                new THREE.Mesh(new THREE.CylinderGeometry(2, 2, 0.2, 32), this.boosterMaterial),
+                CollisionLayer.TRIGGER
+            ),
+            components: {
+                Physics: { isKinematic: true, isTrigger: true, useGravity: false, collisionShape: 'sphere', collisionRadius: 2.5 }
+            },
+            createComponents: (params, booster) => {
+                // Add glow effect with particles
+                const particleSystem = this.createParticleSystem(booster.position.x, booster.position.z);
+                
+                // Particles are not parented to the pad so they can spin independently
+                this.threeScene.add(particleSystem);
+                
+                return [new PowerPad('booster', {
+                    particles: particleSystem,
+                    onActivate: entity => this.activateBooster(this.boosters.indexOf(entity))
+                })];
+            }
         });
     }
     
+    createBooster(x, z) {
+        const position = new THREE.Vector3(x, 0.1, z); // Slightly above ground
+        this.boosters.push(this.scene.spawn('booster', { position }));
+    }
+    
     createParticleSystem(x, z) {
         // Create particle geometry
         const particleCount = 50;
@@ -108,10 +134,10 @@ export class BoosterSystem {
         for (let i = 0; i < particleCount; i++) {
             // Position particles in a circle around the booster
             const angle = (i / particleCount) * Math.PI * 2;
-            const radius = 1.8 + Math.random() * 0.4;
+            const radius = 1.8 + Random.cosmetic.next() * 0.4;
             
             positions[i * 3] = Math.cos(angle) * radius; // Relative to group center
-            positions[i * 3 + 1] = 0.1 + Math.random() * 0.4; // Vary height slightly
+            positions[i * 3 + 1] = 0.1 + Random.cosmetic.next() * 0.4; // Vary height slightly
             positions[i * 3 + 2] = Math.sin(angle) * radius; // Relative to group center
         }
         
@@ -132,34 +158,19 @@ export class BoosterSystem {
     }
     
     update(deltaTime) {
-        // Check if player is over any booster
-        this.checkBoosterCollisions();
+        this.elapsedTime += deltaTime;
         
-        // Animate boosters
+        // Animate boosters - the pads' triggers activate them
         this.animateBoosters(deltaTime);
         
         // Check if any boosters should reactivate
         this.checkBoosterRespawn();
     }
     
-    checkBoosterCollisions() {
-        const skateboardPosition = this.skateboard.getPosition();
-        
-        this.boosters.forEach((booster, index) => {
-            if (!booster.active) return; // Skip inactive boosters
-            
-            // Calculate distance from skateboard to booster
-            const distance = skateboardPosition.distanceTo(booster.position);
-            
-            // If close enough, activate the booster
-            if (distance < 2.5) { // Collision radius
-                this.activateBooster(index);
-            }
-        });
-    }
-    
     activateBooster(index) {
-        const booster = this.boosters[index];
+        const entity = this.boosters[index];
+        const pad = entity.getComponent('PowerPad');
+        const mesh = entity.getComponent('Transform').group;
         
         // Don't activate if already activated recently
         if (this.activatedBoosters.has(index)) return;
@@ -169,27 +180,33 @@ export class BoosterSystem {
         
         // Mark this booster as activated
         this.activatedBoosters.add(index);
-        booster.active = false;
-        booster.lastActivatedTime = Date.now();
+        pad.active = false;
+        pad.lastActivatedTime = this.elapsedTime * 1000;
         
         // Change appearance of booster to indicate it's used
-        booster.mesh.material = booster.mesh.material.clone();
-        booster.mesh.material.emissiveIntensity = 0.1;
-        booster.mesh.material.color.set(0x555555);
+        mesh.material = mesh.material.clone();
+        mesh.material.emissiveIntensity = 0.1;
+        mesh.material.color.set(0x555555);
         
         // Remove particles temporarily
-        booster.particles.visible = false;
+        pad.particles.visible = false;
         
         // Create burst effect
-        this.createBoostBurstEffect(booster.position);
+        this.createBoostBurstEffect(mesh.position);
         
         // Show boost notification
         this.showBoostNotification();
         
+        this.scene.events.emit(GameEvents.BOOSTER_TRIGGERED, {
+            position: mesh.position.clone(),
+            multiplier: this.boostMultiplier,
+            duration: this.boostDuration / 1000
+        });
+        
         // Schedule cleanup of boost effect
-        setTimeout(() => {
+        this.timeSystem.delay(() => {
             this.activatedBoosters.delete(index);
-        }, this.boostDuration);
+        }, this.boostDuration / 1000);
     }
     
     showBoostNotification() {
@@ -242,7 +259,7 @@ export class BoosterSystem {
         };
         
         // Reset the speed and restore the original resetSprintSpeed function after the boost duration
-        setTimeout(() => {
+        this.timeSystem.delay(() => {
             // Restore original speeds
             this.skateboard.baseSpeed = originalBaseSpeed;
             this.skateboard.maxSprintSpeed = originalMaxSpeed;
@@ -256,15 +273,17 @@ export class BoosterSystem {
             this.skateboard.resetSprintSpeed = originalResetSprintSpeed;
             
             console.log("Boost effect ended, speeds restored to normal");
-        }, this.boostDuration);
+        }, this.boostDuration / 1000);
     }
     
     createBoostBurstEffect(position) {
+        if (!this.presentation.effectsEnabled) return;
+        
         // Create a burst of particles when booster is activated
-        const particleCount = 30;
-        const burstGeometry = new THREE.BufferGeometry();
-        const positions = new Float32Array(particleCount * 3);
-        const velocities = new Float32Array(particleCount * 3);
+        const burstSystem = this.burstPool.acquire();
+        const particleCount = this.burstParticleCount;
+        const positions = burstSystem.geometry.attributes.position.array;
+        const velocities = burstSystem.userData.velocities;
         
         for (let i = 0; i < particleCount; i++) {
             // Random position around the center
@@ -273,24 +292,19 @@ export class BoosterSystem {
             positions[i * 3 + 2] = position.z;
             
             // Random velocity outward
-            const angle = Math.random() * Math.PI * 2;
-            const speed = 0.05 + Math.random() * 0.1;
+            const angle = Random.cosmetic.next() * Math.PI * 2;
+            const speed = 0.05 + Random.cosmetic.next() * 0.1;
             velocities[i * 3] = Math.cos(angle) * speed;
-            velocities[i * 3 + 1] = 0.05 + Math.random() * 0.1; // Upward
+            velocities[i * 3 + 1] = 0.05 + Random.cosmetic.next() * 0.1; // Upward
             velocities[i * 3 + 2] = Math.sin(angle) * speed;
         }
         
-        burstGeometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
-        
-        const burstMaterial = new THREE.PointsMaterial({
-            color: 0x00ffff,
-            size: 0.4,
-            transparent: true,
-            opacity: 0.9
-        });
+        burstSystem.geometry.attributes.position.needsUpdate = true;
+        burstSystem.geometry.computeBoundingSphere(); // Bounds from the last use would cull it
         
-        const burstSystem = new THREE.Points(burstGeometry, burstMaterial);
-        this.scene.add(burstSystem);
+        const burstMaterial = burstSystem.material;
+        burstMaterial.opacity = 0.9;
+        this.threeScene.add(burstSystem);
         
         // Animate the burst
         let frameCount = 0;
@@ -298,7 +312,7 @@ export class BoosterSystem {
         
         const animateBurst = () => {
             if (frameCount >= maxFrames) {
-                this.scene.remove(burstSystem);
+                this.burstPool.release(burstSystem);
                 return;
             }
             
@@ -326,34 +340,66 @@ export class BoosterSystem {
         animateBurst();
     }
     
+    // Build a reusable burst - the effect refills its positions and velocities each time
+    createBurstPoints() {
+        const burstGeometry = new THREE.BufferGeometry();
+        burstGeometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(this.burstParticleCount * 3), 3));
+        
+        const burstMaterial = new THREE.PointsMaterial({
+            color: 0x00ffff,
+            size: 0.4,
+            transparent: true,
+            opacity: 0.9
+        });
+        
+        const burstSystem = new THREE.Points(burstGeometry, burstMaterial);
+        burstSystem.userData.velocities = new Float32Array(this.burstParticleCount * 3);
+        return burstSystem;
+    }
+    
     checkBoosterRespawn() {
-        const currentTime = Date.now();
+        const currentTime = this.elapsedTime * 1000;
         
-        this.boosters.forEach((booster, index) => {
-            if (!booster.active && (currentTime - booster.lastActivatedTime) > this.boostCooldown) {
-                // Reactivate the booster
-                booster.active = true;
-                
-                // Restore appearance
-                booster.mesh.material = this.boosterMaterial;
-                booster.particles.visible = true;
+        this.boosters.forEach(entity => {
+            const pad = entity.getComponent('PowerPad');
+            if (!pad.active && (currentTime - pad.lastActivatedTime) > this.boostCooldown) {
+                this.rearmBooster(entity);
             }
         });
     }
     
+    rearmBooster(entity) {
+        const pad = entity.getComponent('PowerPad');
+        
+        // Reactivate the booster
+        pad.active = true;
+        
+        // Restore appearance
+        entity.getComponent('Transform').group.material = this.boosterMaterial;
+        pad.particles.visible = true;
+    }
+    
     animateBoosters(deltaTime) {
         // Make active boosters pulse and rotate
-        this.boosters.forEach(booster => {
-            if (booster.active) {
+        this.boosters.forEach(entity => {
+            const pad = entity.getComponent('PowerPad');
+            if (pad.active) {
+                const mesh = entity.getComponent('Transform').group;
+                
                 // Rotate particle system
-                booster.particles.rotation.y += deltaTime * 1.0;
+                pad.particles.rotation.y += deltaTime * 1.0;
                 
                 // Pulse the emissive intensity
-                if (booster.mesh.material.emissiveIntensity) {
-                    const time = Date.now() * 0.001;
-                    booster.mesh.material.emissiveIntensity = 0.3 + Math.sin(time * 4) * 0.2;
+                if (mesh.material.emissiveIntensity) {
+                    const time = this.elapsedTime;
+                    mesh.material.emissiveIntensity = 0.3 + Math.sin(time * 4) * 0.2;
                 }
             }
         });
     }
+    
+    dispose() {
+        this.burstPool.clear();
+        super.dispose();
+    }
 } 
\ No newline at end of file
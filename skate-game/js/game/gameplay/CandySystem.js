@@ -1,55 +1,99 @@
 import * as THREE from 'three';
+import { System } from '../../core/System.js';
+import { Collectible } from '../components/Collectible.js';
+import { Random } from '../../core/Random.js';
+import { ObjectPool } from '../../core/ObjectPool.js';
+import { CollisionLayer, setCollisionLayer } from '../physics/CollisionLayers.js';
 
-export class CandySystem {
-    constructor(scene, skateboard, camera, gameState) {
-        this.scene = scene;
+export class CandySystem extends System {
+    constructor(skateboard, camera, gameState, presentation) {
+        super('CandySystem');
         this.skateboard = skateboard;
         this.camera = camera;
         this.gameState = gameState;
-        this.candies = [];
+        this.presentation = presentation;
+        this.candies = []; // Candy entities
         this.candyCount = 5; // Number of candies to spawn
         this.collectSound = null;
         this.spawnDistance = 50; // Max distance from center to spawn candies
         this.respawnInterval = 40000; // Respawn candies every 40 seconds
         this.lastRespawnTime = 0;
+        this.elapsedTime = 0; // Simulation clock in seconds, drives respawns and the hover
         
-        // Create candies and add them to the scene
-        this.initCandies();
+        // Candy meshes and collection bursts are recycled instead of rebuilt
+        this.candyPool = new ObjectPool(() => this.createCandyMesh(), {
+            reset: candy => {
+                candy.rotation.set(0, 0, 0);
+                candy.visible = true;
+            }
+        });
+        this.burstParticleCount = 20;
+        this.burstGeometry = new THREE.SphereGeometry(0.1, 8, 8);
+        this.burstPool = new ObjectPool(() => this.createBurstMesh(), {
+            dispose: burst => burst.children.forEach(particle => particle.material.dispose())
+        });
         
         // Try to initialize sound
         this.initSound();
     }
     
+    init(scene) {
+        super.init(scene);
+        this.threeScene = scene.threeScene;
+        this.registerPrefab();
+        
+        // Create candies and add them to the scene
+        this.initCandies();
+    }
+    
+    reset() {
+        this.initCandies();
+    }
+    
     initSound() {
         try {
-            this.collectSound = new Audio('/audio/candy_collect.mp3');
-            this.collectSound.volume = 0.4;
+            this.collectSound = this.presentation.createSound('/audio/candy_collect.mp3', 0.4);
         } catch (error) {
             console.warn("Could not initialize candy collection sound:", error);
         }
     }
     
     initCandies() {
-        // Remove any existing candies
-        this.candies.forEach(candy => {
-            if (candy && this.scene.children.includes(candy)) {
-                this.scene.remove(candy);
-            }
-        });
+        // Remove any existing candies, keeping their meshes for reuse
+        this.candies.forEach(entity => this.scene.despawn(entity));
         
         this.candies = [];
         
         // Create new candies
         for (let i = 0; i < this.candyCount; i++) {
-            const candy = this.createCandy();
-            this.candies.push(candy);
-            this.scene.add(candy);
+            this.candies.push(this.createCandy());
         }
         
         console.log(`Created ${this.candyCount} candies`);
     }
     
+    registerPrefab() {
+        this.scene.prefabs.register('candy', {
+            pool: this.candyPool,
+            components: {
+                // A tall cylinder so height barely matters, for easier collection
+                Physics: {
+                    isKinematic: true, isTrigger: true, useGravity: false,
+                    collisionShape: 'cylinder', collisionRadius: 2.5, collisionHeight: 20
+                }
+            },
+            createComponents: () => [new Collectible('candy', {
+                onCollect: entity => this.collectCandy(entity),
+                animationOffset: Random.gameplay.next() // Unique offset for animation
+            })]
+        });
+    }
+    
     createCandy() {
+        return this.scene.spawn('candy', { position: this.getRandomCandyPosition() });
+    }
+    
+    createCandyMesh() {
         // Create a group for the candy
         const candyGroup = new THREE.Group();
         
@@ -93,33 +137,28 @@ export class CandySystem {
         const glowMesh = new THREE.Mesh(glowGeometry, glowMaterial);
         candyGroup.add(glowMesh);
         
-        // Position the candy at a random location
-        this.positionCandyRandomly(candyGroup);
-        
-        // Store the original position for animation
-        candyGroup.userData = {
-            originalY: candyGroup.position.y,
-            collected: false,
-            id: Math.random() // Unique ID for animation offsets
-        };
-        
-        return candyGroup;
+        return setCollisionLayer(candyGroup, CollisionLayer.PICKUP);
     }
     
     positionCandyRandomly(candy) {
-        // Position at random location in skatepark
-        const angle = Math.random() * Math.PI * 2;
-        const distance = Math.random() * this.spawnDistance;
+        candy.position.copy(this.getRandomCandyPosition());
+    }
+    
+    getRandomCandyPosition() {
+        // Random location in skatepark
+        const angle = Random.gameplay.next() * Math.PI * 2;
+        const distance = Random.gameplay.next() * this.spawnDistance;
         
         const x = Math.cos(angle) * distance;
         const z = Math.sin(angle) * distance;
         const y = 1.5; // Hover above ground
         
-        candy.position.set(x, y, z);
+        return new THREE.Vector3(x, y, z);
     }
     
     update(deltaTime) {
-        const now = performance.now();
+        this.elapsedTime += deltaTime;
+        const now = this.elapsedTime * 1000;
         
         // Skip updates if game is over
         if (this.gameState.gameOver || this.gameState.gameWon) return;
@@ -130,57 +169,42 @@ export class CandySystem {
             this.lastRespawnTime = now;
         }
         
-        // Check each candy for collection and animate
-        this.candies.forEach((candy, index) => {
-            if (!candy) return;
+        // Animate candies - collection is reported by their triggers
+        this.candies.forEach(entity => {
+            const collectible = entity.getComponent('Collectible');
             
             // Skip if already collected
-            if (candy.userData.collected) return;
+            if (collectible.collected) return;
             
             // Animate candy - hover up and down and rotate
-            this.animateCandy(candy, now);
-            
-            // Check if player collected
-            this.checkCandyCollection(candy);
+            this.animateCandy(entity, now);
         });
     }
     
-    animateCandy(candy, now) {
-        if (!candy) return;
+    animateCandy(entity, now) {
+        const candy = entity.getComponent('Transform').group;
+        const collectible = entity.getComponent('Collectible');
         
         // Hover up and down
         const hoverHeight = 0.2;
         const hoverSpeed = 1.5;
-        const timeOffset = candy.userData.id * 1000; // Offset based on ID for varied animation
+        const timeOffset = collectible.animationOffset * 1000; // Offset based on ID for varied animation
         
-        candy.position.y = candy.userData.originalY + 
+        candy.position.y = collectible.baseY + 
                           Math.sin((now + timeOffset) * 0.001 * hoverSpeed) * hoverHeight;
         
         // Rotate
         candy.rotation.y += 0.01;
     }
     
-    checkCandyCollection(candy) {
-        if (!candy || !this.skateboard || !this.skateboard.mesh) return;
-        
-        const skateboardPos = this.skateboard.mesh.position.clone();
-        const candyPos = candy.position.clone();
+    collectCandy(entity) {
+        const collectible = entity.getComponent('Collectible');
+        if (collectible.collected) return;
         
-        // Check distance (ignore y-axis for easier collection)
-        candyPos.y = skateboardPos.y;
-        const distance = candyPos.distanceTo(skateboardPos);
-        
-        // If close enough, collect the candy
-        if (distance < 2.5) {
-            this.collectCandy(candy);
-        }
-    }
-    
-    collectCandy(candy) {
-        if (!candy || candy.userData.collected) return;
+        const candy = entity.getComponent('Transform').group;
         
         // Mark as collected
-        candy.userData.collected = true;
+        collectible.collected = true;
         
         // Hide the candy
         candy.visible = false;
@@ -196,7 +220,7 @@ export class CandySystem {
         }
         
         // Grant invincibility to player
-        this.gameState.activateInvincibility();
+        this.gameState.activateInvincibility(candy.position.clone());
         
         // Show collection message
         console.log("Candy collected! Player is now INVINCIBLE!");
@@ -206,35 +230,27 @@ export class CandySystem {
     }
     
     createCollectionEffect(position) {
+        if (!this.presentation.effectsEnabled) return;
+        
         // Create a burst effect at the collection position
-        const particleCount = 20;
-        const particles = [];
+        const burst = this.burstPool.acquire();
+        const particles = burst.children;
         
-        // Create particles
-        for (let i = 0; i < particleCount; i++) {
-            const particleGeometry = new THREE.SphereGeometry(0.1, 8, 8);
-            const particleMaterial = new THREE.MeshBasicMaterial({
-                color: 0xFF1493,
-                transparent: true,
-                opacity: 1
-            });
-            
-            const particle = new THREE.Mesh(particleGeometry, particleMaterial);
+        particles.forEach(particle => {
             particle.position.copy(position);
             
             // Add random velocity
             const velocity = new THREE.Vector3(
-                (Math.random() - 0.5) * 0.2,
-                Math.random() * 0.2,
-                (Math.random() - 0.5) * 0.2
+                (Random.cosmetic.next() - 0.5) * 0.2,
+                Random.cosmetic.next() * 0.2,
+                (Random.cosmetic.next() - 0.5) * 0.2
             );
             
             particle.userData = { velocity, lifetime: 1.0 };
-            this.scene.add(particle);
-            particles.push(particle);
-        }
+        });
+        this.threeScene.add(burst);
         
-        // Animate particles
+        // Animate particles - they share a lifetime, so the burst ends as a whole
         const animateParticles = () => {
             let allDead = true;
             
@@ -253,33 +269,58 @@ export class CandySystem {
                     particle.material.opacity = particle.userData.lifetime;
                     
                     allDead = false;
-                } else if (particle.parent) {
-                    // Remove dead particles
-                    this.scene.remove(particle);
                 }
             });
             
             if (!allDead) {
                 requestAnimationFrame(animateParticles);
+            } else {
+                this.burstPool.release(burst);
             }
         };
         
         animateParticles();
     }
     
+    // Build a reusable collection burst; particles share one geometry but fade individually
+    createBurstMesh() {
+        const burst = new THREE.Group();
+        
+        for (let i = 0; i < this.burstParticleCount; i++) {
+            const particleMaterial = new THREE.MeshBasicMaterial({
+                color: 0xFF1493,
+                transparent: true,
+                opacity: 1
+            });
+            burst.add(new THREE.Mesh(this.burstGeometry, particleMaterial));
+        }
+        
+        return burst;
+    }
+    
     respawnCandies() {
-        this.candies.forEach(candy => {
-            if (candy && candy.userData.collected) {
+        this.candies.forEach(entity => {
+            const collectible = entity.getComponent('Collectible');
+            if (collectible.collected) {
+                const candy = entity.getComponent('Transform').group;
+                
                 // Reset candy
-                candy.userData.collected = false;
+                collectible.collected = false;
                 candy.visible = true;
                 
                 // Reposition
                 this.positionCandyRandomly(candy);
-                candy.userData.originalY = candy.position.y;
+                collectible.baseY = candy.position.y;
             }
         });
         
         console.log("Respawned collected candies");
     }
+    
+    dispose() {
+        this.candyPool.clear();
+        this.burstPool.clear();
+        this.burstGeometry.dispose();
+        super.dispose();
+    }
 } 
\ No newline at end of file
@@ -1,20 +1,28 @@
 import * as THREE from 'three';
+import { System } from '../../core/System.js';
+import { Collectible } from '../components/Collectible.js';
+import { GameEvents } from '../GameEvents.js';
+import { CollisionLayer, setCollisionLayer } from '../physics/CollisionLayers.js';
 
-export class CoinSystem {
-    constructor(scene, skateboard, camera, scoreSystem, gameState) {
-        this.scene = scene;
+export class CoinSystem extends System {
+    constructor(skateboard, gameState, presentation) {
+        super('CoinSystem');
         this.skateboard = skateboard;
-        this.camera = camera;
-        this.scoreSystem = scoreSystem;
         this.gameState = gameState;
-        this.coins = [];
+        this.presentation = presentation;
+        this.coins = []; // Coin entities still waiting to be collected
         this.initialCoinCount = 0;
         this.collectedCoins = 0;
-        
+        this.elapsedTime = 0; // Drives the hover animation
+    }
+    
+    init(scene) {
+        super.init(scene);
+        this.registerPrefab();
         this.setupCoins();
     }
     
-    setupCoins() {
+    registerPrefab() {
         // Create a gold coin texture/material
         const coinMaterial = new THREE.MeshStandardMaterial({ 
             color: 0xFFD700, 
@@ -27,6 +35,26 @@ export class CoinSystem {
         // Create coin geometry (a thin cylinder)
         const coinGeometry = new THREE.CylinderGeometry(0.5, 0.5, 0.1, 16);
         
+        this.scene.prefabs.register('coin', {
+            defaults: { value: 10 },
+            createObject: params => {
+                const coin = new THREE.Mesh(coinGeometry, coinMaterial);
+                coin.rotation.x = Math.PI / 2; // Make the coin face up
+                coin.name = params.name || 'coin';
+                coin.castShadow = true;
+                return setCollisionLayer(coin, CollisionLayer.PICKUP);
+            },
+            components: {
+                Physics: { isKinematic: true, isTrigger: true, useGravity: false, collisionShape: 'sphere', collisionRadius: 1.2 }
+            },
+            createComponents: params => [new Collectible('coin', {
+                value: params.value,
+                onCollect: entity => this.collectCoin(entity)
+            })]
+        });
+    }
+    
+    setupCoins() {
         // Define coin positions around the expanded skatepark
         const coinPositions = [
             // Ramps
@@ -54,8 +82,8 @@ export class CoinSystem {
             [-60, 4, 0], [-63, 1, 0], [-57, 1, 0],   // New large mirrored QP
             
             // Bowl
-            [-15, 2.5, 45], [-18, 0, 45], [-12, 0, 45], // Original bowl (moved)
-            [-15, 1, 48], [-15, 1, 42],             // More bowl coins
+            [62, 2.5, -60], [66, 1, -60], [70, 2, -60], // Deep bowl, across the floor and up the wall
+            [62, 1, -54], [62, 1, -66],             // More bowl coins
 
             // Kickers
             [10, 1.5, 30], [-10, 1.5, -30],
@@ -75,15 +103,7 @@ export class CoinSystem {
         
         // Create coins at the specified positions
         coinPositions.forEach((pos, index) => {
-            const coin = new THREE.Mesh(coinGeometry, coinMaterial);
-            coin.position.set(pos[0], pos[1], pos[2]);
-            coin.rotation.x = Math.PI / 2; // Make the coin face up
-            coin.name = `coin_${index}`;
-            coin.castShadow = true;
-            
-            // Add to the scene and to our coins array
-            this.scene.add(coin);
-            this.coins.push(coin);
+            this.coins.push(this.scene.spawn('coin', { name: `coin_${index}`, position: pos }));
         });
         
         // Store initial coin count for win condition
@@ -101,12 +121,15 @@ export class CoinSystem {
             return;
         }
         
+        this.elapsedTime += deltaTime;
+        
         // Rotate the coins
-        this.coins.forEach(coin => {
+        this.coins.forEach(entity => {
+            const coin = entity.getComponent('Transform').group;
             coin.rotation.z += deltaTime * 2; // Rotate around vertical axis
             
             // Make coins hover up and down slightly
-            coin.position.y += Math.sin(Date.now() * 0.003 + coin.position.x) * 0.003;
+            coin.position.y += Math.sin(this.elapsedTime * 3 + coin.position.x) * 0.003;
             
             // Apply magnet attraction if player has magnet power-up
             if (this.gameState && this.gameState.hasMagnet && !this.gameState.isPlayerImmobilized()) {
@@ -127,42 +150,37 @@ export class CoinSystem {
                 }
             }
         });
+    }
+    
+    // Called by the coin's Collectible while the player touches it
+    collectCoin(entity) {
+        if (this.gameState && this.gameState.isPlayerImmobilized()) return;
         
-        // Check for coin collection
-        if (this.coins.length > 0 && (!this.gameState || !this.gameState.isPlayerImmobilized())) {
-            const coinCollectDistance = 1.2;
-            const skaterPosition = this.skateboard.mesh.position.clone();
-            
-            for (let i = this.coins.length - 1; i >= 0; i--) {
-                const coin = this.coins[i];
-                const distance = skaterPosition.distanceTo(coin.position);
-                
-                if (distance < coinCollectDistance) {
-                    // Collect the coin
-                    this.scene.remove(coin);
-                    this.coins.splice(i, 1);
-                    this.collectedCoins++;
-                    
-                    // Update GameState
-                    if (this.gameState) {
-                        this.gameState.collectCoin();
-                    }
-                    
-                    // Play a collection sound
-                    this.playCoinSound();
-                    
-                    // Update score
-                    if (this.scoreSystem) {
-                        this.scoreSystem.updateScore(10);
-                        
-                        // Show floating score text
-                        const scorePosition = coin.position.clone();
-                        scorePosition.y += 1;
-                        this.scoreSystem.showFloatingScore(10, scorePosition, this.camera);
-                    }
-                }
-            }
+        const collectible = entity.getComponent('Collectible');
+        const coin = entity.getComponent('Transform').group;
+        
+        // Collect the coin - destroying the entity removes the mesh from the scene
+        collectible.collected = true;
+        entity.destroy();
+        this.coins.splice(this.coins.indexOf(entity), 1);
+        this.collectedCoins++;
+        
+        // Update score and GameState (which may end the round)
+        if (this.gameState) {
+            this.gameState.addScore(collectible.value);
+            this.gameState.collectCoin();
         }
+        
+        // Play a collection sound
+        this.playCoinSound();
+        
+        // The HUD shows the floating score from this event
+        this.scene.events.emit(GameEvents.COIN_COLLECTED, {
+            value: collectible.value,
+            position: coin.position.clone(),
+            collected: this.collectedCoins,
+            total: this.initialCoinCount
+        });
     }
     
     handleWin() {
@@ -172,8 +190,7 @@ export class CoinSystem {
     
     showWinMessage() {
         // Create winner text display
-        const winDisplay = document.createElement('div');
-        winDisplay.id = 'winDisplay';
+        const winDisplay = this.presentation.createOverlay('winDisplay');
         winDisplay.style.position = 'fixed';
         winDisplay.style.top = '50%';
         winDisplay.style.left = '50%';
@@ -188,19 +205,20 @@ export class CoinSystem {
         winDisplay.style.textAlign = 'center';
         winDisplay.style.zIndex = '1000';
         winDisplay.innerHTML = 'YOU WIN!<br><span style="font-size: 24px">All coins collected!</span>';
-        document.body.appendChild(winDisplay);
         
         // Remove after 5 seconds
         setTimeout(() => {
-            document.body.removeChild(winDisplay);
+            winDisplay.remove();
         }, 5000);
     }
     
+    reset() {
+        this.resetCoins();
+    }
+    
     resetCoins() {
         // Remove any remaining coins
-        this.coins.forEach(coin => {
-            this.scene.remove(coin);
-        });
+        this.coins.forEach(entity => entity.destroy());
         this.coins = [];
         this.collectedCoins = 0;
         
@@ -211,7 +229,8 @@ export class CoinSystem {
     playCoinSound() {
         // Create an audio context and a simple oscillator for a coin sound
         try {
-            const audioContext = new (window.AudioContext || window.webkitAudioContext)();
+            const audioContext = this.presentation.createAudioContext();
+            if (!audioContext) return;
             
             // Create an oscillator
             const oscillator = audioContext.createOscillator();
@@ -1,10 +1,20 @@
 import * as THREE from 'three';
+import { System } from '../../core/System.js';
+import { PowerPad } from '../components/PowerPad.js';
+import { GameEvents } from '../GameEvents.js';
+import { Random } from '../../core/Random.js';
+import { ObjectPool } from '../../core/ObjectPool.js';
+import { CollisionLayer, setCollisionLayer } from '../physics/CollisionLayers.js';
 
-export class JumpPadSystem {
-    constructor(scene, skateboard) {
-        this.scene = scene;
+export class JumpPadSystem extends System {
+    constructor(skateboard, presentation) {
+        super('JumpPadSystem');
         this.skateboard = skateboard;
-        this.jumpPads = [];
+        this.presentation = presentation;
+        this.elapsedTime = 0; // Simulation clock in seconds, drives cooldowns and the bounce
+        this.burstParticleCount = 40;
+        this.burstPool = new ObjectPool(() => this.createBurstPoints()); // Activation bursts, reused
+        this.jumpPads = []; // Jump pad entities
         this.jumpPadMaterial = new THREE.MeshStandardMaterial({
             color: 0xff6600,
             emissive: 0xcc3300,
@@ -22,15 +32,27 @@ export class JumpPadSystem {
         
         // Create jump notification element
         this.createJumpNotification();
+    }
+    
+    init(scene) {
+        super.init(scene);
+        this.threeScene = scene.threeScene;
+        this.timeSystem = scene.getSystem('TimeSystem'); // Clears pad cooldowns on simulation time
         
         // Initialize jump pads
+        this.registerPrefab();
         this.createJumpPads();
     }
     
+    reset() {
+        // Re-arm every jump pad for the new round
+        this.activatedJumpPads.clear();
+        this.jumpPads.forEach(entity => this.rearmJumpPad(entity));
+    }
+    
     createJumpNotification() {
         // Create a notification element that appears when a jump pad is activated
-        this.jumpNotification = document.createElement('div');
-        this.jumpNotification.id = 'jumpNotification';
+        this.jumpNotification = this.presentation.createOverlay('jumpNotification');
         this.jumpNotification.textContent = 'SUPER JUMP!';
         this.jumpNotification.style.position = 'fixed';
         this.jumpNotification.style.top = '45%'; // Position lower than booster notification
@@ -45,8 +67,6 @@ export class JumpPadSystem {
         this.jumpNotification.style.opacity = '0';
         this.jumpNotification.style.transition = 'opacity 0.3s ease-in-out';
         this.jumpNotification.style.pointerEvents = 'none'; // Don't block clicks/interactions
-        
-        document.body.appendChild(this.jumpNotification);
     }
     
     createJumpPads() {
@@ -73,7 +93,36 @@ export class JumpPadSystem {
         });
     }
     
+    registerPrefab() {
+        this.scene.prefabs.register('jumppad', {
+            createObject: () => this.createJumpPadMesh(),
+            components: {
+                // Only the distance across the ground counts, so the trigger is a tall cylinder
+                Physics: {
+                    isKinematic: true, isTrigger: true, useGravity: false,
+                    collisionShape: 'cylinder', collisionRadius: 2.5, collisionHeight: 20
+                }
+            },
+            createComponents: (params, jumpPad) => {
+                // Add particle effect
+                const particleSystem = this.createParticleSystem(jumpPad.position.x, jumpPad.position.z);
+                
+                // Particles are not parented to the pad so they can spin independently
+                this.threeScene.add(particleSystem);
+                
+                return [new PowerPad('jumppad', {
+                    particles: particleSystem,
+                    onActivate: entity => this.handleJumpPadContact(entity)
+                })];
+            }
+        });
+    }
+    
     createJumpPad(x, z) {
+        this.jumpPads.push(this.scene.spawn('jumppad', { position: new THREE.Vector3(x, 0, z) }));
+    }
+    
+    createJumpPadMesh() {
         // Create a triangular prism for the jump pad to distinguish from booster pads
         const jumpPad = new THREE.Group();
         
@@ -106,23 +155,7 @@ export class JumpPadSystem {
             jumpPad.add(arrowGroup);
         }
         
-        // Position the jump pad
-        jumpPad.position.set(x, 0, z);
-        
-        // Add particle effect
-        const particleSystem = this.createParticleSystem(x, z);
-        
-        // Add to scene and jump pads array
-        this.scene.add(jumpPad);
-        this.scene.add(particleSystem);
-        
-        this.jumpPads.push({
-            mesh: jumpPad,
-            particles: particleSystem,
-            position: new THREE.Vector3(x, 0, z),
-            active: true,
-            lastActivatedTime: 0
-        });
+        return setCollisionLayer(jumpPad, CollisionLayer.TRIGGER);
     }
     
     createParticleSystem(x, z) {
@@ -140,10 +173,10 @@ export class JumpPadSystem {
         for (let i = 0; i < particleCount; i++) {
             // Position particles in a circle around the jump pad
             const angle = (i / particleCount) * Math.PI * 2;
-            const radius = 1.8 + Math.random() * 0.4;
+            const radius = 1.8 + Random.cosmetic.next() * 0.4;
             
             positions[i * 3] = Math.cos(angle) * radius; // Relative to group center
-            positions[i * 3 + 1] = 0.1 + Math.random() * 0.4; // Vary height slightly
+            positions[i * 3 + 1] = 0.1 + Random.cosmetic.next() * 0.4; // Vary height slightly
             positions[i * 3 + 2] = Math.sin(angle) * radius; // Relative to group center
         }
         
@@ -164,40 +197,27 @@ export class JumpPadSystem {
     }
     
     update(deltaTime) {
-        // Check if player is over any jump pad
-        this.checkJumpPadCollisions();
+        this.elapsedTime += deltaTime;
         
-        // Animate jump pads
+        // Animate jump pads - the pads' triggers activate them
         this.animateJumpPads(deltaTime);
         
         // Check if any jump pads should reactivate
         this.checkJumpPadRespawn();
     }
     
-    checkJumpPadCollisions() {
-        // Only check if the skateboard is on the ground (not already jumping)
+    // Called by the pad's PowerPad while the board is on the armed pad
+    handleJumpPadContact(entity) {
+        // Only launch a skateboard on the ground (not already jumping)
         if (this.skateboard.isJumping || this.skateboard.inAir) return;
         
-        const skateboardPosition = this.skateboard.getPosition();
-        
-        this.jumpPads.forEach((jumpPad, index) => {
-            if (!jumpPad.active) return; // Skip inactive jump pads
-            
-            // Calculate distance from skateboard to jump pad
-            const distance = new THREE.Vector2(
-                skateboardPosition.x - jumpPad.position.x,
-                skateboardPosition.z - jumpPad.position.z
-            ).length();
-            
-            // If close enough, activate the jump pad
-            if (distance < 2.5) { // Collision radius
-                this.activateJumpPad(index);
-            }
-        });
+        this.activateJumpPad(this.jumpPads.indexOf(entity));
     }
     
     activateJumpPad(index) {
-        const jumpPad = this.jumpPads[index];
+        const entity = this.jumpPads[index];
+        const pad = entity.getComponent('PowerPad');
+        const mesh = entity.getComponent('Transform').group;
         
         // Don't activate if already activated recently
         if (this.activatedJumpPads.has(index)) return;
@@ -207,8 +227,8 @@ export class JumpPadSystem {
         
         // Mark this jump pad as activated
         this.activatedJumpPads.add(index);
-        jumpPad.active = false;
-        jumpPad.lastActivatedTime = Date.now();
+        pad.active = false;
+        pad.lastActivatedTime = this.elapsedTime * 1000;
         
         // Change appearance of jump pad to indicate it's used
         const baseMaterial = new THREE.MeshStandardMaterial({
@@ -220,25 +240,30 @@ export class JumpPadSystem {
         });
         
         // Update materials on all meshes in the jump pad
-        jumpPad.mesh.traverse((child) => {
+        mesh.traverse((child) => {
             if (child.isMesh) {
                 child.material = baseMaterial;
             }
         });
         
         // Remove particles temporarily
-        jumpPad.particles.visible = false;
+        pad.particles.visible = false;
         
         // Create burst effect
-        this.createJumpBurstEffect(jumpPad.position);
+        this.createJumpBurstEffect(mesh.position);
         
         // Show jump notification
         this.showJumpNotification();
         
+        this.scene.events.emit(GameEvents.JUMPPAD_TRIGGERED, {
+            position: mesh.position.clone(),
+            multiplier: this.jumpMultiplier
+        });
+        
         // Schedule cleanup of jump effect
-        setTimeout(() => {
+        this.timeSystem.delay(() => {
             this.activatedJumpPads.delete(index);
-        }, this.jumpCooldown);
+        }, this.jumpCooldown / 1000);
     }
     
     showJumpNotification() {
@@ -280,11 +305,13 @@ export class JumpPadSystem {
     }
     
     createJumpBurstEffect(position) {
+        if (!this.presentation.effectsEnabled) return;
+        
         // Create a burst of particles when jump pad is activated
-        const particleCount = 40;
-        const burstGeometry = new THREE.BufferGeometry();
-        const positions = new Float32Array(particleCount * 3);
-        const velocities = new Float32Array(particleCount * 3);
+        const burstSystem = this.burstPool.acquire();
+        const particleCount = this.burstParticleCount;
+        const positions = burstSystem.geometry.attributes.position.array;
+        const velocities = burstSystem.userData.velocities;
         
         for (let i = 0; i < particleCount; i++) {
             // Random position around the center
@@ -293,26 +320,21 @@ export class JumpPadSystem {
             positions[i * 3 + 2] = position.z;
             
             // Random velocity - mostly upward for jump effect
-            const angle = Math.random() * Math.PI * 2;
-            const horizontalSpeed = 0.03 + Math.random() * 0.05;
-            const verticalSpeed = 0.08 + Math.random() * 0.12;
+            const angle = Random.cosmetic.next() * Math.PI * 2;
+            const horizontalSpeed = 0.03 + Random.cosmetic.next() * 0.05;
+            const verticalSpeed = 0.08 + Random.cosmetic.next() * 0.12;
             
             velocities[i * 3] = Math.cos(angle) * horizontalSpeed;
             velocities[i * 3 + 1] = verticalSpeed;
             velocities[i * 3 + 2] = Math.sin(angle) * horizontalSpeed;
         }
         
-        burstGeometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
-        
-        const burstMaterial = new THREE.PointsMaterial({
-            color: 0xffaa00,
-            size: 0.4,
-            transparent: true,
-            opacity: 0.9
-        });
+        burstSystem.geometry.attributes.position.needsUpdate = true;
+        burstSystem.geometry.computeBoundingSphere(); // Bounds from the last use would cull it
         
-        const burstSystem = new THREE.Points(burstGeometry, burstMaterial);
-        this.scene.add(burstSystem);
+        const burstMaterial = burstSystem.material;
+        burstMaterial.opacity = 0.9;
+        this.threeScene.add(burstSystem);
         
         // Animate the burst
         let frameCount = 0;
@@ -320,7 +342,7 @@ export class JumpPadSystem {
         
         const animateBurst = () => {
             if (frameCount >= maxFrames) {
-                this.scene.remove(burstSystem);
+                this.burstPool.release(burstSystem);
                 return;
             }
             
@@ -348,46 +370,73 @@ export class JumpPadSystem {
         animateBurst();
     }
     
+    // Build a reusable burst - the effect refills its positions and velocities each time
+    createBurstPoints() {
+        const burstGeometry = new THREE.BufferGeometry();
+        burstGeometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(this.burstParticleCount * 3), 3));
+        
+        const burstMaterial = new THREE.PointsMaterial({
+            color: 0xffaa00,
+            size: 0.4,
+            transparent: true,
+            opacity: 0.9
+        });
+        
+        const burstSystem = new THREE.Points(burstGeometry, burstMaterial);
+        burstSystem.userData.velocities = new Float32Array(this.burstParticleCount * 3);
+        return burstSystem;
+    }
+    
     checkJumpPadRespawn() {
-        const currentTime = Date.now();
+        const currentTime = this.elapsedTime * 1000;
         
-        this.jumpPads.forEach((jumpPad, index) => {
-            if (!jumpPad.active && (currentTime - jumpPad.lastActivatedTime) > this.jumpCooldown) {
-                // Reactivate the jump pad
-                jumpPad.active = true;
-                
-                // Restore appearance
-                // Update materials on all meshes in the jump pad
-                jumpPad.mesh.traverse((child) => {
-                    if (child.isMesh) {
-                        child.material = this.jumpPadMaterial;
-                    }
-                });
-                
-                jumpPad.particles.visible = true;
+        this.jumpPads.forEach(entity => {
+            const pad = entity.getComponent('PowerPad');
+            if (!pad.active && (currentTime - pad.lastActivatedTime) > this.jumpCooldown) {
+                this.rearmJumpPad(entity);
+            }
+        });
+    }
+    
+    rearmJumpPad(entity) {
+        const pad = entity.getComponent('PowerPad');
+        
+        // Reactivate the jump pad
+        pad.active = true;
+        
+        // Restore appearance
+        // Update materials on all meshes in the jump pad
+        entity.getComponent('Transform').group.traverse((child) => {
+            if (child.isMesh) {
+                child.material = this.jumpPadMaterial;
             }
         });
+        
+        pad.particles.visible = true;
     }
     
     animateJumpPads(deltaTime) {
         // Make active jump pads pulse and rotate
-        this.jumpPads.forEach(jumpPad => {
-            if (jumpPad.active) {
+        this.jumpPads.forEach(entity => {
+            const pad = entity.getComponent('PowerPad');
+            if (pad.active) {
+                const mesh = entity.getComponent('Transform').group;
+                
                 // Rotate particle system
-                jumpPad.particles.rotation.y += deltaTime * 1.5;
+                pad.particles.rotation.y += deltaTime * 1.5;
                 
                 // Bounce the arrows up and down
-                const time = Date.now() * 0.001;
+                const time = this.elapsedTime;
                 const bounceHeight = Math.sin(time * 5) * 0.1;
                 
-                jumpPad.mesh.children.forEach((child, i) => {
+                mesh.children.forEach((child, i) => {
                     if (i > 0) { // Skip the base, only bounce the arrows
                         child.position.y = 0.1 + bounceHeight;
                     }
                 });
                 
                 // Pulse the emissive intensity on all meshes
-                jumpPad.mesh.traverse((child) => {
+                mesh.traverse((child) => {
                     if (child.isMesh && child.material && child.material.emissiveIntensity) {
                         child.material.emissiveIntensity = 0.3 + Math.sin(time * 4) * 0.2;
                     }
@@ -395,4 +444,9 @@ export class JumpPadSystem {
             }
         });
     }
+    
+    dispose() {
+        this.burstPool.clear();
+        super.dispose();
+    }
 } 
\ No newline at end of file
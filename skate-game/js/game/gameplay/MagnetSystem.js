@@ -1,55 +1,95 @@
 import * as THREE from 'three';
+import { System } from '../../core/System.js';
+import { Collectible } from '../components/Collectible.js';
+import { Random } from '../../core/Random.js';
+import { ObjectPool } from '../../core/ObjectPool.js';
+import { CollisionLayer, setCollisionLayer } from '../physics/CollisionLayers.js';
 
-export class MagnetSystem {
-    constructor(scene, skateboard, camera, gameState) {
-        this.scene = scene;
+export class MagnetSystem extends System {
+    constructor(skateboard, camera, gameState, presentation) {
+        super('MagnetSystem');
         this.skateboard = skateboard;
         this.camera = camera;
         this.gameState = gameState;
-        this.magnets = [];
+        this.presentation = presentation;
+        this.magnets = []; // Magnet entities
         this.magnetCount = 3; // Number of magnets to spawn
         this.collectSound = null;
         this.spawnDistance = 50; // Max distance from center to spawn magnets
         this.respawnInterval = 60000; // Respawn magnets every 60 seconds
         this.lastRespawnTime = 0;
+        this.elapsedTime = 0; // Simulation clock in seconds, drives respawns and the hover
         
-        // Create magnets and add them to the scene
-        this.initMagnets();
+        // Magnet meshes and collection bursts are recycled instead of rebuilt
+        this.magnetPool = new ObjectPool(() => this.createMagnetMesh(), {
+            reset: magnet => {
+                magnet.rotation.set(0, 0, 0);
+                magnet.visible = true;
+            }
+        });
+        this.burstParticleCount = 30;
+        this.burstGeometry = new THREE.SphereGeometry(0.1, 8, 8);
+        this.burstPool = new ObjectPool(() => this.createBurstMesh(), {
+            dispose: burst => burst.children.forEach(particle => particle.material.dispose())
+        });
         
         // Try to initialize sound
         this.initSound();
     }
     
+    init(scene) {
+        super.init(scene);
+        this.threeScene = scene.threeScene;
+        this.registerPrefab();
+        
+        // Create magnets and add them to the scene
+        this.initMagnets();
+    }
+    
+    reset() {
+        this.initMagnets();
+    }
+    
     initSound() {
         try {
-            this.collectSound = new Audio('/audio/magnet_collect.mp3');
-            this.collectSound.volume = 0.5;
+            this.collectSound = this.presentation.createSound('/audio/magnet_collect.mp3', 0.5);
         } catch (error) {
             console.warn("Could not initialize magnet collection sound:", error);
         }
     }
     
     initMagnets() {
-        // Remove any existing magnets
-        this.magnets.forEach(magnet => {
-            if (magnet && this.scene.children.includes(magnet)) {
-                this.scene.remove(magnet);
-            }
-        });
+        // Remove any existing magnets, keeping their meshes for reuse
+        this.magnets.forEach(entity => this.scene.despawn(entity));
         
         this.magnets = [];
         
         // Create new magnets
         for (let i = 0; i < this.magnetCount; i++) {
-            const magnet = this.createMagnet();
-            this.magnets.push(magnet);
-            this.scene.add(magnet);
+            this.magnets.push(this.createMagnet());
         }
         
         console.log(`Created ${this.magnetCount} magnets`);
     }
     
+    registerPrefab() {
+        this.scene.prefabs.register('magnet', {
+            pool: this.magnetPool,
+            components: {
+                Physics: { isKinematic: true, isTrigger: true, useGravity: false, collisionShape: 'sphere', collisionRadius: 2 }
+            },
+            createComponents: () => [new Collectible('magnet', {
+                onCollect: entity => this.collectMagnet(entity),
+                animationOffset: Random.gameplay.next() // Unique offset for animation
+            })]
+        });
+    }
+    
     createMagnet() {
+        return this.scene.spawn('magnet', { position: this.getRandomMagnetPosition() });
+    }
+    
+    createMagnetMesh() {
         // Create a group for the magnet
         const magnetGroup = new THREE.Group();
         
@@ -108,33 +148,28 @@ export class MagnetSystem {
         const glowMesh = new THREE.Mesh(glowGeometry, glowMaterial);
         magnetGroup.add(glowMesh);
         
-        // Position the magnet at a random location
-        this.positionMagnetRandomly(magnetGroup);
-        
-        // Store the original position for animation
-        magnetGroup.userData = {
-            originalY: magnetGroup.position.y,
-            collected: false,
-            id: Math.random() // Unique ID for animation offsets
-        };
-        
-        return magnetGroup;
+        return setCollisionLayer(magnetGroup, CollisionLayer.PICKUP);
     }
     
     positionMagnetRandomly(magnet) {
-        // Position at random location in skatepark
-        const angle = Math.random() * Math.PI * 2;
-        const distance = Math.random() * this.spawnDistance;
+        magnet.position.copy(this.getRandomMagnetPosition());
+    }
+    
+    getRandomMagnetPosition() {
+        // Random location in skatepark
+        const angle = Random.gameplay.next() * Math.PI * 2;
+        const distance = Random.gameplay.next() * this.spawnDistance;
         
         const x = Math.cos(angle) * distance;
         const z = Math.sin(angle) * distance;
         const y = 1.5; // Hover above ground
         
-        magnet.position.set(x, y, z);
+        return new THREE.Vector3(x, y, z);
     }
     
     update(deltaTime) {
-        const now = performance.now();
+        this.elapsedTime += deltaTime;
+        const now = this.elapsedTime * 1000;
         
         // Skip updates if game is over
         if (this.gameState.gameOver || this.gameState.gameWon) return;
@@ -145,51 +180,39 @@ export class MagnetSystem {
             this.lastRespawnTime = now;
         }
         
-        // Check each magnet for collection and animate
-        this.magnets.forEach((magnet, index) => {
-            if (!magnet) return;
-            
+        // Animate magnets - collection is reported by their triggers
+        this.magnets.forEach(entity => {
             // Skip if already collected
-            if (magnet.userData.collected) return;
+            if (entity.getComponent('Collectible').collected) return;
             
             // Animate magnet - hover up and down and rotate
-            this.animateMagnet(magnet, now);
-            
-            // Check if player collected
-            this.checkMagnetCollection(magnet);
+            this.animateMagnet(entity, now);
         });
     }
     
-    animateMagnet(magnet, now) {
+    animateMagnet(entity, now) {
+        const magnet = entity.getComponent('Transform').group;
+        const collectible = entity.getComponent('Collectible');
+        
         // Add a unique offset based on the magnet's ID to make each animation slightly different
-        const timeOffset = magnet.userData.id * 1000;
+        const timeOffset = collectible.animationOffset * 1000;
         
         // Hover effect - move up and down slightly
         const hoverY = Math.sin((now + timeOffset) * 0.001) * 0.2;
-        magnet.position.y = magnet.userData.originalY + hoverY;
+        magnet.position.y = collectible.baseY + hoverY;
         
         // Rotate the magnet
         magnet.rotation.y += 0.01;
     }
     
-    checkMagnetCollection(magnet) {
-        if (!magnet || magnet.userData.collected) return;
+    collectMagnet(entity) {
+        const collectible = entity.getComponent('Collectible');
+        if (collectible.collected) return;
         
-        const skaterPosition = this.skateboard.mesh.position.clone();
-        const magnetPosition = magnet.position.clone();
-        const distance = skaterPosition.distanceTo(magnetPosition);
-        
-        // Check if player is close enough to collect
-        if (distance < 2) {
-            this.collectMagnet(magnet);
-        }
-    }
-    
-    collectMagnet(magnet) {
-        if (!magnet || magnet.userData.collected) return;
+        const magnet = entity.getComponent('Transform').group;
         
         // Mark as collected
-        magnet.userData.collected = true;
+        collectible.collected = true;
         
         // Hide the magnet
         magnet.visible = false;
@@ -205,7 +228,7 @@ export class MagnetSystem {
         }
         
         // Activate magnet effect in game state
-        this.gameState.activateMagnet();
+        this.gameState.activateMagnet(magnet.position.clone());
         
         // Show collection message
         console.log("Magnet collected! Coins will be attracted to player!");
@@ -215,43 +238,34 @@ export class MagnetSystem {
     }
     
     createCollectionEffect(position) {
+        if (!this.presentation.effectsEnabled) return;
+        
         // Create particle effect for collection
-        const particleCount = 30;
-        const particles = new THREE.Group();
+        const particles = this.burstPool.acquire();
         
-        for (let i = 0; i < particleCount; i++) {
-            const particleGeometry = new THREE.SphereGeometry(0.1, 8, 8);
-            const particleMaterial = new THREE.MeshBasicMaterial({
-                color: 0x4444FF,
-                transparent: true,
-                opacity: 0.7
-            });
-            
-            const particle = new THREE.Mesh(particleGeometry, particleMaterial);
-            
+        particles.children.forEach(particle => {
             // Random position around the collection point
-            const angle = Math.random() * Math.PI * 2;
-            const radius = Math.random() * 0.5;
+            const angle = Random.cosmetic.next() * Math.PI * 2;
+            const radius = Random.cosmetic.next() * 0.5;
             particle.position.set(
                 position.x + Math.cos(angle) * radius,
-                position.y + Math.random() * 0.5,
+                position.y + Random.cosmetic.next() * 0.5,
                 position.z + Math.sin(angle) * radius
             );
             
             // Random velocity
             particle.userData = {
                 velocity: new THREE.Vector3(
-                    (Math.random() - 0.5) * 5,
-                    Math.random() * 5,
-                    (Math.random() - 0.5) * 5
+                    (Random.cosmetic.next() - 0.5) * 5,
+                    Random.cosmetic.next() * 5,
+                    (Random.cosmetic.next() - 0.5) * 5
                 ),
                 lifetime: 1.0 // Seconds
             };
-            
-            particles.add(particle);
-        }
+            particle.material.opacity = 0.7;
+        });
         
-        this.scene.add(particles);
+        this.threeScene.add(particles);
         
         // Animate particles
         const startTime = performance.now();
@@ -261,8 +275,8 @@ export class MagnetSystem {
             const elapsedTime = (now - startTime) / 1000; // Convert to seconds
             
             if (elapsedTime > 1.0) {
-                // Remove particles after lifetime
-                this.scene.remove(particles);
+                // Recycle particles after lifetime
+                this.burstPool.release(particles);
                 return;
             }
             
@@ -287,19 +301,45 @@ export class MagnetSystem {
         animateParticles();
     }
     
+    // Build a reusable collection burst; particles share one geometry but fade individually
+    createBurstMesh() {
+        const particles = new THREE.Group();
+        
+        for (let i = 0; i < this.burstParticleCount; i++) {
+            const particleMaterial = new THREE.MeshBasicMaterial({
+                color: 0x4444FF,
+                transparent: true,
+                opacity: 0.7
+            });
+            particles.add(new THREE.Mesh(this.burstGeometry, particleMaterial));
+        }
+        
+        return particles;
+    }
+    
     respawnMagnets() {
-        this.magnets.forEach(magnet => {
-            if (magnet && magnet.userData.collected) {
+        this.magnets.forEach(entity => {
+            const collectible = entity.getComponent('Collectible');
+            if (collectible.collected) {
+                const magnet = entity.getComponent('Transform').group;
+                
                 // Reset magnet
-                magnet.userData.collected = false;
+                collectible.collected = false;
                 magnet.visible = true;
                 
                 // Reposition
                 this.positionMagnetRandomly(magnet);
-                magnet.userData.originalY = magnet.position.y;
+                collectible.baseY = magnet.position.y;
             }
         });
         
         console.log("Respawned collected magnets");
     }
+    
+    dispose() {
+        this.magnetPool.clear();
+        this.burstPool.clear();
+        this.burstGeometry.dispose();
+        super.dispose();
+    }
 } 
\ No newline at end of file
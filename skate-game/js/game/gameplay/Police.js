@@ -1,17 +1,26 @@
 import * as THREE from 'three';
+import { System } from '../../core/System.js';
+import { Officer } from '../components/Officer.js';
+import { GameEvents } from '../GameEvents.js';
+import { Random } from '../../core/Random.js';
+import { ObjectPool } from '../../core/ObjectPool.js';
+import { CollisionLayer, setCollisionLayer } from '../physics/CollisionLayers.js';
 
-export class PoliceSystem {
-    constructor(scene, skateboard, camera, gameState, skater) {
-        this.scene = scene;
+export class PoliceSystem extends System {
+    constructor(skateboard, camera, gameState, skater, presentation, collisionWorld) {
+        super('PoliceSystem');
         this.skateboard = skateboard;
         this.camera = camera; // Need access to the camera for text positioning
         this.gameState = gameState; // Reference to game state
         this.skater = skater; // Reference to the skater for visibility effects
-        this.officers = [];
+        this.presentation = presentation; // Canvases, sounds and effects (browser or headless)
+        this.collisionWorld = collisionWorld; // Officers are dynamic obstacles in it
+        this.officers = []; // Officer entities
         this.detectionRadius = 40; // How far police can see the player
         this.chaseSpeed = 0.08; // Police movement speed
         this.spawnDistance = 80; // Distance from center to spawn police
         this.lastSpawnTime = 0;
+        this.elapsedTime = 0; // Simulation clock in seconds, drives spawning and patrols
         this.spawnInterval = 15000; // Time between spawning new officers (ms)
         this.officerCount = 3; // Starting number of officers
         this.chasingText = null;
@@ -19,8 +28,23 @@ export class PoliceSystem {
         this.explodingOfficers = []; // Track officers that are exploding
         this.explosionSound = null;
         
-        // Initialize officers
-        this.init();
+        // Officer rigs and explosions are recycled instead of rebuilt
+        this.officerPool = new ObjectPool(() => this.createOfficerMesh(), {
+            reset: officer => this.resetOfficerMesh(officer)
+        });
+        this.explosionDebrisCount = 30;
+        this.explosionFireCount = 15;
+        this.debrisGeometries = [
+            new THREE.BoxGeometry(0.2, 0.2, 0.2),
+            new THREE.SphereGeometry(0.15, 8, 8),
+            new THREE.CylinderGeometry(0.1, 0.1, 0.3, 8)
+        ];
+        this.flameGeometry = new THREE.SphereGeometry(1, 8, 8);
+        this.explosionPool = new ObjectPool(() => this.createExplosionMesh(), {
+            reset: explosion => this.resetExplosionMesh(explosion),
+            // Geometries are shared between explosions, only the materials are per particle
+            dispose: explosion => explosion.children.forEach(particle => particle.material.dispose())
+        });
         
         // Initialize explosion sound
         this.initSound();
@@ -28,14 +52,18 @@ export class PoliceSystem {
     
     initSound() {
         try {
-            this.explosionSound = new Audio('/audio/explosion.mp3');
-            this.explosionSound.volume = 0.5;
+            this.explosionSound = this.presentation.createSound('/audio/explosion.mp3', 0.5);
         } catch (error) {
             console.warn("Could not initialize explosion sound:", error);
         }
     }
     
-    init() {
+    init(scene) {
+        super.init(scene);
+        this.threeScene = scene.threeScene;
+        this.timeSystem = scene.getSystem('TimeSystem'); // Times the capture celebration
+        this.registerPrefab();
+        
         // Create initial police officers
         for (let i = 0; i < this.officerCount; i++) {
             this.spawnOfficer();
@@ -50,9 +78,7 @@ export class PoliceSystem {
     
     createChasingText() {
         // Create a canvas for the text
-        const canvas = document.createElement('canvas');
-        canvas.width = 256;
-        canvas.height = 64;
+        const canvas = this.presentation.createCanvas(256, 64);
         const context = canvas.getContext('2d');
         
         // Clear the canvas
@@ -79,14 +105,12 @@ export class PoliceSystem {
         this.chasingText = new THREE.Sprite(material);
         this.chasingText.scale.set(10, 2.5, 1);
         this.chasingText.visible = false;
-        this.scene.add(this.chasingText);
+        this.threeScene.add(this.chasingText);
     }
     
     createSimplifiedBustedEffect() {
         // Create a canvas for "BUSTED" text
-        const canvas = document.createElement('canvas');
-        canvas.width = 512;
-        canvas.height = 128;
+        const canvas = this.presentation.createCanvas(512, 128);
         const context = canvas.getContext('2d');
         
         // Fill with transparent background
@@ -112,10 +136,58 @@ export class PoliceSystem {
         this.bustedText = new THREE.Sprite(material);
         this.bustedText.scale.set(30, 10, 1);
         this.bustedText.visible = false;
-        this.scene.add(this.bustedText);
+        this.threeScene.add(this.bustedText);
+    }
+    
+    registerPrefab() {
+        this.scene.prefabs.register('officer', {
+            defaults: { speed: this.chaseSpeed },
+            pool: this.officerPool,
+            components: {
+                // Moved by the chase AI, not by forces. The trigger is how close an officer has to
+                // get to grab the player; the officer's body blocks the board in the collision world
+                Physics: { isKinematic: true, isTrigger: true, useGravity: false, collisionShape: 'sphere', collisionRadius: 1.5 }
+            },
+            createComponents: (params, object) => [new Officer(params.speed, object.position, {
+                onReachPlayer: entity => this.officerReachedPlayer(entity)
+            })]
+        });
+    }
+    
+    officerReachedPlayer(entity) {
+        if (!this.enabled || this.gameState.gameOver || this.gameState.gameWon || this.gameState.isPlayerCaught) return;
+        
+        // Only an officer running after the player can get them, not one patrolling past or stumbling
+        const state = entity.getComponent('Officer');
+        if (!state.isChasing || state.pauseTime > 0) return;
+        
+        // Special handling for candy invincibility - explode police on collision
+        if (this.gameState.isPlayerInvincibleFromCandy()) {
+            this.explodeOfficer(entity);
+        } else if (!this.gameState.isPlayerImmuneFromCapture()) {
+            this.playerCaught();
+        }
     }
     
     spawnOfficer() {
+        // Spawn at a random location away from the player
+        const angle = Random.gameplay.next() * Math.PI * 2;
+        const x = Math.cos(angle) * this.spawnDistance;
+        const z = Math.sin(angle) * this.spawnDistance;
+        
+        const entity = this.scene.spawn('officer', { position: new THREE.Vector3(x, 0, z) });
+        this.officers.push(entity);
+        this.collisionWorld.addDynamic(entity.getComponent('Transform').group);
+        
+        return entity;
+    }
+    
+    despawnOfficer(entity) {
+        this.collisionWorld.removeDynamic(entity.getComponent('Transform').group);
+        this.scene.despawn(entity);
+    }
+    
+    createOfficerMesh() {
         // Create a police officer character
         const officerGroup = new THREE.Group();
         
@@ -176,26 +248,8 @@ export class PoliceSystem {
         rightLeg.position.set(0.3, -0.25, 0);
         officerGroup.add(rightLeg);
         
-        // Set officer position at random location away from player
-        const angle = Math.random() * Math.PI * 2;
-        const x = Math.cos(angle) * this.spawnDistance;
-        const z = Math.sin(angle) * this.spawnDistance;
-        officerGroup.position.set(x, 0, z);
-        
-        // Store officer state
-        officerGroup.userData = {
-            isChasing: false,
-            speed: this.chaseSpeed,
-            chasingTime: 0,
-            pauseTime: 0,
-            originalPos: new THREE.Vector3(x, 0, z),
-            id: Math.random() // Unique ID for animation offsets
-        };
-        
-        this.scene.add(officerGroup);
-        this.officers.push(officerGroup);
-        
-        return officerGroup;
+        // Officers block the board like walls do, wherever they have walked to
+        return setCollisionLayer(officerGroup, CollisionLayer.WALL);
     }
     
     update(deltaTime) {
@@ -204,8 +258,9 @@ export class PoliceSystem {
             return;
         }
         
+        this.elapsedTime += deltaTime;
         const playerPosition = this.skateboard.mesh.position.clone();
-        const now = performance.now();
+        const now = this.elapsedTime * 1000;
         
         // IMPORTANT: If player is caught, only update text positions - don't process police chasing or collisions
         if (this.gameState.isPlayerCaught) {
@@ -214,7 +269,8 @@ export class PoliceSystem {
             this.chasingText.visible = false;
             
             // Make officers keep distance when player is caught
-            this.officers.forEach(officer => {
+            this.officers.forEach(entity => {
+                const officer = entity.getComponent('Transform').group;
                 const officerPos = officer.position.clone();
                 const distanceToPlayer = officerPos.distanceTo(playerPosition);
                 
@@ -261,12 +317,14 @@ export class PoliceSystem {
         this.updateExplodingOfficers(deltaTime);
         
         let anyOfficerChasing = false;
-        let playerCaughtThisFrame = false; // Track if player was caught this frame
         
         // Update each police officer
-        this.officers.forEach(officer => {
+        this.officers.forEach(entity => {
+            const officer = entity.getComponent('Transform').group;
+            const state = entity.getComponent('Officer');
+            
             // Skip officers that are marked for deletion
-            if (officer.userData.exploding || officer.userData.toDelete) return;
+            if (state.exploding || state.toDelete) return;
             
             const officerPosition = officer.position.clone();
             officerPosition.y = 0; // Ignore height difference
@@ -277,21 +335,21 @@ export class PoliceSystem {
             // Check detection - officers can still detect player when immune, but can't catch them
             if (distanceToPlayer < this.detectionRadius) {
                 // Player detected - start chasing!
-                officer.userData.isChasing = true;
-                officer.userData.chasingTime = 0;
+                state.isChasing = true;
+                state.chasingTime = 0;
                 anyOfficerChasing = true;
             }
             
             // Handle chasing behavior
-            if (officer.userData.isChasing) {
+            if (state.isChasing) {
                 // Update chasing timer
-                officer.userData.chasingTime += deltaTime;
+                state.chasingTime += deltaTime;
                 
                 // Check if we're in a pause (stumbled)
-                if (officer.userData.pauseTime > 0) {
-                    officer.userData.pauseTime -= deltaTime;
+                if (state.pauseTime > 0) {
+                    state.pauseTime -= deltaTime;
                     // Make officer "jump" to show stumbling
-                    const bounce = Math.sin(officer.userData.pauseTime * 10) * 0.2;
+                    const bounce = Math.sin(state.pauseTime * 10) * 0.2;
                     officer.position.y = Math.max(0, bounce);
                 } else {
                     // Get direction to player
@@ -306,12 +364,12 @@ export class PoliceSystem {
                     if (this.gameState.isPlayerImmuneFromCapture() && distanceToPlayer < 3) {
                         // Slow down when close to immune player
                         const slowFactor = 0.3;
-                        officer.position.x += direction.x * officer.userData.speed * slowFactor;
-                        officer.position.z += direction.z * officer.userData.speed * slowFactor;
+                        officer.position.x += direction.x * state.speed * slowFactor;
+                        officer.position.z += direction.z * state.speed * slowFactor;
                     } else {
                         // Normal movement
-                        officer.position.x += direction.x * officer.userData.speed;
-                        officer.position.z += direction.z * officer.userData.speed;
+                        officer.position.x += direction.x * state.speed;
+                        officer.position.z += direction.z * state.speed;
                     }
                     
                     // Animate legs while chasing
@@ -321,25 +379,9 @@ export class PoliceSystem {
                         officer.children[7].rotation.x = -legAngle;
                     }
                     
-                    // Special handling for candy invincibility - explode police on collision
-                    if (this.gameState.isPlayerInvincibleFromCandy() && distanceToPlayer < 2.0) {
-                        this.explodeOfficer(officer);
-                        return; // Skip further processing for this officer
-                    }
-                    
-                    // Check if officer caught player - with multiple safety checks
-                    if (distanceToPlayer < 1.5 &&  // Close enough to catch
-                        !this.gameState.isPlayerCaught && // Not already caught
-                        !this.gameState.isPlayerImmuneFromCapture() && // Not immune
-                        !playerCaughtThisFrame) { // Not caught by another officer this frame
-                        
-                        this.playerCaught();
-                        playerCaughtThisFrame = true; // Prevent other officers from catching in same frame
-                    }
-                    
                     // Occasionally make the officer stumble
-                    if (Math.random() < 0.001) {
-                        officer.userData.pauseTime = 1.0;
+                    if (Random.gameplay.next() < 0.001) {
+                        state.pauseTime = 1.0;
                     }
                 }
             } else {
@@ -349,9 +391,9 @@ export class PoliceSystem {
                 
                 // Use sine waves to create circular patrol patterns
                 const time = now * 0.001;
-                const uniqueOffset = officer.userData.id * 10;
-                const newX = officer.userData.originalPos.x + Math.sin(time + uniqueOffset) * patrolRadius;
-                const newZ = officer.userData.originalPos.z + Math.cos(time + uniqueOffset) * patrolRadius;
+                const uniqueOffset = state.animationOffset * 10;
+                const newX = state.originalPos.x + Math.sin(time + uniqueOffset) * patrolRadius;
+                const newZ = state.originalPos.z + Math.cos(time + uniqueOffset) * patrolRadius;
                 
                 // Calculate patrol direction
                 const patrolDirection = new THREE.Vector3(newX, 0, newZ).sub(officerPosition).normalize();
@@ -384,17 +426,19 @@ export class PoliceSystem {
         this.updateBustedTextPosition();
         
         // Make police celebrate
-        this.officers.forEach(officer => {
+        this.officers.forEach(entity => {
+            const officer = entity.getComponent('Transform').group;
+            
             // Make police stop and jump to celebrate
-            officer.userData.isChasing = false;
+            entity.getComponent('Officer').isChasing = false;
             
             // Jump animation
             const jumpAnimation = () => {
                 let jumpHeight = 0;
                 let jumpVelocity = 0.1;
-                const jumpInterval = setInterval(() => {
+                const jumpTimer = this.timeSystem.repeat(() => {
                     if (this.gameState.gameOver) {
-                        clearInterval(jumpInterval);
+                        this.timeSystem.removeTimer(jumpTimer);
                         return;
                     }
                     
@@ -407,13 +451,13 @@ export class PoliceSystem {
                     }
                     
                     officer.position.y = jumpHeight;
-                }, 50);
+                }, 0.05);
                 
                 // Stop jumping after a few seconds
-                setTimeout(() => {
-                    clearInterval(jumpInterval);
+                this.timeSystem.delay(() => {
+                    this.timeSystem.removeTimer(jumpTimer);
                     officer.position.y = 0;
-                }, 3000);
+                }, 3);
             };
             
             jumpAnimation();
@@ -421,13 +465,13 @@ export class PoliceSystem {
 
         if (gameOver) {
             console.log("GAME OVER!");
-            setTimeout(() => {
+            this.timeSystem.delay(() => {
                 // This should trigger the main game's reset, not just the police system
                 if (this.gameState && typeof this.gameState.reset === 'function') {
                     // We don't call reset directly here, as it will be handled by SkateGame
                     console.log("Game over - ready for reset");
                 }
-            }, 3000);
+            }, 3);
         }
     }
     
@@ -435,8 +479,7 @@ export class PoliceSystem {
         if (!this.bustedText) return;
         
         // Position in center of screen
-        const width = window.innerWidth;
-        const height = window.innerHeight;
+        const { width, height } = this.presentation.getViewportSize();
         
         const widthHalf = width / 2;
         const heightHalf = height / 2;
@@ -461,18 +504,26 @@ export class PoliceSystem {
         this.chasingText.lookAt(this.camera.position);
     }
     
-    resetGame() {
+    reset() {
+        // Officers spawned during the round go back to the pool
+        while (this.officers.length > this.officerCount) {
+            this.despawnOfficer(this.officers.pop());
+        }
+        
         // Reset officers
-        this.officers.forEach(officer => {
+        this.officers.forEach(entity => {
+            const officer = entity.getComponent('Transform').group;
+            const state = entity.getComponent('Officer');
+            
             // Return officers to their original positions
-            const angle = Math.random() * Math.PI * 2;
+            const angle = Random.gameplay.next() * Math.PI * 2;
             const x = Math.cos(angle) * this.spawnDistance;
             const z = Math.sin(angle) * this.spawnDistance;
             officer.position.set(x, 0, z);
-            officer.userData.originalPos = new THREE.Vector3(x, 0, z);
-            officer.userData.isChasing = false;
-            officer.userData.pauseTime = 0;
-            officer.userData.exploding = false;
+            state.originalPos = new THREE.Vector3(x, 0, z);
+            state.isChasing = false;
+            state.pauseTime = 0;
+            state.exploding = false;
             officer.visible = true;
         });
         
@@ -485,11 +536,14 @@ export class PoliceSystem {
     }
     
     // New method to handle officer explosions
-    explodeOfficer(officer) {
-        if (!officer || officer.userData.exploding) return;
+    explodeOfficer(entity) {
+        const state = entity.getComponent('Officer');
+        if (state.exploding) return;
+        
+        const officer = entity.getComponent('Transform').group;
         
         // Mark officer as exploding
-        officer.userData.exploding = true;
+        state.exploding = true;
         
         // Store original position for particles
         const explosionPosition = officer.position.clone();
@@ -507,12 +561,14 @@ export class PoliceSystem {
         // Create explosion effect
         this.createExplosionEffect(explosionPosition);
         
+        this.scene.events.emit(GameEvents.OFFICER_DESTROYED, { position: explosionPosition.clone() });
+        
         // Hide the officer during explosion
         officer.visible = false;
         
         // Add to exploding officers list to track
         this.explodingOfficers.push({
-            officer: officer,
+            officer: entity,
             position: explosionPosition,
             timer: 3.0, // How long until respawn
         });
@@ -522,100 +578,86 @@ export class PoliceSystem {
     
     // Create explosion particle effect
     createExplosionEffect(position) {
-        const particles = [];
-        const particleCount = 30;
-        
-        // Create explosion particles
-        for (let i = 0; i < particleCount; i++) {
-            // Create different shaped debris
-            let particleGeometry;
-            const particleType = Math.floor(Math.random() * 3);
-            
-            if (particleType === 0) {
-                particleGeometry = new THREE.BoxGeometry(0.2, 0.2, 0.2);
-            } else if (particleType === 1) {
-                particleGeometry = new THREE.SphereGeometry(0.15, 8, 8);
-            } else {
-                particleGeometry = new THREE.CylinderGeometry(0.1, 0.1, 0.3, 8);
-            }
+        if (!this.presentation.effectsEnabled) return;
+        
+        // Debris first, then fire - the pooled group is built in that order
+        const explosion = this.explosionPool.acquire();
+        const particles = explosion.children;
+        
+        // Set up explosion debris
+        for (let i = 0; i < this.explosionDebrisCount; i++) {
+            const particle = particles[i];
             
-            // Generate random color for particles (blue/navy uniform color)
-            const particleColor = Math.random() > 0.5 ? 0x000080 : 0x000033;
+            // Different shaped debris
+            const particleType = Math.floor(Random.cosmetic.next() * 3);
+            particle.geometry = this.debrisGeometries[particleType];
             
-            const particleMaterial = new THREE.MeshBasicMaterial({
-                color: particleColor,
-                transparent: true,
-                opacity: 1
-            });
+            // Random color for particles (blue/navy uniform color)
+            particle.material.color.setHex(Random.cosmetic.next() > 0.5 ? 0x000080 : 0x000033);
+            particle.material.opacity = 1;
             
-            const particle = new THREE.Mesh(particleGeometry, particleMaterial);
             particle.position.copy(position);
             
             // Randomize position slightly
-            particle.position.x += (Math.random() - 0.5) * 0.5;
-            particle.position.y += Math.random() * 0.5 + 0.5; // Start above ground
-            particle.position.z += (Math.random() - 0.5) * 0.5;
+            particle.position.x += (Random.cosmetic.next() - 0.5) * 0.5;
+            particle.position.y += Random.cosmetic.next() * 0.5 + 0.5; // Start above ground
+            particle.position.z += (Random.cosmetic.next() - 0.5) * 0.5;
             
             // Add random velocity
             const velocity = new THREE.Vector3(
-                (Math.random() - 0.5) * 0.3,
-                Math.random() * 0.2 + 0.1,
-                (Math.random() - 0.5) * 0.3
+                (Random.cosmetic.next() - 0.5) * 0.3,
+                Random.cosmetic.next() * 0.2 + 0.1,
+                (Random.cosmetic.next() - 0.5) * 0.3
             );
             
             // Add random rotation
             const rotation = new THREE.Vector3(
-                Math.random() * Math.PI * 2,
-                Math.random() * Math.PI * 2,
-                Math.random() * Math.PI * 2
+                Random.cosmetic.next() * Math.PI * 2,
+                Random.cosmetic.next() * Math.PI * 2,
+                Random.cosmetic.next() * Math.PI * 2
             );
             
             particle.userData = { 
                 velocity, 
                 rotation,
-                lifetime: 2.0 + Math.random() * 1.0 // Random lifetime between 2-3 seconds
+                lifetime: 2.0 + Random.cosmetic.next() * 1.0 // Random lifetime between 2-3 seconds
             };
-            
-            this.scene.add(particle);
-            particles.push(particle);
         }
         
-        // Add fire particles (orange/red)
-        for (let i = 0; i < 15; i++) {
-            const fireGeometry = new THREE.SphereGeometry(0.2 + Math.random() * 0.3, 8, 8);
-            const fireColor = Math.random() > 0.5 ? 0xFF4500 : 0xFF0000; // OrangeRed or Red
+        // Set up fire particles (orange/red)
+        for (let i = this.explosionDebrisCount; i < particles.length; i++) {
+            const fire = particles[i];
             
-            const fireMaterial = new THREE.MeshBasicMaterial({
-                color: fireColor,
-                transparent: true,
-                opacity: 0.8
-            });
+            // Fire shares a unit sphere, sized through its scale
+            const radius = 0.2 + Random.cosmetic.next() * 0.3;
+            fire.scale.setScalar(radius);
+            fire.material.color.setHex(Random.cosmetic.next() > 0.5 ? 0xFF4500 : 0xFF0000); // OrangeRed or Red
+            fire.material.opacity = 0.8;
             
-            const fire = new THREE.Mesh(fireGeometry, fireMaterial);
             fire.position.copy(position);
             
             // Random position within explosion radius
-            fire.position.x += (Math.random() - 0.5) * 1.0;
-            fire.position.y += Math.random() * 0.5;
-            fire.position.z += (Math.random() - 0.5) * 1.0;
+            fire.position.x += (Random.cosmetic.next() - 0.5) * 1.0;
+            fire.position.y += Random.cosmetic.next() * 0.5;
+            fire.position.z += (Random.cosmetic.next() - 0.5) * 1.0;
             
             // Upward velocity for fire
             const velocity = new THREE.Vector3(
-                (Math.random() - 0.5) * 0.1,
-                Math.random() * 0.1 + 0.05,
-                (Math.random() - 0.5) * 0.1
+                (Random.cosmetic.next() - 0.5) * 0.1,
+                Random.cosmetic.next() * 0.1 + 0.05,
+                (Random.cosmetic.next() - 0.5) * 0.1
             );
             
             fire.userData = { 
                 velocity,
-                lifetime: 0.5 + Math.random() * 0.5, // Shorter lifetime for fire
+                radius,
+                lifetime: 0.5 + Random.cosmetic.next() * 0.5, // Shorter lifetime for fire
                 isFlame: true
             };
-            
-            this.scene.add(fire);
-            particles.push(fire);
         }
         
+        this.threeScene.add(explosion);
+        
         // Animate particles
         const animateExplosion = () => {
             let hasActiveParticles = false;
@@ -635,7 +677,7 @@ export class PoliceSystem {
                         particle.rotation.z += particle.userData.rotation.z * 0.05;
                     } else {
                         // Make flames shrink over time
-                        const scale = particle.userData.lifetime * 0.8;
+                        const scale = particle.userData.radius * particle.userData.lifetime * 0.8;
                         particle.scale.set(scale, scale, scale);
                     }
                     
@@ -655,20 +697,56 @@ export class PoliceSystem {
                     }
                     
                     hasActiveParticles = true;
-                } else if (particle.parent) {
-                    // Remove dead particles
-                    this.scene.remove(particle);
+                } else {
+                    // Hide dead particles until the whole explosion is done
+                    particle.visible = false;
                 }
             });
             
             if (hasActiveParticles) {
                 requestAnimationFrame(animateExplosion);
+            } else {
+                this.explosionPool.release(explosion);
             }
         };
         
         animateExplosion();
     }
     
+    // Build a reusable explosion: debris pieces followed by fire particles, each with its own material
+    createExplosionMesh() {
+        const explosion = new THREE.Group();
+        
+        for (let i = 0; i < this.explosionDebrisCount + this.explosionFireCount; i++) {
+            const geometry = i < this.explosionDebrisCount ? this.debrisGeometries[0] : this.flameGeometry;
+            const material = new THREE.MeshBasicMaterial({ transparent: true, opacity: 1 });
+            explosion.add(new THREE.Mesh(geometry, material));
+        }
+        
+        return explosion;
+    }
+    
+    resetExplosionMesh(explosion) {
+        explosion.children.forEach(particle => {
+            particle.rotation.set(0, 0, 0);
+            particle.scale.set(1, 1, 1);
+            particle.visible = true;
+        });
+    }
+    
+    // Return a pooled officer rig to its spawn pose
+    resetOfficerMesh(officer) {
+        officer.position.set(0, 0, 0);
+        officer.rotation.set(0, 0, 0);
+        officer.visible = true;
+        
+        // Legs swing while chasing
+        if (officer.children[6] && officer.children[7]) {
+            officer.children[6].rotation.x = 0;
+            officer.children[7].rotation.x = 0;
+        }
+    }
+    
     // Update exploding officers (respawn after timer)
     updateExplodingOfficers(deltaTime) {
         for (let i = this.explodingOfficers.length - 1; i >= 0; i--) {
@@ -679,19 +757,20 @@ export class PoliceSystem {
             
             // Check if it's time to respawn
             if (explodingOfficer.timer <= 0) {
-                const officer = explodingOfficer.officer;
+                const officer = explodingOfficer.officer.getComponent('Transform').group;
+                const state = explodingOfficer.officer.getComponent('Officer');
                 
                 // Reposition at a random location
-                const angle = Math.random() * Math.PI * 2;
+                const angle = Random.gameplay.next() * Math.PI * 2;
                 const x = Math.cos(angle) * this.spawnDistance;
                 const z = Math.sin(angle) * this.spawnDistance;
                 
                 // Reset officer properties
                 officer.position.set(x, 0, z);
-                officer.userData.originalPos = new THREE.Vector3(x, 0, z);
-                officer.userData.exploding = false;
-                officer.userData.isChasing = false;
-                officer.userData.pauseTime = 0;
+                state.originalPos = new THREE.Vector3(x, 0, z);
+                state.exploding = false;
+                state.isChasing = false;
+                state.pauseTime = 0;
                 officer.visible = true;
                 
                 // Remove from exploding list
@@ -705,10 +784,18 @@ export class PoliceSystem {
     // Clean up officers marked for deletion
     cleanupDeletedOfficers() {
         for (let i = this.officers.length - 1; i >= 0; i--) {
-            if (this.officers[i].userData.toDelete) {
-                this.scene.remove(this.officers[i]);
+            if (this.officers[i].getComponent('Officer').toDelete) {
+                this.despawnOfficer(this.officers[i]);
                 this.officers.splice(i, 1);
             }
         }
     }
+    
+    dispose() {
+        this.officerPool.clear();
+        this.explosionPool.clear();
+        this.debrisGeometries.forEach(geometry => geometry.dispose());
+        this.flameGeometry.dispose();
+        super.dispose();
+    }
 } 
\ No newline at end of file
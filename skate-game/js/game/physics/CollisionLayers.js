@@ -0,0 +1,43 @@
+// Collision layers say what a scene object is to the skateboard physics, so collision
+// queries can pick what they hit with a bit mask instead of guessing from object names.
+// The layer is stored in object.userData.collisionLayer and applies to the object's
+// descendants. Queries skip whole top-level objects whose layer they don't ask for, so a
+// child can only be given a different layer inside a parent the query already includes.
+export const CollisionLayer = Object.freeze({
+    NONE: 0,
+    GROUND: 1 << 0,     // Rideable surfaces: ground, ramps, boxes, ledges. Steep faces still block
+    WALL: 1 << 1,       // Solid obstacles that always stop the board: walls, posts, barrels
+    RAIL: 1 << 2,       // Grindable edges: rails, copings. Never counted as ground
+    TRIGGER: 1 << 3,    // Volumes that react to the player but don't block: jump pads, boosters
+    PICKUP: 1 << 4,     // Collectables: coins, candy, magnets
+    DECORATION: 1 << 5  // Visual only: flowers, lines, signs, effects
+});
+
+// Layers the board collides with when moving horizontally
+export const OBSTACLE_MASK = CollisionLayer.GROUND | CollisionLayer.WALL | CollisionLayer.RAIL;
+
+// Layers the board can stand on
+export const SUPPORT_MASK = CollisionLayer.GROUND | CollisionLayer.WALL;
+
+// Objects nobody labeled are treated as decoration, so new props and effects never get
+// in the way until they are given a layer
+export const DEFAULT_COLLISION_LAYER = CollisionLayer.DECORATION;
+
+export function setCollisionLayer(object, layer) {
+    object.userData.collisionLayer = layer;
+    return object;
+}
+
+// The layer of an object, inherited from the nearest labeled ancestor
+export function getCollisionLayer(object) {
+    for (let current = object; current; current = current.parent) {
+        if (current.userData.collisionLayer !== undefined) {
+            return current.userData.collisionLayer;
+        }
+    }
+    return DEFAULT_COLLISION_LAYER;
+}
+
+export function isInLayerMask(object, mask) {
+    return (getCollisionLayer(object) & mask) !== 0;
+}
@@ -1,121 +1,50 @@
 import * as THREE from 'three';
+import { CollisionLayer, OBSTACLE_MASK, SUPPORT_MASK, isInLayerMask } from './CollisionLayers.js';
+import { GameEvents } from '../GameEvents.js';
+
+// The board and rider are swept as a stack of spheres. Their centers sit this far above the
+// bottom of the board, so together they cover it from step height (0.3) to head height (1.5)
+// and low curbs and slopes are left to the ground check
+const BODY_SPHERE_HEIGHTS = [0.6, 1.2];
+const BODY_RADIUS = 0.3;
+
+// Gap left between the body and whatever it hit
+const SKIN_WIDTH = 0.02;
+
+// Shorter moves aren't swept
+const MIN_SWEEP_DISTANCE = 1e-4;
+
+// Most walls the board slides off in one step, e.g. both sides of a corner
+const MAX_SLIDES = 3;
+
+// Hits further than this from square on glance off the wall however fast the board is going
+const HEAD_ON_ANGLE = Math.PI / 6;
+const HEAD_ON_COS = Math.cos(HEAD_ON_ANGLE);
 
 export class CollisionSystem {
-    constructor(skateboard) {
+    constructor(skateboard, world, events) {
         this.skateboard = skateboard;
+        this.world = world; // CollisionWorld holding the park's collision geometry
+        this.events = events; // EventBus that hears about slams
         this.wallCollisionDetected = false; // Flag to track wall collisions between frames
+        this.groundNormal = null; // Normal of the surface under the board, or null over the flat ground
+        
+        // Wall response
+        this.slideSpeedLoss = 0.1; // Fraction of the remaining speed lost when sliding along a wall
+        this.slamSpeed = 0.3; // Speed into a wall, per 60fps frame, at which the board slams to a stop
     }
     
-    checkCollisions(sceneObjects, deltaTime = 1/60) {
+    checkCollisions(deltaTime = 1/60) {
         // Reset wall collision flag at the start of each collision check
         this.wallCollisionDetected = false;
         
-        // Set up raycasters for collision detection in cardinal directions
-        const directions = [
-            new THREE.Vector3(1, 0, 0),    // right
-            new THREE.Vector3(-1, 0, 0),   // left
-            new THREE.Vector3(0, 0, 1),    // front
-            new THREE.Vector3(0, 0, -1),   // back
-        ];
-        
-        const collisionDistance = 0.4; // Reduced collision distance to avoid false positives
-        let collision = false;
-        
-        // Direction of movement
-        const movingDirection = new THREE.Vector3(
-            this.skateboard.moveX, 
-            0, 
-            this.skateboard.moveZ
-        ).normalize();
-        
-        // Only check collisions in the direction we're moving
-        // Filter directions with a significant component in our movement direction
-        const relevantDirections = directions.filter(dir => {
-            const dot = movingDirection.dot(dir);
-            return dot > 0.3; // Only care about directions we're moving towards
-        });
-        
-        // Get the skateboard's current forward direction to check walls in front
-        const forward = new THREE.Vector3(0, 0, -1);
-        forward.applyQuaternion(this.skateboard.mesh.quaternion);
-        
-        // First, check if there's a wall directly in front of us (enhanced wall detection)
-        if (!this.checkForWallsInFront(sceneObjects, forward, collisionDistance * 2)) {
-            // Regular collision checks in relevant directions
-            for (let direction of relevantDirections) {
-                const raycaster = new THREE.Raycaster(
-                    this.skateboard.mesh.position.clone().add(new THREE.Vector3(0, 0.35, 0)),
-                    direction,
-                    0,
-                    collisionDistance
-                );
-                
-                // Better filtering for collision objects
-                const objects = sceneObjects.filter(obj => 
-                    obj !== this.skateboard.mesh && 
-                    obj.isMesh && 
-                    !obj.name?.includes("ground") && // Don't collide with ground
-                    !obj.name?.includes("floor") && // Don't collide with floors
-                    !obj.name?.includes("coin") && // Don't collide with coins
-                    obj.visible // Only visible objects
-                );
-                
-                const intersects = raycaster.intersectObjects(objects, true);
-                
-                if (intersects.length > 0) {
-                    const hit = intersects[0];
-
-                    // Skip rails we can pass under
-                    if (this.isRailObject(hit.object) && this.canPassUnder(hit.object)) {
-                        continue;
-                    }
-
-                    // Get surface normal
-                    let worldNormal = direction.clone().negate();
-                    if (hit.face) {
-                        worldNormal = hit.face.normal.clone();
-                        const nMat = new THREE.Matrix3().getNormalMatrix(hit.object.matrixWorld);
-                        worldNormal.applyMatrix3(nMat).normalize();
-                    }
-
-                    // Check if collision is wall-like and handle small obstacles differently
-                    const isWallLike = Math.abs(worldNormal.y) < 0.7; 
-                    const maxTraversableHeight = 0.3; // Max obstacle height to ignore horizontal collision
-
-                    if (isWallLike) {
-                        const skateboardBaseY = this.skateboard.mesh.position.y - this.skateboard.defaultHeight;
-                        const heightDiff = hit.point.y - skateboardBaseY;
-
-                        // If it's a low obstacle, ignore the horizontal collision for this ray
-                        if (heightDiff < maxTraversableHeight && heightDiff > -0.1) { 
-                            continue; // Skip sliding logic, let vertical physics handle it
-                        }
-                        // Otherwise (high wall), proceed with wall collision logic below
-                        
-                        // Flag this as wall collision
-                        this.wallCollisionDetected = true;
-                    }
-
-                    // Collision with non-traversable obstacle: Reset position and stop
-                    this.skateboard.resetPosition(); // Revert to previous safe position
-                    this.skateboard.velocity.x = 0;    // Stop horizontal movement
-                    this.skateboard.velocity.z = 0;
-                    this.skateboard.velocity.y = 0;    // Stop vertical movement as well
-                    
-                    // If it's a wall, make sure we can't jump
-                    if (isWallLike) {
-                        this.skateboard.isJumping = false;
-                        this.skateboard.inAir = false;
-                    }
-
-                    collision = true;
-                    break;
-                }
-            }
-        }
+        // Stop the board at the first obstacle it ran into this step
+        const collision = this.sweepMovement();
+        this.resolveOverlaps();
         
         // Check ground height and get the normal of the surface below
-        const groundData = this.checkGround(sceneObjects);
+        const groundData = this.checkGround();
+        this.groundNormal = groundData.normal;
         
         // Apply gravity with ground height and deltaTime for frame-rate independence
         if (groundData.found) {
@@ -136,75 +65,145 @@ export class CollisionSystem {
         return collision;
     }
     
-    // New method: Enhanced detection for wall-like objects in front of the skateboard
-    checkForWallsInFront(sceneObjects, forward, distance) {
-        // Wall checking at multiple heights to prevent climbing or jumping over walls
-        const startPositions = [
-            this.skateboard.mesh.position.clone().add(new THREE.Vector3(0, 0.2, 0)),  // Low check
-            this.skateboard.mesh.position.clone().add(new THREE.Vector3(0, 0.8, 0)),  // Middle check
-            this.skateboard.mesh.position.clone().add(new THREE.Vector3(0, 1.5, 0))   // High check
-        ];
-        
-        // Filter objects - ignore ground, floor, and coins
-        const objects = sceneObjects.filter(obj => 
-            obj !== this.skateboard.mesh && 
-            obj.isMesh && 
-            !obj.name?.includes("ground") && 
-            !obj.name?.includes("floor") && 
-            !obj.name?.includes("coin") && 
-            obj.visible
-        );
+    // Sweep the board's body along its horizontal move this step, from previousPosition to where
+    // updatePhysics left it. At each obstacle the board stops at the time of impact and the rest
+    // of the move is turned along the wall, so it slides off instead of stopping dead. The sweep
+    // covers the whole move however long the step was, so fast or low frame rate boards can't skip
+    // through thin rails and posts the way a short probe ray in front of them could
+    sweepMovement() {
+        const start = this.skateboard.previousPosition;
+        const end = this.skateboard.mesh.position;
+        const position = start.clone();
+        const remaining = new THREE.Vector3(end.x - start.x, 0, end.z - start.z);
+        let collision = false;
         
-        // Check for walls at each height
-        for (let startPos of startPositions) {
-            const raycaster = new THREE.Raycaster(startPos, forward, 0, distance);
-            const intersects = raycaster.intersectObjects(objects, true);
+        for (let slide = 0; slide < MAX_SLIDES; slide++) {
+            const distance = remaining.length();
+            if (distance < MIN_SWEEP_DISTANCE) break;
+            const direction = remaining.clone().divideScalar(distance);
+            
+            const hit = this.sweepBody(position, direction, distance);
+            if (!hit) {
+                position.add(remaining);
+                break;
+            }
+            collision = true;
+            
+            // Move up to the time of impact, a skin short of touching so the next sweep starts clear
+            const travel = Math.max(hit.distance - SKIN_WIDTH, 0);
+            position.addScaledVector(direction, travel);
             
-            if (intersects.length > 0) {
-                const hit = intersects[0];
-                
-                // Skip rails we can pass under
-                if (this.isRailObject(hit.object) && this.canPassUnder(hit.object)) {
-                    continue;
-                }
-                
-                // Check if object name indicates a wall
-                const isWall = hit.object.name?.includes('wall') || 
-                              hit.object.name?.includes('house') || 
-                              hit.object.name === 'house_walls' ||
-                              hit.object.name === 'house_structure';
-                              
-                // If object is explicitly a wall, stop immediately
-                if (isWall) {
-                    // Wall collision detected, reset position and zero velocity
-                    this.skateboard.resetPosition();
-                    this.skateboard.velocity.set(0, 0, 0);
-                    this.skateboard.isJumping = false;
-                    this.skateboard.inAir = false;
-                    this.wallCollisionDetected = true;
-                    return true;
-                }
-                
-                // Check if the surface normal indicates a wall (near-vertical)
-                if (hit.face) {
-                    const normalMatrix = new THREE.Matrix3().getNormalMatrix(hit.object.matrixWorld);
-                    const normal = hit.face.normal.clone().applyMatrix3(normalMatrix).normalize();
-                    
-                    // If normal is horizontal (indicates a vertical surface like a wall)
-                    if (Math.abs(normal.y) < 0.4) {
-                        // Wall-like surface detected
-                        this.skateboard.resetPosition();
-                        this.skateboard.velocity.set(0, 0, 0);
-                        this.skateboard.isJumping = false;
-                        this.skateboard.inAir = false;
-                        this.wallCollisionDetected = true;
-                        return true;
-                    }
-                }
+            // Walls only push the board sideways. Hits square on a top or underside push it back
+            const normal = new THREE.Vector3(hit.normal.x, 0, hit.normal.z);
+            if (normal.lengthSq() < 1e-6) {
+                normal.copy(direction).negate();
             }
+            normal.normalize();
+            
+            if (this.respondToHit(hit, normal)) break;
+            
+            // Carry on with what is left of the move, along the wall
+            remaining.copy(direction).multiplyScalar(distance - travel);
+            remaining.addScaledVector(normal, -remaining.dot(normal));
+        }
+        
+        end.x = position.x;
+        end.z = position.z;
+        return collision;
+    }
+    
+    // Moving obstacles, like officers, can walk into the board between steps, where a sweep
+    // starting inside them can't see them. Push the body back out of any wall it overlaps
+    resolveOverlaps() {
+        const position = this.skateboard.mesh.position;
+        const bottom = position.y - this.skateboard.defaultHeight;
+        
+        for (const height of BODY_SPHERE_HEIGHTS) {
+            const center = new THREE.Vector3(position.x, bottom + height, position.z);
+            const contacts = this.world.overlapSphere(center, BODY_RADIUS, CollisionLayer.WALL);
+            if (contacts.length === 0) continue;
+            
+            // Parts of one obstacle overlap together, so only the deepest is pushed out of
+            const deepest = contacts.reduce((a, b) => b.depth > a.depth ? b : a);
+            const push = new THREE.Vector3(deepest.normal.x, 0, deepest.normal.z);
+            if (push.lengthSq() < 1e-6) continue;
+            push.normalize().multiplyScalar(deepest.depth + SKIN_WIDTH);
+            position.x += push.x;
+            position.z += push.z;
+        }
+    }
+    
+    // Earliest hit of the body's spheres moving from position along direction, or null
+    sweepBody(position, direction, distance) {
+        const bottom = position.y - this.skateboard.defaultHeight;
+        let earliest = null;
+        
+        for (const height of BODY_SPHERE_HEIGHTS) {
+            const origin = new THREE.Vector3(position.x, bottom + height, position.z);
+            const hit = this.world.sphereCast(origin, direction, BODY_RADIUS, distance, OBSTACLE_MASK);
+            if (!hit || (earliest && earliest.distance <= hit.distance)) continue;
+            
+            // A sphere already touching something it is moving away from is not blocked by it
+            if (hit.distance === 0 && hit.normal.dot(direction) >= 0) continue;
+            
+            // Skip rails we can pass under
+            if (this.isRailObject(hit.object) && this.canPassUnder(hit.object)) continue;
+            
+            earliest = hit;
+        }
+        
+        return earliest;
+    }
+    
+    // Take the velocity going into the wall away, keeping the part along it. Returns true if the
+    // impact was head-on and hard enough to slam the board to a stop instead
+    respondToHit(hit, normal) {
+        // Walls and steep faces of rideable obstacles are wall-like. Rails aren't: they are low
+        // enough to jump onto from where the board stopped
+        const isWallLike = isInLayerMask(hit.object, CollisionLayer.WALL) ||
+            (!this.isRailObject(hit.object) && Math.abs(hit.normal.y) < 0.7);
+        if (isWallLike) {
+            this.wallCollisionDetected = true;
+        }
+        
+        const velocity = this.skateboard.velocity;
+        const impactSpeed = -(velocity.x * normal.x + velocity.z * normal.z);
+        if (impactSpeed <= 0) return false; // Already moving off it
+        
+        const horizontalSpeed = Math.hypot(velocity.x, velocity.z);
+        const isHeadOn = impactSpeed / horizontalSpeed > HEAD_ON_COS;
+        if (isHeadOn && impactSpeed >= this.slamSpeed) {
+            this.slam(hit, normal, impactSpeed, isWallLike);
+            return true;
+        }
+        
+        // Glancing hit: slide along the wall, losing a little speed
+        velocity.x += normal.x * impactSpeed;
+        velocity.z += normal.z * impactSpeed;
+        velocity.x *= 1 - this.slideSpeedLoss;
+        velocity.z *= 1 - this.slideSpeedLoss;
+        return false;
+    }
+    
+    slam(hit, normal, impactSpeed, isWallLike) {
+        this.skateboard.velocity.x = 0;
+        this.skateboard.velocity.z = 0;
+        this.skateboard.resetSprintSpeed();
+        
+        // If it's a wall, make sure we can't jump or climb over it
+        if (isWallLike) {
+            this.skateboard.velocity.y = 0;
+            this.skateboard.isJumping = false;
+            this.skateboard.inAir = false;
         }
         
-        return false; // No walls detected
+        if (this.events) {
+            this.events.emit(GameEvents.PLAYER_SLAMMED, {
+                position: hit.point.clone(),
+                normal: normal.clone(),
+                speed: impactSpeed
+            });
+        }
     }
     
     canPassUnder(object) {
@@ -232,37 +231,25 @@ export class CollisionSystem {
         return objectBottomY > skateboardClearanceY;
     }
     
-    checkGround(sceneObjects) {
-        // Raycast down to find ground
-        const raycaster = new THREE.Raycaster(
+    checkGround() {
+        // Raycast down to find ground. Rails are left out so the board doesn't snap on top of them
+        const hit = this.world.raycast(
             new THREE.Vector3(
                 this.skateboard.mesh.position.x,
                 this.skateboard.mesh.position.y + 5,
                 this.skateboard.mesh.position.z
             ),
             new THREE.Vector3(0, -1, 0),
-            0,
-            10
+            10,
+            SUPPORT_MASK
         );
         
-        // Filter objects to exclude skateboard and rails/bars
-        const objects = sceneObjects.filter(obj => 
-            obj !== this.skateboard.mesh &&
-            obj.isMesh &&
-            !obj.name?.includes("coin") && // Don't count coins as ground
-            !this.isRailObject(obj) // Exclude rails/bars from ground detection
-        );
-        
-        const intersects = raycaster.intersectObjects(objects, true);
-        
-        if (intersects.length > 0) {
-            const hit = intersects[0];
-            
+        if (hit) {
             // Found ground, return height and surface normal
             return {
                 found: true,
                 height: hit.point.y + this.skateboard.defaultHeight,
-                normal: hit.face ? this.transformNormal(hit.face.normal, hit.object) : null
+                normal: hit.normal
             };
         }
         
@@ -274,42 +261,10 @@ export class CollisionSystem {
         };
     }
     
-    transformNormal(normal, object) {
-        // Transform the normal from local object space to world space
-        const normalMatrix = new THREE.Matrix3().getNormalMatrix(object.matrixWorld);
-        const worldNormal = normal.clone().applyMatrix3(normalMatrix).normalize();
-        return worldNormal;
-    }
-    
     /**
      * Check if an object is a rail or similar structure
      */
     isRailObject(object) {
-        // Check by name first - most reliable
-        const isRailByName = object.name && (
-            object.name.includes('rail') || 
-            object.name.includes('coping') || 
-            object.name.includes('bar')
-        );
-        
-        if (isRailByName) return true;
-
-        // Check by geometry, but be specific
-        if (object.geometry instanceof THREE.CylinderGeometry) {
-            // Check if the cylinder is oriented horizontally (like a typical rail)
-            // Rails are usually rotated PI/2 around X or Z axis.
-            const isHorizontal = Math.abs(Math.abs(object.rotation.x) - Math.PI / 2) < 0.1 ||
-                                 Math.abs(Math.abs(object.rotation.z) - Math.PI / 2) < 0.1;
-            // Also check if it's relatively thin (like a rail, not a wide pillar)
-            const radius = object.geometry.parameters.radiusTop || 1.0; // Default to larger radius if undefined
-            const isThin = radius < 0.3; 
-            
-            return isHorizontal && isThin;
-        } else if (object.geometry instanceof THREE.TorusGeometry) {
-            // Torus geometry is typically used for coping, consider it a rail
-            return true;
-        }
-        
-        return false;
+        return isInLayerMask(object, CollisionLayer.RAIL);
     }
 } 
\ No newline at end of file
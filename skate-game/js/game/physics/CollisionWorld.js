@@ -0,0 +1,271 @@
+import * as THREE from 'three';
+import { TriangleBVH, TriangleSoup } from './TriangleBVH.js';
+import { CollisionLayer, getCollisionLayer } from './CollisionLayers.js';
+import { getShapeCollider } from './ShapeColliders.js';
+import { GrindRail } from './GrindRail.js';
+import { getTransitions } from './Transitions.js';
+
+// Every layer except decoration, which is never collided with
+const COLLIDABLE_LAYERS = ~CollisionLayer.DECORATION;
+
+// Layers baked into the static level. Pickups and triggers come and go during a round
+const STATIC_LAYERS = CollisionLayer.GROUND | CollisionLayer.WALL | CollisionLayer.RAIL;
+
+const _inverse = new THREE.Matrix4();
+const _normalMatrix = new THREE.Matrix3();
+const _localRay = new THREE.Ray();
+const _end = new THREE.Vector3();
+const _sphere = new THREE.Sphere();
+
+// Collision geometry the physics queries instead of raycasting the THREE scene. The level is
+// baked once into a static TriangleBVH in world space, except for meshes given an exact shape
+// (see ShapeColliders.js), which are kept as shapes; objects that move are kept in a dynamic
+// layer, each with its own BVH in local space that follows the object's current transform.
+// Decoration is left out entirely, so query cost doesn't grow with the number of props
+export class CollisionWorld {
+    constructor() {
+        this.staticBVH = null;
+        this.shapes = []; // Baked ShapeColliders
+        this.rails = []; // GrindRails along the level's rails
+        this.transitions = []; // Transitions of the level's quarter pipes, half pipes and bowls
+        this.dynamic = new Map(); // Map of object to { bvh }
+    }
+
+    // Bake the ground, walls and rails of a level. objects are top-level scene objects; anything
+    // on another layer or already added as dynamic is skipped. Replaces any previously baked level
+    bakeStatic(objects) {
+        const soup = new TriangleSoup();
+        this.shapes = [];
+        this.rails = [];
+        this.transitions = [];
+
+        for (const root of objects) {
+            if ((getCollisionLayer(root) & STATIC_LAYERS) === 0 || this.dynamic.has(root)) continue;
+
+            root.updateMatrixWorld(true);
+            root.traverse(child => {
+                const layer = getCollisionLayer(child);
+                if (!child.isMesh || (layer & STATIC_LAYERS) === 0) return;
+
+                const shape = getShapeCollider(child);
+                if (shape) {
+                    shape.bake(child, layer);
+                    this.shapes.push(shape);
+                } else {
+                    soup.addMesh(child, layer, child.matrixWorld);
+                }
+
+                const rail = layer === CollisionLayer.RAIL ? GrindRail.fromMesh(child) : null;
+                if (rail) {
+                    this.rails.push(rail);
+                }
+
+                for (const transition of getTransitions(child)) {
+                    transition.bake(child);
+                    this.transitions.push(transition);
+                }
+            });
+        }
+
+        this.staticBVH = new TriangleBVH(soup);
+        return this.staticBVH;
+    }
+
+    // Add an object that moves. Its meshes must keep their place relative to it, and it should
+    // be scaled uniformly so sphere queries stay spheres in its local space
+    addDynamic(object) {
+        if (this.dynamic.has(object)) return;
+
+        const soup = new TriangleSoup();
+        object.updateMatrixWorld(true);
+        _inverse.copy(object.matrixWorld).invert();
+
+        object.traverse(child => {
+            const layer = getCollisionLayer(child);
+            if (child.isMesh && (layer & COLLIDABLE_LAYERS) !== 0) {
+                soup.addMesh(child, layer, new THREE.Matrix4().multiplyMatrices(_inverse, child.matrixWorld));
+            }
+        });
+
+        this.dynamic.set(object, { bvh: new TriangleBVH(soup) });
+    }
+
+    removeDynamic(object) {
+        this.dynamic.delete(object);
+    }
+
+    /**
+     * Closest hit of a ray against the level and dynamic objects
+     * @param {THREE.Vector3} origin - Ray start
+     * @param {THREE.Vector3} direction - Ray direction, normalized
+     * @param {number} far - Longest hit distance
+     * @param {number} mask - CollisionLayer bits to hit
+     * @returns {Object|null} { distance, point, normal, object, layer } in world space, or null
+     */
+    raycast(origin, direction, far, mask) {
+        const ray = new THREE.Ray(origin, direction);
+        let closest = this.staticBVH ? this.staticBVH.raycast(ray, far, mask) : null;
+
+        this.forEachShape(mask, shape => {
+            const hit = shape.raycast(ray, closest ? closest.distance : far);
+            if (hit) {
+                closest = hit;
+            }
+        });
+
+        this.forEachDynamic(mask, (bvh, matrixWorld, scale) => {
+            const localFar = (closest ? closest.distance : far) * scale;
+            const hit = bvh.raycast(toLocalRay(ray, matrixWorld), localFar, mask);
+            if (hit) {
+                closest = toWorldHit(hit, matrixWorld, scale);
+            }
+        });
+
+        return closest;
+    }
+
+    /**
+     * First hit of a sphere moving along a ray
+     * @param {THREE.Vector3} origin - Sphere center at the start
+     * @param {THREE.Vector3} direction - Direction of travel, normalized
+     * @param {number} radius - Sphere radius
+     * @param {number} far - Longest distance travelled
+     * @param {number} mask - CollisionLayer bits to hit
+     * @returns {Object|null} { distance, point, normal, position, object, layer } in world space,
+     * where position is the sphere center at impact, or null
+     */
+    sphereCast(origin, direction, radius, far, mask) {
+        const ray = new THREE.Ray(origin, direction);
+        let closest = this.staticBVH ? this.staticBVH.sphereCast(ray, radius, far, mask) : null;
+
+        this.forEachShape(mask, shape => {
+            const hit = shape.sphereCast(ray, radius, closest ? closest.distance : far);
+            if (hit) {
+                closest = hit;
+            }
+        });
+
+        this.forEachDynamic(mask, (bvh, matrixWorld, scale) => {
+            const localFar = (closest ? closest.distance : far) * scale;
+            const hit = bvh.sphereCast(toLocalRay(ray, matrixWorld), radius * scale, localFar, mask);
+            if (hit) {
+                closest = toWorldHit(hit, matrixWorld, scale);
+            }
+        });
+
+        return closest;
+    }
+
+    /**
+     * Objects overlapping a sphere, with the deepest contact for each
+     * @param {THREE.Vector3} center - Sphere center
+     * @param {number} radius - Sphere radius
+     * @param {number} mask - CollisionLayer bits to test
+     * @returns {Object[]} { point, normal, depth, object, layer } in world space
+     */
+    overlapSphere(center, radius, mask) {
+        const sphere = new THREE.Sphere(center, radius);
+        const contacts = this.staticBVH ? this.staticBVH.overlapSphere(sphere, mask) : [];
+
+        this.forEachShape(mask, shape => {
+            const contact = shape.overlapSphere(sphere);
+            if (contact) {
+                contacts.push(contact);
+            }
+        });
+
+        this.forEachDynamic(mask, (bvh, matrixWorld, scale) => {
+            _inverse.copy(matrixWorld).invert();
+            _sphere.set(center.clone().applyMatrix4(_inverse), radius * scale);
+            for (const contact of bvh.overlapSphere(_sphere, mask)) {
+                const world = toWorldHit(contact, matrixWorld, scale);
+                world.depth = contact.depth / scale;
+                contacts.push(world);
+            }
+        });
+
+        return contacts;
+    }
+
+    /**
+     * Closest point on any grindable rail
+     * @param {THREE.Vector3} point - World-space point
+     * @param {number} maxDistance - Farthest the rail can be
+     * @returns {Object|null} { rail, along, point, distance }, where along is the distance along
+     *     the rail to point, or null
+     */
+    findRail(point, maxDistance) {
+        let closest = null;
+
+        for (const rail of this.rails) {
+            const along = rail.project(point);
+            rail.pointAt(along, _end);
+            const distance = _end.distanceTo(point);
+            if (distance <= maxDistance && (!closest || distance < closest.distance)) {
+                closest = { rail, along, point: _end.clone(), distance };
+            }
+        }
+
+        return closest;
+    }
+
+    /**
+     * The transition a point is over
+     * @param {THREE.Vector3} point - World-space point on or near the riding surface
+     * @param {THREE.Vector3} across - Set to the level direction toward the transition's wall
+     * @returns {Object|null} { transition, depth }, where depth is how far in from where the curve
+     *     starts the point is, or null
+     */
+    findTransition(point, across) {
+        for (const transition of this.transitions) {
+            const depth = transition.locate(point, across);
+            if (depth !== null) {
+                return { transition, depth };
+            }
+        }
+        return null;
+    }
+
+    forEachShape(mask, callback) {
+        for (const shape of this.shapes) {
+            if ((shape.layer & mask) !== 0) {
+                callback(shape);
+            }
+        }
+    }
+
+    // Call callback(bvh, matrixWorld, scale) for each dynamic object with a layer in mask,
+    // where scale converts world distances to the object's local space
+    forEachDynamic(mask, callback) {
+        for (const [object, { bvh }] of this.dynamic) {
+            // Hidden objects, like a blown up officer waiting to respawn, aren't there to hit
+            if (!bvh.root || (bvh.root.layers & mask) === 0 || !object.parent || !object.visible) continue;
+
+            // Headless runs never render, so transforms are only brought up to date here
+            object.updateWorldMatrix(true, false);
+            const scale = 1 / object.matrixWorld.getMaxScaleOnAxis();
+            callback(bvh, object.matrixWorld, scale);
+        }
+    }
+}
+
+// A world-space ray in an object's local space. Its direction stays normalized, so local
+// distances are world distances times scale
+function toLocalRay(ray, matrixWorld) {
+    _inverse.copy(matrixWorld).invert();
+    _localRay.origin.copy(ray.origin).applyMatrix4(_inverse);
+    _end.copy(ray.origin).add(ray.direction).applyMatrix4(_inverse);
+    _localRay.direction.subVectors(_end, _localRay.origin).normalize();
+    return _localRay;
+}
+
+// Bring a hit found in an object's local space back to world space
+function toWorldHit(hit, matrixWorld, scale) {
+    _normalMatrix.getNormalMatrix(matrixWorld);
+    const world = { ...hit };
+    world.point = hit.point.clone().applyMatrix4(matrixWorld);
+    world.normal = hit.normal.clone().applyMatrix3(_normalMatrix).normalize();
+    if (hit.position) world.position = hit.position.clone().applyMatrix4(matrixWorld);
+    if (hit.distance !== undefined) world.distance = hit.distance / scale;
+    return world;
+}
@@ -0,0 +1,119 @@
+import * as THREE from 'three';
+
+// Rails that rise more than this per unit of length can't be ground, e.g. rail supports
+const MAX_GRIND_SLOPE = 0.5;
+
+// Shorter pieces aren't worth locking onto
+const MIN_GRIND_LENGTH = 1;
+
+// Round rails whose axis leans more than this off vertical aren't level enough to grind
+const MIN_RING_UPRIGHTNESS = 0.99;
+
+const _offset = new THREE.Vector3();
+
+// The line along the top of a rail, coping or grind box rail that a board grinds on. Rails are
+// followed by distance along them, from 0 at the start to length at the end
+export class GrindRail {
+    constructor(object, start, end) {
+        this.object = object;
+        this.start = start.clone();
+        this.end = end.clone();
+        this.direction = new THREE.Vector3().subVectors(end, start);
+        this.length = this.direction.length();
+        this.direction.divideScalar(this.length);
+        this.closed = false; // Straight rails have ends to ride off
+    }
+
+    // The grind line of a rail mesh, or null if it isn't a rail the board can ride. Rails are
+    // unscaled cylinders, whose axis is their local y, or tori for round coping
+    static fromMesh(mesh) {
+        const geometry = mesh.geometry;
+        if (geometry && geometry.type === 'TorusGeometry') return RingRail.fromMesh(mesh);
+        if (!geometry || geometry.type !== 'CylinderGeometry') return null;
+
+        const { radiusTop, radiusBottom, height } = geometry.parameters;
+        const start = new THREE.Vector3(0, -height / 2, 0).applyMatrix4(mesh.matrixWorld);
+        const end = new THREE.Vector3(0, height / 2, 0).applyMatrix4(mesh.matrixWorld);
+
+        const length = start.distanceTo(end);
+        if (length < MIN_GRIND_LENGTH || Math.abs(end.y - start.y) > length * MAX_GRIND_SLOPE) {
+            return null;
+        }
+
+        // The board rides on top of the rail, not through its middle
+        const top = new THREE.Vector3(0, Math.max(radiusTop, radiusBottom), 0);
+        return new GrindRail(mesh, start.add(top), end.add(top));
+    }
+
+    // Distance along the rail to the point on it closest to point
+    project(point) {
+        _offset.subVectors(point, this.start);
+        return THREE.MathUtils.clamp(_offset.dot(this.direction), 0, this.length);
+    }
+
+    pointAt(distance, target) {
+        return target.copy(this.direction).multiplyScalar(distance).add(this.start);
+    }
+
+    // Direction of travel toward the end at distance along the rail
+    directionAt(distance, target) {
+        return target.copy(this.direction);
+    }
+}
+
+// The top of a level ring of coping, like a bowl's: a circle round center, ground from the
+// angle 0 at the start of the torus' arc. A whole ring is closed, with no ends to ride off
+export class RingRail {
+    constructor(object, center, radius, xAxis, yAxis, arc) {
+        this.object = object;
+        this.center = center.clone();
+        this.radius = radius;
+        this.xAxis = xAxis.clone(); // Toward angle 0
+        this.yAxis = yAxis.clone(); // Toward angle PI/2
+        this.arc = arc;
+        this.length = radius * arc;
+        this.closed = arc >= Math.PI * 2 - 1e-6;
+    }
+
+    // The grind line of an unscaled torus lying flat, or null if it is tilted or too short
+    static fromMesh(mesh) {
+        const { radius, tube, arc } = mesh.geometry.parameters;
+        if (radius * arc < MIN_GRIND_LENGTH) return null;
+
+        // The torus goes round its local z
+        const axis = new THREE.Vector3(0, 0, 1).transformDirection(mesh.matrixWorld);
+        if (Math.abs(axis.y) < MIN_RING_UPRIGHTNESS) return null;
+
+        // The board rides on top of the tube, not through its middle
+        const center = new THREE.Vector3().setFromMatrixPosition(mesh.matrixWorld);
+        center.y += tube;
+        const xAxis = new THREE.Vector3(1, 0, 0).transformDirection(mesh.matrixWorld);
+        const yAxis = new THREE.Vector3(0, 1, 0).transformDirection(mesh.matrixWorld);
+        return new RingRail(mesh, center, radius, xAxis, yAxis, arc);
+    }
+
+    project(point) {
+        _offset.subVectors(point, this.center);
+        let angle = Math.atan2(_offset.dot(this.yAxis), _offset.dot(this.xAxis));
+        if (angle < 0) angle += Math.PI * 2;
+
+        // Past the end of an open arc, the nearer end is the closest point
+        if (angle > this.arc) {
+            angle = angle - this.arc < Math.PI * 2 - angle ? this.arc : 0;
+        }
+        return angle * this.radius;
+    }
+
+    pointAt(distance, target) {
+        const angle = distance / this.radius;
+        return target.copy(this.center)
+            .addScaledVector(this.xAxis, Math.cos(angle) * this.radius)
+            .addScaledVector(this.yAxis, Math.sin(angle) * this.radius);
+    }
+
+    directionAt(distance, target) {
+        const angle = distance / this.radius;
+        return target.copy(this.xAxis).multiplyScalar(-Math.sin(angle))
+            .addScaledVector(this.yAxis, Math.cos(angle));
+    }
+}
@@ -0,0 +1,447 @@
+import * as THREE from 'three';
+
+const EPSILON = 1e-8;
+
+// Sphere casts march along the ray by the distance to the shape. They stop once the sphere is
+// this close to touching, and always advance at least MIN_STEP so grazing casts still finish
+const SPHERE_CAST_TOLERANCE = 1e-4;
+const SPHERE_CAST_MIN_STEP = 1e-3;
+const SPHERE_CAST_MAX_STEPS = 256;
+
+// Scratch objects reused by the queries
+const _origin = new THREE.Vector3();
+const _direction = new THREE.Vector3();
+const _point = new THREE.Vector3();
+const _closest = new THREE.Vector3();
+const _normal = new THREE.Vector3();
+const _position = new THREE.Vector3();
+const _min = new THREE.Vector3();
+const _bounds = new THREE.Box3();
+const _fromAxis = new THREE.Vector3();
+
+// Nearest point and outward normal on a transition's cross-section, written by closestOnProfile
+const _profile = { u: 0, v: 0, normalU: 0, normalV: 0 };
+
+// Entry and exit distances of a ray through a convex solid, narrowed one face at a time
+const _span = { enter: -Infinity, exit: Infinity, normal: new THREE.Vector3() };
+
+// An exact collision shape standing in for the triangles of a park piece. Triangle meshes only
+// approximate curves and give faceted normals; a shape reports the true surface and its normal.
+// Shapes are defined in the local space of the mesh they replace, optionally moved by offset,
+// and the mesh must not be scaled. Subclasses implement raycastLocal and closestPointLocal
+export class ShapeCollider {
+    constructor(offset = null) {
+        this.offset = offset ? offset.clone() : new THREE.Matrix4();
+        this.localBounds = new THREE.Box3();
+        this.object = null;
+        this.layer = 0;
+        this.matrix = new THREE.Matrix4();
+        this.inverse = new THREE.Matrix4();
+        this.bounds = new THREE.Box3(); // World-space bounds
+    }
+
+    // Place the shape where its mesh is. Called by CollisionWorld when the level is baked
+    bake(object, layer) {
+        this.object = object;
+        this.layer = layer;
+        this.matrix.multiplyMatrices(object.matrixWorld, this.offset);
+        this.inverse.copy(this.matrix).invert();
+        this.bounds.copy(this.localBounds).applyMatrix4(this.matrix);
+    }
+
+    /**
+     * Where a ray enters the shape. Rays starting inside the solid don't hit it
+     * @param {THREE.Ray} ray - World-space ray with a normalized direction
+     * @param {number} far - Longest hit distance
+     * @returns {Object|null} { distance, point, normal, object, layer }, or null
+     */
+    raycast(ray, far) {
+        if (!ray.intersectsBox(this.bounds)) return null;
+
+        _origin.copy(ray.origin).applyMatrix4(this.inverse);
+        _direction.copy(ray.direction).transformDirection(this.inverse);
+
+        const distance = this.raycastLocal(_origin, _direction, _normal);
+        if (distance === null || distance < 0 || distance > far) return null;
+
+        return {
+            distance,
+            point: ray.at(distance, new THREE.Vector3()),
+            normal: _normal.transformDirection(this.matrix).clone(),
+            object: this.object,
+            layer: this.layer
+        };
+    }
+
+    /**
+     * First contact of a sphere moving along a ray. A sphere already touching hits at distance 0
+     * @param {THREE.Ray} ray - World-space path of the sphere's center, normalized
+     * @param {number} radius - Sphere radius
+     * @param {number} far - Longest distance travelled
+     * @returns {Object|null} { distance, point, normal, position, object, layer }, or null
+     */
+    sphereCast(ray, radius, far) {
+        _bounds.copy(this.bounds).expandByScalar(radius);
+        const entry = ray.intersectBox(_bounds, _point);
+        if (!entry || entry.distanceTo(ray.origin) > far) return null;
+
+        let t = 0;
+        for (let step = 0; step < SPHERE_CAST_MAX_STEPS; step++) {
+            ray.at(t, _position);
+            const distance = this.closestPoint(_position, _closest, _normal);
+
+            if (distance <= radius + SPHERE_CAST_TOLERANCE) {
+                return {
+                    distance: t,
+                    point: _closest.clone(),
+                    normal: _normal.clone(),
+                    position: _position.clone(),
+                    object: this.object,
+                    layer: this.layer
+                };
+            }
+
+            t += Math.max(distance - radius, SPHERE_CAST_MIN_STEP);
+            if (t > far) break;
+        }
+
+        return null;
+    }
+
+    /**
+     * Contact between the shape and a sphere
+     * @param {THREE.Sphere} sphere - World-space sphere
+     * @returns {Object|null} { point, normal, depth, object, layer }, or null if apart
+     */
+    overlapSphere(sphere) {
+        if (!this.bounds.intersectsSphere(sphere)) return null;
+
+        const distance = this.closestPoint(sphere.center, _closest, _normal);
+        if (distance >= sphere.radius) return null;
+
+        return {
+            point: _closest.clone(),
+            normal: _normal.clone(),
+            depth: sphere.radius - distance,
+            object: this.object,
+            layer: this.layer
+        };
+    }
+
+    // Closest point on the shape's surface to a world-space point and the outward normal there.
+    // Returns the distance, negative when the point is inside
+    closestPoint(point, closest, normal) {
+        _point.copy(point).applyMatrix4(this.inverse);
+        const distance = this.closestPointLocal(_point, closest, normal);
+        closest.applyMatrix4(this.matrix);
+        normal.transformDirection(this.matrix);
+        return distance;
+    }
+
+    // Distance along a local-space ray to where it enters the shape, writing the surface normal
+    // there, or null. May return a negative distance when the ray starts inside
+    raycastLocal(origin, direction, normal) {
+        return null;
+    }
+
+    // Local-space version of closestPoint
+    closestPointLocal(point, closest, normal) {
+        return Infinity;
+    }
+}
+
+// A box whose top is the riding surface: kickers, ramps and banks tilted into slopes.
+// The box is centered on its mesh, like a BoxGeometry
+export class SlopeCollider extends ShapeCollider {
+    constructor(width, height, length, offset = null) {
+        super(offset);
+        this.halfSize = new THREE.Vector3(width / 2, height / 2, length / 2);
+        this.localBounds.set(this.halfSize.clone().negate(), this.halfSize.clone());
+    }
+
+    raycastLocal(origin, direction, normal) {
+        const { x, y, z } = this.halfSize;
+        resetSpan();
+        const entered = clipPlane(origin, direction, 1, 0, 0, x) && clipPlane(origin, direction, -1, 0, 0, x)
+            && clipPlane(origin, direction, 0, 1, 0, y) && clipPlane(origin, direction, 0, -1, 0, y)
+            && clipPlane(origin, direction, 0, 0, 1, z) && clipPlane(origin, direction, 0, 0, -1, z);
+        return entered ? spanEntry(normal) : null;
+    }
+
+    closestPointLocal(point, closest, normal) {
+        const half = this.halfSize;
+        closest.copy(point).clamp(_min.copy(half).negate(), half);
+
+        const distance = point.distanceTo(closest);
+        if (distance > 0) {
+            normal.subVectors(point, closest).divideScalar(distance);
+            return distance;
+        }
+
+        // Inside - the nearest face is where the point gets out
+        const depthX = half.x - Math.abs(point.x);
+        const depthY = half.y - Math.abs(point.y);
+        const depthZ = half.z - Math.abs(point.z);
+        normal.set(0, 0, 0);
+        if (depthX <= depthY && depthX <= depthZ) {
+            normal.x = point.x < 0 ? -1 : 1;
+            closest.x = normal.x * half.x;
+            return -depthX;
+        }
+        if (depthY <= depthZ) {
+            normal.y = point.y < 0 ? -1 : 1;
+            closest.y = normal.y * half.y;
+            return -depthY;
+        }
+        normal.z = point.z < 0 ? -1 : 1;
+        closest.z = normal.z * half.z;
+        return -depthZ;
+    }
+}
+
+// The curved wall of a quarter pipe, like a StraightTransition: the curve starts level along
+// local z from 0 to length and rises toward local +x to vertical at x = radius, y = radius, where
+// the back drops straight down to the ground
+export class TransitionCollider extends ShapeCollider {
+    constructor(radius, length, offset = null) {
+        super(offset);
+        this.radius = radius;
+        this.length = length;
+        this.localBounds.set(new THREE.Vector3(0, 0, 0), new THREE.Vector3(radius, radius, length));
+    }
+
+    raycastLocal(origin, direction, normal) {
+        const radius = this.radius;
+        resetSpan();
+        const entered = clipPlane(origin, direction, -1, 0, 0, 0) && clipPlane(origin, direction, 1, 0, 0, radius)
+            && clipPlane(origin, direction, 0, -1, 0, 0) && clipPlane(origin, direction, 0, 1, 0, radius)
+            && clipPlane(origin, direction, 0, 0, -1, 0) && clipPlane(origin, direction, 0, 0, 1, this.length);
+        if (!entered) return null;
+
+        let distance = spanEntry(normal);
+
+        // Rays into the hollow under the curve, or starting in it, hit the curve on the way out of
+        // it. The curve is round an axis along z at the height of the lip
+        _fromAxis.set(origin.x, origin.y - radius, 0);
+        const hollow = cylinderInterval(_fromAxis, direction, radius);
+        if (hollow && hollow.exit > distance && (hollow.enter <= distance || hollow.enter < 0)) {
+            distance = hollow.exit;
+            if (distance > _span.exit) return null;
+            normal.set(
+                -(_fromAxis.x + direction.x * distance),
+                -(_fromAxis.y + direction.y * distance),
+                0
+            ).divideScalar(radius);
+        }
+
+        return distance;
+    }
+
+    closestPointLocal(point, closest, normal) {
+        const profileDistance = closestOnProfile(point.x, point.y, this.radius);
+        const along = THREE.MathUtils.clamp(point.z, 0, this.length);
+
+        if (profileDistance > 0 || along !== point.z) {
+            if (profileDistance > 0) {
+                closest.set(_profile.u, _profile.v, along);
+            } else {
+                closest.set(point.x, point.y, along);
+            }
+            const distance = point.distanceTo(closest);
+            normal.subVectors(point, closest).divideScalar(distance);
+            return distance;
+        }
+
+        // Inside - get out through the nearest of the cross-section's sides and the ends
+        const depths = [-profileDistance, point.z, this.length - point.z];
+        const face = depths.indexOf(Math.min(...depths));
+        closest.copy(point);
+        normal.set(0, 0, 0);
+        if (face === 0) {
+            closest.set(_profile.u, _profile.v, point.z);
+            normal.set(_profile.normalU, _profile.normalV, 0);
+        } else if (face === 1) {
+            normal.z = -1;
+            closest.z = 0;
+        } else {
+            normal.z = 1;
+            closest.z = this.length;
+        }
+        return -depths[face];
+    }
+}
+
+// The round wall of a bowl, like a BowlTransition: the cross-section of a TransitionCollider
+// swept round local y, starting floorRadius out from the middle and rising outward. The floor
+// inside it is left to the ground
+export class BowlCollider extends ShapeCollider {
+    constructor(floorRadius, radius, offset = null) {
+        super(offset);
+        this.floorRadius = floorRadius;
+        this.radius = radius;
+        const outer = floorRadius + radius;
+        this.localBounds.set(new THREE.Vector3(-outer, 0, -outer), new THREE.Vector3(outer, radius, outer));
+    }
+
+    // A ray meets the curve where it crosses a torus, which has no handy closed form, so the ray is
+    // marched by the distance to the wall the way sphere casts are
+    raycastLocal(origin, direction, normal) {
+        const { min, max } = this.localBounds;
+        resetSpan();
+        const entered = clipPlane(origin, direction, -1, 0, 0, -min.x) && clipPlane(origin, direction, 1, 0, 0, max.x)
+            && clipPlane(origin, direction, 0, -1, 0, -min.y) && clipPlane(origin, direction, 0, 1, 0, max.y)
+            && clipPlane(origin, direction, 0, 0, -1, -min.z) && clipPlane(origin, direction, 0, 0, 1, max.z);
+        if (!entered) return null;
+
+        const exit = _span.exit;
+        let t = Math.max(_span.enter, 0);
+        for (let step = 0; step < SPHERE_CAST_MAX_STEPS && t <= exit; step++) {
+            _position.copy(origin).addScaledVector(direction, t);
+            const distance = this.closestPointLocal(_position, _closest, normal);
+
+            if (distance <= SPHERE_CAST_TOLERANCE) {
+                // Rays starting inside don't hit
+                return distance < 0 && t === 0 ? null : t;
+            }
+
+            t += Math.max(distance, SPHERE_CAST_MIN_STEP);
+        }
+
+        return null;
+    }
+
+    closestPointLocal(point, closest, normal) {
+        // The nearest point is on the cross-section through the point and the axis
+        const fromAxis = Math.hypot(point.x, point.z);
+        const distance = closestOnProfile(fromAxis - this.floorRadius, point.y, this.radius);
+
+        const cos = fromAxis > EPSILON ? point.x / fromAxis : 1;
+        const sin = fromAxis > EPSILON ? point.z / fromAxis : 0;
+        const out = this.floorRadius + _profile.u;
+        closest.set(out * cos, _profile.v, out * sin);
+        normal.set(_profile.normalU * cos, _profile.normalV, _profile.normalU * sin);
+        return distance;
+    }
+}
+
+// Give a mesh an exact shape. CollisionWorld bakes the shape instead of the mesh's triangles
+export function setShapeCollider(mesh, collider) {
+    mesh.userData.shapeCollider = collider;
+    return mesh;
+}
+
+export function getShapeCollider(mesh) {
+    return mesh.userData.shapeCollider || null;
+}
+
+function resetSpan() {
+    _span.enter = -Infinity;
+    _span.exit = Infinity;
+    _span.normal.set(0, 0, 0);
+}
+
+// The entry distance of the current span, writing its normal
+function spanEntry(normal) {
+    normal.copy(_span.normal);
+    return _span.enter;
+}
+
+// Narrow the span to the half-space n . x <= offset, with n a unit vector. False once empty
+function clipPlane(origin, direction, nx, ny, nz, offset) {
+    const height = nx * origin.x + ny * origin.y + nz * origin.z - offset;
+    const speed = nx * direction.x + ny * direction.y + nz * direction.z;
+
+    if (Math.abs(speed) < EPSILON) return height <= 0;
+
+    const t = -height / speed;
+    if (speed < 0) {
+        if (t > _span.enter) {
+            _span.enter = t;
+            _span.normal.set(nx, ny, nz);
+        }
+    } else if (t < _span.exit) {
+        _span.exit = t;
+    }
+    return _span.enter <= _span.exit;
+}
+
+// Where a ray is inside an infinite cylinder of the given radius around local z, or null if it
+// never is
+function cylinderInterval(origin, direction, radius) {
+    const a = direction.x * direction.x + direction.y * direction.y;
+    const b = origin.x * direction.x + origin.y * direction.y;
+    const c = origin.x * origin.x + origin.y * origin.y - radius * radius;
+
+    // Parallel to the axis - inside everywhere or nowhere
+    if (a < EPSILON) {
+        return c <= 0 ? { enter: -Infinity, exit: Infinity } : null;
+    }
+
+    const discriminant = b * b - a * c;
+    if (discriminant < 0) return null;
+
+    const root = Math.sqrt(discriminant);
+    return { enter: (-b - root) / a, exit: (-b + root) / a };
+}
+
+// Nearest point to (u, v) on the cross-section of a transition, where u is how far in from where
+// the curve starts and v is the height: the solid under a quarter circle rising from (0, 0) to
+// vertical at (radius, radius), with its back straight down from there. Writes the point and the
+// outward normal there to _profile and returns the distance, negative when (u, v) is inside
+function closestOnProfile(u, v, radius) {
+    // The curve is round (0, radius), the axis at the height of the lip
+    const fromAxis = Math.hypot(u, v - radius);
+    const inSquare = u >= 0 && u <= radius && v >= 0 && v <= radius;
+
+    if (inSquare && fromAxis >= radius) {
+        // Inside - get out through the nearest of the curve, the back and the bottom
+        const depths = [fromAxis - radius, radius - u, v];
+        const face = depths.indexOf(Math.min(...depths));
+        if (face === 0) {
+            _profile.normalU = -u / fromAxis;
+            _profile.normalV = (radius - v) / fromAxis;
+            _profile.u = u + _profile.normalU * depths[0];
+            _profile.v = v + _profile.normalV * depths[0];
+        } else if (face === 1) {
+            _profile.normalU = 1;
+            _profile.normalV = 0;
+            _profile.u = radius;
+            _profile.v = v;
+        } else {
+            _profile.normalU = 0;
+            _profile.normalV = -1;
+            _profile.u = u;
+            _profile.v = 0;
+        }
+        return -depths[face];
+    }
+
+    let nearU = THREE.MathUtils.clamp(u, 0, radius);
+    let nearV = THREE.MathUtils.clamp(v, 0, radius);
+    if (Math.hypot(nearU, nearV - radius) < radius) {
+        // Clamping left it in the hollow under the curve, so the nearest point is on the curve,
+        // or at one of its ends when the point is off to the side of it
+        if (u >= 0 && v <= radius && fromAxis > EPSILON) {
+            nearU = u * radius / fromAxis;
+            nearV = radius + (v - radius) * radius / fromAxis;
+        } else if (u * u + v * v <= (u - radius) ** 2 + (v - radius) ** 2) {
+            nearU = 0;
+            nearV = 0;
+        } else {
+            nearU = radius;
+            nearV = radius;
+        }
+    }
+
+    const distance = Math.hypot(u - nearU, v - nearV);
+    _profile.u = nearU;
+    _profile.v = nearV;
+    if (distance > EPSILON) {
+        _profile.normalU = (u - nearU) / distance;
+        _profile.normalV = (v - nearV) / distance;
+    } else {
+        _profile.normalU = 0;
+        _profile.normalV = 1;
+    }
+    return distance;
+}
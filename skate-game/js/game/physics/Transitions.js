@@ -0,0 +1,145 @@
+import * as THREE from 'three';
+
+const _relative = new THREE.Vector3();
+
+// The curved walls of quarter pipes, half pipes and bowls, as the board rides them. A transition
+// is a quarter circle of the given radius standing on flat ground: it starts level where the flat
+// ends and curves up to vertical at the lip, radius above and in from where it started. Like
+// ShapeColliders, a transition is defined in the local space of its mesh, optionally moved by
+// offset, and the mesh must not be scaled or tilted
+export class Transition {
+    constructor(radius, offset = null) {
+        this.radius = radius;
+        this.offset = offset ? offset.clone() : new THREE.Matrix4();
+        this.matrix = new THREE.Matrix4();
+        this.base = 0; // World height of the flat the curve starts from
+    }
+
+    // Place the transition where its mesh is. Called by CollisionWorld when the level is baked
+    bake(object) {
+        this.object = object;
+        this.matrix.multiplyMatrices(object.matrixWorld, this.offset);
+        this.base = new THREE.Vector3().setFromMatrixPosition(this.matrix).y;
+    }
+
+    /**
+     * How far a point is in from where the curve starts, measured level with the ground
+     * @param {THREE.Vector3} point - World-space point
+     * @param {THREE.Vector3} across - Set to the level direction toward the wall there
+     * @returns {number|null} Between 0 and radius, or null if the point isn't over the curve
+     */
+    locate(point, across) {
+        return null;
+    }
+
+    // Whether a point is within the ends of the transition, however far in it is
+    contains(point) {
+        return true;
+    }
+
+    // Level direction toward the wall at a point
+    acrossAt(point, target) {
+        return target;
+    }
+
+    // The point on the curve at angle (0 where it starts, PI/2 at the lip) alongside point
+    surfacePoint(point, angle, target) {
+        return target;
+    }
+}
+
+// A straight transition: the wall of a quarter pipe or one side of a half pipe. The curve starts
+// along local z from 0 to length and rises toward local +x
+export class StraightTransition extends Transition {
+    constructor(radius, length, offset = null) {
+        super(radius, offset);
+        this.length = length;
+        this.origin = new THREE.Vector3();
+        this.axis = new THREE.Vector3(); // Along the transition
+        this.across = new THREE.Vector3(); // Level, toward the wall
+    }
+
+    bake(object) {
+        super.bake(object);
+        this.origin.setFromMatrixPosition(this.matrix);
+        this.axis.set(0, 0, 1).transformDirection(this.matrix);
+        this.across.set(1, 0, 0).transformDirection(this.matrix);
+    }
+
+    locate(point, across) {
+        if (!this.contains(point)) return null;
+
+        const depth = _relative.subVectors(point, this.origin).dot(this.across);
+        if (depth < 0 || depth > this.radius) return null;
+
+        across.copy(this.across);
+        return depth;
+    }
+
+    contains(point) {
+        const along = _relative.subVectors(point, this.origin).dot(this.axis);
+        return along >= 0 && along <= this.length;
+    }
+
+    acrossAt(point, target) {
+        return target.copy(this.across);
+    }
+
+    surfacePoint(point, angle, target) {
+        const along = _relative.subVectors(point, this.origin).dot(this.axis);
+        target.copy(this.origin)
+            .addScaledVector(this.axis, along)
+            .addScaledVector(this.across, this.radius * Math.sin(angle));
+        target.y = this.base + this.radius * (1 - Math.cos(angle));
+        return target;
+    }
+}
+
+// The round wall of a bowl around local y. The curve starts at floorRadius from the middle and
+// rises outward
+export class BowlTransition extends Transition {
+    constructor(floorRadius, radius, offset = null) {
+        super(radius, offset);
+        this.floorRadius = floorRadius;
+        this.center = new THREE.Vector3();
+    }
+
+    bake(object) {
+        super.bake(object);
+        this.center.setFromMatrixPosition(this.matrix);
+    }
+
+    locate(point, across) {
+        this.acrossAt(point, across);
+        const depth = Math.hypot(point.x - this.center.x, point.z - this.center.z) - this.floorRadius;
+        return depth >= 0 && depth <= this.radius ? depth : null;
+    }
+
+    acrossAt(point, target) {
+        target.set(point.x - this.center.x, 0, point.z - this.center.z);
+        if (target.lengthSq() < 1e-8) {
+            target.set(1, 0, 0); // Dead center, any way out will do
+        }
+        return target.normalize();
+    }
+
+    surfacePoint(point, angle, target) {
+        this.acrossAt(point, target);
+        target.multiplyScalar(this.floorRadius + this.radius * Math.sin(angle)).add(this.center);
+        target.y = this.base + this.radius * (1 - Math.cos(angle));
+        return target;
+    }
+}
+
+// Give a mesh the transitions it is ridden on. CollisionWorld bakes them with the level
+export function addTransition(mesh, transition) {
+    if (!mesh.userData.transitions) {
+        mesh.userData.transitions = [];
+    }
+    mesh.userData.transitions.push(transition);
+    return mesh;
+}
+
+export function getTransitions(mesh) {
+    return mesh.userData.transitions || [];
+}
@@ -0,0 +1,419 @@
+import * as THREE from 'three';
+
+// Most triangles kept in a leaf before it is split
+const LEAF_SIZE = 8;
+
+const EPSILON = 1e-8;
+
+// Scratch objects reused by the queries
+const _a = new THREE.Vector3();
+const _b = new THREE.Vector3();
+const _c = new THREE.Vector3();
+const _edge1 = new THREE.Vector3();
+const _edge2 = new THREE.Vector3();
+const _normal = new THREE.Vector3();
+const _offset = new THREE.Vector3();
+const _closest = new THREE.Vector3();
+const _center = new THREE.Vector3();
+const _box = new THREE.Box3();
+const _triangle = new THREE.Triangle();
+const _matrix = new THREE.Matrix4();
+
+// Triangles gathered from meshes before they are built into a TriangleBVH. Each mesh becomes
+// a source recording the object and collision layer its triangles belong to
+export class TriangleSoup {
+    constructor() {
+        this.positions = []; // 9 numbers per triangle
+        this.sides = [];     // Material side per triangle (THREE.FrontSide, BackSide or DoubleSide)
+        this.owners = [];    // Source index per triangle
+        this.sources = [];   // { object, layer } per mesh
+    }
+
+    get triangleCount() {
+        return this.sides.length;
+    }
+
+    // Add a mesh's triangles. matrix takes its geometry into the space the BVH is built in
+    addMesh(mesh, layer, matrix) {
+        const geometry = mesh.geometry;
+        const position = geometry && geometry.attributes.position;
+        if (!position) return;
+
+        const sourceIndex = this.sources.length;
+        this.sources.push({ object: mesh, layer });
+
+        const index = geometry.index;
+        const count = index ? index.count : position.count;
+        const groups = geometry.groups.length > 0 ? geometry.groups : [{ start: 0, count, materialIndex: 0 }];
+
+        const matrices = [];
+        if (mesh.isInstancedMesh) {
+            for (let i = 0; i < mesh.count; i++) {
+                mesh.getMatrixAt(i, _matrix);
+                matrices.push(new THREE.Matrix4().multiplyMatrices(matrix, _matrix));
+            }
+        } else {
+            matrices.push(matrix);
+        }
+
+        for (const group of groups) {
+            const material = Array.isArray(mesh.material) ? mesh.material[group.materialIndex] : mesh.material;
+            if (!material) continue;
+
+            const end = Math.min(group.start + group.count, count);
+            for (const instanceMatrix of matrices) {
+                for (let i = group.start; i + 2 < end; i += 3) {
+                    const ia = index ? index.getX(i) : i;
+                    const ib = index ? index.getX(i + 1) : i + 1;
+                    const ic = index ? index.getX(i + 2) : i + 2;
+
+                    _a.fromBufferAttribute(position, ia).applyMatrix4(instanceMatrix);
+                    _b.fromBufferAttribute(position, ib).applyMatrix4(instanceMatrix);
+                    _c.fromBufferAttribute(position, ic).applyMatrix4(instanceMatrix);
+
+                    this.positions.push(_a.x, _a.y, _a.z, _b.x, _b.y, _b.z, _c.x, _c.y, _c.z);
+                    this.sides.push(material.side);
+                    this.owners.push(sourceIndex);
+                }
+            }
+        }
+    }
+}
+
+// Bounding volume hierarchy over a TriangleSoup, so rays and spheres only test the few
+// triangles near them instead of every triangle in the park. Nodes also record which
+// collision layers they contain, letting masked queries skip whole branches
+export class TriangleBVH {
+    constructor(soup) {
+        this.positions = new Float32Array(soup.positions);
+        this.sides = Uint8Array.from(soup.sides);
+        this.owners = Uint32Array.from(soup.owners);
+        this.sources = soup.sources;
+        this.order = new Uint32Array(soup.triangleCount); // Triangle indices, grouped by leaf
+        for (let i = 0; i < this.order.length; i++) {
+            this.order[i] = i;
+        }
+
+        this.root = this.order.length > 0 ? this.buildNode(0, this.order.length, this.computeCentroids()) : null;
+    }
+
+    get triangleCount() {
+        return this.order.length;
+    }
+
+    computeCentroids() {
+        const centroids = new Float32Array(this.order.length * 3);
+        const p = this.positions;
+        for (let i = 0; i < this.order.length; i++) {
+            const o = i * 9;
+            centroids[i * 3] = (p[o] + p[o + 3] + p[o + 6]) / 3;
+            centroids[i * 3 + 1] = (p[o + 1] + p[o + 4] + p[o + 7]) / 3;
+            centroids[i * 3 + 2] = (p[o + 2] + p[o + 5] + p[o + 8]) / 3;
+        }
+        return centroids;
+    }
+
+    // Build the node holding order[start, end), splitting at the median centroid
+    // along the axis where the centroids are most spread out
+    buildNode(start, end, centroids) {
+        const node = { box: new THREE.Box3(), layers: 0, left: null, right: null, start, count: end - start };
+        const centroidBox = new THREE.Box3();
+
+        for (let i = start; i < end; i++) {
+            const tri = this.order[i];
+            this.expandByTriangle(node.box, tri);
+            node.layers |= this.sources[this.owners[tri]].layer;
+            centroidBox.expandByPoint(_center.fromArray(centroids, tri * 3));
+        }
+
+        if (node.count <= LEAF_SIZE) {
+            return node;
+        }
+
+        const size = centroidBox.getSize(_offset);
+        const axis = size.x >= size.y && size.x >= size.z ? 0 : (size.y >= size.z ? 1 : 2);
+        if (size.getComponent(axis) === 0) {
+            return node; // Every centroid in the same place, nothing to split on
+        }
+
+        const sorted = Array.from(this.order.subarray(start, end))
+            .sort((i, j) => centroids[i * 3 + axis] - centroids[j * 3 + axis]);
+        this.order.set(sorted, start);
+
+        const middle = start + (node.count >> 1);
+        node.left = this.buildNode(start, middle, centroids);
+        node.right = this.buildNode(middle, end, centroids);
+        node.count = 0;
+        return node;
+    }
+
+    expandByTriangle(box, tri) {
+        const o = tri * 9;
+        for (let v = 0; v < 9; v += 3) {
+            box.expandByPoint(_a.fromArray(this.positions, o + v));
+        }
+    }
+
+    getTriangle(tri, a, b, c) {
+        const o = tri * 9;
+        a.fromArray(this.positions, o);
+        b.fromArray(this.positions, o + 3);
+        c.fromArray(this.positions, o + 6);
+    }
+
+    getSource(tri) {
+        return this.sources[this.owners[tri]];
+    }
+
+    // Call visit(tri) for every triangle on a layer in mask inside a node that passes test(box).
+    // Stops early when visit returns true
+    traverse(mask, test, visit) {
+        if (!this.root) return;
+
+        const stack = [this.root];
+        while (stack.length > 0) {
+            const node = stack.pop();
+            if ((node.layers & mask) === 0 || !test(node.box)) continue;
+
+            if (node.left) {
+                stack.push(node.right, node.left);
+                continue;
+            }
+
+            for (let i = node.start; i < node.start + node.count; i++) {
+                const tri = this.order[i];
+                if ((this.getSource(tri).layer & mask) !== 0 && visit(tri)) {
+                    return;
+                }
+            }
+        }
+    }
+
+    /**
+     * Find the closest triangle hit by a ray. Triangles are culled by their material side
+     * the same way THREE.Raycaster culls them
+     * @param {THREE.Ray} ray - Ray with a normalized direction
+     * @param {number} far - Longest hit distance
+     * @param {number} mask - CollisionLayer bits to hit
+     * @returns {Object|null} { distance, point, normal, object, layer } or null
+     */
+    raycast(ray, far, mask) {
+        let closest = null;
+        let closestDistance = far;
+
+        this.traverse(mask, box => rayHitsBox(ray, box, closestDistance), tri => {
+            this.getTriangle(tri, _a, _b, _c);
+            const side = this.sides[tri];
+            const hit = side === THREE.BackSide ?
+                ray.intersectTriangle(_c, _b, _a, true, _closest) :
+                ray.intersectTriangle(_a, _b, _c, side === THREE.FrontSide, _closest);
+            if (!hit) return false;
+
+            const distance = ray.origin.distanceTo(_closest);
+            if (distance > closestDistance) return false;
+
+            const source = this.getSource(tri);
+            closestDistance = distance;
+            closest = {
+                distance,
+                point: _closest.clone(),
+                normal: THREE.Triangle.getNormal(_a, _b, _c, new THREE.Vector3()),
+                object: source.object,
+                layer: source.layer
+            };
+            return false;
+        });
+
+        return closest;
+    }
+
+    /**
+     * Find the first triangle a moving sphere touches. Triangles count as double-sided.
+     * A sphere that already touches a triangle hits it at distance 0
+     * @param {THREE.Ray} ray - Path of the sphere's center, with a normalized direction
+     * @param {number} radius - Sphere radius
+     * @param {number} far - Longest distance the sphere travels
+     * @param {number} mask - CollisionLayer bits to hit
+     * @returns {Object|null} { distance, point, normal, position, object, layer } or null,
+     * where point is the contact on the triangle, position the sphere center at impact and
+     * normal points from the contact toward the sphere
+     */
+    sphereCast(ray, radius, far, mask) {
+        let closest = null;
+        let closestDistance = far;
+        const expanded = new THREE.Box3();
+        const contact = new THREE.Vector3();
+        const normal = new THREE.Vector3();
+
+        this.traverse(mask, box => {
+            expanded.copy(box).expandByScalar(radius);
+            return rayHitsBox(ray, expanded, closestDistance);
+        }, tri => {
+            this.getTriangle(tri, _a, _b, _c);
+            const distance = sweepSphereTriangle(ray, radius, _a, _b, _c, closestDistance, contact, normal);
+            if (distance === null) return false;
+
+            const source = this.getSource(tri);
+            closestDistance = distance;
+            closest = {
+                distance,
+                point: contact.clone(),
+                normal: normal.clone(),
+                position: ray.at(distance, new THREE.Vector3()),
+                object: source.object,
+                layer: source.layer
+            };
+            return distance === 0; // Can't do better than touching already
+        });
+
+        return closest;
+    }
+
+    /**
+     * Find the triangles overlapping a sphere, keeping the deepest contact per object
+     * @param {THREE.Sphere} sphere - The sphere
+     * @param {number} mask - CollisionLayer bits to test
+     * @returns {Object[]} { point, normal, depth, object, layer } per object, where normal
+     * points from the contact toward the sphere's center
+     */
+    overlapSphere(sphere, mask) {
+        const contacts = new Map();
+
+        this.traverse(mask, box => box.intersectsSphere(sphere), tri => {
+            this.getTriangle(tri, _a, _b, _c);
+            _triangle.set(_a, _b, _c).closestPointToPoint(sphere.center, _closest);
+
+            const distance = _closest.distanceTo(sphere.center);
+            if (distance > sphere.radius) return false;
+
+            const source = this.getSource(tri);
+            const depth = sphere.radius - distance;
+            const existing = contacts.get(source.object);
+            if (existing && existing.depth >= depth) return false;
+
+            const normal = distance > EPSILON ?
+                _offset.subVectors(sphere.center, _closest).divideScalar(distance).clone() :
+                _triangle.getNormal(new THREE.Vector3());
+            contacts.set(source.object, { point: _closest.clone(), normal, depth, object: source.object, layer: source.layer });
+            return false;
+        });
+
+        return Array.from(contacts.values());
+    }
+}
+
+// Does a ray enter a box before far? Rays starting inside count
+function rayHitsBox(ray, box, far) {
+    if (box.containsPoint(ray.origin)) return true;
+    const hit = ray.intersectBox(box, _closest);
+    return hit !== null && ray.origin.distanceTo(hit) <= far;
+}
+
+// Distance along the ray at which a sphere moving along it first touches triangle abc, or null
+// if it doesn't within far. Fills contact (point on the triangle) and normal (toward the sphere)
+function sweepSphereTriangle(ray, radius, a, b, c, far, contact, normal) {
+    // Already touching
+    _triangle.set(a, b, c).closestPointToPoint(ray.origin, contact);
+    const startDistance = contact.distanceTo(ray.origin);
+    if (startDistance <= radius) {
+        if (startDistance > EPSILON) {
+            normal.subVectors(ray.origin, contact).divideScalar(startDistance);
+        } else {
+            _triangle.getNormal(normal);
+        }
+        return 0;
+    }
+
+    let best = null;
+
+    // Face: the sphere reaches the triangle's plane with the touching point inside the triangle
+    _edge1.subVectors(b, a);
+    _edge2.subVectors(c, a);
+    _normal.crossVectors(_edge1, _edge2);
+    if (_normal.lengthSq() < EPSILON) return null;
+    _normal.normalize();
+
+    let planeDistance = _normal.dot(_offset.subVectors(ray.origin, a));
+    if (planeDistance < 0) {
+        _normal.negate(); // Use the side the sphere starts on
+        planeDistance = -planeDistance;
+    }
+
+    const approach = -_normal.dot(ray.direction);
+    if (approach > EPSILON) {
+        const t = (planeDistance - radius) / approach;
+        if (t >= 0 && t <= far) {
+            ray.at(t, _center).addScaledVector(_normal, -radius);
+            if (_triangle.containsPoint(_center)) {
+                contact.copy(_center);
+                normal.copy(_normal);
+                return t;
+            }
+        }
+    }
+
+    // Edges and corners: the center's path against the capsules around each edge
+    const corners = [a, b, c];
+    for (let i = 0; i < 3; i++) {
+        const t = rayCapsule(ray, corners[i], corners[(i + 1) % 3], radius);
+        if (t !== null && t <= far && (best === null || t < best)) {
+            best = t;
+        }
+    }
+
+    if (best === null) return null;
+
+    ray.at(best, _center);
+    _triangle.closestPointToPoint(_center, contact);
+    normal.subVectors(_center, contact).normalize();
+    return best;
+}
+
+// Distance along a ray to a capsule of the given radius around segment p0-p1, or null
+function rayCapsule(ray, p0, p1, radius) {
+    const axis = _edge1.subVectors(p1, p0);
+    const fromStart = _edge2.subVectors(ray.origin, p0);
+    const axisLengthSq = axis.dot(axis);
+    const axisDotDir = axis.dot(ray.direction);
+    const axisDotStart = axis.dot(fromStart);
+    const dirDotStart = ray.direction.dot(fromStart);
+
+    // Cylinder around the segment
+    const qa = axisLengthSq - axisDotDir * axisDotDir;
+    const qb = axisLengthSq * dirDotStart - axisDotStart * axisDotDir;
+    const qc = axisLengthSq * fromStart.dot(fromStart) - axisDotStart * axisDotStart - radius * radius * axisLengthSq;
+    let best = null;
+
+    if (qa > EPSILON) {
+        const h = qb * qb - qa * qc;
+        if (h >= 0) {
+            const t = (-qb - Math.sqrt(h)) / qa;
+            const along = axisDotStart + t * axisDotDir;
+            if (t >= 0 && along > 0 && along < axisLengthSq) {
+                best = t;
+            }
+        }
+    }
+
+    // Spheres at the ends
+    for (const end of [p0, p1]) {
+        const t = raySphere(ray, end, radius);
+        if (t !== null && (best === null || t < best)) {
+            best = t;
+        }
+    }
+
+    return best;
+}
+
+// Distance along a ray to a sphere it starts outside of, or null
+function raySphere(ray, center, radius) {
+    _offset.subVectors(ray.origin, center);
+    const b = _offset.dot(ray.direction);
+    const c = _offset.dot(_offset) - radius * radius;
+    const h = b * b - c;
+    if (h < 0) return null;
+
+    const t = -b - Math.sqrt(h);
+    return t >= 0 ? t : null;
+}
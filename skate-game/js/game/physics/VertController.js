@@ -0,0 +1,200 @@
+import * as THREE from 'three';
+
+const VERT_FRICTION = 0.998;  // Speed kept per 60fps frame rolling on a transition
+const MIN_DEPTH = 0.05;       // Any closer to the flat and the board isn't on the curve yet
+const MAX_GAP = 0.5;          // Farthest the board can be above the curve and still be riding it
+const LEVEL_ANGLE = 0.02;     // Any flatter and the board is back on the ground when it leaves
+const PUMP_SPEED = 0.09;      // Speed per 60fps frame a pump adds, or takes away when mistimed
+
+const _across = new THREE.Vector3();
+const _parallel = new THREE.Vector3();
+const _bottom = new THREE.Vector3();
+
+// Rides the board up and down the transitions of quarter pipes, half pipes and bowls. On the
+// curve the board's speed along it trades against height, and gravity pulls it back down. Going
+// over the lip launches it straight up, and it comes back down into the same transition. The
+// board keeps its heading throughout, so spinning in the air changes which way it faces coming
+// back in - half a turn and it rides down nose first. Pumping - pushing down into the curve on the
+// way down a wall - is how the board gains speed without being pushed. Once each way down, and
+// only then: pumping on the way up or a second time on the way down scrubs speed instead
+export class VertController {
+    constructor(skateboard, collisionWorld) {
+        this.skateboard = skateboard;
+        this.collisionWorld = collisionWorld;
+        this.transition = null; // Transition being ridden, or null
+        this.angle = 0; // Where on the curve the board is, 0 where it starts, PI/2 at the lip
+        this.speed = 0; // Along the curve per 60fps frame, positive up the wall
+        this.height = 0; // Above the lip while launched off it
+        this.launched = false;
+        this.pumped = false; // Already pumped on this way down
+        this.surface = new THREE.Vector3(); // Point on the curve under the board
+        this.normal = new THREE.Vector3(0, 1, 0); // Of the curve under the board
+    }
+
+    isRiding() {
+        return this.transition !== null;
+    }
+
+    // Start riding a transition if the board is rolling on one
+    tryEnter() {
+        const board = this.skateboard;
+        if (this.transition || board.isJumping || board.inAir) return false;
+
+        _bottom.copy(board.mesh.position);
+        _bottom.y -= board.defaultHeight;
+        const found = this.collisionWorld.findTransition(_bottom, _across);
+        if (!found || found.depth < MIN_DEPTH) return false;
+
+        const { transition, depth } = found;
+        const angle = Math.asin(Math.min(depth / transition.radius, 1));
+        transition.surfacePoint(_bottom, angle, this.surface);
+        if (Math.abs(_bottom.y - this.surface.y) > MAX_GAP) return false;
+
+        this.transition = transition;
+        this.angle = angle;
+        this.launched = false;
+        this.pumped = false;
+        this.height = 0;
+        const level = board.velocity.x * _across.x + board.velocity.z * _across.z;
+        this.speed = level * Math.cos(angle) + board.velocity.y * Math.sin(angle);
+        return true;
+    }
+
+    // Move the board along the transition in place of its usual physics
+    update(deltaTime) {
+        if (!this.transition) return;
+
+        const timeScale = deltaTime * 60;
+        const board = this.skateboard;
+        const velocity = board.velocity;
+        const transition = this.transition;
+        const friction = Math.pow(VERT_FRICTION, timeScale);
+
+        // Velocity splits into along the curve and along the transition. Input may have pushed the
+        // board since last step, so the split is taken fresh
+        transition.acrossAt(this.surface, _across);
+        const level = velocity.x * _across.x + velocity.z * _across.z;
+        _parallel.set(velocity.x - _across.x * level, 0, velocity.z - _across.z * level).multiplyScalar(friction);
+
+        if (this.launched) {
+            velocity.y -= board.gravity * timeScale;
+            this.speed = velocity.y;
+            this.height += velocity.y * timeScale;
+            if (this.height <= 0 && velocity.y <= 0) {
+                // Back down into the transition it left
+                this.launched = false;
+                this.height = 0;
+                this.speed = velocity.y;
+                board.inAir = false;
+            }
+        } else {
+            this.speed = level * Math.cos(this.angle) + velocity.y * Math.sin(this.angle);
+            this.speed -= board.gravity * Math.sin(this.angle) * timeScale;
+            this.speed *= friction;
+            this.angle += this.speed * timeScale / transition.radius;
+            if (this.speed > 0) {
+                this.pumped = false; // Heading back up, so the next way down can be pumped
+            }
+        }
+
+        this.surface.addScaledVector(_parallel, timeScale);
+        if (!transition.contains(this.surface)) {
+            // Rolled off the end of it
+            this.place(Math.min(Math.max(this.angle, 0), Math.PI / 2));
+            if (this.launched) {
+                velocity.set(_parallel.x, velocity.y, _parallel.z);
+            } else {
+                this.setVelocity(_parallel);
+            }
+            board.inAir = this.angle > LEVEL_ANGLE || this.launched;
+            this.release();
+            return;
+        }
+
+        if (!this.launched && this.angle <= 0) {
+            // Back on the flat
+            this.angle = 0;
+            this.place(0);
+            this.setVelocity(_parallel);
+            velocity.y = 0;
+            this.release();
+            return;
+        }
+
+        if (!this.launched && this.angle >= Math.PI / 2 && this.speed > 0) {
+            // Over the lip: straight up, carrying on along the transition
+            this.launched = true;
+            this.height = 0;
+            velocity.y = this.speed;
+            board.inAir = true;
+        }
+
+        if (this.launched) {
+            this.angle = Math.PI / 2;
+            this.place(this.angle);
+            velocity.set(_parallel.x, velocity.y, _parallel.z);
+        } else {
+            this.place(this.angle);
+            this.setVelocity(_parallel);
+        }
+
+        board.animateWheels();
+    }
+
+    // Pump the board into the curve, speeding it up if it's rolling down the wall and hasn't pumped
+    // on this way down yet, and slowing it down otherwise. Returns whether the pump was timed right
+    pump() {
+        if (!this.transition || this.launched) return false;
+
+        const velocity = this.skateboard.velocity;
+        const speed = velocity.length();
+        const timed = this.speed < 0 && !this.pumped;
+        if (timed) {
+            this.pumped = true;
+        }
+
+        if (speed > 0) {
+            const pumpedSpeed = Math.max(speed + (timed ? PUMP_SPEED : -PUMP_SPEED), 0);
+            velocity.multiplyScalar(pumpedSpeed / speed);
+        }
+        return timed;
+    }
+
+    // Put the board on the curve at angle, or above its lip while launched, tilted to match
+    place(angle) {
+        const board = this.skateboard;
+        this.transition.surfacePoint(this.surface, angle, this.surface);
+        this.transition.acrossAt(this.surface, _across);
+
+        // The curve's normal leans away from the wall as it rises
+        this.normal.set(-_across.x * Math.sin(angle), Math.cos(angle), -_across.z * Math.sin(angle));
+
+        board.mesh.position.copy(this.surface).addScaledVector(this.normal, board.defaultHeight);
+        board.mesh.position.y += this.height;
+        board.setTilt(this.normal);
+    }
+
+    // Velocity along the curve at the current angle, plus what runs along the transition
+    setVelocity(parallel) {
+        const velocity = this.skateboard.velocity;
+        const level = this.speed * Math.cos(this.angle);
+        velocity.set(
+            parallel.x + _across.x * level,
+            this.speed * Math.sin(this.angle),
+            parallel.z + _across.z * level
+        );
+    }
+
+    // Leave the transition to the board's usual physics
+    release() {
+        this.transition = null;
+        this.launched = false;
+        this.pumped = false;
+        this.height = 0;
+        this.normal.set(0, 1, 0);
+    }
+
+    reset() {
+        this.release();
+    }
+}
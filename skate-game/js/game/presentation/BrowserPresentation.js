@@ -0,0 +1,103 @@
+import * as THREE from 'three';
+import { ScoreSystem } from '../ui/ScoreSystem.js';
+import { AudioSystem } from '../audio/AudioSystem.js';
+import { MobileControls } from '../ui/MobileControls.js';
+
+// Presentation adapter for the browser build. Everything the game needs from the DOM, WebGL
+// and Web Audio goes through here, so the simulation can also run under HeadlessPresentation.
+export class BrowserPresentation {
+    constructor(options = {}) {
+        this.isHeadless = false;
+        this.effectsEnabled = true; // Particle bursts and other purely visual effects
+        this.canvasId = options.canvasId || 'gameCanvas';
+        this.textureLoader = new THREE.TextureLoader();
+    }
+
+    getViewportSize() {
+        return { width: window.innerWidth, height: window.innerHeight };
+    }
+
+    createRenderer() {
+        const { width, height } = this.getViewportSize();
+        const renderer = new THREE.WebGLRenderer({
+            canvas: document.getElementById(this.canvasId),
+            antialias: true
+        });
+        renderer.setSize(width, height);
+        renderer.shadowMap.enabled = true;
+        return renderer;
+    }
+
+    createCanvas(width, height) {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+    }
+
+    loadTexture(url) {
+        return new Promise((resolve, reject) => {
+            this.textureLoader.load(url, resolve, undefined, reject);
+        });
+    }
+
+    // A fixed-position element on top of the game canvas (notifications, banners)
+    createOverlay(id) {
+        const overlay = document.createElement('div');
+        if (id) overlay.id = id;
+        document.body.appendChild(overlay);
+        return overlay;
+    }
+
+    createSound(url, volume = 1) {
+        const sound = new Audio(url);
+        sound.volume = volume;
+        return sound;
+    }
+
+    createAudioContext() {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        return AudioContextClass ? new AudioContextClass() : null;
+    }
+
+    createHud(gameState, events) {
+        return new ScoreSystem(gameState, events);
+    }
+
+    createMusic() {
+        return new AudioSystem();
+    }
+
+    createMobileControls(inputHandler) {
+        return new MobileControls(inputHandler);
+    }
+
+    // Where InputHandler listens for keyboard events
+    getInputTarget() {
+        return window;
+    }
+
+    getElement(id) {
+        return document.getElementById(id);
+    }
+
+    onResize(callback) {
+        window.addEventListener('resize', callback);
+    }
+
+    // Browsers only allow audio after a user gesture
+    onFirstInteraction(callback) {
+        const handler = () => {
+            document.removeEventListener('click', handler);
+            document.removeEventListener('keydown', handler);
+            callback();
+        };
+
+        document.addEventListener('click', handler);
+        document.addEventListener('keydown', handler);
+    }
+
+    requestFrame(callback) {
+        return requestAnimationFrame(callback);
+    }
+}
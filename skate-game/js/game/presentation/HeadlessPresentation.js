@@ -0,0 +1,130 @@
+import * as THREE from 'three';
+
+// Presentation adapter for running the simulation without a browser (Node, CI).
+// Every method matches BrowserPresentation but hands back inert stand-ins, so
+// gameplay code never touches document, window or Audio.
+
+const noop = () => {};
+
+// Accepts any 2D context call or property write and draws nothing
+const nullGradient = { addColorStop: noop };
+const nullContext = new Proxy({}, {
+    get: (target, property) => (property in target ? target[property] : () => nullGradient),
+    set: (target, property, value) => {
+        target[property] = value;
+        return true;
+    }
+});
+
+const nullRenderer = {
+    domElement: null,
+    shadowMap: {},
+    setSize: noop,
+    render: noop,
+    dispose: noop
+};
+
+const nullMusic = {
+    initialize: noop,
+    playMusic: noop,
+    toggleMute: noop,
+    setVolume: noop
+};
+
+// Stands in for ScoreSystem - the score itself lives in GameState, only the display is dropped
+class HeadlessHud {
+    constructor(gameState) {
+        this.gameState = gameState;
+    }
+
+    updateScore(points) {
+        this.gameState.addScore(points);
+    }
+
+    getScore() {
+        return this.gameState.score;
+    }
+
+    update() {}
+    showFloatingScore() {}
+    showGameOverMessage() {}
+    showVictoryMessage() {}
+    showCapturedMessage() {}
+    resetScore() {}
+}
+
+export class HeadlessPresentation {
+    constructor(options = {}) {
+        this.isHeadless = true;
+        this.effectsEnabled = false; // Visual-only particles would otherwise pile up in the scene
+        this.viewport = { width: options.width || 1280, height: options.height || 720 };
+    }
+
+    getViewportSize() {
+        return { ...this.viewport };
+    }
+
+    createRenderer() {
+        return nullRenderer;
+    }
+
+    createCanvas(width, height) {
+        return {
+            width,
+            height,
+            style: {},
+            getContext: () => nullContext
+        };
+    }
+
+    loadTexture() {
+        return Promise.resolve(new THREE.Texture());
+    }
+
+    createOverlay(id) {
+        return {
+            id,
+            style: {},
+            textContent: '',
+            innerHTML: '',
+            remove: noop
+        };
+    }
+
+    createSound() {
+        return null;
+    }
+
+    createAudioContext() {
+        return null;
+    }
+
+    createHud(gameState) {
+        return new HeadlessHud(gameState);
+    }
+
+    createMusic() {
+        return nullMusic;
+    }
+
+    createMobileControls() {
+        return null;
+    }
+
+    // No keyboard - headless runs drive InputHandler through its scripted controls
+    getInputTarget() {
+        return null;
+    }
+
+    getElement() {
+        return null;
+    }
+
+    onResize() {}
+
+    onFirstInteraction() {}
+
+    requestFrame() {
+        return null;
+    }
+}
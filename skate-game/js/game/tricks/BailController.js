@@ -0,0 +1,156 @@
+import * as THREE from 'three';
+import { Random } from '../../core/Random.js';
+import { GameEvents } from '../GameEvents.js';
+
+// Why a landing was bailed
+export const BailReason = Object.freeze({
+    SIDEWAYS: 'sideways',      // Board came down across the direction it was travelling
+    UPSIDE_DOWN: 'upside down', // Board came down tipped over, off its wheels
+    TIPPED_OVER: 'tipped over'  // Manual tipped past the wheels it was on
+});
+
+const MIN_UPRIGHT = 0.5;          // Least cosine between the board's up and the surface normal (60 degrees)
+const MIN_ALIGNMENT = 0.6;        // Least cosine between the board's length and its travel (about 53 degrees)
+const MIN_SIDEWAYS_SPEED = 0.05;  // Any slower and the board can land at any angle to its travel
+const BAIL_DURATION = 2;          // Seconds before the skater is back on the board
+
+// The skater's tumble, per 60fps frame
+const THROW_SPEED = 1.2;          // Of the board's speed when it landed
+const THROW_LIFT = 0.15;
+const GRAVITY = 0.015;
+const BOUNCE = 0.3;               // Vertical speed kept on hitting the ground
+const GROUND_DRAG = 0.6;          // Speed and spin kept on hitting the ground
+const LYING_HEIGHT = 0.3;         // Skater's center above the ground once down
+const SKATER_SPIN = 0.25;
+const BOARD_SPIN = 0.3;
+const BOARD_SPIN_DECAY = 0.96;
+
+const _quaternion = new THREE.Quaternion();
+const _up = new THREE.Vector3();
+const _forward = new THREE.Vector3();
+const _worldUp = new THREE.Vector3(0, 1, 0);
+
+// Checks each landing and throws the skater off the board when it was a bad one, or when a manual
+// tips over. Skater and board tumble apart until the skater gets back on, and the player has no
+// control in the meantime
+export class BailController {
+    constructor(skateboard, skater, events) {
+        this.skateboard = skateboard;
+        this.skater = skater;
+        this.events = events;
+        this.reason = null; // BailReason while bailing, or null
+        this.elapsed = 0;
+        this.floor = 0; // Height the skater lands on
+        this.skaterVelocity = new THREE.Vector3();
+        this.skaterSpin = new THREE.Vector3();
+        this.boardSpin = new THREE.Vector3();
+    }
+
+    isBailing() {
+        return this.reason !== null;
+    }
+
+    // Call on the step the board touches down. Returns the BailReason if the landing is bad,
+    // otherwise null. normal is the surface landed on, or null for the flat ground
+    checkLanding(normal) {
+        const { board, velocity } = this.skateboard;
+        board.updateWorldMatrix(true, false);
+        board.getWorldQuaternion(_quaternion);
+
+        // Flips and air rotation can leave the deck tipped too far to come down on its wheels
+        _up.set(0, 1, 0).applyQuaternion(_quaternion);
+        if (_up.dot(normal || _worldUp) < MIN_UPRIGHT) {
+            return BailReason.UPSIDE_DOWN;
+        }
+
+        // Spinning in the air can leave it across its travel. Rolling backwards is fine. Coming
+        // back into a vert wall the travel is mostly downward, so this is checked in 3D
+        const speed = velocity.length();
+        if (speed >= MIN_SIDEWAYS_SPEED) {
+            _forward.set(0, 0, -1).applyQuaternion(_quaternion);
+            if (Math.abs(_forward.dot(velocity)) / speed < MIN_ALIGNMENT) {
+                return BailReason.SIDEWAYS;
+            }
+        }
+
+        return null;
+    }
+
+    // Throw the skater off the board. The board rolls on by itself, tumbling
+    bail(reason) {
+        const board = this.skateboard;
+        this.reason = reason;
+        this.elapsed = 0;
+        this.floor = board.mesh.position.y - board.defaultHeight + LYING_HEIGHT;
+
+        // The skater carries on over the front, head over heels
+        this.skaterVelocity.set(board.velocity.x * THROW_SPEED, THROW_LIFT, board.velocity.z * THROW_SPEED);
+        const side = Random.gameplay.next() < 0.5 ? -1 : 1;
+        this.skaterSpin.set(SKATER_SPIN, 0, side * SKATER_SPIN * 0.5);
+        this.boardSpin.set(
+            (Random.gameplay.next() - 0.5) * BOARD_SPIN,
+            (Random.gameplay.next() - 0.5) * BOARD_SPIN,
+            side * BOARD_SPIN
+        );
+        board.resetSprintSpeed();
+
+        if (this.events) {
+            this.events.emit(GameEvents.PLAYER_BAILED, {
+                reason,
+                position: board.mesh.position.clone()
+            });
+        }
+    }
+
+    // Call after the board has moved
+    update(deltaTime) {
+        if (!this.reason) return;
+
+        this.elapsed += deltaTime;
+        if (this.elapsed >= BAIL_DURATION) {
+            this.recover();
+            return;
+        }
+
+        const timeScale = deltaTime * 60;
+        const mesh = this.skater.mesh;
+        const velocity = this.skaterVelocity;
+
+        velocity.y -= GRAVITY * timeScale;
+        mesh.position.addScaledVector(velocity, timeScale);
+        if (mesh.position.y <= this.floor) {
+            mesh.position.y = this.floor;
+            velocity.y = Math.abs(velocity.y) * BOUNCE;
+            velocity.x *= GROUND_DRAG;
+            velocity.z *= GROUND_DRAG;
+            this.skaterSpin.multiplyScalar(GROUND_DRAG);
+        }
+        mesh.rotation.x += this.skaterSpin.x * timeScale;
+        mesh.rotation.z += this.skaterSpin.z * timeScale;
+
+        // Limbs flail while the skater is still tumbling
+        this.skater.applyBailPose(Math.min(this.skaterSpin.length() / SKATER_SPIN, 1), this.elapsed);
+
+        const board = this.skateboard.board;
+        board.rotation.x += this.boardSpin.x * timeScale;
+        board.rotation.y += this.boardSpin.y * timeScale;
+        board.rotation.z += this.boardSpin.z * timeScale;
+        this.boardSpin.multiplyScalar(Math.pow(BOARD_SPIN_DECAY, timeScale));
+    }
+
+    // Put the skater back on the board, wherever it came to rest
+    recover() {
+        this.skateboard.fullStop();
+        this.reset();
+    }
+
+    // Drop any bail, e.g. when the round restarts. SkaterRig puts the skater back on the board
+    reset() {
+        if (this.reason) {
+            this.skateboard.board.rotation.set(0, 0, 0);
+            this.skater.resetArms();
+        }
+        this.reason = null;
+        this.elapsed = 0;
+    }
+}
@@ -0,0 +1,30 @@
+import { Random } from '../../core/Random.js';
+
+// A balance that tips further the more it leans, so the rider has to keep steering it back.
+// Used while grinding, where value runs from -1 (falling left) to 1 (falling right), and in
+// manuals, where it runs from -1 (toward the tail) to 1 (toward the nose). Past either end the
+// balance is lost
+export class BalanceMeter {
+    constructor() {
+        this.value = 0;
+        this.drift = 1;     // How fast a lean grows, per second per unit of lean
+        this.wobble = 0.6;  // Largest random push, per second
+        this.control = 2.5; // How fast steering pushes back, per second
+    }
+
+    // Start balancing from a small random lean. Harder tricks drift faster
+    start(drift) {
+        this.drift = drift;
+        this.value = Random.gameplay.range(-0.1, 0.1);
+    }
+
+    // steer is 1 when steering left, -1 when steering right and 0 otherwise
+    update(steer, deltaTime) {
+        const lean = this.value * this.drift + Random.gameplay.range(-1, 1) * this.wobble;
+        this.value += (lean - steer * this.control) * deltaTime;
+    }
+
+    isLost() {
+        return Math.abs(this.value) >= 1;
+    }
+}
@@ -0,0 +1,101 @@
+import { GameEvents } from '../GameEvents.js';
+
+// Flip tricks, picked by the direction held when the flip key is pressed in the air. Turns are
+// full rotations of the board around its own axes, as seen by the skater: x across the deck
+// (end over end), y up through it (spinning flat) and z along it (rolling over), for a regular
+// rider. A goofy or switch one spins and rolls the board the other way
+export const FlipTrick = Object.freeze({
+    KICKFLIP: { name: 'kickflip', turns: { x: 0, y: 0, z: 1 }, duration: 0.4 },
+    HEELFLIP: { name: 'heelflip', turns: { x: 0, y: 0, z: -1 }, duration: 0.4 },
+    POP_SHOVE_IT: { name: 'pop shove-it', turns: { x: 0, y: 0.5, z: 0 }, duration: 0.35 },
+    TRE_FLIP: { name: '360 flip', turns: { x: 0, y: 1, z: 1 }, duration: 0.55 },
+    IMPOSSIBLE: { name: 'impossible', turns: { x: 1, y: 0, z: 0 }, duration: 0.5 }
+});
+
+const TURN = Math.PI * 2;
+
+// The flip for the held direction. moveX is positive for left, moveZ negative for forward.
+// Toward the heels is a heelflip, and mirrored (goofy or switch) the heels are on the left
+export function pickFlipTrick(moveX, moveZ, mirrored = false) {
+    if (moveZ > 0 && moveX !== 0) return FlipTrick.TRE_FLIP;
+    if (moveZ > 0) return FlipTrick.POP_SHOVE_IT;
+    if (moveZ < 0) return FlipTrick.IMPOSSIBLE;
+    if (mirrored ? moveX > 0 : moveX < 0) return FlipTrick.HEELFLIP;
+    return FlipTrick.KICKFLIP;
+}
+
+// Plays flip tricks on the skateboard's board group while it is in the air. A flip only counts
+// if the board has come all the way round by the time it touches down
+export class FlipController {
+    constructor(skateboard, events) {
+        this.skateboard = skateboard;
+        this.events = events;
+        this.trick = null; // FlipTrick being played, or null
+        this.elapsed = 0;
+        this.mirrored = false; // Flipped standing goofy or switch
+        // Euler order that spins the board flat first, then rolls and tips it in that heading
+        this.skateboard.board.rotation.order = 'YZX';
+    }
+
+    isFlipping() {
+        return this.trick !== null;
+    }
+
+    isComplete() {
+        return this.trick !== null && this.elapsed >= this.trick.duration;
+    }
+
+    // Start a flip if the board is in the air and not already flipping. mirrored is whether the
+    // skater stands goofy or switch
+    tryStart(moveX, moveZ, mirrored = false) {
+        const board = this.skateboard;
+        if (this.trick || !(board.isJumping || board.inAir)) return false;
+
+        this.trick = pickFlipTrick(moveX, moveZ, mirrored);
+        this.elapsed = 0;
+        this.mirrored = mirrored;
+
+        if (this.events) {
+            this.events.emit(GameEvents.FLIP_STARTED, {
+                name: this.trick.name,
+                position: board.mesh.position.clone()
+            });
+        }
+        return true;
+    }
+
+    update(deltaTime) {
+        if (!this.trick) return;
+
+        this.elapsed = Math.min(this.elapsed + deltaTime, this.trick.duration);
+        const progress = this.elapsed / this.trick.duration;
+        const { turns } = this.trick;
+        const mirror = this.mirrored ? -1 : 1;
+        this.skateboard.board.rotation.set(
+            turns.x * TURN * progress,
+            turns.y * TURN * progress * mirror,
+            turns.z * TURN * progress * mirror
+        );
+    }
+
+    // The board touched down. Reports whether the flip came round in time and squares the
+    // board up under the skater either way
+    land() {
+        if (!this.trick) return;
+
+        const event = { name: this.trick.name, landed: this.isComplete() };
+        this.reset();
+
+        if (this.events) {
+            this.events.emit(GameEvents.FLIP_ENDED, event);
+        }
+    }
+
+    // Drop any flip without reporting it, e.g. when the round restarts
+    reset() {
+        this.trick = null;
+        this.elapsed = 0;
+        this.mirrored = false;
+        this.skateboard.board.rotation.set(0, 0, 0);
+    }
+}
@@ -0,0 +1,167 @@
+import * as THREE from 'three';
+import { GameEvents } from '../GameEvents.js';
+
+// Grab tricks, picked by the direction held when the grab key goes down in the air.
+// hand is the skater's grabbing hand, grabPoint where it holds the board in the board's space
+// (nose toward -z), and pose what the rest of the body does. All are for a regular rider, a goofy
+// or switch one grabs with the other hand on the other side of the board:
+//   lean - skater's forward lean, torso - sideways twist of the upper body,
+//   arms/legs - [left, right] swings, arms as [x, z], board - tilt of the board in the hand
+// Holding a grab earns bonusPerSecond on top of the trick itself
+export const GrabTrick = Object.freeze({
+    INDY: {
+        name: 'indy',
+        hand: 'right',
+        grabPoint: new THREE.Vector3(0.38, 0, 0),
+        pose: { lean: 0.4, torso: -0.15, arms: [[0, -1.3], [-0.4, -0.1]], legs: [-0.7, -0.7], board: { x: 0, z: -0.3 } },
+        bonusPerSecond: 50
+    },
+    MELON: {
+        name: 'melon',
+        hand: 'left',
+        grabPoint: new THREE.Vector3(-0.38, 0, 0.1),
+        pose: { lean: 0.3, torso: 0.15, arms: [[-0.2, 0.3], [0, 1.3]], legs: [-0.6, -0.6], board: { x: 0, z: 0.3 } },
+        bonusPerSecond: 50
+    },
+    STALEFISH: {
+        name: 'stalefish',
+        hand: 'right',
+        grabPoint: new THREE.Vector3(-0.38, 0, 0.3),
+        pose: { lean: -0.1, torso: 0.25, arms: [[-0.8, -1.1], [0.5, 0.6]], legs: [0.5, 0.5], board: { x: 0, z: 0.4 } },
+        bonusPerSecond: 60
+    },
+    NOSEGRAB: {
+        name: 'nosegrab',
+        hand: 'left',
+        grabPoint: new THREE.Vector3(0, 0, -0.95),
+        pose: { lean: -0.2, torso: 0, arms: [[0.6, 0.2], [-1, -0.8]], legs: [0.4, 0.2], board: { x: -0.5, z: 0 } },
+        bonusPerSecond: 60
+    },
+    TAILGRAB: {
+        name: 'tailgrab',
+        hand: 'right',
+        grabPoint: new THREE.Vector3(0, 0, 0.95),
+        pose: { lean: 0.5, torso: 0, arms: [[0.2, -1.4], [-0.6, -0.2]], legs: [-0.3, -0.5], board: { x: 0.5, z: 0 } },
+        bonusPerSecond: 50
+    },
+    METHOD: {
+        name: 'method',
+        hand: 'left',
+        grabPoint: new THREE.Vector3(-0.38, 0, 0),
+        pose: { lean: 0.2, torso: 0.3, arms: [[0.4, 0.5], [-0.9, -1.4]], legs: [0.9, 0.9], board: { x: 0, z: 0.8 } },
+        bonusPerSecond: 80
+    }
+});
+
+// The grab for the held direction. moveX is positive for left, moveZ negative for forward
+export function pickGrabTrick(moveX, moveZ) {
+    if (moveZ > 0 && moveX !== 0) return GrabTrick.METHOD;
+    if (moveZ > 0) return GrabTrick.TAILGRAB;
+    if (moveZ < 0) return GrabTrick.NOSEGRAB;
+    if (moveX > 0) return GrabTrick.MELON;
+    if (moveX < 0) return GrabTrick.STALEFISH;
+    return GrabTrick.INDY;
+}
+
+const _handLocal = new THREE.Vector3();
+const _grabOffset = new THREE.Vector3();
+
+// Tracks grab tricks while the board is in the air. The grab lasts as long as the key is held;
+// SkaterRig poses the skater for it and has the board follow the grabbing hand
+export class GrabController {
+    constructor(skateboard, events) {
+        this.skateboard = skateboard;
+        this.events = events;
+        this.trick = null; // GrabTrick being held, or null
+        this.duration = 0;
+        this.mirrored = false; // Grabbed standing goofy or switch
+    }
+
+    isGrabbing() {
+        return this.trick !== null;
+    }
+
+    // holding is whether the grab key is down and a grab is allowed right now, mirrored whether
+    // the skater stands goofy or switch
+    update(deltaTime, holding, moveX, moveZ, mirrored = false) {
+        const board = this.skateboard;
+        const airborne = board.isJumping || board.inAir;
+
+        if (this.trick) {
+            if (!holding || !airborne) {
+                this.release();
+            } else {
+                this.duration += deltaTime;
+            }
+        } else if (holding && airborne) {
+            this.start(pickGrabTrick(moveX, moveZ), mirrored);
+        }
+    }
+
+    start(trick, mirrored = false) {
+        this.trick = trick;
+        this.duration = 0;
+        this.mirrored = mirrored;
+
+        if (this.events) {
+            this.events.emit(GameEvents.GRAB_STARTED, {
+                name: trick.name,
+                position: this.skateboard.mesh.position.clone()
+            });
+        }
+    }
+
+    // Let go of the board. A grab still held when the board touches down isn't let go in time
+    release() {
+        if (!this.trick) return;
+
+        const board = this.skateboard;
+        const event = {
+            name: this.trick.name,
+            duration: this.duration,
+            bonus: Math.round(this.duration * this.trick.bonusPerSecond),
+            released: board.isJumping || board.inAir
+        };
+        this.reset();
+
+        if (this.events) {
+            this.events.emit(GameEvents.GRAB_ENDED, event);
+        }
+    }
+
+    // Drop any grab without reporting it, e.g. when the round restarts
+    reset() {
+        this.trick = null;
+        this.duration = 0;
+        this.mirrored = false;
+        this.skateboard.board.position.set(0, 0, 0);
+        this.skateboard.board.rotation.set(0, 0, 0);
+    }
+
+    // The skater's hand holding the board, 'left' or 'right', or null when nothing is grabbed
+    getHand() {
+        if (!this.trick) return null;
+        if (!this.mirrored) return this.trick.hand;
+        return this.trick.hand === 'left' ? 'right' : 'left';
+    }
+
+    // Move the board so the grab point sits in the hand, given in world space. Mirrored, the
+    // grab point and the board's roll are on the other side
+    holdBoard(handPosition) {
+        if (!this.trick) return;
+
+        const { mesh, board } = this.skateboard;
+        const tilt = this.trick.pose.board;
+        board.rotation.set(tilt.x, 0, this.mirrored ? -tilt.z : tilt.z);
+
+        mesh.updateWorldMatrix(true, false);
+        _handLocal.copy(handPosition);
+        mesh.worldToLocal(_handLocal);
+        _grabOffset.copy(this.trick.grabPoint);
+        if (this.mirrored) {
+            _grabOffset.x = -_grabOffset.x;
+        }
+        _grabOffset.applyEuler(board.rotation);
+        board.position.subVectors(_handLocal, _grabOffset);
+    }
+}
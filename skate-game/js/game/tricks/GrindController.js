@@ -0,0 +1,242 @@
+import * as THREE from 'three';
+import { BalanceMeter } from './BalanceMeter.js';
+import { GameEvents } from '../GameEvents.js';
+
+// Grinds, picked by the angle between the board and the rail when the board lands on it
+export const GrindType = Object.freeze({
+    FIFTY_FIFTY: '50-50',    // Both trucks on the rail, board along it
+    FIVE_O: '5-0',           // Back truck only, board turned a little off the rail
+    BOARDSLIDE: 'boardslide' // Middle of the deck on the rail, board across it
+});
+
+// Why a grind ended
+export const GrindExit = Object.freeze({
+    END: 'end',                // Rode off the end of the rail
+    OLLIE: 'ollie',            // Jumped off
+    FELL: 'fell',              // Lost balance
+    STALLED: 'stalled',        // Ran out of speed
+    INTERRUPTED: 'interrupted' // Stopped by something else, e.g. getting caught
+});
+
+// Largest angle between board and rail, in radians, for each grind
+const FIFTY_FIFTY_ANGLE = THREE.MathUtils.degToRad(15);
+const FIVE_O_ANGLE = THREE.MathUtils.degToRad(50);
+
+// How hard each grind is to balance (BalanceMeter drift)
+const GRIND_DRIFT = {
+    [GrindType.FIFTY_FIFTY]: 1.2,
+    [GrindType.FIVE_O]: 1.8,
+    [GrindType.BOARDSLIDE]: 2.4
+};
+
+// Nose-up tilt of the board in a 5-0
+const FIVE_O_TILT = 0.2;
+
+// How far sideways from a rail the bottom of the board can come down and still lock on
+const LOCK_RADIUS = 0.45;
+
+const GRIND_FRICTION = 0.995; // Speed kept along the rail per 60fps frame
+const MIN_GRIND_SPEED = 0.05; // Any slower and the board drops off
+const FALL_OFFSET = 0.6;      // How far to the side the board drops when balance is lost
+
+const _bottom = new THREE.Vector3();
+const _previousBottom = new THREE.Vector3();
+const _forward = new THREE.Vector3();
+const _direction = new THREE.Vector3();
+
+// Locks the skateboard onto rails it lands on and slides it along them. While grinding the
+// board ignores steering, which goes to keeping its balance instead
+export class GrindController {
+    constructor(skateboard, world, events) {
+        this.skateboard = skateboard;
+        this.world = world; // CollisionWorld holding the park's rails
+        this.events = events;
+        this.balance = new BalanceMeter();
+        this.rail = null; // GrindRail or RingRail being ground, or null
+        this.type = null;
+        this.along = 0; // Distance along the rail
+        this.speed = 0; // Speed along the rail per 60fps frame, negative toward its start
+        this.distance = 0; // Ground so far this grind
+        this.railYaw = 0; // Yaw of the rail where the board is, which turns along round rails
+        this.duration = 0;
+    }
+
+    isGrinding() {
+        return this.rail !== null;
+    }
+
+    // Lock onto a rail the board came down on this step. Call after the board has moved, with
+    // whether it was in the air before it did
+    tryLock(wasAirborne) {
+        const board = this.skateboard;
+        if (this.rail || !wasAirborne) return false;
+
+        _bottom.copy(board.mesh.position);
+        _bottom.y -= board.defaultHeight;
+        _previousBottom.copy(board.previousPosition);
+        _previousBottom.y -= board.defaultHeight;
+        if (_previousBottom.y <= _bottom.y) return false; // Not coming down
+
+        // The rail has to be between where the bottom of the board was and where it is now
+        const drop = _previousBottom.y - _bottom.y;
+        const found = this.world.findRail(_bottom, LOCK_RADIUS + drop);
+        if (!found) return false;
+        const rail = found.rail;
+        if (!rail.closed && (found.along <= 0 || found.along >= rail.length)) return false;
+
+        const railTop = found.point.y;
+        const sideways = Math.hypot(found.point.x - _bottom.x, found.point.z - _bottom.z);
+        if (sideways > LOCK_RADIUS || _previousBottom.y < railTop || _bottom.y > railTop) return false;
+
+        rail.directionAt(found.along, _direction);
+        const speed = board.velocity.x * _direction.x + board.velocity.z * _direction.z;
+        if (Math.abs(speed) < MIN_GRIND_SPEED) return false;
+
+        this.lock(rail, found.along, speed);
+        return true;
+    }
+
+    lock(rail, along, speed) {
+        const board = this.skateboard;
+        this.rail = rail;
+        this.along = along;
+        this.distance = 0;
+        this.speed = speed;
+        this.duration = 0;
+
+        // Pick the grind from how far the board is turned off the rail, then line it up
+        rail.directionAt(along, _direction);
+        const railYaw = Math.atan2(-_direction.x, -_direction.z);
+        this.railYaw = railYaw;
+        _forward.set(0, 0, -1).applyQuaternion(board.mesh.quaternion);
+        const yaw = Math.atan2(-_forward.x, -_forward.z);
+        const offRail = Math.abs(wrapAngle(yaw - railYaw));
+        const angle = Math.min(offRail, Math.PI - offRail);
+
+        if (angle < FIFTY_FIFTY_ANGLE) {
+            this.type = GrindType.FIFTY_FIFTY;
+        } else if (angle < FIVE_O_ANGLE) {
+            this.type = GrindType.FIVE_O;
+        } else {
+            this.type = GrindType.BOARDSLIDE;
+        }
+
+        // Snap to whichever lineup is nearest how the board came in
+        const step = this.type === GrindType.BOARDSLIDE ? Math.PI / 2 : 0;
+        const lineups = [railYaw + step, railYaw + step + Math.PI];
+        const target = lineups.reduce((best, candidate) =>
+            Math.abs(wrapAngle(candidate - yaw)) < Math.abs(wrapAngle(best - yaw)) ? candidate : best);
+        board.mesh.rotation.set(this.type === GrindType.FIVE_O ? FIVE_O_TILT : 0, yaw + wrapAngle(target - yaw), 0);
+
+        board.isJumping = false;
+        board.inAir = false;
+        this.balance.start(GRIND_DRIFT[this.type]);
+        this.placeOnRail();
+
+        if (this.events) {
+            this.events.emit(GameEvents.GRIND_STARTED, {
+                type: this.type,
+                position: board.mesh.position.clone(),
+                balance: this.balance
+            });
+        }
+    }
+
+    // Slide along the rail. steer is 1 when steering left, -1 right, 0 neither
+    update(deltaTime, steer) {
+        if (!this.rail) return;
+
+        // Calculate time scale factor based on ideal 60fps
+        const timeScale = deltaTime * 60;
+
+        // Friction slows the board, and sloped rails speed it up downhill
+        this.speed *= Math.pow(GRIND_FRICTION, timeScale);
+        this.speed -= this.rail.directionAt(this.along, _direction).y * this.skateboard.gravity * timeScale;
+        this.along += this.speed * timeScale;
+        this.distance += Math.abs(this.speed * timeScale);
+        this.duration += deltaTime;
+
+        // Round rails have no ends, the board just goes round again
+        if (this.rail.closed) {
+            this.along = THREE.MathUtils.euclideanModulo(this.along, this.rail.length);
+        }
+
+        this.balance.update(steer, deltaTime);
+
+        if (!this.rail.closed && (this.along <= 0 || this.along >= this.rail.length)) {
+            this.along = THREE.MathUtils.clamp(this.along, 0, this.rail.length);
+            this.placeOnRail();
+            this.release(GrindExit.END);
+        } else if (this.balance.isLost()) {
+            this.placeOnRail();
+            this.fallOff();
+        } else if (Math.abs(this.speed) < MIN_GRIND_SPEED) {
+            this.placeOnRail();
+            this.release(GrindExit.STALLED);
+        } else {
+            this.placeOnRail();
+        }
+    }
+
+    // Drop to the side the balance tipped toward, losing most of the speed
+    fallOff() {
+        const board = this.skateboard;
+        // Right of the direction of travel
+        this.rail.directionAt(this.along, _direction);
+        const right = new THREE.Vector3(-_direction.z, 0, _direction.x)
+            .normalize()
+            .multiplyScalar(Math.sign(this.speed));
+        board.mesh.position.addScaledVector(right, FALL_OFFSET * Math.sign(this.balance.value));
+        board.velocity.x *= 0.5;
+        board.velocity.z *= 0.5;
+        this.release(GrindExit.FELL);
+    }
+
+    // Leave the rail, keeping the board's momentum. It is in the air until the ground check lands it
+    release(reason) {
+        if (!this.rail) return;
+
+        const board = this.skateboard;
+        board.inAir = true;
+        board.mesh.rotation.x = 0;
+
+        const event = {
+            type: this.type,
+            duration: this.duration,
+            distance: this.distance,
+            reason
+        };
+        this.rail = null;
+        this.type = null;
+
+        if (this.events) {
+            this.events.emit(GameEvents.GRIND_ENDED, event);
+        }
+    }
+
+    // Drop any grind without reporting it, e.g. when the round restarts
+    reset() {
+        this.rail = null;
+        this.type = null;
+        this.speed = 0;
+    }
+
+    // Put the board on the rail at along, moving with the grind and turning with round rails
+    placeOnRail() {
+        const board = this.skateboard;
+        this.rail.pointAt(this.along, board.mesh.position);
+        board.mesh.position.y += board.defaultHeight;
+
+        this.rail.directionAt(this.along, _direction);
+        board.velocity.copy(_direction).multiplyScalar(this.speed);
+
+        const turn = wrapAngle(Math.atan2(-_direction.x, -_direction.z) - this.railYaw);
+        board.mesh.rotation.y += turn;
+        this.railYaw += turn;
+    }
+}
+
+// An angle wrapped to -PI..PI
+function wrapAngle(angle) {
+    return Math.atan2(Math.sin(angle), Math.cos(angle));
+}
@@ -0,0 +1,182 @@
+import * as THREE from 'three';
+import { BalanceMeter } from './BalanceMeter.js';
+import { GameEvents } from '../GameEvents.js';
+
+export const ManualType = Object.freeze({
+    MANUAL: 'manual',          // On the back wheels, nose up
+    NOSE_MANUAL: 'nose manual' // On the front wheels, tail up
+});
+
+// Why a manual ended
+export const ManualExit = Object.freeze({
+    OLLIE: 'ollie',            // Jumped out of it
+    EDGE: 'edge',              // Rolled off an edge into the air
+    DROPPED: 'dropped',        // Raised end came down, back on four wheels
+    BAILED: 'bailed',          // Tipped over past the wheels it was on
+    STALLED: 'stalled',        // Ran out of speed
+    RELEASED: 'released',      // Let go with the manual key
+    INTERRUPTED: 'interrupted' // Stopped by something else, e.g. getting caught
+});
+
+// How hard each manual is to balance (BalanceMeter drift)
+const MANUAL_DRIFT = {
+    [ManualType.MANUAL]: 1.0,
+    [ManualType.NOSE_MANUAL]: 1.3
+};
+
+const MANUAL_PITCH = 0.25;      // Board pitch, in radians, when balanced
+const MANUAL_FRICTION = 0.985;  // Speed kept per 60fps frame - there's no pushing in a manual
+const MIN_MANUAL_SPEED = 0.03;  // Any slower and the raised end drops
+const AXLE_Z = 0.7;             // Distance of each truck from the middle of the board
+const WHEEL_BOTTOM = -0.35;     // Where the wheels touch the ground, below the board's center
+
+const _pivot = new THREE.Vector3();
+const _rotatedPivot = new THREE.Vector3();
+
+// Rolls the skateboard on two wheels. While manualing, forward and back work the balance
+// instead of pushing: forward shifts weight onto the nose, back onto the tail
+export class ManualController {
+    constructor(skateboard, events) {
+        this.skateboard = skateboard;
+        this.events = events;
+        this.balance = new BalanceMeter();
+        this.type = null; // ManualType being held, or null
+        this.queued = null; // ManualType to catch on landing, asked for in the air
+        this.duration = 0;
+        this.distance = 0;
+        this.savedFriction = skateboard.friction;
+    }
+
+    isManualing() {
+        return this.type !== null;
+    }
+
+    // Start a manual now if the board is rolling, or on landing if it is in the air
+    request(nose) {
+        const board = this.skateboard;
+        if (this.type) return;
+
+        const type = nose ? ManualType.NOSE_MANUAL : ManualType.MANUAL;
+        if (board.isJumping || board.inAir) {
+            this.queued = type;
+        } else {
+            this.start(type);
+        }
+    }
+
+    start(type) {
+        const board = this.skateboard;
+        this.type = type;
+        this.queued = null;
+        this.duration = 0;
+        this.distance = 0;
+        this.savedFriction = board.friction;
+        board.friction = MANUAL_FRICTION;
+        this.balance.start(MANUAL_DRIFT[type]);
+        this.pose();
+
+        if (this.events) {
+            this.events.emit(GameEvents.MANUAL_STARTED, {
+                type,
+                position: board.mesh.position.clone(),
+                balance: this.balance
+            });
+        }
+    }
+
+    // Call after the board has moved. steer is 1 when leaning back, -1 forward, 0 neither.
+    // blocked stops a queued manual being caught, e.g. when the board landed on a rail.
+    // Returns true when the manual tipped over, which throws the skater off
+    update(deltaTime, steer, blocked = false) {
+        const board = this.skateboard;
+        const airborne = board.isJumping || board.inAir;
+
+        if (!this.type) {
+            if (this.queued && !airborne) {
+                const queued = this.queued;
+                this.queued = null;
+                if (!blocked) {
+                    this.start(queued);
+                }
+            }
+            return false;
+        }
+
+        if (airborne) {
+            this.release(ManualExit.EDGE);
+            return false;
+        }
+
+        this.duration += deltaTime;
+        this.distance += Math.hypot(
+            board.mesh.position.x - board.previousPosition.x,
+            board.mesh.position.z - board.previousPosition.z
+        );
+
+        // Leaning back pushes the balance toward the tail
+        this.balance.update(steer, deltaTime);
+
+        if (this.balance.isLost()) {
+            // Tipping toward the raised end brings it down; tipping the other way goes over
+            const towardNose = this.balance.value > 0;
+            const overTipped = towardNose === (this.type === ManualType.NOSE_MANUAL);
+            this.release(overTipped ? ManualExit.BAILED : ManualExit.DROPPED);
+            return overTipped;
+        }
+
+        if (Math.hypot(board.velocity.x, board.velocity.z) < MIN_MANUAL_SPEED) {
+            this.release(ManualExit.STALLED);
+        } else {
+            this.pose();
+        }
+        return false;
+    }
+
+    // Back on four wheels
+    release(reason) {
+        if (!this.type) return;
+
+        const event = {
+            type: this.type,
+            duration: this.duration,
+            distance: this.distance,
+            reason
+        };
+        this.reset();
+
+        if (this.events) {
+            this.events.emit(GameEvents.MANUAL_ENDED, event);
+        }
+    }
+
+    // Drop any manual without reporting it, e.g. when the round restarts
+    reset() {
+        if (this.type) {
+            this.skateboard.friction = this.savedFriction;
+            this.skateboard.board.position.set(0, 0, 0);
+            this.skateboard.board.rotation.set(0, 0, 0);
+        }
+        this.type = null;
+        this.queued = null;
+    }
+
+    // How far the rider's weight is shifted along the board, 1 onto the tail, -1 onto the nose
+    getWeightShift() {
+        if (!this.type) return 0;
+        return this.type === ManualType.MANUAL ? 1 : -1;
+    }
+
+    // Pitch the board up onto one truck, pivoting on where its wheels touch the ground.
+    // The closer the balance is to dropping, the lower the raised end
+    pose() {
+        const board = this.skateboard.board;
+        const value = THREE.MathUtils.clamp(this.balance.value, -1, 1);
+        const nose = this.type === ManualType.NOSE_MANUAL;
+        const pitch = nose ? -MANUAL_PITCH * (1 + 0.5 * value) : MANUAL_PITCH * (1 - 0.5 * value);
+
+        board.rotation.set(pitch, 0, 0);
+        _pivot.set(0, WHEEL_BOTTOM, nose ? -AXLE_Z : AXLE_Z);
+        _rotatedPivot.copy(_pivot).applyEuler(board.rotation);
+        board.position.subVectors(_pivot, _rotatedPivot);
+    }
+}
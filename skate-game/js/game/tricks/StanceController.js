@@ -0,0 +1,78 @@
+import * as THREE from 'three';
+
+// Which foot the skater naturally rides with toward the nose
+export const Stance = Object.freeze({
+    REGULAR: 'regular', // Left foot forward
+    GOOFY: 'goofy'      // Right foot forward
+});
+
+// How the skater is riding relative to their natural stance, added to the names of tricks
+export const StanceModifier = Object.freeze({
+    FAKIE: 'fakie',   // Natural footing, rolling tail first
+    SWITCH: 'switch', // Feet swapped, rolling nose first
+    NOLLIE: 'nollie'  // Popped off the nose instead of the tail
+});
+
+const MIN_SPEED = 0.02; // Any slower and which way the board is rolling is left as it was
+
+const _forward = new THREE.Vector3();
+
+// Tracks the skater's stance: whether they ride regular or goofy, whether their feet are swapped
+// for switch, whether the board is rolling tail first for fakie, and whether the last ollie was
+// popped off the nose. Rolling direction is only read on the ground, so in the air the stance is
+// the one the board took off in, and a half turn in the air lands the other way round
+export class StanceController {
+    constructor(skateboard, stance = Stance.REGULAR) {
+        this.skateboard = skateboard;
+        this.stance = stance;
+        this.switch = false; // Feet swapped from the natural stance
+        this.fakie = false; // Rolling tail first
+        this.nollie = false; // The board is in the air off a pop from the nose
+    }
+
+    // Call after the board has moved
+    update() {
+        const board = this.skateboard;
+        if (board.isJumping || board.inAir) return;
+
+        this.nollie = false;
+        if (board.velocity.length() < MIN_SPEED) return;
+
+        _forward.set(0, 0, -1).applyQuaternion(board.mesh.quaternion);
+        this.fakie = _forward.dot(board.velocity) < 0;
+    }
+
+    // Swap feet to ride switch, or back to the natural stance. Only with the wheels down
+    swapFeet() {
+        const board = this.skateboard;
+        if (board.isJumping || board.inAir) return false;
+
+        this.switch = !this.switch;
+        return true;
+    }
+
+    // The board was popped off the nose, in an ollie with forward held or out of a nose manual
+    popNose() {
+        this.nollie = true;
+    }
+
+    // The StanceModifier for how the skater is riding now, or null when it's their natural stance.
+    // Rolling fakie with the feet swapped puts the natural front foot back in front, so it's neither
+    getModifier() {
+        if (this.nollie) return StanceModifier.NOLLIE;
+        if (this.fakie && !this.switch) return StanceModifier.FAKIE;
+        if (this.switch && !this.fakie) return StanceModifier.SWITCH;
+        return null;
+    }
+
+    // Whether the skater stands with their right foot toward the nose, a mirror of regular
+    isMirrored() {
+        return (this.stance === Stance.GOOFY) !== this.switch;
+    }
+
+    reset() {
+        this.switch = false;
+        this.fakie = false;
+        this.nollie = false;
+    }
+}
@@ -0,0 +1,234 @@
+import { System, SystemPhase } from '../../core/System.js';
+import { GameEvents } from '../GameEvents.js';
+import { GrindExit } from './GrindController.js';
+import { ManualExit } from './ManualController.js';
+import { StanceModifier } from './StanceController.js';
+
+// Base points for each trick, by the name its controller reports
+const TRICK_POINTS = {
+    'ollie': 50,
+    'air': 25,
+    'kickflip': 100,
+    'heelflip': 100,
+    'pop shove-it': 75,
+    '360 flip': 250,
+    'impossible': 200,
+    'indy': 100,
+    'melon': 100,
+    'stalefish': 150,
+    'nosegrab': 125,
+    'tailgrab': 100,
+    'method': 200,
+    '50-50': 100,
+    '5-0': 150,
+    'boardslide': 200,
+    'manual': 75,
+    'nose manual': 100
+};
+
+// Tricks done riding the other way round are harder, and worth this many times their points
+const STANCE_BONUS = {
+    [StanceModifier.FAKIE]: 1.25,
+    [StanceModifier.NOLLIE]: 1.5,
+    [StanceModifier.SWITCH]: 1.5
+};
+
+const AIR_POINTS_PER_SECOND = 100;
+const GRIND_POINTS_PER_SECOND = 100;
+const MANUAL_POINTS_PER_SECOND = 75;
+const SPIN_POINTS = 100;         // For a 180; each further half turn is worth one more step
+const SPIN_SLACK = Math.PI / 6;  // How far short of a half turn still counts as one
+const MIN_AIR_TIME = 0.5;        // Shorter drops that weren't ollies aren't worth an 'air'
+
+// Grinds and manuals that end like this take the combo with them
+const GRIND_BAILS = [GrindExit.FELL, GrindExit.INTERRUPTED];
+const MANUAL_BAILS = [ManualExit.BAILED, ManualExit.INTERRUPTED];
+
+// Manuals that end like this are back on four wheels, which lands the combo
+const MANUAL_LANDINGS = [ManualExit.DROPPED, ManualExit.STALLED, ManualExit.RELEASED];
+
+// Scores what the rider does and chains it into combos. Ollies, airs and spins are read off the
+// board's takeoffs and landings; flips, grabs, grinds and manuals come in as events from their
+// controllers. A combo is worth its points times the number of tricks in it, and keeps growing
+// while each trick links into the next - landing into a grind or manual, or ollieing out of one.
+// It is banked into the score on a clean landing, and lost on a bail or when the police catch up.
+// Tricks done fakie, switch or nollie are named for it and score more. Air tricks take the stance
+// the board left the ground in; grinds and manuals the one it's riding when they end
+export class TrickSystem extends System {
+    // Of the board's controllers, by name, only grind, manual, bail and stance are read here
+    constructor(skateboard, gameState, controllers) {
+        super('TrickSystem');
+        this.skateboard = skateboard;
+        this.gameState = gameState;
+        this.grindController = controllers.grind;
+        this.manualController = controllers.manual;
+        this.bailController = controllers.bail;
+        this.stanceController = controllers.stance;
+        this.phase = SystemPhase.LATE_UPDATE; // Reads the board once it has moved this step
+
+        this.combo = []; // { name, points } for each trick in the current combo
+        this.air = null; // { time, spin, yaw, ollie, stance } while the board is in the air
+        this.launched = false; // A jump pad threw the board, so its next takeoff isn't an ollie
+        this.botched = false; // Something went wrong in the air, so the landing isn't clean
+    }
+
+    init(scene) {
+        super.init(scene);
+        const events = scene.events;
+
+        events.on(GameEvents.FLIP_ENDED, ({ name, landed }) => {
+            if (landed) {
+                this.addTrick(name, TRICK_POINTS[name], this.getAirStance());
+            } else {
+                this.botched = true;
+            }
+        });
+
+        events.on(GameEvents.GRAB_ENDED, ({ name, bonus, released }) => {
+            if (released) {
+                this.addTrick(name, TRICK_POINTS[name] + bonus, this.getAirStance());
+            } else {
+                this.botched = true;
+            }
+        });
+
+        events.on(GameEvents.GRIND_ENDED, ({ type, duration, reason }) => {
+            if (GRIND_BAILS.includes(reason)) {
+                this.loseCombo(reason);
+            } else {
+                const points = TRICK_POINTS[type] + Math.round(duration * GRIND_POINTS_PER_SECOND);
+                this.addTrick(type, points, this.stanceController.getModifier());
+            }
+        });
+
+        events.on(GameEvents.MANUAL_ENDED, ({ type, duration, reason }) => {
+            if (MANUAL_BAILS.includes(reason)) {
+                this.loseCombo(reason);
+                return;
+            }
+            const points = TRICK_POINTS[type] + Math.round(duration * MANUAL_POINTS_PER_SECOND);
+            this.addTrick(type, points, this.stanceController.getModifier());
+            if (MANUAL_LANDINGS.includes(reason)) {
+                this.bankCombo();
+            }
+        });
+
+        events.on(GameEvents.JUMPPAD_TRIGGERED, () => {
+            this.launched = true;
+        });
+
+        events.on(GameEvents.PLAYER_SLAMMED, () => this.loseCombo('slammed'));
+
+        // Being thrown off or stopped dead isn't a landing
+        events.on(GameEvents.PLAYER_BAILED, () => {
+            this.air = null;
+            this.loseCombo('bailed');
+        });
+
+        events.on(GameEvents.PLAYER_CAUGHT, () => {
+            this.air = null;
+            this.loseCombo('busted');
+        });
+    }
+
+    update(deltaTime) {
+        // Whatever the riderless board does isn't a trick
+        if (this.bailController.isBailing()) return;
+
+        const board = this.skateboard;
+        const airborne = board.isJumping || board.inAir;
+        const yaw = board.mesh.rotation.y;
+
+        if (airborne && !this.air) {
+            const ollie = board.isJumping && !this.launched;
+            this.air = { time: 0, spin: 0, yaw, ollie, stance: this.stanceController.getModifier() };
+            this.launched = false;
+        } else if (airborne) {
+            this.air.time += deltaTime;
+            this.air.spin += Math.atan2(Math.sin(yaw - this.air.yaw), Math.cos(yaw - this.air.yaw));
+            this.air.yaw = yaw;
+        } else if (this.air) {
+            this.land();
+        }
+    }
+
+    // The board touched down - on the ground, or on a rail or into a manual that carries the combo on
+    land() {
+        const air = this.air;
+        this.air = null;
+
+        if (air.ollie || air.time >= MIN_AIR_TIME) {
+            const name = air.ollie ? 'ollie' : 'air';
+            this.addTrick(name, TRICK_POINTS[name] + Math.round(air.time * AIR_POINTS_PER_SECOND), air.stance);
+        }
+
+        const halfTurns = Math.floor((Math.abs(air.spin) + SPIN_SLACK) / Math.PI);
+        if (halfTurns > 0) {
+            this.addTrick(`${halfTurns * 180}`, SPIN_POINTS * halfTurns * (halfTurns + 1) / 2, air.stance);
+        }
+
+        if (this.botched) {
+            this.botched = false;
+            this.loseCombo('bad landing');
+        } else if (!this.grindController.isGrinding() && !this.manualController.isManualing()) {
+            this.bankCombo();
+        }
+    }
+
+    // Stance the board left the ground in, for tricks done in the air
+    getAirStance() {
+        return this.air ? this.air.stance : null;
+    }
+
+    // Add a trick to the current combo, named and scored for the StanceModifier it was done in, if
+    // any - a nollie ollie is just a nollie. Repeating a trick in the same combo halves it each time
+    addTrick(name, points, stance = null) {
+        if (stance) {
+            name = name === 'ollie' && stance === StanceModifier.NOLLIE ? stance : `${stance} ${name}`;
+            points *= STANCE_BONUS[stance];
+        }
+        const repeats = this.combo.filter(trick => trick.name === name).length;
+        this.combo.push({ name, points: Math.round(points / Math.pow(2, repeats)) });
+        this.emit(GameEvents.COMBO_UPDATED, this.getComboSummary());
+    }
+
+    getComboSummary() {
+        const points = this.combo.reduce((sum, trick) => sum + trick.points, 0);
+        const multiplier = this.combo.length;
+        return {
+            tricks: this.combo.map(trick => trick.name),
+            points,
+            multiplier,
+            score: points * multiplier
+        };
+    }
+
+    bankCombo() {
+        if (this.combo.length === 0) return;
+
+        const summary = this.getComboSummary();
+        this.combo = [];
+        this.gameState.addTrickScore(summary.score);
+        this.emit(GameEvents.COMBO_LANDED, summary);
+    }
+
+    loseCombo(reason) {
+        this.botched = false;
+        if (this.combo.length === 0) return;
+
+        const summary = this.getComboSummary();
+        this.combo = [];
+        this.emit(GameEvents.COMBO_LOST, { ...summary, reason });
+    }
+
+    reset() {
+        this.combo = [];
+        this.air = null;
+        this.launched = false;
+        this.botched = false;
+    }
+
+    emit(type, payload) {
+        this.scene.events.emit(type, payload);
+    }
+}
@@ -10,6 +10,7 @@ export class MobileControls {
             left: false,
             right: false,
             jump: false,
+            grab: false,
             sprint: false
         };
         
@@ -136,6 +137,54 @@ export class MobileControls {
         this.jumpButton.id = 'mobile-jump';
         this.actionContainer.appendChild(this.jumpButton);
         
+        // Flip button - tapped in the air, with the joystick picking the flip
+        this.flipButton = document.createElement('div');
+        Object.assign(this.flipButton.style, actionButtonStyle);
+        this.flipButton.style.backgroundColor = 'rgba(255, 140, 0, 0.4)';
+        this.flipButton.style.border = '3px solid rgba(255, 140, 0, 0.7)';
+        this.flipButton.innerHTML = 'FLIP';
+        this.flipButton.id = 'mobile-flip';
+        this.actionContainer.appendChild(this.flipButton);
+        
+        // Grab button - held in the air, with the joystick picking the grab
+        this.grabButton = document.createElement('div');
+        Object.assign(this.grabButton.style, actionButtonStyle);
+        this.grabButton.style.backgroundColor = 'rgba(180, 0, 255, 0.4)';
+        this.grabButton.style.border = '3px solid rgba(180, 0, 255, 0.7)';
+        this.grabButton.innerHTML = 'GRAB';
+        this.grabButton.id = 'mobile-grab';
+        this.actionContainer.appendChild(this.grabButton);
+        
+        // Manual button - tapped to pop onto two wheels, with the joystick keeping balance
+        this.manualButton = document.createElement('div');
+        Object.assign(this.manualButton.style, actionButtonStyle);
+        this.manualButton.style.backgroundColor = 'rgba(255, 215, 0, 0.4)';
+        this.manualButton.style.border = '3px solid rgba(255, 215, 0, 0.7)';
+        this.manualButton.style.fontSize = '14px';
+        this.manualButton.innerHTML = 'MANUAL';
+        this.manualButton.id = 'mobile-manual';
+        this.actionContainer.appendChild(this.manualButton);
+        
+        // Switch button - tapped on the ground to swap feet
+        this.switchButton = document.createElement('div');
+        Object.assign(this.switchButton.style, actionButtonStyle);
+        this.switchButton.style.backgroundColor = 'rgba(0, 200, 200, 0.4)';
+        this.switchButton.style.border = '3px solid rgba(0, 200, 200, 0.7)';
+        this.switchButton.style.fontSize = '14px';
+        this.switchButton.innerHTML = 'SWITCH';
+        this.switchButton.id = 'mobile-switch';
+        this.actionContainer.appendChild(this.switchButton);
+        
+        // Pump button - tapped on the way down a transition for speed
+        this.pumpButton = document.createElement('div');
+        Object.assign(this.pumpButton.style, actionButtonStyle);
+        this.pumpButton.style.backgroundColor = 'rgba(0, 200, 100, 0.4)';
+        this.pumpButton.style.border = '3px solid rgba(0, 200, 100, 0.7)';
+        this.pumpButton.style.fontSize = '14px';
+        this.pumpButton.innerHTML = 'PUMP';
+        this.pumpButton.id = 'mobile-pump';
+        this.actionContainer.appendChild(this.pumpButton);
+        
         // Sprint button (updated for toggle functionality)
         this.sprintButton = document.createElement('div');
         Object.assign(this.sprintButton.style, actionButtonStyle);
@@ -380,6 +429,101 @@ export class MobileControls {
             this.updateInputHandlerState();
         }, { passive: false });
         
+        // Flip button fires on touch, like the flip key
+        this.flipButton.addEventListener('touchstart', (event) => {
+            event.preventDefault();
+            this.flipButton.style.transform = 'scale(0.9)';
+            this.flipButton.style.opacity = '1';
+            
+            if (this.inputHandler) {
+                this.inputHandler.queueFlip();
+            }
+        }, { passive: false });
+        
+        const releaseFlipButton = (event) => {
+            event.preventDefault();
+            this.flipButton.style.transform = 'scale(1)';
+            this.flipButton.style.opacity = '0.7';
+        };
+        this.flipButton.addEventListener('touchend', releaseFlipButton, { passive: false });
+        this.flipButton.addEventListener('touchcancel', releaseFlipButton, { passive: false });
+        
+        // Manual button fires on touch, like the manual key
+        this.manualButton.addEventListener('touchstart', (event) => {
+            event.preventDefault();
+            this.manualButton.style.transform = 'scale(0.9)';
+            this.manualButton.style.opacity = '1';
+            
+            if (this.inputHandler) {
+                this.inputHandler.queueManual();
+            }
+        }, { passive: false });
+        
+        const releaseManualButton = (event) => {
+            event.preventDefault();
+            this.manualButton.style.transform = 'scale(1)';
+            this.manualButton.style.opacity = '0.7';
+        };
+        this.manualButton.addEventListener('touchend', releaseManualButton, { passive: false });
+        this.manualButton.addEventListener('touchcancel', releaseManualButton, { passive: false });
+        
+        // Switch button fires on touch, like the switch stance key
+        this.switchButton.addEventListener('touchstart', (event) => {
+            event.preventDefault();
+            this.switchButton.style.transform = 'scale(0.9)';
+            this.switchButton.style.opacity = '1';
+            
+            if (this.inputHandler) {
+                this.inputHandler.queueSwitchStance();
+            }
+        }, { passive: false });
+        
+        const releaseSwitchButton = (event) => {
+            event.preventDefault();
+            this.switchButton.style.transform = 'scale(1)';
+            this.switchButton.style.opacity = '0.7';
+        };
+        this.switchButton.addEventListener('touchend', releaseSwitchButton, { passive: false });
+        this.switchButton.addEventListener('touchcancel', releaseSwitchButton, { passive: false });
+        
+        // Pump button fires on touch, like the pump key
+        this.pumpButton.addEventListener('touchstart', (event) => {
+            event.preventDefault();
+            this.pumpButton.style.transform = 'scale(0.9)';
+            this.pumpButton.style.opacity = '1';
+            
+            if (this.inputHandler) {
+                this.inputHandler.queuePump();
+            }
+        }, { passive: false });
+        
+        const releasePumpButton = (event) => {
+            event.preventDefault();
+            this.pumpButton.style.transform = 'scale(1)';
+            this.pumpButton.style.opacity = '0.7';
+        };
+        this.pumpButton.addEventListener('touchend', releasePumpButton, { passive: false });
+        this.pumpButton.addEventListener('touchcancel', releasePumpButton, { passive: false });
+        
+        // Grab button holds the grab for as long as it is touched
+        this.grabButton.addEventListener('touchstart', (event) => {
+            event.preventDefault();
+            this.touchState.grab = true;
+            this.grabButton.style.transform = 'scale(0.9)';
+            this.grabButton.style.opacity = '1';
+            this.updateInputHandlerState();
+        }, { passive: false });
+        
+        const releaseGrabButton = (event) => {
+            event.preventDefault();
+            this.touchState.grab = false;
+            this.grabButton.style.transform = 'scale(1)';
+            this.grabButton.style.opacity = '0.7';
+            this.updateInputHandlerState();
+        };
+        this.grabButton.addEventListener('touchend', releaseGrabButton, { passive: false });
+        this.grabButton.addEventListener('touchcancel', releaseGrabButton, { passive: false });
+        
         // Sprint button with toggle functionality
         this.sprintButton.addEventListener('touchstart', (event) => {
             event.preventDefault();
@@ -514,6 +658,9 @@ export class MobileControls {
         
         // Update sprint state
         this.inputHandler.shift = this.touchState.sprint;
+        
+        // Update grab state
+        this.inputHandler.grab = this.touchState.grab;
     }
     
     update() {
@@ -1,7 +1,8 @@
 import * as THREE from 'three';
+import { GameEvents } from '../GameEvents.js';
 
 export class ScoreSystem {
-    constructor(gameState) {
+    constructor(gameState, events = null) {
         this.score = 0;
         this.gameState = gameState;
         this.setupScoreDisplay();
@@ -15,6 +16,25 @@ export class ScoreSystem {
         
         // Initialize UI elements
         this.initUI();
+        
+        if (events) {
+            this.bindEvents(events);
+        }
+    }
+    
+    // Messages are shown once when their event fires rather than checked every frame
+    bindEvents(events) {
+        events.on(GameEvents.PLAYER_CAUGHT, () => this.showCapturedMessage());
+        events.on(GameEvents.GAME_OVER, () => this.showGameOverMessage());
+        events.on(GameEvents.GAME_WON, () => this.showVictoryMessage());
+        events.on(GameEvents.GAME_RESET, () => this.resetScore());
+        events.on(GameEvents.GRIND_STARTED, ({ type, balance }) => this.showBalanceMeter(type, balance));
+        events.on(GameEvents.GRIND_ENDED, () => this.hideBalanceMeter());
+        events.on(GameEvents.MANUAL_STARTED, ({ type, balance }) => this.showBalanceMeter(type, balance));
+        events.on(GameEvents.MANUAL_ENDED, () => this.hideBalanceMeter());
+        events.on(GameEvents.COMBO_UPDATED, (combo) => this.showCombo(combo));
+        events.on(GameEvents.COMBO_LANDED, (combo) => this.finishCombo(combo, true));
+        events.on(GameEvents.COMBO_LOST, (combo) => this.finishCombo(combo, false));
     }
     
     initUI() {
@@ -38,6 +58,12 @@ export class ScoreSystem {
         
         // Create magnet timer display (hidden initially)
         this.createMagnetTimerDisplay();
+        
+        // Create grind balance meter (hidden initially)
+        this.createBalanceMeterDisplay();
+        
+        // Create trick combo display (hidden initially)
+        this.createComboDisplay();
     }
     
     setupScoreDisplay() {
@@ -160,26 +186,8 @@ export class ScoreSystem {
         // Update magnet timer display
         this.updateMagnetTimerDisplay();
         
-        // Update game over/victory display
-        if (this.gameState.gameOver) {
-            this.showGameOverMessage();
-        } else if (this.gameState.gameWon) {
-            this.showVictoryMessage();
-        } else {
-            if (this.gameOverContainer) this.gameOverContainer.style.display = 'none';
-            if (this.victoryContainer) this.victoryContainer.style.display = 'none';
-        }
-        
-        // Check if player was just captured
-        if (this.gameState.isPlayerCaught && !this.capturedDisplayed) {
-            this.showCapturedMessage();
-            this.capturedDisplayed = true;
-            
-            // Reset captured flag after showing message
-            setTimeout(() => {
-                this.capturedDisplayed = false;
-            }, 2000);
-        }
+        // Update grind balance meter
+        this.updateBalanceMeterDisplay();
     }
     
     showFloatingScore(points, position, camera) {
@@ -236,6 +244,7 @@ export class ScoreSystem {
             <div class="game-message game-over" style="background-color: rgba(0, 0, 0, 0.8); color: red; padding: 40px; border-radius: 10px; text-align: center; font-family: Arial, sans-serif; box-shadow: 0 0 20px rgba(255, 0, 0, 0.5);">
                 <h2 style="font-size: 36px; margin-bottom: 20px;">GAME OVER!</h2>
                 <p style="font-size: 24px; margin-bottom: 10px;">You lost all your lives!</p>
+                <p style="font-size: 18px; margin-bottom: 10px;">Trick Score: ${this.gameState.trickScore} (Best Combo: ${this.gameState.bestCombo})</p>
                 <p style="font-size: 18px;">The game will restart shortly...</p>
             </div>
         `;
@@ -271,6 +280,7 @@ export class ScoreSystem {
                 <h2 style="font-size: 36px; margin-bottom: 20px;">VICTORY!</h2>
                 <p style="font-size: 24px; margin-bottom: 10px;">You collected all coins!</p>
                 <p style="font-size: 18px;">Final Score: ${this.gameState.score}</p>
+                <p style="font-size: 18px;">Trick Score: ${this.gameState.trickScore} (Best Combo: ${this.gameState.bestCombo})</p>
                 <p style="font-size: 16px; margin-top: 20px;">The game will restart shortly...</p>
             </div>
         `;
@@ -334,6 +344,8 @@ export class ScoreSystem {
             const el = document.getElementById(id);
             if (el) el.style.display = 'none';
         });
+        if (this.gameOverContainer) this.gameOverContainer.style.display = 'none';
+        if (this.victoryContainer) this.victoryContainer.style.display = 'none';
         
         // Reset invincibility timer display
         if (this.invincibilityTimerDisplay) {
@@ -344,6 +356,17 @@ export class ScoreSystem {
         if (this.magnetTimerDisplay) {
             this.magnetTimerDisplay.style.display = 'none';
         }
+        
+        // Reset grind balance meter
+        if (this.balanceMeterDisplay) {
+            this.hideBalanceMeter();
+        }
+        
+        // Reset trick combo display
+        if (this.comboDisplay) {
+            clearTimeout(this.comboHideTimeout);
+            this.comboDisplay.style.display = 'none';
+        }
     }
     
     getScore() {
@@ -477,4 +500,128 @@ export class ScoreSystem {
             this.magnetTimerDisplay.style.display = 'none';
         }
     }
-} 
\ No newline at end of file
+    
+    createBalanceMeterDisplay() {
+        // Create a container for the grind balance meter
+        this.balanceMeterDisplay = document.createElement('div');
+        this.balanceMeterDisplay.id = 'balanceMeter';
+        this.balanceMeterDisplay.style.position = 'fixed';
+        this.balanceMeterDisplay.style.bottom = '120px';
+        this.balanceMeterDisplay.style.left = '50%';
+        this.balanceMeterDisplay.style.transform = 'translateX(-50%)';
+        this.balanceMeterDisplay.style.backgroundColor = 'rgba(0, 0, 0, 0.5)';
+        this.balanceMeterDisplay.style.color = 'white';
+        this.balanceMeterDisplay.style.padding = '10px 20px';
+        this.balanceMeterDisplay.style.borderRadius = '20px';
+        this.balanceMeterDisplay.style.fontFamily = 'Arial, sans-serif';
+        this.balanceMeterDisplay.style.fontWeight = 'bold';
+        this.balanceMeterDisplay.style.fontSize = '18px';
+        this.balanceMeterDisplay.style.textAlign = 'center';
+        this.balanceMeterDisplay.style.zIndex = '1000';
+        this.balanceMeterDisplay.style.display = 'none';
+        
+        // Name of the grind
+        this.balanceLabel = document.createElement('div');
+        this.balanceLabel.style.marginBottom = '6px';
+        this.balanceMeterDisplay.appendChild(this.balanceLabel);
+        
+        // Track the marker slides along, red at the ends where the rider falls off
+        const track = document.createElement('div');
+        track.style.position = 'relative';
+        track.style.width = '200px';
+        track.style.height = '10px';
+        track.style.borderRadius = '5px';
+        track.style.background = 'linear-gradient(to right, #ff3030, #ffd700 30%, #32cd32 50%, #ffd700 70%, #ff3030)';
+        this.balanceMeterDisplay.appendChild(track);
+        
+        this.balanceMarker = document.createElement('div');
+        this.balanceMarker.style.position = 'absolute';
+        this.balanceMarker.style.top = '-4px';
+        this.balanceMarker.style.left = '50%';
+        this.balanceMarker.style.width = '4px';
+        this.balanceMarker.style.height = '18px';
+        this.balanceMarker.style.marginLeft = '-2px';
+        this.balanceMarker.style.backgroundColor = 'white';
+        this.balanceMarker.style.boxShadow = '0 0 5px white';
+        track.appendChild(this.balanceMarker);
+        
+        document.body.appendChild(this.balanceMeterDisplay);
+    }
+    
+    showBalanceMeter(type, balance) {
+        this.balance = balance;
+        this.balanceLabel.innerHTML = type.toUpperCase();
+        this.balanceMeterDisplay.style.display = 'block';
+        this.updateBalanceMeterDisplay();
+    }
+    
+    hideBalanceMeter() {
+        this.balance = null;
+        this.balanceMeterDisplay.style.display = 'none';
+    }
+    
+    updateBalanceMeterDisplay() {
+        if (!this.balanceMeterDisplay || !this.balance) return;
+        
+        // Balance runs from -1 (falling left) to 1 (falling right)
+        const lean = THREE.MathUtils.clamp(this.balance.value, -1, 1);
+        this.balanceMarker.style.left = `${(lean + 1) * 50}%`;
+    }
+    
+    createComboDisplay() {
+        // Create a container for the running trick combo, above the balance meter
+        this.comboDisplay = document.createElement('div');
+        this.comboDisplay.id = 'comboDisplay';
+        this.comboDisplay.style.position = 'fixed';
+        this.comboDisplay.style.bottom = '190px';
+        this.comboDisplay.style.left = '50%';
+        this.comboDisplay.style.transform = 'translateX(-50%)';
+        this.comboDisplay.style.maxWidth = '80%';
+        this.comboDisplay.style.backgroundColor = 'rgba(0, 0, 0, 0.5)';
+        this.comboDisplay.style.padding = '10px 20px';
+        this.comboDisplay.style.borderRadius = '20px';
+        this.comboDisplay.style.fontFamily = 'Arial, sans-serif';
+        this.comboDisplay.style.fontWeight = 'bold';
+        this.comboDisplay.style.textAlign = 'center';
+        this.comboDisplay.style.zIndex = '1000';
+        this.comboDisplay.style.display = 'none';
+        
+        // Tricks in the combo so far
+        this.comboTricks = document.createElement('div');
+        this.comboTricks.style.fontSize = '18px';
+        this.comboTricks.style.marginBottom = '4px';
+        this.comboDisplay.appendChild(this.comboTricks);
+        
+        // Points times multiplier, or the result once the combo ends
+        this.comboPoints = document.createElement('div');
+        this.comboPoints.style.fontSize = '24px';
+        this.comboDisplay.appendChild(this.comboPoints);
+        
+        document.body.appendChild(this.comboDisplay);
+    }
+    
+    showCombo({ tricks, points, multiplier }) {
+        clearTimeout(this.comboHideTimeout);
+        this.comboTricks.innerHTML = tricks.join(' + ').toUpperCase();
+        this.comboTricks.style.color = 'white';
+        this.comboPoints.innerHTML = `${points} x ${multiplier}`;
+        this.comboPoints.style.color = 'gold';
+        this.comboDisplay.style.display = 'block';
+    }
+    
+    // Show how the combo ended for a moment, then hide it
+    finishCombo(combo, landed) {
+        this.showCombo(combo);
+        if (landed) {
+            this.comboPoints.innerHTML = `+${combo.score}`;
+        } else {
+            this.comboTricks.style.color = 'gray';
+            this.comboPoints.innerHTML = 'COMBO LOST';
+            this.comboPoints.style.color = 'red';
+        }
+        
+        this.comboHideTimeout = setTimeout(() => {
+            this.comboDisplay.style.display = 'none';
+        }, 1500);
+    }
+}
\ No newline at end of file
@@ -1,9 +1,10 @@
 import * as THREE from 'three';
 
 export class TextureLoader {
-    constructor() {
-        this.loader = new THREE.TextureLoader();
+    constructor(presentation) {
+        this.presentation = presentation; // Loads images and creates canvases (browser or headless)
         this.textureCache = new Map(); // Cache to avoid reloading the same textures
+        this.pendingLoads = new Set(); // Loads still in flight, see whenLoaded()
     }
     
     load(url) {
@@ -13,24 +14,28 @@ export class TextureLoader {
         }
         
         // Otherwise, load it and cache it
-        return new Promise((resolve, reject) => {
-            this.loader.load(
-                url,
-                texture => {
-                    this.textureCache.set(url, texture);
-                    resolve(texture);
-                },
-                undefined,
-                error => reject(error)
-            );
+        const loading = this.presentation.loadTexture(url).then(texture => {
+            this.textureCache.set(url, texture);
+            return texture;
         });
+        this.pendingLoads.add(loading);
+        loading.finally(() => this.pendingLoads.delete(loading)).catch(() => {});
+        return loading;
+    }
+    
+    // Resolves once every texture requested so far has loaded or failed
+    whenLoaded() {
+        return Promise.allSettled([...this.pendingLoads]);
+    }
+    
+    // Create a blank canvas to draw a texture on
+    createCanvas(width, height) {
+        return this.presentation.createCanvas(width, height);
     }
     
     // Create a canvas with a pattern and return it as a texture
     createPatternTexture(createPattern, width = 128, height = 128) {
-        const canvas = document.createElement('canvas');
-        canvas.width = width;
-        canvas.height = height;
+        const canvas = this.createCanvas(width, height);
         const context = canvas.getContext('2d');
         
         // Call the provided function to create the pattern
@@ -0,0 +1,130 @@
+import * as THREE from 'three';
+import { SkateGame } from './game/SkateGame.js';
+import { HeadlessPresentation } from './game/presentation/HeadlessPresentation.js';
+import { GameEvents } from './game/GameEvents.js';
+
+// Headless simulation run - rides the park without a browser and prints the outcome as JSON.
+// Needs three@0.160 resolvable from this folder (npm install three@0.160), then from skate-game/:
+//   node --experimental-default-type=module js/headless.js [seconds] [seed]
+// The same seed always produces the same result.
+// Exits with code 1 if the simulation throws, so CI can run it as a smoke test.
+
+const seconds = Number(process.argv[2]) || 120;
+const seed = process.argv[3] !== undefined ? Number(process.argv[3]) : Date.now();
+
+// Ride toward the nearest coin, giving up on coins that can't be reached and hopping when stuck
+class CoinChaser {
+    constructor(game) {
+        this.game = game;
+        this.target = null;
+        this.chaseSteps = 0;
+        this.maxChaseSteps = 10 * 60; // Ten simulated seconds per coin
+        this.skipped = new Set();
+        this.facing = new THREE.Vector3();
+    }
+    
+    pickTarget(position) {
+        let nearest = null;
+        let nearestDistance = Infinity;
+        
+        this.game.coinSystem.coins.forEach(entity => {
+            if (this.skipped.has(entity)) return;
+            const distance = entity.getComponent('Transform').position.distanceTo(position);
+            if (distance < nearestDistance) {
+                nearestDistance = distance;
+                nearest = entity;
+            }
+        });
+        
+        return nearest;
+    }
+    
+    drive(stuck) {
+        const board = this.game.skateboard.mesh;
+        const input = this.game.inputHandler;
+        
+        // Drop the target once it is collected or has taken too long
+        if (this.target && (!this.game.coinSystem.coins.includes(this.target) || ++this.chaseSteps > this.maxChaseSteps)) {
+            if (this.chaseSteps > this.maxChaseSteps) this.skipped.add(this.target);
+            this.target = null;
+        }
+        if (!this.target) {
+            this.target = this.pickTarget(board.position);
+            this.chaseSteps = 0;
+        }
+        if (!this.target) {
+            input.setMovement({});
+            return;
+        }
+        
+        // The board faces local -Z; headings are measured the same way rotation.y turns it
+        const target = this.target.getComponent('Transform').position;
+        this.facing.set(0, 0, -1).applyQuaternion(board.quaternion);
+        const heading = Math.atan2(-this.facing.x, -this.facing.z);
+        const desired = Math.atan2(-(target.x - board.position.x), -(target.z - board.position.z));
+        const turn = Math.atan2(Math.sin(desired - heading), Math.cos(desired - heading));
+        
+        input.setMovement({
+            forward: true,
+            left: turn > 0.1,
+            right: turn < -0.1
+        });
+        
+        if (stuck) {
+            input.queueJump(1.5);
+        }
+    }
+}
+
+async function run() {
+    const game = new SkateGame({ presentation: new HeadlessPresentation(), seed });
+    await game.whenReady();
+    
+    const stepsPerSecond = Math.round(1 / game.timeSystem.getFixedTimeStep());
+    const totalSteps = Math.round(seconds * stepsPerSecond);
+    const lastPosition = game.skateboard.mesh.position.clone();
+    const chaser = new CoinChaser(game);
+    let captures = 0;
+    let steps = 0;
+    game.events.on(GameEvents.PLAYER_CAUGHT, () => captures++);
+    
+    for (; steps < totalSteps; steps++) {
+        // Steer every step, check for getting stuck once per simulated second
+        let stuck = false;
+        if (steps % stepsPerSecond === 0) {
+            stuck = steps > 0 && game.skateboard.mesh.position.distanceTo(lastPosition) < 1;
+            lastPosition.copy(game.skateboard.mesh.position);
+        }
+        chaser.drive(stuck);
+        
+        game.step();
+        
+        if (game.gameState.gameOver || game.gameState.gameWon) {
+            steps++;
+            break;
+        }
+    }
+    
+    const state = game.gameState;
+    return {
+        seed: game.seed,
+        simulatedSeconds: Math.round(steps / stepsPerSecond * 100) / 100,
+        coinsCollected: state.coinsCollected,
+        totalCoins: state.totalCoins,
+        score: state.score,
+        trickScore: state.trickScore,
+        bestCombo: state.bestCombo,
+        lives: state.lives,
+        captures,
+        gameWon: state.gameWon,
+        gameOver: state.gameOver
+    };
+}
+
+run().then(result => {
+    console.log(JSON.stringify(result, null, 2));
+    process.exit(0);
+}).catch(error => {
+    console.error("Headless run failed:", error);
+    process.exit(1);
+});
@@ -1,9 +1,14 @@
 import { SkateGame } from './game/SkateGame.js';
+import { Stance } from './game/tricks/StanceController.js';
 
 // Initialize the game when the page loads
 window.addEventListener('DOMContentLoaded', () => {
-    // Create and start the game
-    const game = new SkateGame();
+    // Create and start the game - ?seed=1234 replays a specific run, ?stance=goofy rides goofy
+    const params = new URLSearchParams(window.location.search);
+    const options = {};
+    if (params.get('seed') !== null) options.seed = Number(params.get('seed'));
+    if (params.get('stance') === Stance.GOOFY) options.stance = Stance.GOOFY;
+    const game = new SkateGame(options);
     
     // For debugging purposes - make the game accessible globally
     window.game = game;